@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Same as `vite-seo-bootstrap git <repository> ...`, alongside apply-zip.mjs
+import { main } from '../src/commands/index.mjs';
+
+main(['git', ...process.argv.slice(2)]);
@@ -0,0 +1,317 @@
+// Command-line options shared by every vite-seo-bootstrap subcommand: one
+// table describing each option, a parser that validates argv against the
+// options a subcommand accepts, the help text built from the same table,
+// and the lookup that resolves each setting by precedence:
+//
+//   CLI flag > environment variable > project config > default
+//
+// Options without an `env` or `config` key can only be set on the command
+// line.
+
+import { CONFLICT_POLICIES } from './changeset.mjs';
+import { OUTPUT_FORMATS } from './git-source.mjs';
+import { AUTO_STRATEGY, BUNDLED_STRATEGIES } from './strategies.mjs';
+
+export const DEFAULT_DOMAIN = 'https://example.com';
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Every option, keyed by the name the commands read it under. `type` is
+ * string, integer, list (comma-separated) or boolean; booleans are set
+ * with --<flag> and cleared with --no-<flag>. The description of a
+ * boolean that defaults to true describes its --no- form.
+ */
+export const OPTIONS = {
+  domain: {
+    type: 'string', value: '<url>', env: 'VITE_SEO_BOOTSTRAP_DOMAIN', config: 'domain',
+    description: 'Site URL used for canonical URLs, hreflang links and the sitemap (default: the one set by the last run)'
+  },
+  strategy: {
+    // No `choices`: strategies listed in the project config are valid too,
+    // so analyze() checks the id against the loaded registry
+    type: 'string', value: [...BUNDLED_STRATEGIES.map(s => s.id), AUTO_STRATEGY].join('|'), default: 'react',
+    env: 'VITE_SEO_BOOTSTRAP_STRATEGY', config: 'strategy',
+    description: 'Prerender setup to apply, one from "strategies" in the config, or auto to pick the best fit'
+  },
+  build: {
+    type: 'boolean', default: false,
+    description: 'Install dependencies, build, then render OG images, write the sitemap and audit'
+  },
+  offline: {
+    type: 'boolean', default: false, env: 'VITE_SEO_BOOTSTRAP_OFFLINE', config: 'offline',
+    description: 'With --build, install dependencies from the local package cache only'
+  },
+  dryRun: {
+    flag: 'dry-run', type: 'boolean', default: false,
+    description: 'Print the planned changes instead of writing them'
+  },
+  format: {
+    type: 'string', value: 'text|json', choices: ['text', 'json'], default: 'text',
+    description: 'Output format of the dry-run plan or the audit report'
+  },
+  json: {
+    type: 'boolean', default: false,
+    description: 'Print progress events and the result as JSON, one object per line'
+  },
+  backup: {
+    type: 'boolean', default: true,
+    description: 'Skip saving the touched files, so `undo` cannot revert the run'
+  },
+  git: {
+    type: 'boolean', default: true, env: 'VITE_SEO_BOOTSTRAP_GIT', config: 'git',
+    description: 'Edit the working tree without the git checks, branch and commit'
+  },
+  allowDirty: {
+    flag: 'allow-dirty', type: 'boolean', default: false,
+    description: 'Run even if the git working tree has uncommitted changes'
+  },
+  commit: {
+    type: 'boolean', default: true, env: 'VITE_SEO_BOOTSTRAP_COMMIT', config: 'commit',
+    description: 'Leave the changes staged on the new branch instead of committing them'
+  },
+  projectCode: {
+    flag: 'project-code', type: 'boolean', default: true,
+    description: 'Never run JavaScript from the project (config .mjs, dynamic route modules)'
+  },
+  maxDynamicRoutes: {
+    flag: 'max-dynamic-routes', type: 'integer', value: '<n>',
+    env: 'VITE_SEO_BOOTSTRAP_MAX_DYNAMIC_ROUTES', config: 'maxDynamicRoutes',
+    description: 'Cap on the pages generated from dynamic routes'
+  },
+  // The ZIP limits have no config key: the config comes from inside the
+  // archive they protect against
+  maxZipEntries: {
+    flag: 'max-zip-entries', type: 'integer', value: '<n>', default: 20000,
+    env: 'VITE_SEO_BOOTSTRAP_MAX_ZIP_ENTRIES',
+    description: 'Reject archives with more files and folders than this'
+  },
+  maxZipSize: {
+    flag: 'max-zip-size', type: 'integer', value: '<mb>', default: 500,
+    env: 'VITE_SEO_BOOTSTRAP_MAX_ZIP_SIZE',
+    description: 'Reject archives that expand to more megabytes than this'
+  },
+  maxZipRatio: {
+    flag: 'max-zip-ratio', type: 'integer', value: '<n>', default: 100,
+    env: 'VITE_SEO_BOOTSTRAP_MAX_ZIP_RATIO',
+    description: 'Reject archives compressed more than this many times (zip bombs)'
+  },
+  // Limits of the sandboxed install and build of uploaded projects; set
+  // per deployment through the environment, never from the project
+  buildTimeout: {
+    flag: 'build-timeout', type: 'integer', value: '<s>', default: 600,
+    env: 'VITE_SEO_BOOTSTRAP_BUILD_TIMEOUT',
+    description: 'Stop the install or the build of an uploaded project after this many seconds'
+  },
+  maxBuildOutput: {
+    flag: 'max-build-output', type: 'integer', value: '<mb>', default: 20,
+    env: 'VITE_SEO_BOOTSTRAP_MAX_BUILD_OUTPUT',
+    description: 'Stop the install or the build of an uploaded project after this much output'
+  },
+  allowScripts: {
+    flag: 'allow-scripts', type: 'list', value: '<packages>',
+    env: 'VITE_SEO_BOOTSTRAP_ALLOW_SCRIPTS',
+    description: 'Packages whose install scripts may run in an uploaded project, e.g. esbuild,sharp'
+  },
+  sandboxCache: {
+    flag: 'sandbox-cache', type: 'string', value: '<dir>',
+    env: 'VITE_SEO_BOOTSTRAP_SANDBOX_CACHE',
+    description: 'Package cache kept between sandboxed installs (default: a fresh one each run)'
+  },
+  // Also env-only: the fetch runs before the project's config is read
+  cloneTimeout: {
+    flag: 'clone-timeout', type: 'integer', value: '<s>', default: 300,
+    env: 'VITE_SEO_BOOTSTRAP_CLONE_TIMEOUT',
+    description: 'Stop fetching a repository after this many seconds'
+  },
+  ref: {
+    type: 'string', value: '<ref>',
+    description: 'Branch, tag or commit to fetch (default: the repository\'s HEAD)'
+  },
+  outputFormat: {
+    flag: 'output-format', type: 'string', value: OUTPUT_FORMATS.join('|'), choices: OUTPUT_FORMATS, default: 'zip',
+    description: 'Return the project as a ZIP, a patch for git am, or a git bundle'
+  },
+  output: {
+    type: 'string', value: '<file>',
+    description: 'Where to write the result (default: <repository>-seo-ssg.<zip|patch|bundle> here)'
+  },
+  locales: {
+    type: 'list', value: '<codes>', env: 'VITE_SEO_BOOTSTRAP_LOCALES', config: 'locales',
+    description: 'Site languages, e.g. es,ca,en (default: from the i18n setup)'
+  },
+  defaultLocale: {
+    flag: 'default-locale', type: 'string', value: '<code>',
+    env: 'VITE_SEO_BOOTSTRAP_DEFAULT_LOCALE', config: 'defaultLocale',
+    description: 'Language served without a URL prefix'
+  },
+  onConflict: {
+    flag: 'on-conflict', type: 'string', value: CONFLICT_POLICIES.join('|'), choices: CONFLICT_POLICIES,
+    default: 'side-by-side', env: 'VITE_SEO_BOOTSTRAP_ON_CONFLICT', config: 'onConflict',
+    description: 'What to do with generated files edited since the last run'
+  },
+  project: {
+    type: 'string', value: '<dir>',
+    description: 'Project the build belongs to (default: the folder containing it)'
+  },
+  out: {
+    type: 'string', value: '<dir>',
+    description: 'Folder for seo-audit.json/.html (default: .vite-seo-bootstrap/audit)'
+  },
+  id: {
+    type: 'string', value: '<timestamp>',
+    description: 'Backup to restore (default: the most recent)'
+  }
+};
+
+const flagName = key => OPTIONS[key].flag || key;
+
+/**
+ * Convert a raw value from the command line, the environment or the
+ * config file to the option's type.
+ *
+ * @throws {UsageError} When the value is not valid for the option
+ */
+function coerce(key, raw, source) {
+  const { type, choices } = OPTIONS[key];
+  let value = raw;
+  if (type === 'integer') {
+    value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new UsageError(`${source} must be a non-negative integer, got "${raw}".`);
+    }
+  } else if (type === 'list') {
+    value = (Array.isArray(raw) ? raw : String(raw).split(',')).map(item => String(item).trim()).filter(Boolean);
+  } else if (type === 'boolean') {
+    if (typeof raw !== 'boolean' && !/^(true|false|1|0)$/.test(String(raw))) {
+      throw new UsageError(`${source} must be true or false, got "${raw}".`);
+    }
+    value = raw === true || raw === 'true' || raw === '1';
+  } else {
+    value = String(raw);
+  }
+  if (choices && !choices.includes(value)) {
+    throw new UsageError(`${source} must be one of ${choices.join(', ')}, got "${raw}".`);
+  }
+  return value;
+}
+
+/**
+ * Parse a subcommand's arguments. Flags take their value after `=`
+ * (`--domain=https://…`) or as the next argument.
+ *
+ * @param {string[]} argv Arguments after the subcommand name
+ * @param {{ positionals?: { name: string, required?: boolean }[], options?: string[] }} command
+ * @returns {{ positionals: Object<string, string>, flags: Object<string, *>, help: boolean }}
+ * @throws {UsageError} On unknown flags, missing values and extra arguments
+ */
+export function parseArgs(argv, { positionals = [], options = [] }) {
+  const byFlag = new Map(options.map(key => [flagName(key), key]));
+  const result = { positionals: {}, flags: {}, help: false };
+  const values = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      result.help = true;
+      continue;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      values.push(arg);
+      continue;
+    }
+    const [, name, inline] = arg.match(/^--([^=]+)(?:=([\s\S]*))?$/) || [];
+    let key = byFlag.get(name);
+    if (key && OPTIONS[key].type === 'boolean') {
+      result.flags[key] = inline === undefined ? true : coerce(key, inline, `--${name}`);
+      continue;
+    }
+    if (!key && name?.startsWith('no-')) {
+      const negated = byFlag.get(name.slice(3));
+      if (negated && OPTIONS[negated].type === 'boolean') {
+        if (inline !== undefined) {
+          throw new UsageError(`--${name} takes no value; use --${name} or --${name.slice(3)}=<true|false>.`);
+        }
+        result.flags[negated] = false;
+        continue;
+      }
+    }
+    if (!key) throw new UsageError(`unknown option ${arg.replace(/=[\s\S]*$/, '')}.`);
+    const raw = inline ?? argv[++i];
+    if (raw === undefined || (inline === undefined && raw.startsWith('--'))) {
+      throw new UsageError(`--${name} needs a value (--${name}=${OPTIONS[key].value || '<value>'}).`);
+    }
+    result.flags[key] = coerce(key, raw, `--${name}`);
+  }
+  if (values.length > positionals.length) {
+    throw new UsageError(`unexpected argument "${values[positionals.length]}".`);
+  }
+  positionals.forEach(({ name, required }, index) => {
+    if (values[index] !== undefined) result.positionals[name] = values[index];
+    else if (required && !result.help) throw new UsageError(`missing <${name}>.`);
+  });
+  return result;
+}
+
+/**
+ * Resolve the given options: the parsed flag, else the environment
+ * variable, else the project config, else the default.
+ *
+ * @param {string[]} keys Options to resolve
+ * @param {Object} opts
+ * @param {Object} opts.flags Flags from parseArgs()
+ * @param {Object} [opts.env=process.env]
+ * @param {Object} [opts.config] The project config
+ * @returns {Object<string, *>}
+ * @throws {UsageError} When an environment or config value is not valid
+ */
+export function resolveOptions(keys, { flags, env = process.env, config = {} }) {
+  const resolved = {};
+  for (const key of keys) {
+    const option = OPTIONS[key];
+    if (flags[key] !== undefined) {
+      resolved[key] = flags[key];
+    } else if (option.env && env[option.env] !== undefined && env[option.env] !== '') {
+      resolved[key] = coerce(key, env[option.env], option.env);
+    } else if (option.config && config[option.config] !== undefined) {
+      resolved[key] = coerce(key, config[option.config], `"${option.config}" in the project config`);
+    } else {
+      resolved[key] = option.default;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Help text for a subcommand, listing its arguments and options with the
+ * environment variable and config key that can set each one.
+ *
+ * @param {string} usage First line, e.g. "vite-seo-bootstrap apply [dir]"
+ * @param {{ summary: string, options?: string[] }} command
+ * @returns {string}
+ */
+export function formatHelp(usage, { summary, options = [] }) {
+  const rows = options.map(key => {
+    const { type, value, default: fallback } = OPTIONS[key];
+    const flag = type === 'boolean' && fallback === true ? `--no-${flagName(key)}` : `--${flagName(key)}`;
+    return [type === 'boolean' ? flag : `${flag}=${value}`, key];
+  });
+  const width = Math.max(0, ...rows.map(([flag]) => flag.length));
+  const lines = [`Usage: ${usage}`, '', summary, ''];
+  if (rows.length) lines.push('Options:');
+  for (const [flag, key] of rows) {
+    const { description, env, config, default: fallback, type } = OPTIONS[key];
+    const notes = [];
+    if (fallback !== undefined && type !== 'boolean') notes.push(`default ${fallback}`);
+    if (env) notes.push(`env ${env}`);
+    if (config) notes.push(`config "${config}"`);
+    lines.push(`  ${flag.padEnd(width)}  ${description}`);
+    if (notes.length) lines.push(`  ${''.padEnd(width)}  ${notes.join(', ')}`);
+  }
+  lines.push(`  ${'--help'.padEnd(width)}  Show this help`);
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,477 @@
+// Post-build SEO audit of a prerendered `dist` folder. Every emitted HTML
+// file is scanned for the basics search engines care about (title,
+// description, canonical, a single <h1>, image alt text, valid
+// structured data), internal links
+// are checked against the files on disk and the sitemap is compared with
+// the pages that were actually generated. The result is a plain report
+// object that can be printed, saved as JSON or rendered as a standalone
+// HTML page.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { validateJsonLd } from './structured-data.mjs';
+import { Reporter } from './reporter.mjs';
+
+export const AUDIT_DIR = path.join('.vite-seo-bootstrap', 'audit');
+
+const ISSUE_TYPES = {
+  'missing-title': { severity: 'error', label: 'Missing <title>' },
+  'duplicate-title': { severity: 'warning', label: 'Duplicate title' },
+  'missing-description': { severity: 'warning', label: 'Missing meta description' },
+  'duplicate-description': { severity: 'warning', label: 'Duplicate meta description' },
+  'missing-canonical': { severity: 'warning', label: 'Missing canonical link' },
+  'canonical-wrong-domain': { severity: 'error', label: 'Canonical points to another domain' },
+  'missing-h1': { severity: 'warning', label: 'No <h1>' },
+  'multiple-h1': { severity: 'warning', label: 'More than one <h1>' },
+  'img-missing-alt': { severity: 'warning', label: 'Image without alt' },
+  'broken-link': { severity: 'error', label: 'Broken internal link' },
+  'jsonld-invalid': { severity: 'error', label: 'Invalid structured data' },
+  'jsonld-missing-required': { severity: 'error', label: 'Structured data missing a required property' },
+  'jsonld-missing-recommended': { severity: 'warning', label: 'Structured data missing a recommended property' },
+  'missing-sitemap': { severity: 'warning', label: 'No sitemap.xml' },
+  'sitemap-missing-html': { severity: 'error', label: 'Sitemap entry without HTML file' },
+  'html-missing-from-sitemap': { severity: 'warning', label: 'Page missing from sitemap' }
+};
+
+// Elements whose content is raw text, not markup
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title']);
+
+const TAG_RE = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/gi;
+const ATTR_RE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(ATTR_RE)) {
+    const name = match[1].toLowerCase();
+    if (name in attrs) continue;
+    attrs[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Collect the SEO-relevant facts of one HTML document. This is a tag
+ * scanner rather than a full parser: it is enough for the markup static
+ * site generators emit and keeps the CLI free of extra dependencies.
+ */
+export function scanHtml(html) {
+  const page = {
+    title: undefined,
+    description: undefined,
+    canonical: undefined,
+    ogImage: undefined,
+    robots: undefined,
+    lang: undefined,
+    alternates: [],
+    h1Count: 0,
+    imagesMissingAlt: [],
+    images: [],
+    jsonLd: [],
+    links: []
+  };
+  TAG_RE.lastIndex = 0;
+  let match;
+  while ((match = TAG_RE.exec(html))) {
+    const [whole, closing, rawName, rawAttrs] = match;
+    if (!rawName || closing) continue;
+    const name = rawName.toLowerCase();
+    const attrs = parseAttributes(rawAttrs || '');
+
+    if (RAW_TEXT.has(name) && !whole.endsWith('/>')) {
+      const end = html.toLowerCase().indexOf(`</${name}`, TAG_RE.lastIndex);
+      const text = html.slice(TAG_RE.lastIndex, end === -1 ? html.length : end);
+      if (name === 'title' && page.title === undefined) {
+        page.title = decodeEntities(text).replace(/\s+/g, ' ').trim();
+      }
+      if (name === 'script' && (attrs.type || '').toLowerCase() === 'application/ld+json') {
+        page.jsonLd.push(text.trim());
+      }
+      TAG_RE.lastIndex = end === -1 ? html.length : end;
+      continue;
+    }
+
+    if (name === 'html') {
+      if (attrs.lang && page.lang === undefined) page.lang = attrs.lang.trim();
+    } else if (name === 'meta') {
+      const key = (attrs.name || '').toLowerCase();
+      if (key === 'description' && page.description === undefined) page.description = (attrs.content || '').trim();
+      if (key === 'robots' && page.robots === undefined) page.robots = (attrs.content || '').toLowerCase();
+      if ((attrs.property || '').toLowerCase() === 'og:image' && page.ogImage === undefined) page.ogImage = (attrs.content || '').trim();
+    } else if (name === 'link') {
+      const rel = (attrs.rel || '').toLowerCase().split(/\s+/);
+      if (rel.includes('canonical') && page.canonical === undefined) page.canonical = (attrs.href || '').trim();
+      if (rel.includes('alternate') && attrs.hreflang && attrs.href) {
+        page.alternates.push({ hreflang: attrs.hreflang.trim(), href: attrs.href.trim() });
+      }
+    } else if (name === 'h1') {
+      page.h1Count++;
+    } else if (name === 'img') {
+      if (!('alt' in attrs)) page.imagesMissingAlt.push(attrs.src || '(no src)');
+      if (attrs.src) page.images.push(attrs.src.trim());
+    } else if (name === 'a' && attrs.href !== undefined) {
+      page.links.push(attrs.href.trim());
+    }
+  }
+  return page;
+}
+
+/**
+ * URL path served by an HTML file: about/index.html and about.html are
+ * both /about.
+ */
+export function routeForFile(relative) {
+  const withoutExt = relative.replace(/\.html?$/i, '');
+  const route = '/' + withoutExt.replace(/(^|\/)index$/, '');
+  return route.length > 1 ? route.replace(/\/$/, '') : '/';
+}
+
+export async function listHtmlFiles(distDir) {
+  const entries = await fs.readdir(distDir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile() && /\.html?$/i.test(entry.name))
+    .map(entry => path.relative(distDir, path.join(entry.parentPath ?? entry.path, entry.name)).split(path.sep).join('/'))
+    .sort();
+}
+
+async function isFile(target) {
+  try {
+    return (await fs.stat(target)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a site path resolves to a file in dist, the way static hosts
+ * serve it (exact file, <path>.html or <path>/index.html).
+ */
+async function resolvesInDist(distDir, sitePath) {
+  const decoded = decodePath(sitePath);
+  const target = path.resolve(distDir, '.' + decoded);
+  if (!target.startsWith(path.resolve(distDir))) return false;
+  if (decoded.endsWith('/')) return isFile(path.join(target, 'index.html'));
+  return (await isFile(target)) || (await isFile(target + '.html')) || isFile(path.join(target, 'index.html'));
+}
+
+function decodePath(sitePath) {
+  try {
+    return decodeURIComponent(sitePath);
+  } catch {
+    return sitePath;
+  }
+}
+
+function normalisePath(sitePath) {
+  const trimmed = sitePath.replace(/\/index\.html?$/i, '/').replace(/\.html?$/i, '');
+  return trimmed.length > 1 ? trimmed.replace(/\/$/, '') : '/';
+}
+
+async function readSitemapLocs(distDir, file, seen = new Set()) {
+  if (seen.has(file)) return [];
+  seen.add(file);
+  let xml;
+  try {
+    xml = await fs.readFile(path.join(distDir, file), 'utf8');
+  } catch {
+    return null;
+  }
+  const locs = Array.from(xml.matchAll(/<loc>\s*([\s\S]*?)\s*<\/loc>/gi), m => decodeEntities(m[1]));
+  if (!/<sitemapindex[\s>]/i.test(xml)) return locs;
+  // A sitemap index: follow the child sitemaps that live in dist
+  const urls = [];
+  for (const loc of locs) {
+    let child;
+    try {
+      child = new URL(loc).pathname.replace(/^\//, '');
+    } catch {
+      continue;
+    }
+    urls.push(...((await readSitemapLocs(distDir, child, seen)) || []));
+  }
+  return urls;
+}
+
+export const isErrorPage = file => /(^|\/)404\.html?$/i.test(file);
+
+function issue(code, files, message) {
+  return { code, severity: ISSUE_TYPES[code].severity, files, message };
+}
+
+/**
+ * Audit every HTML file in a build output folder.
+ *
+ * @param {Object} opts
+ * @param {string} opts.distDir Absolute path to the build output
+ * @param {string} [opts.domain] Expected site URL; inferred from the sitemap when omitted
+ * @returns {Promise<Object>} Report with `pages`, `issues` and a `summary`
+ */
+export async function auditDist({ distDir, domain }) {
+  const stats = await fs.stat(distDir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Build output not found at ${distDir}. Run the build first.`);
+  }
+
+  const issues = [];
+  const pages = [];
+  for (const file of await listHtmlFiles(distDir)) {
+    const html = await fs.readFile(path.join(distDir, file), 'utf8');
+    pages.push({ file, route: routeForFile(file), ...scanHtml(html) });
+  }
+
+  const sitemapUrls = await readSitemapLocs(distDir, 'sitemap.xml');
+  let origin;
+  try {
+    origin = new URL(domain || sitemapUrls?.[0]).origin;
+  } catch {
+    origin = undefined;
+  }
+
+  // Per-page checks
+  for (const page of pages) {
+    const { file } = page;
+    if (!page.title) issues.push(issue('missing-title', [file], `${file} has no <title>.`));
+    // Error pages aren't indexed, so they need neither description nor canonical
+    const errorPage = isErrorPage(file);
+    if (!page.description && !errorPage) issues.push(issue('missing-description', [file], `${file} has no meta description.`));
+    if (!page.canonical) {
+      if (!errorPage) issues.push(issue('missing-canonical', [file], `${file} has no <link rel="canonical">.`));
+    } else if (origin) {
+      let canonicalOrigin;
+      try {
+        canonicalOrigin = new URL(page.canonical, origin).origin;
+      } catch {
+        canonicalOrigin = undefined;
+      }
+      if (canonicalOrigin !== origin) {
+        issues.push(issue('canonical-wrong-domain', [file], `${file} has canonical ${page.canonical}, expected a URL on ${origin}.`));
+      }
+    }
+    if (page.h1Count === 0) issues.push(issue('missing-h1', [file], `${file} has no <h1>.`));
+    if (page.h1Count > 1) issues.push(issue('multiple-h1', [file], `${file} has ${page.h1Count} <h1> elements.`));
+    for (const src of page.imagesMissingAlt) {
+      issues.push(issue('img-missing-alt', [file], `${file}: <img src="${src}"> has no alt attribute.`));
+    }
+    for (const source of page.jsonLd) {
+      let data;
+      try {
+        data = JSON.parse(source);
+      } catch (err) {
+        issues.push(issue('jsonld-invalid', [file], `${file} has JSON-LD that is not valid JSON (${err.message}).`));
+        continue;
+      }
+      for (const { level, message } of validateJsonLd(data)) {
+        const code = level === 'invalid' ? 'jsonld-invalid' : `jsonld-missing-${level}`;
+        issues.push(issue(code, [file], `${file}: ${message}`));
+      }
+    }
+
+    const checked = new Set();
+    for (const href of page.links) {
+      if (!href || /^(#|mailto:|tel:|javascript:|data:)/i.test(href)) continue;
+      let url;
+      try {
+        // Relative links resolve against the file's own URL, as in a browser
+        url = new URL(href, `${origin || 'http://localhost'}/${file}`);
+      } catch {
+        continue;
+      }
+      if (/^\/\//.test(href) || (/^[a-z][\w+.-]*:/i.test(href) && url.origin !== origin)) continue;
+      if (checked.has(url.pathname)) continue;
+      checked.add(url.pathname);
+      if (!(await resolvesInDist(distDir, url.pathname))) {
+        issues.push(issue('broken-link', [file], `${file} links to ${href}, which does not exist in the build.`));
+      }
+    }
+  }
+
+  // Duplicates across pages
+  for (const [key, code] of [['title', 'duplicate-title'], ['description', 'duplicate-description']]) {
+    const groups = new Map();
+    for (const page of pages) {
+      if (!page[key]) continue;
+      groups.set(page[key], [...(groups.get(page[key]) || []), page.file]);
+    }
+    for (const [value, files] of groups) {
+      if (files.length > 1) {
+        issues.push(issue(code, files, `${files.length} pages share the ${key} "${value}": ${files.join(', ')}.`));
+      }
+    }
+  }
+
+  // Sitemap vs generated HTML
+  if (sitemapUrls === null) {
+    issues.push(issue('missing-sitemap', [], 'No sitemap.xml was found in the build output.'));
+  } else {
+    const listed = new Set();
+    for (const loc of sitemapUrls) {
+      let url;
+      try {
+        url = new URL(loc);
+      } catch {
+        continue;
+      }
+      listed.add(decodePath(normalisePath(url.pathname)));
+      if (!(await resolvesInDist(distDir, url.pathname))) {
+        issues.push(issue('sitemap-missing-html', ['sitemap.xml'], `sitemap.xml lists ${loc}, but no HTML file was generated for it.`));
+      }
+    }
+    for (const page of pages) {
+      if (isErrorPage(page.file) || (page.robots || '').includes('noindex')) continue;
+      if (!listed.has(page.route)) {
+        issues.push(issue('html-missing-from-sitemap', [page.file], `${page.file} (${page.route}) is not listed in sitemap.xml.`));
+      }
+    }
+  }
+
+  const byCode = {};
+  for (const { code } of issues) byCode[code] = (byCode[code] || 0) + 1;
+  return {
+    distDir,
+    domain: origin || null,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      pages: pages.length,
+      errors: issues.filter(i => i.severity === 'error').length,
+      warnings: issues.filter(i => i.severity === 'warning').length,
+      byCode
+    },
+    pages: pages.map(({ links, images, alternates, jsonLd, imagesMissingAlt, ...page }) => ({
+      ...page,
+      links: links.length,
+      imagesMissingAlt: imagesMissingAlt.length,
+      jsonLd: jsonLd.length
+    })),
+    issues
+  };
+}
+
+/**
+ * Human-readable console summary of a report.
+ */
+export function formatAuditReport(report) {
+  const { summary } = report;
+  const lines = [
+    `SEO audit of ${report.distDir}`,
+    `  ${summary.pages} page(s), ${summary.errors} error(s), ${summary.warnings} warning(s)`
+  ];
+  for (const severity of ['error', 'warning']) {
+    const matching = report.issues.filter(i => i.severity === severity);
+    if (!matching.length) continue;
+    lines.push('', severity === 'error' ? 'Errors:' : 'Warnings:');
+    for (const { code, message } of matching) {
+      lines.push(`  [${code}] ${message}`);
+    }
+  }
+  if (!report.issues.length) lines.push('', 'No issues found.');
+  return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+/**
+ * Standalone HTML page for a report (no external assets).
+ */
+export function auditReportHtml(report) {
+  const { summary } = report;
+  const issueRows = report.issues.map(i => `      <tr class="${i.severity}">
+        <td>${i.severity}</td>
+        <td>${escapeHtml(ISSUE_TYPES[i.code].label)}</td>
+        <td>${escapeHtml(i.message)}</td>
+      </tr>`).join('\n');
+  const pageRows = report.pages.map(p => `      <tr>
+        <td>${escapeHtml(p.route)}</td>
+        <td>${escapeHtml(p.title ?? '—')}</td>
+        <td>${escapeHtml(p.description ?? '—')}</td>
+        <td>${escapeHtml(p.canonical ?? '—')}</td>
+        <td>${p.h1Count}</td>
+      </tr>`).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>SEO audit report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; font-size: 0.9em; }
+    th { background: #f4f4f4; }
+    tr.error td:first-child { color: #b00020; font-weight: bold; }
+    tr.warning td:first-child { color: #8a6d00; }
+    .summary span { display: inline-block; margin-right: 1.5rem; font-size: 1.1em; }
+  </style>
+</head>
+<body>
+  <h1>SEO audit report</h1>
+  <p>${escapeHtml(report.distDir)}${report.domain ? ` · ${escapeHtml(report.domain)}` : ''} · ${escapeHtml(report.generatedAt)}</p>
+  <p class="summary">
+    <span>${summary.pages} page(s)</span>
+    <span>${summary.errors} error(s)</span>
+    <span>${summary.warnings} warning(s)</span>
+  </p>
+  <h2>Issues</h2>
+  <table>
+    <thead><tr><th>Severity</th><th>Check</th><th>Details</th></tr></thead>
+    <tbody>
+${issueRows || '      <tr><td colspan="3">No issues found.</td></tr>'}
+    </tbody>
+  </table>
+  <h2>Pages</h2>
+  <table>
+    <thead><tr><th>Route</th><th>Title</th><th>Description</th><th>Canonical</th><th>h1</th></tr></thead>
+    <tbody>
+${pageRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Save a report as <name>.json and <name>.html in `outDir`.
+ *
+ * @returns {Promise<{ json: string, html: string }>} Paths of the written files
+ */
+export async function writeAuditReports(report, outDir, name = 'seo-audit') {
+  await fs.mkdir(outDir, { recursive: true });
+  const json = path.join(outDir, `${name}.json`);
+  const html = path.join(outDir, `${name}.html`);
+  await fs.writeFile(json, JSON.stringify(report, null, 2));
+  await fs.writeFile(html, auditReportHtml(report));
+  return { json, html };
+}
+
+/**
+ * Post-build step shared by the CLI entry points: audit the build and
+ * save the JSON and HTML reports. The caller prints the console version
+ * (`formatAuditReport`) if it wants one.
+ *
+ * @param {Object} opts
+ * @param {string} opts.distDir Absolute path to the build output
+ * @param {string} [opts.domain] Expected site URL
+ * @param {string} opts.outDir Where to save the reports
+ * @param {string} [opts.name] Base name of the report files
+ * @param {Reporter} [opts.reporter] Receives progress
+ * @returns {Promise<{ report: Object, files: { json: string, html: string } }>}
+ */
+export async function auditBuild({ distDir, domain, outDir, name, reporter = new Reporter() }) {
+  reporter.log('Auditing build output...');
+  const report = await auditDist({ distDir, domain });
+  const files = await writeAuditReports(report, outDir, name);
+  reporter.log(`SEO audit report: ${files.html}`);
+  return { report, files };
+}
@@ -0,0 +1,149 @@
+// Backups of the files touched by an optimization run, and the `undo`
+// operation that restores them. Each run gets its own folder under
+// .vite-seo-bootstrap/backups/<id>/ with a copy of every file that was
+// modified and a manifest listing the files that were created, so undo
+// can put the originals back and delete the new ones.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Reporter } from './reporter.mjs';
+import { resolveProjectPath } from './config.mjs';
+
+export const BACKUP_DIR = path.join('.vite-seo-bootstrap', 'backups');
+
+/**
+ * Build a sortable, filesystem-safe id from the current time,
+ * e.g. 2026-10-19T09-30-12-345Z.
+ */
+function timestampId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Remove directories left empty after deleting a created file (e.g.
+ * src/seo/), walking up until a non-empty one or the project root.
+ */
+async function removeEmptyParents(projectRoot, relativeDir) {
+  let dir = relativeDir;
+  while (dir && dir !== '.') {
+    try {
+      await fs.rmdir(path.join(projectRoot, dir));
+    } catch {
+      return;
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Snapshot the files an upcoming commit will touch. Must be called before
+ * anything is written.
+ *
+ * @param {Object} opts
+ * @param {string} opts.projectRoot Absolute path to the project root
+ * @param {{ path: string, action: 'create'|'modify' }[]} opts.files Planned changes
+ * @param {Reporter} [opts.reporter] Receives progress
+ * @returns {Promise<{ id: string, dir: string }>}
+ */
+export async function createBackup({ projectRoot, files, reporter = new Reporter() }) {
+  const id = timestampId();
+  const dir = path.join(projectRoot, BACKUP_DIR, id);
+  const modified = [];
+  const created = [];
+
+  for (const file of files) {
+    if (file.action === 'create') {
+      created.push(file.path);
+      continue;
+    }
+    const target = path.join(dir, 'files', file.path);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(path.join(projectRoot, file.path), target);
+    modified.push(file.path);
+  }
+
+  const manifest = { id, createdAt: new Date().toISOString(), modified, created };
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+  reporter.log(`Backed up ${modified.length} file(s) to ${path.join(BACKUP_DIR, id)}`);
+  return { id, dir };
+}
+
+/**
+ * List the ids of the backups available for a project, oldest first.
+ *
+ * @param {string} projectRoot
+ * @returns {Promise<string[]>}
+ */
+export async function listBackups(projectRoot) {
+  try {
+    const entries = await fs.readdir(path.join(projectRoot, BACKUP_DIR), { withFileTypes: true });
+    return entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Restore a backup: copy the saved originals back and delete the files
+ * the run created. The backup folder is removed afterwards so the next
+ * undo goes one run further back. A manifest listing a path outside the
+ * project is refused before anything is touched.
+ *
+ * @param {Object} opts
+ * @param {string} opts.projectRoot Absolute path to the project root
+ * @param {string} [opts.id] Backup to restore (defaults to the most recent)
+ * @param {Reporter} [opts.reporter] Receives progress
+ * @returns {Promise<{ id: string, restored: string[], removed: string[] }>}
+ */
+export async function restoreBackup({ projectRoot, id, reporter = new Reporter() }) {
+  const available = await listBackups(projectRoot);
+  if (!available.length) {
+    throw new Error(`No backups found in ${path.join(projectRoot, BACKUP_DIR)}.`);
+  }
+  const backupId = id || available[available.length - 1];
+  if (!available.includes(backupId)) {
+    throw new Error(`Backup "${backupId}" not found. Available: ${available.join(', ')}`);
+  }
+
+  const dir = path.join(projectRoot, BACKUP_DIR, backupId);
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(path.join(dir, 'manifest.json'), 'utf8'));
+  } catch {
+    throw new Error(`Backup "${backupId}" has no readable manifest.json.`);
+  }
+  if (!Array.isArray(manifest.modified) || !Array.isArray(manifest.created)) {
+    throw new Error(`Backup "${backupId}" has no readable manifest.json.`);
+  }
+  const outside = [...manifest.modified, ...manifest.created].filter(file => {
+    try {
+      resolveProjectPath(projectRoot, file, 'manifest.json');
+      return false;
+    } catch {
+      return true;
+    }
+  });
+  if (outside.length) {
+    throw new Error(`Backup "${backupId}" lists files outside the project (${outside.join(', ')}); nothing was restored.`);
+  }
+
+  const restored = [];
+  const removed = [];
+  for (const file of manifest.modified) {
+    const target = path.join(projectRoot, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(path.join(dir, 'files', file), target);
+    restored.push(file);
+    reporter.log(`Restored ${file}`);
+  }
+  for (const file of manifest.created) {
+    await fs.rm(path.join(projectRoot, file), { force: true });
+    await removeEmptyParents(projectRoot, path.dirname(file));
+    removed.push(file);
+    reporter.log(`Removed ${file}`);
+  }
+
+  await fs.rm(dir, { recursive: true, force: true });
+  return { id: backupId, restored, removed };
+}
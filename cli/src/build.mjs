@@ -0,0 +1,279 @@
+// The `build` and `package` stages, run after the SEO setup has been
+// written: fix known-bad dependency versions, install and build the
+// project with its own package manager, then render the Open Graph images, write the sitemap and audit
+// the build output; finally zip the project or its build.
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { auditBuild } from './audit.mjs';
+import { writeSitemap } from './sitemap.mjs';
+import { writeOgImages } from './og-images.mjs';
+import { reporterFor } from './reporter.mjs';
+import { loadStrategies } from './strategies.mjs';
+import { buildCommand, detectPackageManager, installCommand, rebuildCommand } from './package-manager.mjs';
+import { SandboxLimitError, createSandbox, killProcessTree } from './sandbox.mjs';
+
+// Run a command without a shell, reporting each line of its output as an
+// `output` event. In a sandbox the command is wrapped, gets the scrubbed
+// environment and is held to the time and output limits: going over them
+// kills its whole process tree
+function runCommand(command, args, { reporter, sandbox, env = {}, display, ...options }) {
+  return new Promise((resolve, reject) => {
+    const label = display || `${command} ${args.join(' ')}`;
+    const [spawnCommand, spawnArgs] = sandbox ? sandbox.wrap(command, args) : [command, args];
+    const child = spawn(spawnCommand, spawnArgs, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: sandbox ? sandbox.env(env) : { ...process.env, ...env },
+      // Its own process group, so it can be killed as a whole
+      detached: Boolean(sandbox) && process.platform !== 'win32',
+      ...options
+    });
+    let limitError = null;
+    const stop = err => {
+      if (limitError) return;
+      limitError = err;
+      killProcessTree(child);
+    };
+    const timer = sandbox && setTimeout(() => stop(new SandboxLimitError(
+      'BUILD_TIMEOUT',
+      `"${label}" was stopped after ${Math.round(sandbox.timeout / 1000)} s, the time limit of each command. ` +
+      'Raise it with --build-timeout or VITE_SEO_BOOTSTRAP_BUILD_TIMEOUT.'
+    )), sandbox.timeout);
+    let outputSize = 0;
+    for (const stream of ['stdout', 'stderr']) {
+      let buffered = '';
+      child[stream].on('data', chunk => {
+        outputSize += chunk.length;
+        if (sandbox && outputSize > sandbox.maxOutput) {
+          stop(new SandboxLimitError(
+            'BUILD_OUTPUT_LIMIT',
+            `"${label}" was stopped after writing more than ${Math.round(sandbox.maxOutput / (1024 * 1024))} MB of output. ` +
+            'Raise the limit with --max-build-output or VITE_SEO_BOOTSTRAP_MAX_BUILD_OUTPUT.'
+          ));
+        }
+        if (limitError) return;
+        buffered += chunk.toString();
+        const lines = buffered.split(/\r?\n/);
+        buffered = lines.pop();
+        for (const line of lines) {
+          if (line.trim()) reporter.output(stream, line);
+        }
+      });
+      child[stream].on('end', () => {
+        if (buffered.trim() && !limitError) reporter.output(stream, buffered);
+      });
+    }
+    child.on('error', err => {
+      if (timer) clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', code => {
+      if (timer) clearTimeout(timer);
+      if (limitError) reject(limitError);
+      else if (code === 0) resolve();
+      else reject(new Error(`Command ${label} failed with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Pin vite-bundle-visualizer to a version that exists when the project
+ * asks for one outside 1.x, so `npm install` doesn't fail on it.
+ *
+ * @param {string} projectRoot
+ * @param {import('./reporter.mjs').Reporter} reporter
+ * @returns {boolean} Whether package.json was changed
+ */
+export function patchPackageJson(projectRoot, reporter) {
+  const pkgPath = path.join(projectRoot, 'package.json');
+  try {
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+    let patched = false;
+    const fixVersion = (deps) => {
+      if (!deps) return;
+      const key = 'vite-bundle-visualizer';
+      if (deps[key] && /^\^?1\.\d+\.\d+/.test(deps[key]) === false) {
+        deps[key] = '^1.2.1';
+        patched = true;
+      }
+    };
+    fixVersion(pkg.dependencies);
+    fixVersion(pkg.devDependencies);
+    if (patched) {
+      fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2), 'utf8');
+      reporter.log('Patched package.json dependencies.');
+    }
+    return patched;
+  } catch (e) {
+    reporter.warn(`could not patch package.json (${e.message}).`);
+    return false;
+  }
+}
+
+/**
+ * @typedef {Object} BuildResult
+ * @property {string} distDir Absolute path to the build output
+ * @property {boolean} patchedPackageJson Whether known-bad dependency versions were pinned
+ * @property {{ packageManager: string, reason: string, install: { command: string, reason: string },
+ *   rebuild: { command: string, reason: string }|null, build: { command: string, reason: string },
+ *   sandbox: { jail: string|null, timeout: number, maxOutput: number }|null }} commands The package
+ *   manager used, the commands run and why, and the sandbox they ran in
+ * @property {{ images: Object[], kept: string[], skipped: string[] }|null} ogImages
+ *   Result of writeOgImages; null when the step failed
+ * @property {{ files: string[], urls: Object[], skipped: Object[] }|null} sitemap
+ *   Sitemap files written, their URLs and the routes left out; null when the step failed
+ * @property {{ report: Object, files: { json: string, html: string } }|null} audit
+ *   The SEO audit and where its reports were saved; null when the step failed
+ * @property {string[]} warnings
+ */
+
+/**
+ * The `build` stage: install the dependencies with the project's package
+ * manager and build it with its strategy's build command, then
+ * post-process the output. Install and build failures reject; the
+ * post-build steps only report a warning when they fail.
+ *
+ * @param {Object} opts
+ * @param {string} opts.projectRoot
+ * @param {string} opts.domain
+ * @param {string} [opts.strategy='react'] Id of the strategy that was applied
+ * @param {Object} [opts.config] The project config
+ * @param {boolean} [opts.allowCode=true] Allow running the project's sitemap.ts and strategy modules
+ * @param {{ dependencies: Object[], devDependencies: Object[] }} [opts.dependencies] The package.json
+ *   changes of the plan (Plan.dependencies); when there are any the lockfile is updated instead of
+ *   installed frozen
+ * @param {boolean} [opts.offline=false] Install from the local package cache only
+ * @param {import('./sandbox.mjs').SandboxOptions} [opts.sandbox] Run the install and build of an
+ *   untrusted project in a sandbox (see sandbox.mjs), without install scripts except for
+ *   `sandbox.allowScripts`
+ * @param {string} opts.auditDir Folder for the audit reports
+ * @param {string} [opts.auditName] Base name of the audit reports
+ * @param {import('events').EventEmitter} [opts.events] Receives progress events
+ * @param {(event: import('./reporter.mjs').OptimizerEvent) => void} [opts.onEvent] Receives progress events
+ * @returns {Promise<BuildResult>}
+ */
+export async function build({
+  projectRoot, domain, strategy = 'react', config = {}, allowCode = true, dependencies, offline = false, sandbox,
+  auditDir, auditName, ...hooks
+}) {
+  const reporter = reporterFor(hooks);
+  const warningsBefore = reporter.warnings.length;
+  return reporter.stage('build', async () => {
+    const selected = (await loadStrategies({ projectRoot, config, allowCode })).get(strategy);
+    if (!selected) {
+      throw new Error(`Unknown strategy "${strategy}".`);
+    }
+    const patchedPackageJson = patchPackageJson(projectRoot, reporter);
+    const manager = detectPackageManager(projectRoot, { reporter });
+    const dependenciesChanged = patchedPackageJson ||
+      Boolean(dependencies && (dependencies.dependencies.length || dependencies.devDependencies.length));
+    const box = sandbox ? createSandbox({ projectRoot, ...sandbox, reporter }) : null;
+    const install = installCommand(manager, { dependenciesChanged, offline, ignoreScripts: Boolean(box) });
+    const rebuild = box && box.allowScripts.length ? rebuildCommand(manager, box.allowScripts) : null;
+    const compile = buildCommand(manager, selected.buildCommand);
+    const run = ({ command, args, env, display }) =>
+      runCommand(command, args, { cwd: projectRoot, env, display, sandbox: box, reporter });
+    reporter.log(`Package manager: ${manager.name} (${manager.reason})`);
+    if (box) {
+      reporter.log(
+        `Sandbox: ${box.jail ? `${box.jail}, ` : ''}private HOME and cache, ` +
+        `${Math.round(box.timeout / 1000)} s and ${Math.round(box.maxOutput / (1024 * 1024))} MB of output per command`
+      );
+    }
+
+    try {
+      reporter.step('install');
+      reporter.log(`Installing dependencies with "${install.display}" (${install.reason}; this may take a while)...`);
+      await run(install);
+      if (rebuild) {
+        reporter.log(`Running install scripts with "${rebuild.display}" (${rebuild.reason})...`);
+        await run(rebuild);
+      }
+
+      reporter.step('compile');
+      reporter.log(`Running build with "${compile.display}" (${compile.reason})...`);
+      await run(compile);
+      reporter.log(`Build complete! Check the "${selected.outDir}" folder.`);
+    } finally {
+      box?.cleanup();
+    }
+
+    const distDir = path.join(projectRoot, selected.outDir);
+    const commands = {
+      packageManager: manager.name,
+      reason: manager.reason,
+      install: { command: install.display, reason: install.reason },
+      rebuild: rebuild && { command: rebuild.display, reason: rebuild.reason },
+      build: { command: compile.display, reason: compile.reason },
+      sandbox: box && { jail: box.jail, timeout: box.timeout, maxOutput: box.maxOutput }
+    };
+    const result = { distDir, patchedPackageJson, commands, ogImages: null, sitemap: null, audit: null, warnings: [] };
+
+    // Open Graph images for the pages without one; the project's SVG
+    // template cannot read files outside it
+    reporter.step('og-images');
+    try {
+      result.ogImages = await writeOgImages({ distDir, projectRoot, domain, config, reporter });
+    } catch (err) {
+      reporter.warn(`Open Graph image generation failed: ${err.message}`);
+    }
+
+    // Native sitemap with lastmod, priorities and images, written to dist
+    // before the audit so the audit can check it
+    reporter.step('sitemap');
+    try {
+      const { files, urls, skipped } = await writeSitemap({ distDir, projectRoot, domain, config, allowCode, reporter });
+      result.sitemap = { files: files.map(file => file.name), urls, skipped };
+    } catch (err) {
+      reporter.warn(`sitemap generation failed: ${err.message}`);
+    }
+
+    // SEO audit of the output: it never fails the run
+    reporter.step('audit');
+    try {
+      result.audit = await auditBuild({ distDir, domain, outDir: auditDir, name: auditName, reporter });
+    } catch (err) {
+      reporter.warn(`SEO audit failed: ${err.message}`);
+    }
+
+    result.warnings = reporter.warnings.slice(warningsBefore);
+    return result;
+  });
+}
+
+/**
+ * The `package` stage: zip the project, or only its build output.
+ *
+ * @param {Object} opts
+ * @param {string} opts.projectRoot
+ * @param {string} opts.outputPath Where to write the zip
+ * @param {boolean} [opts.distOnly=false] Zip the build output instead of the whole project
+ * @param {string} [opts.distDir] The build output (default: dist in the project)
+ * @param {import('events').EventEmitter} [opts.events] Receives progress events
+ * @param {(event: import('./reporter.mjs').OptimizerEvent) => void} [opts.onEvent] Receives progress events
+ * @returns {Promise<{ path: string, contents: 'project'|'dist' }>}
+ * @throws {Error} When `distOnly` is set and there is no build output
+ */
+export async function packageProject({
+  projectRoot, outputPath, distOnly = false, distDir = path.join(projectRoot, 'dist'), ...hooks
+}) {
+  const reporter = reporterFor(hooks);
+  return reporter.stage('package', async () => {
+    reporter.log('Compressing output...');
+    const output = new AdmZip();
+    if (distOnly) {
+      if (!fs.existsSync(distDir)) {
+        throw new Error(`${path.basename(distDir)} folder not found after build.`);
+      }
+      reporter.log(`Zipping ${path.basename(distDir)} folder...`);
+      output.addLocalFolder(distDir);
+    } else {
+      output.addLocalFolder(projectRoot);
+    }
+    output.writeZip(outputPath);
+    reporter.log(`Created optimized zip: ${outputPath}`);
+    return { path: outputPath, contents: distOnly ? 'dist' : 'project' };
+  });
+}
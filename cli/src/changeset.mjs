@@ -0,0 +1,369 @@
+// Change set used by every generator instead of writing to disk
+// directly. Generators read and write through it; writes are kept in
+// memory until `commit()` is called. This lets the CLI show the full
+// plan (as diffs or JSON) in dry-run mode and leave the project
+// untouched, while later reads in the same run still see earlier
+// planned writes (e.g. the SSG wiring patching the generated vite
+// config).
+//
+// Files the tool generates wholesale (components, entries, helpers under
+// src/seo) are written through `writeGenerated()`, which stamps them with
+// a header holding a hash of their contents. On later runs a file whose
+// contents no longer match its hash was edited by the user, and the
+// conflict policy decides what happens to it.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { unifiedDiff } from './diff.mjs';
+import { Reporter } from './reporter.mjs';
+
+/**
+ * What to do with a generated file that was edited since it was written:
+ * keep it (`skip`), replace it (`overwrite`), keep it and write the new
+ * version next to it as <file>.new (`side-by-side`) or abort the run
+ * before anything is written (`fail`).
+ */
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'side-by-side', 'fail'];
+
+export class ConflictError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ path: string, resolution: string }[]} [conflicts] The edited files
+   */
+  constructor(message, conflicts = []) {
+    super(message);
+    this.name = 'ConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+// Past-tense verbs progress messages start with, as they read in a dry
+// run, where the plan is never written
+const PLANNED_VERBS = {
+  Wrote: 'Would write', Updated: 'Would update', Added: 'Would add', Moved: 'Would move', Generated: 'Would generate',
+  Cleaned: 'Would clean', Merged: 'Would merge', Overwrote: 'Would overwrite', Kept: 'Would keep', Skipped: 'Would skip'
+};
+
+const plannedMessage = message =>
+  message
+    .replace(/^([A-Z][a-z]+)\b/, verb => PLANNED_VERBS[verb] || verb)
+    .replace(/; wrote /, '; would write ');
+
+const GENERATED_HEADER = /^(?:\/\/|<!--) Generated by vite-seo-bootstrap \(hash: ([0-9a-f]{16})\)[^\n]*\n/;
+
+// Line endings are normalised so a checkout with CRLF still matches
+const contentHash = text =>
+  crypto.createHash('sha256').update(text.replace(/\r\n/g, '\n')).digest('hex').slice(0, 16);
+
+/**
+ * Prefix generated contents with the header recording their hash, as a
+ * comment in the file's language.
+ */
+export function stampGenerated(file, body) {
+  const note = `Generated by vite-seo-bootstrap (hash: ${contentHash(body)}). Edits are detected on the next run.`;
+  return /\.(md|html|vue)$/.test(file) ? `<!-- ${note} -->\n${body}` : `// ${note}\n${body}`;
+}
+
+/**
+ * Split a file into its generated header hash and its body. `hash` is
+ * null for files without the header.
+ */
+export function readGenerated(text) {
+  const match = text.match(GENERATED_HEADER);
+  return match ? { hash: match[1], body: text.slice(match[0].length) } : { hash: null, body: text };
+}
+
+export class ChangeSet {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.projectRoot Absolute path to the project root
+   * @param {'skip'|'overwrite'|'side-by-side'|'fail'} [opts.onConflict='side-by-side'] What to do
+   *   with generated files the user has edited
+   * @param {Reporter} [opts.reporter] Receives progress messages and warnings
+   * @param {boolean} [opts.keepsOriginals=true] Whether the originals of the files written can be
+   *   recovered after the run (a backup, or a temporary copy of the project)
+   * @param {boolean} [opts.dryRun=false] The plan is only shown, never committed: progress
+   *   messages say what would be written
+   */
+  constructor({ projectRoot, onConflict = 'side-by-side', reporter = new Reporter(), keepsOriginals = true, dryRun = false }) {
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+      throw new Error(`Unknown conflict policy "${onConflict}". Use ${CONFLICT_POLICIES.join(', ')}.`);
+    }
+    this.projectRoot = projectRoot;
+    this.onConflict = onConflict;
+    this.reporter = reporter;
+    this.keepsOriginals = keepsOriginals;
+    this.dryRun = dryRun;
+    // Relative path -> { before: string|null, after: string }
+    this.files = new Map();
+    // Things the user should look at that didn't stop the run
+    this.warnings = [];
+    // Generated files edited by the user: { path, resolution }
+    this.conflicts = [];
+  }
+
+  /**
+   * Record a warning for the final report and report it right away.
+   */
+  warn(message) {
+    this.warnings.push(message);
+    this.reporter.warn(message);
+  }
+
+  /**
+   * Report progress, e.g. a file the generators planned.
+   */
+  log(message) {
+    this.reporter.log(this.dryRun ? plannedMessage(message) : message);
+  }
+
+  /**
+   * Normalise a path (absolute or relative to the project root) into the
+   * POSIX-style relative key used for the change set.
+   */
+  relative(target) {
+    const abs = path.resolve(this.projectRoot, target);
+    return path.relative(this.projectRoot, abs).split(path.sep).join('/');
+  }
+
+  /**
+   * Read a file, returning the planned contents if it has been written
+   * during this run. Mirrors fs.readFile and rejects with ENOENT when the
+   * file exists neither in the plan nor on disk.
+   */
+  async readFile(target) {
+    const entry = this.files.get(this.relative(target));
+    if (entry) return entry.after;
+    return fs.readFile(path.resolve(this.projectRoot, target), 'utf8');
+  }
+
+  async exists(target) {
+    if (this.files.has(this.relative(target))) return true;
+    try {
+      await fs.access(path.resolve(this.projectRoot, target));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Plan a write. The original contents are captured on the first write
+   * to a given path so diffs are always against what is on disk.
+   */
+  async writeFile(target, contents) {
+    const key = this.relative(target);
+    const existing = this.files.get(key);
+    if (existing) {
+      existing.after = contents;
+      return;
+    }
+    let before = null;
+    try {
+      before = await fs.readFile(path.resolve(this.projectRoot, target), 'utf8');
+    } catch { }
+    this.files.set(key, { before, after: contents });
+  }
+
+  /**
+   * Plan a write of a file the tool generates wholesale, stamped with its
+   * hash. A file that exists without a matching hash was edited by the
+   * user (or predates the stamp) and is handled by the conflict policy,
+   * unless its contents are already the generated ones.
+   *
+   * With `replaceUnstamped`, a file without any stamp is one of the
+   * user's own that the tool takes over (e.g. an entry rewritten for a
+   * framework): under the default `side-by-side` policy it is replaced,
+   * as the backup of the run keeps the original. The other policies
+   * apply as for any conflict, and so does `side-by-side` when the
+   * original could not be recovered. Stamped files edited since are
+   * still conflicts.
+   *
+   * @param {string} target
+   * @param {string} contents
+   * @param {Object} [opts]
+   * @param {boolean} [opts.replaceUnstamped=false]
+   * @returns {Promise<boolean>} Whether the file itself is written
+   */
+  async writeGenerated(target, contents, { replaceUnstamped = false } = {}) {
+    const key = this.relative(target);
+    let before = null;
+    if (this.files.has(key)) {
+      before = this.files.get(key).before;
+    } else {
+      try {
+        before = await fs.readFile(path.resolve(this.projectRoot, target), 'utf8');
+      } catch { }
+    }
+    const stamped = stampGenerated(key, contents);
+    if (before === null) {
+      await this.writeFile(target, stamped);
+      return true;
+    }
+    const { hash, body } = readGenerated(before);
+    if (hash === contentHash(body) || body.replace(/\r\n/g, '\n') === contents) {
+      await this.writeFile(target, stamped);
+      return true;
+    }
+    const replace = !hash && replaceUnstamped && this.onConflict === 'side-by-side' && this.keepsOriginals;
+    const resolution = replace ? 'replace' : this.onConflict;
+    if (!this.conflicts.some(conflict => conflict.path === key)) this.conflicts.push({ path: key, resolution });
+    if (replace) {
+      await this.writeFile(target, stamped);
+      this.warn(`replaced ${key}, which was not generated by this tool.`);
+      return true;
+    }
+
+    const reason = hash ? 'edited since it was generated' : 'not generated by this tool, or edited before stamps were added';
+    if (resolution === 'overwrite') {
+      await this.writeFile(target, stamped);
+      this.log(`Overwrote ${key} (${reason})`);
+      return true;
+    }
+    if (resolution === 'side-by-side') {
+      await this.writeFile(`${target}.new`, stamped);
+      this.log(`Kept ${key} (${reason}); wrote the new version to ${key}.new`);
+    } else {
+      this.log(`Kept ${key} (${reason})`);
+    }
+    return false;
+  }
+
+  /**
+   * List the planned file changes, skipping writes that leave a file
+   * identical to what is already on disk.
+   *
+   * @returns {{ path: string, action: 'create'|'modify', before: string|null, after: string }[]}
+   */
+  get changes() {
+    return Array.from(this.files.entries())
+      .filter(([, { before, after }]) => before !== after)
+      .map(([file, { before, after }]) => ({
+        path: file,
+        action: before === null ? 'create' : 'modify',
+        before,
+        after
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Summarise dependency and script changes by comparing the planned
+   * package.json with the one on disk.
+   */
+  packageChanges() {
+    const entry = this.files.get('package.json');
+    const summary = { dependencies: [], devDependencies: [], scripts: [] };
+    if (!entry || entry.before === entry.after) return summary;
+    let before = {};
+    let after = {};
+    try {
+      before = entry.before ? JSON.parse(entry.before) : {};
+      after = JSON.parse(entry.after);
+    } catch {
+      return summary;
+    }
+    for (const field of Object.keys(summary)) {
+      const from = before[field] || {};
+      const to = after[field] || {};
+      for (const name of new Set([...Object.keys(from), ...Object.keys(to)])) {
+        if (from[name] === to[name]) continue;
+        summary[field].push({ name, from: from[name] ?? null, to: to[name] ?? null });
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Write every planned change to disk.
+   */
+  async commit() {
+    for (const change of this.changes) {
+      const target = path.join(this.projectRoot, change.path);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, change.after, 'utf8');
+    }
+  }
+
+  toJSON() {
+    return {
+      projectRoot: this.projectRoot,
+      files: this.changes.map(({ path: file, action, before, after }) => ({
+        path: file,
+        action,
+        diff: unifiedDiff(before, after, { path: file })
+      })),
+      package: this.packageChanges(),
+      warnings: this.warnings,
+      conflicts: this.conflicts
+    };
+  }
+
+  /**
+   * Render every planned change as a single unified diff.
+   */
+  toUnifiedDiff() {
+    return this.changes
+      .map(({ path: file, before, after }) => unifiedDiff(before, after, { path: file }))
+      .join('');
+  }
+}
+
+/**
+ * Format a change set for the terminal (`text`) or machines (`json`).
+ * The text form starts with a short summary of files, dependencies and
+ * scripts followed by the diffs.
+ *
+ * @param {ChangeSet} changes
+ * @param {'text'|'json'} [format='text']
+ * @returns {string}
+ */
+export function formatChangeSet(changes, format = 'text') {
+  if (format === 'json') {
+    return JSON.stringify(changes, null, 2) + '\n';
+  }
+  const lines = ['', 'Planned changes:'];
+  const files = changes.changes;
+  if (!files.length) {
+    lines.push('  (none)');
+  }
+  for (const file of files) {
+    lines.push(`  ${file.action === 'create' ? 'create' : 'modify'}  ${file.path}`);
+  }
+  const pkg = changes.packageChanges();
+  for (const [field, entries] of Object.entries(pkg)) {
+    for (const { name, from, to } of entries) {
+      const change = from === null ? `add ${to}` : to === null ? `remove ${from}` : `${from} -> ${to}`;
+      lines.push(`  ${field}: ${name} (${change})`);
+    }
+  }
+  if (changes.warnings.length) {
+    lines.push('', 'Warnings:');
+    for (const warning of changes.warnings) lines.push(`  ${warning}`);
+  }
+  if (changes.conflicts.length) {
+    lines.push('', 'Conflicts:', ...formatConflicts(changes.conflicts));
+  }
+  lines.push('');
+  return lines.join('\n') + '\n' + changes.toUnifiedDiff();
+}
+
+const RESOLUTIONS = {
+  skip: 'kept, not updated',
+  overwrite: 'overwritten',
+  'side-by-side': 'kept, new version in .new',
+  replace: 'replaced, not generated by this tool',
+  fail: 'run aborted'
+};
+
+/**
+ * One line per generated file the user had edited, with what was done
+ * about it.
+ *
+ * @param {{ path: string, resolution: string }[]} conflicts
+ * @returns {string[]}
+ */
+export function formatConflicts(conflicts) {
+  return conflicts.map(({ path: file, resolution }) => `  ${file} (${RESOLUTIONS[resolution]})`);
+}
@@ -0,0 +1,181 @@
+// `vite-seo-bootstrap apply [dir]`: set up SEO and prerendering in a
+// local Vite project, optionally building it afterwards. Running the CLI
+// with a folder and no subcommand does the same.
+
+import fs from 'fs';
+import path from 'path';
+import { analyze, plan, apply as applyPlan, build } from '../index.mjs';
+import { ConflictError, formatChangeSet } from '../changeset.mjs';
+import { AUDIT_DIR } from '../audit.mjs';
+import { buildCommand, detectPackageManager } from '../package-manager.mjs';
+import {
+  DirtyTreeError, changedFiles, commitRun, createRunBranch, findRepository, formatCommitMessage, ignoredFiles,
+  leaveRunBranch, uncommittedChanges
+} from '../git.mjs';
+import { loadProjectConfig } from '../config.mjs';
+import { previousDomain } from '../sitemap.mjs';
+import { DEFAULT_DOMAIN, UsageError, resolveOptions } from '../args.mjs';
+import { colourise, createOutput, optimizeResult, printAnalysis, printBanner, printBuild, printConflicts } from './output.mjs';
+
+export const apply = {
+  usage: 'vite-seo-bootstrap apply [dir] [options]',
+  summary: 'Add SEO metadata, a sitemap, robots.txt and prerendering to the Vite project in dir (default: .).',
+  positionals: [{ name: 'dir' }],
+  options: [
+    'domain', 'strategy', 'build', 'offline', 'dryRun', 'format', 'json', 'backup', 'git', 'allowDirty',
+    'commit', 'projectCode',
+    'maxDynamicRoutes', 'locales', 'defaultLocale', 'onConflict'
+  ],
+
+  async run({ positionals, flags }) {
+    const projectRoot = path.resolve(process.cwd(), positionals.dir || '.');
+    if (!fs.existsSync(projectRoot) || !fs.statSync(projectRoot).isDirectory()) {
+      throw new UsageError(`${projectRoot} does not exist or is not a directory.`);
+    }
+    const allowProjectCode = flags.projectCode ?? true;
+    const { config } = await loadProjectConfig(projectRoot, { allowCode: allowProjectCode });
+    const options = resolveOptions(apply.options, { flags, config });
+
+    const output = createOutput({ json: options.json, format: options.format });
+    const { reporter, text } = output;
+    // Without one, the domain of the previous run is kept rather than
+    // replaced with the placeholder
+    const domain = options.domain ?? (await previousDomain(projectRoot)) ?? DEFAULT_DOMAIN;
+    if (!options.domain) {
+      reporter.log(`No domain set (--domain, VITE_SEO_BOOTSTRAP_DOMAIN or "domain" in the config); using ${domain}` +
+        (domain === DEFAULT_DOMAIN ? '' : ' from src/seo/sitemap.ts'));
+    }
+    printBanner(text, { projectRoot, domain, dryRun: options.dryRun });
+
+    // Uncommitted changes would end up mixed with ours on the new branch
+    const repository = options.git && !options.dryRun ? await findRepository(projectRoot) : null;
+    if (repository) {
+      const dirty = await uncommittedChanges(projectRoot);
+      if (dirty.length && !options.allowDirty) {
+        throw new DirtyTreeError(dirty);
+      }
+    }
+
+    const analysis = await analyze({
+      projectRoot,
+      strategy: options.strategy,
+      maxDynamicRoutes: options.maxDynamicRoutes,
+      allowProjectCode,
+      locales: options.locales,
+      defaultLocale: options.defaultLocale,
+      reporter
+    });
+    printAnalysis(text, analysis);
+
+    let planned;
+    try {
+      planned = await plan(analysis, { domain, onConflict: options.onConflict, backup: options.backup, dryRun: options.dryRun, reporter });
+    } catch (err) {
+      if (err instanceof ConflictError) printConflicts(text, err.conflicts);
+      throw err;
+    }
+    printConflicts(text, planned.conflicts);
+
+    // A dry run only prints the plan: no patch, no install, no build.
+    if (options.dryRun) {
+      text(colourise(`\n📝 Dry run completed: ${planned.files.length} file(s) would change.`, 'green'));
+      if (options.json) {
+        output.result('apply', { dryRun: true, ...optimizeResult({ analysis, planned, warnings: reporter.warnings }) });
+      } else {
+        process.stdout.write(formatChangeSet(planned.changes, options.format));
+      }
+      return;
+    }
+
+    // Without changes there is nothing to branch or commit
+    let git;
+    if (repository && planned.files.length) {
+      git = await createRunBranch(projectRoot);
+      reporter.log(`Switched to a new branch "${git.branch}"`);
+    }
+    let applied;
+    let built;
+    try {
+      applied = await applyPlan(planned, { backup: options.backup, reporter });
+      text(colourise('\n✅ SEO/SSG bootstrap completed. Please review the changes.', 'green'));
+
+      if (options.build) {
+        built = await build({
+          projectRoot,
+          domain,
+          strategy: analysis.strategy,
+          config,
+          allowCode: allowProjectCode,
+          dependencies: planned.dependencies,
+          offline: options.offline,
+          auditDir: path.join(projectRoot, AUDIT_DIR),
+          reporter
+        });
+        printBuild(text, built);
+      } else {
+        // The strategy's build, with the script it runs after the setup
+        const manager = detectPackageManager(projectRoot);
+        const strategyBuild = analysis.registry.get(analysis.strategy).buildCommand;
+        const compile = buildCommand(manager, strategyBuild);
+        const [tool, verb, script] = strategyBuild;
+        const scripts = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8')).scripts || {};
+        const runs = tool === 'npm' && verb === 'run' && scripts[script] ? ` (${scripts[script]})` : '';
+        reporter.log(`Run "${manager.name} install" and "${compile.display}"${runs} to build the site.`);
+      }
+
+      // After the build: the install updates the lockfile and the build may
+      // have touched package.json
+      if (git) {
+        // The <file>.new copies of side-by-side conflicts are for the user
+        // to merge, not part of the project
+        git.review = planned.conflicts
+          .filter(conflict => conflict.resolution === 'side-by-side')
+          .map(conflict => `${conflict.path}.new`);
+        const written = applied.files.map(file => file.path).filter(file => !git.review.includes(file));
+        const lockfile = detectPackageManager(projectRoot).lockfile;
+        for (const file of ['package.json', lockfile]) {
+          if (file && !written.includes(file)) written.push(file);
+        }
+        git.ignored = await ignoredFiles(projectRoot, written);
+        const files = await changedFiles(projectRoot, written.filter(file => !git.ignored.includes(file)));
+        git.staged = files.map(file => file.path);
+        const message = formatCommitMessage({
+          strategy: analysis.strategy,
+          routes: analysis.routes,
+          dependencies: planned.dependencies,
+          files
+        });
+        git.commit = await commitRun(projectRoot, { files: git.staged, message, commit: options.commit });
+        if (git.ignored.length) {
+          reporter.log(`Not staged, ignored by .gitignore: ${git.ignored.join(', ')}`);
+        }
+        if (git.review.length) {
+          reporter.log(`Not staged, to review and merge by hand: ${git.review.join(', ')}`);
+        }
+        reporter.log(git.commit
+          ? `Committed ${git.staged.length} file(s) on ${git.branch} (${git.commit.slice(0, 7)})`
+          : git.staged.length
+            ? `Staged ${git.staged.length} file(s) on ${git.branch}; review them and commit when ready`
+            : `Nothing to commit on ${git.branch}`);
+      }
+    } catch (err) {
+      // Nothing was committed on the new branch: go back to the previous one
+      if (git && !git.commit) {
+        try {
+          await leaveRunBranch(projectRoot, git);
+          reporter.warn(
+            `the run failed, so the branch ${git.branch} was deleted and ${git.previous ?? 'the previous commit'} checked out again. ` +
+            `The files written are left uncommitted${applied?.backup ? `; run "vite-seo-bootstrap undo ${projectRoot}" to revert them` : ''}.`
+          );
+        } catch (gitErr) {
+          reporter.warn(`the run failed on the branch ${git.branch}, and switching back to ${git.previous ?? 'the previous commit'} failed too (${gitErr.message}).`);
+        }
+      }
+      throw err;
+    }
+    if (applied.backup) {
+      reporter.log(`To revert, run: vite-seo-bootstrap undo ${projectRoot}`);
+    }
+    output.result('apply', { dryRun: false, ...optimizeResult({ analysis, planned, applied, built, git, warnings: reporter.warnings }) });
+  }
+};
@@ -0,0 +1,74 @@
+// Subcommands working on a build output folder: `audit`, `sitemap` and
+// `og-images`. The project they belong to defaults to the folder
+// containing the build, and its config supplies the domain when no flag
+// or environment variable does.
+
+import path from 'path';
+import { AUDIT_DIR, auditDist, formatAuditReport, writeAuditReports } from '../audit.mjs';
+import { writeSitemap } from '../sitemap.mjs';
+import { writeOgImages } from '../og-images.mjs';
+import { loadProjectConfig } from '../config.mjs';
+import { resolveOptions } from '../args.mjs';
+import { createOutput } from './output.mjs';
+
+async function distContext({ positionals, flags }, options) {
+  const distDir = path.resolve(process.cwd(), positionals.dist || 'dist');
+  const projectRoot = flags.project ? path.resolve(process.cwd(), flags.project) : path.dirname(distDir);
+  const allowCode = flags.projectCode ?? true;
+  const { config } = await loadProjectConfig(projectRoot, { allowCode });
+  return { distDir, projectRoot, allowCode, config, ...resolveOptions(options, { flags, config }) };
+}
+
+export const audit = {
+  usage: 'vite-seo-bootstrap audit [dist] [options]',
+  summary:
+    'Check every page of a build for SEO problems and save seo-audit.json/.html. ' +
+    'Exits with 1 when errors are found so it can gate CI.',
+  positionals: [{ name: 'dist' }],
+  options: ['domain', 'format', 'json', 'out', 'project', 'projectCode'],
+
+  async run(args) {
+    const { distDir, domain, format, json } = await distContext(args, ['domain', 'format', 'json']);
+    const output = createOutput({ json, format });
+    const outDir = args.flags.out
+      ? path.resolve(process.cwd(), args.flags.out)
+      : path.join(path.dirname(distDir), AUDIT_DIR);
+    const report = await auditDist({ distDir, domain });
+    const files = await writeAuditReports(report, outDir);
+    if (json) {
+      output.result('audit', { report, files });
+    } else if (format === 'json') {
+      process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+      process.stdout.write(formatAuditReport(report));
+    }
+    output.text(`\nReport saved to ${files.html}`);
+    if (report.summary.errors) process.exitCode = 1;
+  }
+};
+
+export const sitemap = {
+  usage: 'vite-seo-bootstrap sitemap [dist] [options]',
+  summary:
+    'Write sitemap.xml (or a sitemap index) into a build folder. The domain ' +
+    'defaults to BASE_URL in the project\'s src/seo/sitemap.ts.',
+  positionals: [{ name: 'dist' }],
+  options: ['domain', 'project', 'projectCode'],
+
+  async run(args) {
+    const { distDir, projectRoot, allowCode, config, domain } = await distContext(args, ['domain']);
+    await writeSitemap({ distDir, projectRoot, domain, config, allowCode });
+  }
+};
+
+export const ogImages = {
+  usage: 'vite-seo-bootstrap og-images [dist] [options]',
+  summary: 'Render an Open Graph image for every page of a build that lacks one and add its tags to the page.',
+  positionals: [{ name: 'dist' }],
+  options: ['domain', 'project', 'projectCode'],
+
+  async run(args) {
+    const { distDir, projectRoot, config, domain } = await distContext(args, ['domain']);
+    await writeOgImages({ distDir, projectRoot, domain, config });
+  }
+};
@@ -0,0 +1,117 @@
+// `vite-seo-bootstrap git <repository>`: the same setup applied to a
+// project in a git repository, without zipping a checkout first. One
+// commit is fetched into a temporary folder (see git-source.mjs), none of
+// its code is run, and the result is written to the current folder as a
+// ZIP like `zip` makes, as a patch for `git am`, or as a bundle holding a
+// seo-bootstrap/<date> branch.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { packageProject } from '../index.mjs';
+import { patchPackageJson } from '../build.mjs';
+import { cloneRepository, parseRepositorySource, redactUrl, writeBundle, writePatch } from '../git-source.mjs';
+import { commitRun, createRunBranch, formatCommitMessage, ignoredFiles } from '../git.mjs';
+import { UsageError, resolveOptions } from '../args.mjs';
+import { createOutput, optimizeResult } from './output.mjs';
+import { buildCopy, optimizeCopy } from './temp-project.mjs';
+
+/**
+ * Commit the changes in the clone on a new branch and write that commit
+ * as a patch or a bundle.
+ *
+ * @returns {Promise<{ branch: string, commit: string, staged: string[], ignored: string[] }>}
+ */
+async function exportCommit({ projectRoot, analysis, planned, applied }, { base, format, outputPath, reporter }) {
+  return reporter.stage('package', async () => {
+    const patched = patchPackageJson(projectRoot, reporter);
+    const written = applied.files.map(file => file.path);
+    if (patched && !written.includes('package.json')) written.push('package.json');
+
+    const { branch } = await createRunBranch(projectRoot);
+    const ignored = await ignoredFiles(projectRoot, written);
+    const staged = written.filter(file => !ignored.includes(file));
+    const files = staged.map(file => applied.files.find(f => f.path === file) || { path: file, action: 'modify' });
+    const message = formatCommitMessage({ strategy: analysis.strategy, routes: analysis.routes, dependencies: planned.dependencies, files });
+    const commit = await commitRun(projectRoot, { files: staged, message });
+    if (!commit) {
+      throw new Error('Nothing to commit: the project at this ref is already set up.');
+    }
+
+    if (format === 'patch') {
+      await writePatch(projectRoot, outputPath);
+      reporter.log(`Created patch: ${outputPath}`);
+      reporter.log(`Apply it in your repository with: git am ${outputPath}`);
+    } else {
+      await writeBundle(projectRoot, outputPath, { branch, base });
+      reporter.log(`Created bundle: ${outputPath}`);
+      reporter.log(`Fetch it into your repository with: git fetch ${outputPath} ${branch}:${branch}`);
+    }
+    return { branch, commit, staged, ignored };
+  });
+}
+
+export const git = {
+  usage: 'vite-seo-bootstrap git <repository> [options]',
+  summary: 'Apply the setup to a project in a git repository (URL or path) and write the result as a ZIP, a patch or a bundle.',
+  positionals: [{ name: 'repository', required: true }],
+  options: [
+    'ref', 'outputFormat', 'output', 'domain', 'strategy', 'build', 'offline', 'dryRun', 'format', 'json', 'maxDynamicRoutes',
+    'locales', 'defaultLocale', 'onConflict', 'cloneTimeout', 'buildTimeout', 'maxBuildOutput', 'allowScripts', 'sandboxCache'
+  ],
+
+  async run({ positionals, flags }) {
+    const source = parseRepositorySource(positionals.repository);
+    // Resolved before cloning: there is no config yet
+    const { ref, outputFormat, output: outputFile, cloneTimeout } = resolveOptions(['ref', 'outputFormat', 'output', 'cloneTimeout'], { flags });
+    if (flags.build && outputFormat !== 'zip') {
+      throw new UsageError('--build returns the built site as a ZIP; it cannot be combined with --output-format=patch or bundle.');
+    }
+    const output = createOutput({ json: flags.json, format: flags.format });
+    const { reporter } = output;
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vite-seo-bootstrap-git-'));
+    try {
+      // 1. Shallow clone: only the requested commit
+      reporter.step('clone');
+      const fetched = await cloneRepository(source.url, tempDir, { ref, timeout: cloneTimeout * 1000, reporter });
+
+      // 2. Optimization
+      const copy = await optimizeCopy({ command: 'git', optionNames: git.options, tempDir, flags, output });
+      if (!copy) return;
+      const { projectRoot, options } = copy;
+
+      // 3. Result in the current folder, or wherever --output says
+      const outputPath = path.resolve(
+        process.cwd(),
+        outputFile ?? `${source.name}-${options.build ? 'dist' : 'seo-ssg'}.${outputFormat}`
+      );
+      let built;
+      let committed = null;
+      if (outputFormat === 'zip') {
+        if (options.build) {
+          const { name, dir } = path.parse(outputPath);
+          built = await buildCopy(copy, { flags, auditDir: dir, auditName: `${name}-audit`, output });
+        } else {
+          patchPackageJson(projectRoot, reporter);
+        }
+        // The git history is not part of the zip
+        fs.rmSync(path.join(tempDir, '.git'), { recursive: true, force: true });
+        await packageProject({ projectRoot, outputPath, distOnly: options.build, distDir: built?.distDir, reporter });
+      } else {
+        committed = await exportCommit(copy, { base: fetched.commit, format: outputFormat, outputPath, reporter });
+      }
+
+      output.result('git', {
+        dryRun: false,
+        ...optimizeResult({ ...copy, built, git: committed, warnings: reporter.warnings }),
+        source: { repository: redactUrl(source.url), ref: fetched.ref, commit: fetched.commit },
+        outputFormat,
+        output: outputPath
+      });
+    } finally {
+      // Remove the temporary folder
+      try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch (e) { }
+    }
+  }
+};
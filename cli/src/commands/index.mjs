@@ -0,0 +1,73 @@
+// The `vite-seo-bootstrap` command and its subcommands. Each subcommand
+// declares its arguments and options; they are parsed and validated by
+// args.mjs, which also builds the help text.
+
+import { UsageError, formatHelp, parseArgs } from '../args.mjs';
+import { apply } from './apply.mjs';
+import { zip } from './zip.mjs';
+import { git } from './git.mjs';
+import { audit, sitemap, ogImages } from './dist.mjs';
+import { undo } from './undo.mjs';
+import { strategies } from './strategies.mjs';
+import { writeJsonError } from './output.mjs';
+
+export const COMMANDS = {
+  apply,
+  zip,
+  git,
+  audit,
+  sitemap,
+  'og-images': ogImages,
+  undo,
+  strategies
+};
+
+function formatCommandList() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  return [
+    'Usage: vite-seo-bootstrap <command> [options]',
+    '       vite-seo-bootstrap [dir] [options]   (same as apply)',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(width)}  ${summary.split('. ')[0].replace(/\.$/, '')}`),
+    '',
+    'Run "vite-seo-bootstrap <command> --help" for its options. Settings are taken from',
+    'the flag, else a VITE_SEO_BOOTSTRAP_* environment variable, else',
+    'vite-seo-bootstrap.config.{json,mjs} or "viteSeoBootstrap" in package.json.',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Run the CLI with the given arguments (process.argv without node and the
+ * script). Arguments not starting with a command name run `apply`.
+ *
+ * @param {string[]} argv
+ */
+export async function main(argv) {
+  if (argv.length === 1 && (argv[0] === '--help' || argv[0] === '-h' || argv[0] === 'help')) {
+    process.stdout.write(formatCommandList());
+    return;
+  }
+  const name = Object.hasOwn(COMMANDS, argv[0]) ? argv[0] : 'apply';
+  const command = COMMANDS[name];
+  const rest = name === argv[0] ? argv.slice(1) : argv;
+  // With --json the failure is reported on stdout too, as the last line
+  let json = rest.includes('--json');
+  try {
+    const args = parseArgs(rest, command);
+    json = Boolean(args.flags.json);
+    if (args.help) {
+      process.stdout.write(formatHelp(command.usage, command));
+      return;
+    }
+    await command.run(args);
+  } catch (err) {
+    if (json) writeJsonError(err);
+    console.error('Error:', err.message);
+    if (err instanceof UsageError) {
+      console.error(`Run "vite-seo-bootstrap ${name} --help" for usage.`);
+    }
+    process.exit(1);
+  }
+}
@@ -0,0 +1,123 @@
+// How the optimizer commands show a run. Both modes are built on the
+// stage results and events of the library: text for people (a banner,
+// the detected routes, one line per step), or with --json one JSON object
+// per line on stdout: every event of reporter.mjs, then a final
+// `{ "type": "result", ... }` or `{ "type": "error", ... }`.
+
+import path from 'path';
+import { format as formatText } from 'util';
+import { PACKAGE_KEY } from '../config.mjs';
+import { formatConflicts } from '../changeset.mjs';
+import { formatRouteTable } from '../routes.mjs';
+import { formatAuditReport } from '../audit.mjs';
+import { Reporter, printEvent } from '../reporter.mjs';
+
+// Simple helpers to colourise terminal output without external deps.
+const colours = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  red: '\x1b[31m'
+};
+
+export function colourise(str, colour) {
+  return colours[colour] + str + colours.reset;
+}
+
+function writeJson(object) {
+  process.stdout.write(JSON.stringify(object) + '\n');
+}
+
+/**
+ * Output for one command run. The text and progress go to stdout, or to
+ * stderr when stdout carries a plan printed with --format=json.
+ *
+ * @param {{ json?: boolean, format?: string }} opts
+ */
+export function createOutput({ json = false, format }) {
+  if (!json) {
+    const out = format === 'json' ? process.stderr : process.stdout;
+    return {
+      json,
+      reporter: new Reporter({ onEvent: event => printEvent(event, out) }),
+      text: (...args) => out.write(formatText(...args) + '\n'),
+      result() { }
+    };
+  }
+  return {
+    json,
+    reporter: new Reporter({ onEvent: writeJson }),
+    text() { },
+    result(command, data) {
+      writeJson({ type: 'result', command, ...data });
+    }
+  };
+}
+
+/**
+ * The line written for a failed command in --json mode.
+ *
+ * @param {Error} err
+ */
+export function writeJsonError(err) {
+  writeJson({ type: 'error', name: err.name, code: err.code, message: err.message, conflicts: err.conflicts });
+}
+
+export function printBanner(text, { projectRoot, domain, dryRun }) {
+  text(colourise('\n🔧 Vite SEO Bootstrap', 'cyan'));
+  text('  Project:', projectRoot);
+  text('  Domain: ', domain);
+  if (dryRun) {
+    text(colourise('  Dry run: no files will be modified', 'yellow'));
+  }
+}
+
+/**
+ * The config, languages and route table found by `analyze`.
+ */
+export function printAnalysis(text, analysis) {
+  const { projectRoot, configFile, locales: i18n, localesDetectedFrom, routeDetails } = analysis;
+  if (configFile) {
+    const source = path.basename(configFile) === 'package.json' ? ` ("${PACKAGE_KEY}")` : '';
+    text('  Config: ', path.relative(projectRoot, configFile) + source);
+  }
+  if (i18n) {
+    const source = localesDetectedFrom ? ` (detected from ${localesDetectedFrom})` : '';
+    text(`  Locales: ${i18n.locales.map(l => (l === i18n.defaultLocale ? `${l} (default)` : l)).join(', ')}${source}`);
+  }
+  if (routeDetails.length) {
+    text(formatRouteTable(routeDetails));
+  }
+}
+
+export function printConflicts(text, conflicts) {
+  if (!conflicts.length) return;
+  text(colourise(`\n${conflicts.length} file(s) differ from what the tool generated:`, 'yellow'));
+  text(formatConflicts(conflicts).join('\n'));
+}
+
+export function printBuild(text, built) {
+  if (built.audit) text(formatAuditReport(built.audit.report));
+}
+
+/**
+ * The result fields shared by `apply` and `zip`: what was detected, what
+ * was (or would be) written and what the build produced.
+ */
+export function optimizeResult({ analysis, planned, applied, built, git, warnings }) {
+  return {
+    projectRoot: analysis.projectRoot,
+    strategy: analysis.strategy,
+    routes: analysis.routes,
+    routeDetails: analysis.routeDetails,
+    locales: analysis.locales,
+    files: applied ? applied.files : planned.files,
+    dependencies: planned.dependencies,
+    conflicts: planned.conflicts,
+    backup: applied ? applied.backup : null,
+    build: built || null,
+    git: git || null,
+    warnings
+  };
+}
@@ -0,0 +1,42 @@
+// `vite-seo-bootstrap strategies [dir]`: list the strategies available
+// for a project, the bundled ones and those from its config, with how
+// well each fits it. The best fit is the one `--strategy=auto` picks.
+
+import fs from 'fs';
+import path from 'path';
+import { loadStrategies, scoreStrategies, describeStrategies } from '../strategies.mjs';
+import { loadProjectConfig } from '../config.mjs';
+import { UsageError } from '../args.mjs';
+import { createOutput } from './output.mjs';
+
+export const strategies = {
+  usage: 'vite-seo-bootstrap strategies [dir] [options]',
+  summary: 'List the strategies available for the project in dir (default: .), best fit first.',
+  positionals: [{ name: 'dir' }],
+  options: ['projectCode', 'json'],
+
+  async run({ positionals, flags }) {
+    const projectRoot = path.resolve(process.cwd(), positionals.dir || '.');
+    const pkgPath = path.join(projectRoot, 'package.json');
+    if (!fs.existsSync(pkgPath)) {
+      throw new UsageError(`package.json not found in ${projectRoot}.`);
+    }
+    const output = createOutput({ json: flags.json });
+    const allowCode = flags.projectCode ?? true;
+    const { config } = await loadProjectConfig(projectRoot, { allowCode });
+    const registry = await loadStrategies({ projectRoot, config, allowCode, reporter: output.reporter });
+
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+    const dependencies = { ...(pkg.dependencies || {}), ...(pkg.devDependencies || {}) };
+    const scores = await scoreStrategies(registry, { projectRoot, pkg, dependencies });
+    const described = new Map(describeStrategies(registry).map(strategy => [strategy.id, strategy]));
+    const list = scores.map(({ id, score }) => ({ ...described.get(id), score, source: registry.get(id).source }));
+
+    const width = Math.max(...list.map(({ id }) => id.length));
+    for (const { id, score, label, description, source } of list) {
+      const from = source === 'vite-seo-bootstrap' ? '' : ` (from ${source})`;
+      output.text(`  ${id.padEnd(width)}  ${score.toFixed(2)}  ${label}${description ? ` - ${description}` : ''}${from}`);
+    }
+    output.result('strategies', { projectRoot, strategies: list });
+  }
+};
@@ -0,0 +1,141 @@
+// The steps `zip` and `git` share. Both work on a temporary copy of a
+// project we don't trust: none of its code is run, its config cannot
+// raise the limits, and no backup is kept for `undo`.
+
+import fs from 'fs';
+import path from 'path';
+import { analyze, plan, apply, build } from '../index.mjs';
+import { ConflictError, formatChangeSet } from '../changeset.mjs';
+import { loadProjectConfig } from '../config.mjs';
+import { previousDomain } from '../sitemap.mjs';
+import { DEFAULT_DOMAIN, resolveOptions } from '../args.mjs';
+import { colourise, optimizeResult, printAnalysis, printBanner, printBuild, printConflicts } from './output.mjs';
+
+// Sandbox limits: only from the command line or the environment
+export const SANDBOX_OPTIONS = ['buildTimeout', 'maxBuildOutput', 'allowScripts', 'sandboxCache'];
+
+/**
+ * The project inside the extracted or cloned files: the folder itself, or
+ * its only subfolder when the files wrap the project in one.
+ */
+export function findProjectRoot(tempDir, reporter) {
+  let projectRoot = tempDir;
+  try {
+    const files = fs.readdirSync(tempDir);
+    // Ignore system files such as .DS_Store or __MACOSX, if any
+    const validFiles = files.filter(f => !f.startsWith('.') && f !== '__MACOSX');
+
+    // A single entry that is a folder is taken as the project root
+    if (validFiles.length === 1) {
+      const nestedPath = path.join(tempDir, validFiles[0]);
+      if (fs.statSync(nestedPath).isDirectory()) {
+        reporter.log(`Detected nested project folder: ${validFiles[0]}`);
+        projectRoot = nestedPath;
+      }
+    }
+  } catch (e) {
+    reporter.warn('could not detect nested folder structure.');
+  }
+  return projectRoot;
+}
+
+/**
+ * Find the project in `tempDir`, analyse it, plan the setup and, unless
+ * it is a dry run, apply it.
+ *
+ * @param {Object} opts
+ * @param {string} opts.command Name of the command, for its JSON result
+ * @param {string[]} opts.optionNames The command's options
+ * @param {string} opts.tempDir
+ * @param {Object} opts.flags
+ * @param {ReturnType<import('./output.mjs').createOutput>} opts.output
+ * @returns {Promise<Object|null>} The project, its config, the resolved options and the
+ *   results of each stage; null after a dry run, whose plan has been printed
+ */
+export async function optimizeCopy({ command, optionNames, tempDir, flags, output }) {
+  const { reporter, text } = output;
+  const projectRoot = findProjectRoot(tempDir, reporter);
+  // Final check: package.json must be where we say it is
+  if (!fs.existsSync(path.join(projectRoot, 'package.json'))) {
+    throw new Error(`package.json not found in the project files (looked in ${projectRoot}).`);
+  }
+
+  // The project comes from an unknown user: none of its code is run
+  const { config } = await loadProjectConfig(projectRoot, { allowCode: false });
+  const options = resolveOptions(optionNames, { flags, config });
+  // An earlier run's domain is kept when none is given
+  const domain = options.domain ?? (await previousDomain(projectRoot)) ?? DEFAULT_DOMAIN;
+
+  // Optimization; the project is a temporary copy, so no backup for undo
+  reporter.log('Running optimization...');
+  printBanner(text, { projectRoot, domain, dryRun: options.dryRun });
+  const analysis = await analyze({
+    projectRoot,
+    strategy: options.strategy,
+    maxDynamicRoutes: options.maxDynamicRoutes,
+    allowProjectCode: false,
+    locales: options.locales,
+    defaultLocale: options.defaultLocale,
+    reporter
+  });
+  printAnalysis(text, analysis);
+  let planned;
+  try {
+    // The upload keeps the originals of the files replaced in the copy
+    planned = await plan(analysis, { domain, onConflict: options.onConflict, backup: true, dryRun: options.dryRun, reporter });
+  } catch (err) {
+    if (err instanceof ConflictError) printConflicts(text, err.conflicts);
+    throw err;
+  }
+  printConflicts(text, planned.conflicts);
+
+  // A dry run only prints the plan: no result is written.
+  if (options.dryRun) {
+    text(colourise(`\n📝 Dry run completed: ${planned.files.length} file(s) would change.`, 'green'));
+    if (options.json) {
+      output.result(command, { dryRun: true, ...optimizeResult({ analysis, planned, warnings: reporter.warnings }) });
+    } else {
+      process.stdout.write(formatChangeSet(planned.changes, options.format));
+    }
+    return null;
+  }
+  const applied = await apply(planned, { backup: false, reporter });
+  text(colourise('\n✅ SEO/SSG bootstrap completed. Please review the changes.', 'green'));
+  return { projectRoot, config, options, domain, analysis, planned, applied };
+}
+
+/**
+ * Install and build the optimized copy in the sandbox.
+ *
+ * @param {Object} copy Result of optimizeCopy()
+ * @param {Object} opts
+ * @param {Object} opts.flags
+ * @param {string} opts.auditDir Where the audit reports go (not inside dist, so they are not published)
+ * @param {string} opts.auditName Base name of the reports
+ * @param {ReturnType<import('./output.mjs').createOutput>} opts.output
+ * @returns {Promise<import('../build.mjs').BuildResult>}
+ */
+export async function buildCopy({ projectRoot, config, options, domain, analysis, planned }, { flags, auditDir, auditName, output }) {
+  const limits = resolveOptions(SANDBOX_OPTIONS, { flags });
+  const built = await build({
+    projectRoot,
+    domain,
+    strategy: analysis.strategy,
+    config,
+    allowCode: false,
+    dependencies: planned.dependencies,
+    offline: options.offline,
+    // Unknown code: install and build in the sandbox, without install scripts
+    sandbox: {
+      timeout: limits.buildTimeout * 1000,
+      maxOutput: limits.maxBuildOutput * 1024 * 1024,
+      allowScripts: limits.allowScripts ?? [],
+      cacheDir: limits.sandboxCache
+    },
+    auditDir,
+    auditName,
+    reporter: output.reporter
+  });
+  printBuild(output.text, built);
+  return built;
+}
@@ -0,0 +1,23 @@
+// `vite-seo-bootstrap undo [dir]`: restore the files saved before the
+// most recent (or the given) run.
+
+import path from 'path';
+import { restoreBackup } from '../backup.mjs';
+import { createOutput } from './output.mjs';
+
+export const undo = {
+  usage: 'vite-seo-bootstrap undo [dir] [options]',
+  summary: 'Revert the last run on the project in dir (default: .), restoring the files it changed.',
+  positionals: [{ name: 'dir' }],
+  options: ['id', 'json'],
+
+  async run({ positionals, flags }) {
+    const projectRoot = path.resolve(process.cwd(), positionals.dir || '.');
+    const output = createOutput({ json: flags.json });
+    const { id: restoredId, restored, removed } = await restoreBackup({ projectRoot, id: flags.id, reporter: output.reporter });
+    output.text(
+      `\n✅ Reverted optimization ${restoredId}: ${restored.length} file(s) restored, ${removed.length} removed.`
+    );
+    output.result('undo', { projectRoot, id: restoredId, restored, removed });
+  }
+};
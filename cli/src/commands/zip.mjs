@@ -0,0 +1,85 @@
+// `vite-seo-bootstrap zip <zip-file>`: the same setup applied to a
+// project uploaded as a ZIP. The archive is checked and extracted to a
+// temporary folder (see zip-ingest.mjs), none of its code is run, and the
+// result is written next to the input as <name>-seo-ssg.zip (or
+// <name>-dist.zip with the built site).
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { packageProject } from '../index.mjs';
+import { patchPackageJson } from '../build.mjs';
+import { extractZip } from '../zip-ingest.mjs';
+import { UsageError, resolveOptions } from '../args.mjs';
+import { createOutput, optimizeResult } from './output.mjs';
+import { buildCopy, optimizeCopy } from './temp-project.mjs';
+
+export const zip = {
+  usage: 'vite-seo-bootstrap zip <zip-file> [options]',
+  summary: 'Apply the setup to a zipped Vite project and write the result next to it.',
+  positionals: [{ name: 'zip-file', required: true }],
+  options: [
+    'domain', 'strategy', 'build', 'offline', 'dryRun', 'format', 'json', 'maxDynamicRoutes', 'locales', 'defaultLocale',
+    'onConflict', 'maxZipEntries', 'maxZipSize', 'maxZipRatio', 'buildTimeout', 'maxBuildOutput', 'allowScripts',
+    'sandboxCache'
+  ],
+
+  async run({ positionals, flags }) {
+    const zipPath = path.resolve(process.cwd(), positionals['zip-file']);
+    if (!fs.existsSync(zipPath)) {
+      throw new UsageError(`${zipPath} does not exist.`);
+    }
+    const output = createOutput({ json: flags.json, format: flags.format });
+    const { reporter } = output;
+
+    // Create the temporary folder safely
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vite-seo-bootstrap-zip-'));
+    try {
+      // 1. Safe unzip: every entry is checked before any is extracted. The
+      // limits are not read from the config, which comes from inside the zip
+      reporter.step('extract');
+      reporter.log('Extracting zip...');
+      const limits = resolveOptions(['maxZipEntries', 'maxZipSize', 'maxZipRatio'], { flags });
+      extractZip(zipPath, tempDir, {
+        limits: {
+          maxEntries: limits.maxZipEntries,
+          maxTotalSize: limits.maxZipSize * 1024 * 1024,
+          maxRatio: limits.maxZipRatio
+        },
+        reporter
+      });
+
+      // 2. Optimization
+      const copy = await optimizeCopy({ command: 'zip', optionNames: zip.options, tempDir, flags, output });
+      if (!copy) return;
+      const { projectRoot, options } = copy;
+
+      const { name: baseName, dir: baseDir } = path.parse(zipPath);
+      let built;
+      if (options.build) {
+        // SEO audit of the build: the reports are saved next to the output
+        // zip (<name>-audit.json / .html) so they are not published with dist
+        built = await buildCopy(copy, { flags, auditDir: baseDir, auditName: `${baseName}-audit`, output });
+      } else {
+        patchPackageJson(projectRoot, reporter);
+      }
+
+      // 3. Output zip written with adm-zip: only dist when it was built
+      const packaged = await packageProject({
+        projectRoot,
+        outputPath: path.join(baseDir, options.build ? `${baseName}-dist.zip` : `${baseName}-seo-ssg.zip`),
+        distOnly: options.build,
+        distDir: built?.distDir,
+        reporter
+      });
+      output.result('zip', {
+        dryRun: false,
+        ...optimizeResult({ ...copy, built, warnings: reporter.warnings }),
+        output: packaged.path
+      });
+    } finally {
+      // Remove the temporary folder
+      try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch (e) { }
+    }
+  }
+};
@@ -0,0 +1,105 @@
+// Loading of the per-project settings file. Projects can drop a
+// vite-seo-bootstrap.config.json (or .mjs, whose default export is the
+// settings object) next to their package.json, or put the settings under
+// a "viteSeoBootstrap" key in package.json, to configure things the CLI
+// can't infer, such as where the values for dynamic routes come from.
+// The same file can hold defaults for the CLI options (domain, strategy,
+// locales...); see args.mjs.
+
+import fs from 'fs/promises';
+import { realpathSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const CONFIG_FILES = ['vite-seo-bootstrap.config.json', 'vite-seo-bootstrap.config.mjs'];
+export const PACKAGE_KEY = 'viteSeoBootstrap';
+
+/**
+ * A path in the project config that leads outside the project. `code` is
+ * CONFIG_PATH_OUTSIDE_PROJECT.
+ */
+export class ConfigPathError extends Error {
+  constructor(setting, value) {
+    super(`${setting}: ${value} is outside the project.`);
+    this.name = 'ConfigPathError';
+    this.code = 'CONFIG_PATH_OUTSIDE_PROJECT';
+    this.setting = setting;
+  }
+}
+
+const isInside = (root, file) => file === root || file.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+
+/**
+ * Resolve a path taken from the project config, which must stay inside
+ * `root` (the project, or its build output). Symbolic links are followed
+ * for the files that exist.
+ *
+ * @param {string} root Absolute path
+ * @param {string} value The configured path, relative to `root`
+ * @param {string} setting Name of the setting, for the error
+ * @returns {string} The absolute path
+ * @throws {ConfigPathError}
+ */
+export function resolveProjectPath(root, value, setting) {
+  const file = path.resolve(root, value);
+  if (!isInside(path.resolve(root), file)) {
+    throw new ConfigPathError(setting, value);
+  }
+  let real;
+  try {
+    real = realpathSync(file);
+  } catch {
+    return file;
+  }
+  if (!isInside(realpathSync(root), real)) {
+    throw new ConfigPathError(setting, value);
+  }
+  return file;
+}
+
+/**
+ * Read the project's settings, if any: the first config file found, else
+ * the "viteSeoBootstrap" key of package.json. Loading a .mjs config runs
+ * code from the project, so callers handling untrusted projects (e.g.
+ * uploaded ZIPs) pass `allowCode: false` to only accept JSON.
+ *
+ * @param {string} projectRoot Absolute path to the project root
+ * @param {Object} [opts]
+ * @param {boolean} [opts.allowCode=true] Allow loading JavaScript config files
+ * @returns {Promise<{ config: Object, file: string|null }>}
+ */
+export async function loadProjectConfig(projectRoot, { allowCode = true } = {}) {
+  for (const name of CONFIG_FILES) {
+    if (!allowCode && !name.endsWith('.json')) continue;
+    const file = path.join(projectRoot, name);
+    let raw;
+    try {
+      raw = await fs.readFile(file, 'utf8');
+    } catch {
+      continue;
+    }
+    try {
+      if (name.endsWith('.json')) {
+        return { config: JSON.parse(raw), file };
+      }
+      const mod = await import(pathToFileURL(file).href);
+      return { config: (await mod.default) || {}, file };
+    } catch (err) {
+      throw new Error(`Could not load ${name}: ${err.message}`);
+    }
+  }
+
+  const pkgFile = path.join(projectRoot, 'package.json');
+  let pkg;
+  try {
+    pkg = JSON.parse(await fs.readFile(pkgFile, 'utf8'));
+  } catch {
+    return { config: {}, file: null };
+  }
+  const settings = pkg?.[PACKAGE_KEY];
+  if (settings === undefined) return { config: {}, file: null };
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`"${PACKAGE_KEY}" in package.json must be an object.`);
+  }
+  return { config: settings, file: pkgFile };
+}
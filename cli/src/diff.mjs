@@ -0,0 +1,119 @@
+// Minimal line-based unified diff. The files we touch are small
+// (configs, entry points, generated helpers) so a plain LCS table is
+// fast enough and keeps the package free of external diff libraries.
+
+// Above this many table cells we stop computing an LCS and emit the
+// whole file as a single replacement hunk instead.
+const MAX_LCS_CELLS = 4_000_000;
+
+// Lines keep their terminator so a missing newline at the end of a file
+// shows up as a change, just like in `diff -u`.
+function splitLines(text) {
+  if (!text) return [];
+  return text.match(/[^\n]*\n|[^\n]+$/g);
+}
+
+function renderLine({ type, line }) {
+  return line.endsWith('\n')
+    ? type + line.slice(0, -1)
+    : `${type}${line}\n\\ No newline at end of file`;
+}
+
+/**
+ * Compute the edit script between two arrays of lines. Returns a list of
+ * operations in order, each `{ type: ' ' | '-' | '+', line }`.
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...a.map(line => ({ type: '-', line })),
+      ...b.map(line => ({ type: '+', line }))
+    ];
+  }
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', line: a[i++] });
+  while (j < m) ops.push({ type: '+', line: b[j++] });
+  return ops;
+}
+
+/**
+ * Produce a unified diff (as printed by `diff -u` / `git diff`) between
+ * two versions of a file. `null` for either side means the file does not
+ * exist, which is rendered against /dev/null. Returns an empty string when
+ * both versions are identical.
+ *
+ * @param {string|null} before
+ * @param {string|null} after
+ * @param {Object} opts
+ * @param {string} opts.path Path shown in the diff header
+ * @param {number} [opts.context=3] Lines of context around each change
+ * @returns {string}
+ */
+export function unifiedDiff(before, after, { path, context = 3 }) {
+  if (before === after) return '';
+  const ops = diffLines(splitLines(before), splitLines(after));
+
+  const header = [
+    `--- ${before === null ? '/dev/null' : `a/${path}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${path}`}`
+  ];
+
+  // Group changed operations into hunks, merging those whose context overlaps
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    if (current && index - lastChange <= context * 2) {
+      current.end = index;
+    } else {
+      current = { start: index, end: index };
+      hunks.push(current);
+    }
+    lastChange = index;
+  });
+
+  const body = [];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length - 1, hunk.end + context);
+    // Line numbers at the start of the hunk, counted from the ops before it
+    let oldLine = 1;
+    let newLine = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k].type !== '+') oldLine++;
+      if (ops[k].type !== '-') newLine++;
+    }
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    body.push(
+      `@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`
+    );
+    for (const op of slice) body.push(renderLine(op));
+  }
+
+  return [...header, ...body].join('\n') + '\n';
+}
@@ -0,0 +1,287 @@
+// Expansion of dynamic routes (`/blog/:slug`, `/docs/*`) into concrete
+// paths that can be prerendered and listed in the sitemap. The values for
+// each route's parameters come from a source declared in the project
+// config under `dynamicRoutes`, keyed by route pattern:
+//
+//   "dynamicRoutes": {
+//     "/blog/:slug":       { "json": "content/posts.json" },
+//     "/shop/:category/:id": { "csv": "data/products.csv" },
+//     "/docs/*":           { "glob": "content/docs/**/*.md" },
+//     "/team/:member":     { "module": "scripts/team.mjs" }
+//   }
+//
+// JSON files hold an array of strings (single-parameter routes) or of
+// objects keyed by parameter name; CSV files need a header row naming
+// the parameters; globs use each matching file's path, without
+// extension, relative to the glob's static prefix; modules export
+// (default) an array or an async function returning one. Every source
+// must be inside the project: a path leading out of it stops the run
+// with a ConfigPathError.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ConfigPathError, resolveProjectPath } from './config.mjs';
+
+export const DEFAULT_MAX_DYNAMIC_ROUTES = 1000;
+
+/**
+ * Names of the parameters in a route pattern, in order. A splat counts
+ * as a parameter named `*`.
+ */
+export function routeParams(pattern) {
+  return pattern
+    .split('/')
+    .filter(segment => segment.startsWith(':') || segment === '*')
+    .map(segment => (segment === '*' ? '*' : segment.slice(1).replace(/\?$/, '')));
+}
+
+// Paths end up inside quoted strings in generated code, so quotes are
+// percent-encoded too (encodeURIComponent leaves `'` alone).
+function encodeSegment(value) {
+  return encodeURIComponent(value).replace(/'/g, '%27');
+}
+
+/**
+ * Substitute parameter values into a route pattern. Returns undefined when
+ * a value is missing.
+ */
+export function fillRoute(pattern, params) {
+  let missing = false;
+  const filled = pattern
+    .split('/')
+    .map(segment => {
+      if (segment === '*') {
+        const value = params['*'];
+        if (value === undefined || value === null) {
+          missing = true;
+          return segment;
+        }
+        return String(value).split('/').filter(Boolean).map(encodeSegment).join('/');
+      }
+      if (!segment.startsWith(':')) return segment;
+      const value = params[segment.slice(1).replace(/\?$/, '')];
+      if (value === undefined || value === null || value === '') {
+        missing = true;
+        return segment;
+      }
+      return encodeSegment(String(value));
+    })
+    .join('/');
+  return missing ? undefined : filled.replace(/\/{2,}/g, '/').replace(/(.)\/$/, '$1');
+}
+
+/**
+ * Minimal CSV reader (RFC 4180 quoting) returning one object per row
+ * keyed by the header.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  const [header = [], ...data] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  const keys = header.map(h => h.trim());
+  return data.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()])));
+}
+
+function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      regex += '[^/]*';
+    } else if (ch === '?') {
+      regex += '[^/]';
+    } else if (ch === '{') {
+      const close = pattern.indexOf('}', i);
+      const options = pattern.slice(i + 1, close).split(',').map(o => o.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+      regex += `(?:${options.join('|')})`;
+      i = close;
+    } else {
+      regex += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Files matching a glob (relative to the project root), returned as
+ * paths relative to the glob's static prefix without their extension.
+ * `index` files stand for their folder.
+ */
+async function globValues(projectRoot, pattern, setting) {
+  const normalised = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  const staticPart = normalised.split('/').filter((_, i, parts) =>
+    !parts.slice(0, i + 1).some(part => /[*?{]/.test(part))
+  );
+  const base = staticPart.join('/');
+  const matcher = globToRegExp(normalised.slice(base.length).replace(/^\//, ''));
+  let baseDir;
+  try {
+    baseDir = resolveProjectPath(projectRoot, base || '.', setting);
+  } catch {
+    throw new ConfigPathError(setting, pattern);
+  }
+  let entries;
+  try {
+    entries = await fs.readdir(baseDir, { recursive: true, withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const values = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const full = path.join(entry.parentPath ?? entry.path, entry.name);
+    const relative = path.relative(baseDir, full).split(path.sep).join('/');
+    if (relative.split('/').includes('node_modules') || !matcher.test(relative)) continue;
+    const withoutExt = relative.replace(/\.[^/.]+$/, '');
+    const value = withoutExt === 'index' ? '' : withoutExt.replace(/\/index$/, '');
+    if (value) values.push(value);
+  }
+  return values.sort();
+}
+
+/**
+ * Load the raw entries (strings or parameter objects) for one source.
+ */
+async function loadSource(projectRoot, source, allowCode, setting) {
+  if (source.json) {
+    const data = JSON.parse(await fs.readFile(resolveProjectPath(projectRoot, source.json, `${setting}.json`), 'utf8'));
+    if (!Array.isArray(data)) throw new Error(`${source.json} must contain an array`);
+    return data;
+  }
+  if (source.csv) {
+    return parseCsv(await fs.readFile(resolveProjectPath(projectRoot, source.csv, `${setting}.csv`), 'utf8'));
+  }
+  if (source.glob) {
+    return globValues(projectRoot, source.glob, `${setting}.glob`);
+  }
+  if (source.module) {
+    if (!allowCode) throw new Error('module sources are disabled for untrusted projects');
+    const mod = await import(pathToFileURL(resolveProjectPath(projectRoot, source.module, `${setting}.module`)).href);
+    const exported = mod.default ?? mod.params;
+    const data = typeof exported === 'function' ? await exported() : await exported;
+    if (!Array.isArray(data)) throw new Error(`${source.module} must export an array or a function returning one`);
+    return data;
+  }
+  throw new Error('expected one of "json", "csv", "glob" or "module"');
+}
+
+/**
+ * Expand dynamic route patterns into concrete paths using the sources
+ * declared in the project config. Patterns without a source are skipped
+ * (with a warning for parameterised ones; bare catch-alls such as `*` are
+ * usually 404 pages and skipped silently). The total number of generated
+ * paths is capped by `maxRoutes`.
+ *
+ * @param {Object} opts
+ * @param {string} opts.projectRoot Absolute path to the project root
+ * @param {string[]} opts.patterns Dynamic route patterns found in the project
+ * @param {Object<string, Object>} [opts.sources] `dynamicRoutes` from the project config
+ * @param {number} [opts.maxRoutes] Maximum number of paths to generate
+ * @param {boolean} [opts.allowCode=true] Allow `module` sources, which run project code
+ * @param {import('./reporter.mjs').Reporter} opts.reporter Receives progress and warnings
+ * @returns {Promise<string[]>}
+ * @throws {ConfigPathError} When a source is outside the project
+ */
+export async function expandDynamicRoutes({
+  projectRoot,
+  patterns,
+  sources = {},
+  maxRoutes = DEFAULT_MAX_DYNAMIC_ROUTES,
+  allowCode = true,
+  reporter
+}) {
+  const allPatterns = Array.from(new Set([...patterns, ...Object.keys(sources)]));
+  const expanded = [];
+  let truncated = false;
+
+  for (const pattern of allPatterns) {
+    const source = sources[pattern];
+    const params = routeParams(pattern);
+    if (!source) {
+      if (params.some(p => p !== '*')) {
+        reporter.warn(`no parameter source configured for dynamic route ${pattern}; it will not be prerendered.`);
+      }
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = await loadSource(projectRoot, source, allowCode, `dynamicRoutes["${pattern}"]`);
+    } catch (err) {
+      // A source outside the project is not a missing one: the config is refused
+      if (err instanceof ConfigPathError) throw err;
+      reporter.warn(`could not load parameters for ${pattern}: ${err.message}`);
+      continue;
+    }
+
+    let skipped = 0;
+    let count = 0;
+    for (const entry of entries) {
+      if (expanded.length >= maxRoutes) {
+        truncated = true;
+        break;
+      }
+      const values = entry !== null && typeof entry === 'object'
+        ? entry
+        : params.length === 1 ? { [params[0]]: entry } : {};
+      const routePath = fillRoute(pattern, values);
+      if (!routePath) {
+        skipped++;
+        continue;
+      }
+      expanded.push(routePath);
+      count++;
+    }
+    reporter.log(`Expanded ${pattern} into ${count} route(s)`);
+    if (skipped) {
+      reporter.warn(`skipped ${skipped} entr${skipped === 1 ? 'y' : 'ies'} for ${pattern} without a value for ${params.join(', ')}.`);
+    }
+    if (truncated) break;
+  }
+
+  if (truncated) {
+    reporter.warn(`dynamic routes capped at ${maxRoutes}; raise --max-dynamic-routes to generate more.`);
+  }
+  return expanded;
+}
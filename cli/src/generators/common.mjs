@@ -0,0 +1,612 @@
+// Steps shared by every strategy generator: the sitemap helper, the
+// per-route metadata resolver and the robots guard under src/seo,
+// robots.txt and the .env / .gitignore dotfiles. Like the generators
+// themselves, each helper only plans its writes into the ChangeSet it is
+// given.
+
+import path from 'path';
+import { buildRobots } from '../robots.mjs';
+
+/**
+ * Create src/seo/sitemap.ts. The sitemap writer reads extra routes from
+ * dynamicRoutes() and exclusions from excludeRoutes, so an existing file
+ * is kept as the project left it and only BASE_URL is brought in line
+ * with the domain.
+ *
+ * @param {Object} opts
+ */
+export async function ensureSitemapHelper({ projectRoot, domain, changes }) {
+  const target = path.join(projectRoot, 'src', 'seo', 'sitemap.ts');
+  const baseUrlLine = `export const BASE_URL = '${domain}';`;
+
+  if (await changes.exists(target)) {
+    const existing = await changes.readFile(target);
+    const updated = existing.replace(/^export const BASE_URL = .*$/m, () => baseUrlLine);
+    if (updated !== existing) {
+      await changes.writeFile(target, updated);
+      changes.log('Updated BASE_URL in src/seo/sitemap.ts');
+    }
+    return;
+  }
+
+  const contents = `${baseUrlLine}
+
+/**
+ * Extra routes to list in the sitemap besides the prerendered pages
+ * found in the build output. You might fetch data from an API or read
+ * local files here.
+ */
+export async function dynamicRoutes(): Promise<string[]> {
+  return [];
+}
+
+/**
+ * Routes to leave out of the sitemap (e.g. admin pages). Each entry also
+ * excludes the pages below it.
+ */
+export const excludeRoutes: string[] = ['/admin', '/private'];
+`;
+  await changes.writeFile(target, contents);
+  changes.log('Wrote src/seo/sitemap.ts');
+}
+
+/**
+ * Create src/seo/meta.ts, which resolves the seo.config entry for a path
+ * (exact match first, then route patterns) into the page's head
+ * metadata, including the site-wide structured data and breadcrumbs.
+ * The React and Vue wiring call it for every prerendered route.
+ *
+ * @param {Object} opts
+ */
+export async function ensureMetaResolver({ projectRoot, changes }) {
+  const target = path.join(projectRoot, 'src', 'seo', 'meta.ts');
+  const contents = `import { BASE_URL } from './sitemap';
+import {
+  breadcrumbList,
+  graph,
+  organization,
+  website,
+  type BreadcrumbItem,
+  type OrganizationInput,
+  type Thing,
+  type WebSiteInput
+} from './schema';
+
+type Meta = {
+  title?: string;
+  description?: string;
+  image?: string;
+  robots?: string;
+  jsonLd?: Thing | Thing[];
+};
+
+// An entry plus its per-language overrides
+type LocalizedMeta = Meta & { locales?: Record<string, Meta> };
+
+export type Alternate = { hreflang: string; href: string };
+
+export type SeoMeta = {
+  title: string;
+  description: string;
+  canonical: string;
+  image?: string;
+  robots?: string;
+  schemaMarkup?: Thing;
+  lang?: string;
+  alternates?: Alternate[];
+};
+
+// Site-wide structured data: Organization and WebSite go on the home page,
+// a BreadcrumbList on every other page unless breadcrumbs is false
+export type SchemaConfig = {
+  organization?: Partial<OrganizationInput>;
+  website?: Partial<WebSiteInput>;
+  breadcrumbs?: boolean;
+};
+
+export type SeoConfig = {
+  titleTemplate?: string;
+  defaults?: LocalizedMeta;
+  routes?: Record<string, LocalizedMeta>;
+  schema?: SchemaConfig;
+  locales?: string[];
+  defaultLocale?: string;
+};
+
+// Placeholders left by the scaffold are ignored so pages fall back to
+// the defaults until someone fills them in.
+const isSet = (value: unknown): value is string =>
+  typeof value === 'string' && value !== '' && !value.startsWith('TODO');
+
+// The same for every string of a config object
+const settled = <T extends Record<string, unknown>>(value: T = {} as T): Partial<T> =>
+  Object.fromEntries(Object.entries(value).filter(([, v]) => typeof v !== 'string' || isSet(v))) as Partial<T>;
+
+function matchPattern(pattern: string, path: string): Record<string, string> | null {
+  const want = pattern.split('/').filter(Boolean);
+  const have = path.split('/').filter(Boolean);
+  const params: Record<string, string> = {};
+  for (let i = 0; i < want.length; i++) {
+    if (want[i] === '*') {
+      params['*'] = have.slice(i).map(decodeURIComponent).join('/');
+      return params;
+    }
+    if (have[i] === undefined) {
+      return want[i].endsWith('?') && i === want.length - 1 ? params : null;
+    }
+    if (want[i].startsWith(':')) {
+      params[want[i].slice(1).replace(/\\?$/, '')] = decodeURIComponent(have[i]);
+    } else if (want[i] !== have[i]) {
+      return null;
+    }
+  }
+  return want.length === have.length ? params : null;
+}
+
+function interpolate(value: string, params: Record<string, string>): string {
+  return value.replace(/\\{([\\w*]+)\\}/g, (whole, name) => params[name] ?? whole);
+}
+
+// The entry of a route, exact match first, and the params of its pattern
+function entryFor(config: SeoConfig, route: string): { entry: LocalizedMeta; params: Record<string, string> } | null {
+  const routes = config.routes || {};
+  if (routes[route]) return { entry: routes[route], params: {} };
+  for (const [pattern, candidate] of Object.entries(routes)) {
+    const match = /[:*]/.test(pattern) ? matchPattern(pattern, route) : null;
+    if (match) return { entry: candidate, params: match };
+  }
+  return null;
+}
+
+/**
+ * The language of a path and the path without its language prefix. Pages
+ * in the default locale have no prefix: /about, /ca/about, /en/about.
+ */
+export function splitLocale(config: SeoConfig, path: string): { locale?: string; path: string } {
+  const locales = config.locales || [];
+  if (!locales.length) return { path };
+  const defaultLocale = config.defaultLocale || locales[0];
+  const [first, ...rest] = path.split('/').filter(Boolean);
+  if (first && first !== defaultLocale && locales.includes(first)) {
+    return { locale: first, path: '/' + rest.join('/') };
+  }
+  return { locale: defaultLocale, path };
+}
+
+/**
+ * The path of a page in another language.
+ */
+export function localePath(config: SeoConfig, locale: string, path: string): string {
+  if (locale === (config.defaultLocale || config.locales?.[0])) return path;
+  return path === '/' ? \`/\${locale}\` : \`/\${locale}\${path}\`;
+}
+
+const absolute = (url: string) => (url.startsWith('/') ? BASE_URL.replace(/\\/$/, '') + url : url);
+
+// hello-world -> Hello world, for pages without a title
+function humanize(segment: string): string {
+  const text = decodeURIComponent(segment).replace(/[-_]+/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Breadcrumb trail of a page, derived from the route hierarchy: the home
+ * page, every ancestor that has a seo.config entry and the page itself,
+ * named after their titles in the page's language.
+ */
+export function breadcrumbsFor(config: SeoConfig, path: string): BreadcrumbItem[] {
+  const { locale, path: route } = splitLocale(config, path);
+  const segments = route.split('/').filter(Boolean);
+  const items: BreadcrumbItem[] = [];
+  for (let depth = 0; depth <= segments.length; depth++) {
+    const ancestor = '/' + segments.slice(0, depth).join('/');
+    const found = entryFor(config, ancestor);
+    if (!found && depth > 0 && depth < segments.length) continue;
+    const title = found && ((locale && found.entry.locales?.[locale]?.title) || found.entry.title);
+    const name = found && isSet(title) ? interpolate(title, found.params) : depth === 0 ? 'Home' : humanize(segments[depth - 1]);
+    items.push({ name, url: absolute(locale ? localePath(config, locale, ancestor) : ancestor) });
+  }
+  return items;
+}
+
+// Organization and WebSite items from the schema section of the config
+function siteSchema(config: SeoConfig, locale?: string): Thing[] {
+  const home = absolute(locale ? localePath(config, locale, '/') : '/');
+  const org = settled(config.schema?.organization);
+  const site = settled(config.schema?.website);
+  const items: Thing[] = [];
+  if (org.name) {
+    items.push(organization({ ...org, name: org.name, url: org.url || home, logo: org.logo && absolute(org.logo) }));
+  }
+  if (site.name) {
+    items.push(website({ ...site, name: site.name, url: site.url || home, inLanguage: site.inLanguage || locale }));
+  }
+  return items;
+}
+
+// Set by the robotsGuard() Vite plugin when building for anything but
+// production (preview deploys, staging), so those pages are not indexed.
+// Bundled pages get the define; plugins the Vite config imports (which may
+// be bundled as CommonJS, without import.meta) read the environment.
+declare const __SEO_NOINDEX__: boolean | undefined;
+function noindex(): boolean {
+  if (typeof __SEO_NOINDEX__ !== 'undefined') return __SEO_NOINDEX__;
+  return (globalThis as any).process?.env?.VITE_SEO_NOINDEX === 'true';
+}
+
+/**
+ * Head metadata for the given path, merging the route's entry over the
+ * defaults. The shape matches the props of the React SEO component. Its
+ * structured data combines the entry's JSON-LD with the site-wide items
+ * (home page) or the breadcrumb trail (other pages). On multilingual sites the entry is looked up without the language prefix,
+ * its overrides for the page's language are applied and the page links
+ * to its other language versions.
+ */
+export function metaFor(config: SeoConfig, path: string): SeoMeta {
+  const { locale, path: route } = splitLocale(config, path);
+  const found = entryFor(config, route);
+  const entry: LocalizedMeta = found?.entry || {};
+  const params = found?.params || {};
+  const localized: Meta = locale ? { ...entry, ...entry.locales?.[locale] } : entry;
+  const defaults: Meta = locale ? { ...config.defaults, ...config.defaults?.locales?.[locale] } : config.defaults || {};
+  const pick = (key: 'title' | 'description' | 'image' | 'robots') => {
+    const value = isSet(localized[key]) ? interpolate(localized[key] as string, params) : defaults[key];
+    return isSet(value) ? value : undefined;
+  };
+
+  const pageTitle = isSet(localized.title) ? interpolate(localized.title, params) : undefined;
+  const title = pageTitle
+    ? (config.titleTemplate || '%s').replace('%s', pageTitle)
+    : pick('title') || '';
+  const image = pick('image');
+  const locales = config.locales || [];
+  const alternates = locale && locales.length > 1
+    ? [
+        ...locales.map(code => ({ hreflang: code, href: absolute(localePath(config, code, route)) })),
+        { hreflang: 'x-default', href: absolute(localePath(config, config.defaultLocale || locales[0], route)) }
+      ]
+    : undefined;
+  const trail = route === '/' || config.schema?.breadcrumbs === false ? [] : breadcrumbsFor(config, path);
+
+  return {
+    title,
+    description: pick('description') || '',
+    canonical: absolute(path),
+    image: image && absolute(image),
+    robots: noindex() ? 'noindex, nofollow' : pick('robots'),
+    schemaMarkup: graph([
+      ...(route === '/' ? siteSchema(config, locale) : []),
+      trail.length > 1 ? breadcrumbList(trail) : undefined,
+      ...([] as Thing[]).concat(localized.jsonLd || [])
+    ]),
+    lang: locale,
+    alternates
+  };
+}
+`;
+  if (await changes.writeGenerated(target, contents)) {
+    changes.log('Wrote src/seo/meta.ts');
+  }
+}
+
+/**
+ * Create src/seo/schema.ts, typed builders for the schema.org types with
+ * Google rich results: Organization, WebSite, BreadcrumbList, Article,
+ * Product, FAQPage and LocalBusiness. meta.ts uses them for the
+ * site-wide data and breadcrumbs; pages use them for the rest.
+ *
+ * @param {Object} opts
+ */
+export async function ensureSchemaBuilders({ projectRoot, changes }) {
+  const target = path.join(projectRoot, 'src', 'seo', 'schema.ts');
+  const contents = `// schema.org JSON-LD builders. Each returns a plain object for the
+// schemaMarkup of a page (or the jsonLd of a seo.config entry); properties
+// Google requires are required here too, and undefined values are left out.
+//
+//   <SEO {...meta} schemaMarkup={graph([meta.schemaMarkup, article({ ... })])} />
+
+export type Thing = { '@context'?: string; '@type': string | string[]; [key: string]: unknown };
+
+const CONTEXT = 'https://schema.org';
+
+function compact<T extends Record<string, unknown>>(value: T): T {
+  return Object.fromEntries(
+    Object.entries(value).filter(([, v]) => v !== undefined && v !== '' && !(Array.isArray(v) && v.length === 0))
+  ) as T;
+}
+
+export type Party = string | { name: string; url?: string; type?: 'Person' | 'Organization' };
+
+const party = (value: Party, type: 'Person' | 'Organization' = 'Person'): Thing =>
+  typeof value === 'string'
+    ? { '@type': type, name: value }
+    : compact({ '@type': value.type || type, name: value.name, url: value.url });
+
+export type OrganizationInput = {
+  name: string;
+  url: string;
+  logo?: string;
+  sameAs?: string[];
+  email?: string;
+  telephone?: string;
+};
+
+export function organization(input: OrganizationInput): Thing {
+  return compact({ '@context': CONTEXT, '@type': 'Organization', ...input });
+}
+
+export type WebSiteInput = {
+  name: string;
+  url: string;
+  /** Site search URL with {search_term_string} where the query goes */
+  searchUrl?: string;
+  inLanguage?: string;
+};
+
+export function website({ name, url, searchUrl, inLanguage }: WebSiteInput): Thing {
+  return compact({
+    '@context': CONTEXT,
+    '@type': 'WebSite',
+    name,
+    url,
+    inLanguage,
+    potentialAction: searchUrl
+      ? {
+          '@type': 'SearchAction',
+          target: { '@type': 'EntryPoint', urlTemplate: searchUrl },
+          'query-input': 'required name=search_term_string'
+        }
+      : undefined
+  });
+}
+
+export type BreadcrumbItem = { name: string; url: string };
+
+export function breadcrumbList(items: BreadcrumbItem[]): Thing {
+  return {
+    '@context': CONTEXT,
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map(({ name, url }, i) => ({ '@type': 'ListItem', position: i + 1, name, item: url }))
+  };
+}
+
+export type ArticleInput = {
+  headline: string;
+  image: string | string[];
+  datePublished: string;
+  author: Party | Party[];
+  dateModified?: string;
+  description?: string;
+  url?: string;
+  publisher?: OrganizationInput;
+  type?: 'Article' | 'BlogPosting' | 'NewsArticle';
+};
+
+export function article({ type = 'Article', author, publisher, url, ...input }: ArticleInput): Thing {
+  return compact({
+    '@context': CONTEXT,
+    '@type': type,
+    ...input,
+    mainEntityOfPage: url,
+    author: Array.isArray(author) ? author.map((a) => party(a)) : party(author),
+    publisher: publisher && compact({ '@type': 'Organization', ...publisher })
+  });
+}
+
+export type Availability = 'InStock' | 'OutOfStock' | 'PreOrder' | 'BackOrder' | 'LimitedAvailability' | 'Discontinued';
+
+export type OfferInput = {
+  price: number | string;
+  priceCurrency: string;
+  availability?: Availability;
+  url?: string;
+  priceValidUntil?: string;
+};
+
+export type ProductInput = {
+  name: string;
+  image: string | string[];
+  description?: string;
+  sku?: string;
+  brand?: string;
+  offers?: OfferInput | OfferInput[];
+  aggregateRating?: { ratingValue: number; reviewCount: number };
+};
+
+const offer = ({ availability, ...input }: OfferInput): Thing =>
+  compact({ '@type': 'Offer', ...input, availability: availability && CONTEXT + '/' + availability });
+
+export function product({ brand, offers, aggregateRating, ...input }: ProductInput): Thing {
+  return compact({
+    '@context': CONTEXT,
+    '@type': 'Product',
+    ...input,
+    brand: brand ? { '@type': 'Brand', name: brand } : undefined,
+    offers: Array.isArray(offers) ? offers.map(offer) : offers && offer(offers),
+    aggregateRating: aggregateRating && { '@type': 'AggregateRating', ...aggregateRating }
+  });
+}
+
+export type FaqItem = { question: string; answer: string };
+
+export function faqPage(items: FaqItem[]): Thing {
+  return {
+    '@context': CONTEXT,
+    '@type': 'FAQPage',
+    mainEntity: items.map(({ question, answer }) => ({
+      '@type': 'Question',
+      name: question,
+      acceptedAnswer: { '@type': 'Answer', text: answer }
+    }))
+  };
+}
+
+export type PostalAddressInput = {
+  streetAddress: string;
+  addressLocality: string;
+  postalCode: string;
+  addressCountry: string;
+  addressRegion?: string;
+};
+
+export type LocalBusinessInput = {
+  name: string;
+  address: PostalAddressInput;
+  /** A more specific type such as Restaurant or Dentist */
+  type?: string;
+  url?: string;
+  telephone?: string;
+  image?: string | string[];
+  priceRange?: string;
+  geo?: { latitude: number; longitude: number };
+  /** e.g. ['Mo-Fr 09:00-18:00', 'Sa 10:00-14:00'] */
+  openingHours?: string[];
+  sameAs?: string[];
+};
+
+export function localBusiness({ type = 'LocalBusiness', address, geo, ...input }: LocalBusinessInput): Thing {
+  return compact({
+    '@context': CONTEXT,
+    '@type': type,
+    ...input,
+    address: compact({ '@type': 'PostalAddress', ...address }),
+    geo: geo && { '@type': 'GeoCoordinates', ...geo }
+  });
+}
+
+/**
+ * Combine several items (or earlier graphs) into one JSON-LD document.
+ * Returns a single item unchanged and undefined when there is nothing.
+ */
+export function graph(items: (Thing | Thing[] | undefined)[]): Thing | undefined {
+  const nodes = items
+    .flat()
+    .filter((item): item is Thing => Boolean(item))
+    .flatMap((item) => (Array.isArray(item['@graph']) ? (item['@graph'] as Thing[]) : [item]));
+  if (nodes.length === 0) return undefined;
+  if (nodes.length === 1) return { '@context': CONTEXT, ...nodes[0] };
+  return { '@context': CONTEXT, '@graph': nodes.map(({ '@context': _, ...node }) => node) } as Thing;
+}
+`;
+  if (await changes.writeGenerated(target, contents)) {
+    changes.log('Wrote src/seo/schema.ts');
+  }
+}
+
+/**
+ * Create or update public/robots.txt from the `robots` section of the
+ * project config. Rules already in the file are kept and the configured
+ * ones merged in; the sitemap lines point to the sitemap.xml written into
+ * the build output by `vite-seo-bootstrap sitemap`.
+ *
+ * @param {Object} opts
+ * @param {string} opts.projectRoot
+ * @param {string} opts.domain
+ * @param {Object} [opts.robots] The `robots` section of the project config
+ * @param {import('../changeset.mjs').ChangeSet} opts.changes
+ */
+export async function ensureRobotsTxt({ projectRoot, domain, robots = {}, changes }) {
+  const target = path.join(projectRoot, 'public', 'robots.txt');
+  const existing = (await changes.exists(target)) ? await changes.readFile(target) : undefined;
+  const { text, merged } = buildRobots({ existing, settings: robots, domain });
+  if (text === existing) {
+    changes.log('public/robots.txt already contains the configured rules');
+    return;
+  }
+  await changes.writeFile(target, text);
+  changes.log(merged ? 'Merged the configured rules into public/robots.txt' : 'Wrote public/robots.txt');
+}
+
+/**
+ * Create src/seo/robots.ts, a Vite plugin that keeps non-production builds
+ * (preview deploys, staging) out of search engines: their robots.txt
+ * disallows everything and every page gets a noindex robots meta.
+ *
+ * @param {Object} opts
+ */
+export async function ensureRobotsGuard({ projectRoot, changes }) {
+  const target = path.join(projectRoot, 'src', 'seo', 'robots.ts');
+  const contents = `import fs from 'fs';
+import path from 'path';
+import type { Plugin, ResolvedConfig } from 'vite';
+
+/**
+ * Whether this build is the one deployed to the production site. SEO_ENV
+ * decides when set (e.g. SEO_ENV=staging); otherwise Vercel's and
+ * Netlify's deploy contexts, and finally the Vite mode.
+ */
+export function isProduction(mode: string, env: Record<string, string | undefined> = process.env): boolean {
+  const target = env.SEO_ENV || env.VERCEL_ENV || env.CONTEXT;
+  return target ? target === 'production' : mode === 'production';
+}
+
+/**
+ * Marks non-production builds as not indexable: the pages' robots meta
+ * becomes noindex (the meta resolver reads __SEO_NOINDEX__ in bundled
+ * pages and VITE_SEO_NOINDEX in config-time plugins) and dist/robots.txt
+ * disallows every path.
+ */
+export function robotsGuard(): Plugin {
+  let config: ResolvedConfig;
+  let noindex = false;
+  return {
+    name: 'vite-seo-bootstrap:robots',
+    apply: 'build',
+    config(_, { mode }) {
+      noindex = !isProduction(mode);
+      process.env.VITE_SEO_NOINDEX = String(noindex);
+      return { define: { __SEO_NOINDEX__: JSON.stringify(noindex) } };
+    },
+    configResolved(resolved) {
+      config = resolved;
+    },
+    transformIndexHtml: {
+      order: 'post',
+      handler(html) {
+        if (!noindex) return html;
+        return {
+          html: html.replace(/<meta[^>]*name=["']robots["'][^>]*>\\s*/gi, ''),
+          tags: [{ tag: 'meta', attrs: { name: 'robots', content: 'noindex, nofollow' }, injectTo: 'head' }]
+        };
+      }
+    },
+    closeBundle() {
+      if (!noindex || config.build.ssr) return;
+      const outDir = path.resolve(config.root, config.build.outDir);
+      fs.mkdirSync(outDir, { recursive: true });
+      fs.writeFileSync(path.join(outDir, 'robots.txt'), 'User-agent: *\\nDisallow: /\\n');
+    }
+  };
+}
+`;
+  if (await changes.writeGenerated(target, contents)) {
+    changes.log('Wrote src/seo/robots.ts');
+  }
+}
+
+/**
+ * Write common dotfiles (.env and .gitignore) to the project root if they
+ * do not already exist.  The .env file contains a placeholder for the base
+ * URL; the .gitignore excludes node_modules, dist output and environment
+ * files.  Users may modify these as needed.
+ *
+ * @param {Object} opts
+ * @param {string} opts.projectRoot
+ * @param {string} opts.domain
+ * @param {import('../changeset.mjs').ChangeSet} opts.changes
+ */
+export async function ensureDotFiles({ projectRoot, domain, changes }) {
+  const envPath = path.join(projectRoot, '.env');
+  if (!(await changes.exists(envPath))) {
+    const baseUrl = domain.replace(/\/$/, '');
+    const envContents = `# Base URL for your site\nVITE_BASE_URL=${baseUrl}`;
+    await changes.writeFile(envPath, envContents);
+    changes.log('Wrote .env with VITE_BASE_URL');
+  }
+  const gitignorePath = path.join(projectRoot, '.gitignore');
+  if (!(await changes.exists(gitignorePath))) {
+    const gitignore = `# dependencies\nnode_modules\n\n# build output\ndist\n\n# environment files\n.env\n\n# vite-seo-bootstrap backups\n.vite-seo-bootstrap\n\n# system files\n.DS_Store\n`;
+    await changes.writeFile(gitignorePath, gitignore);
+    changes.log('Wrote .gitignore');
+  }
+}
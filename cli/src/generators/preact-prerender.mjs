@@ -1,10 +1,13 @@
 // Wiring for static prerendering with Preact using @preact/preset-vite.
 // This generator installs preact dependencies, updates the Vite
 // configuration to enable prerendering, rewrites the main entry file
-// for hydration and prerender export, and adjusts index.html.
+// for hydration and prerender export, and adjusts index.html. When the
+// entry cannot be rewritten nothing else is switched over; robots.txt and
+// the dotfiles are written either way.
 
-import fs from 'fs/promises';
 import path from 'path';
+import { editViteConfig, UnsafeConfigError } from '../vite-config.mjs';
+import { ensureRobotsTxt, ensureDotFiles } from './common.mjs';
 
 /**
  * Apply prerender wiring for Preact. This will modify package.json,
@@ -15,9 +18,46 @@ import path from 'path';
  * @param {Object} opts
  * @param {string} opts.projectRoot Absolute path to project root
  * @param {Object} opts.pkg Parsed package.json (mutated as needed)
- * @param {string} opts.domain Base URL (unused here but kept for parity)
+ * @param {string} opts.domain Base URL for robots.txt and .env
+ * @param {Object} [opts.robots] The `robots` section of the project config
+ * @param {import('../changeset.mjs').ChangeSet} opts.changes Change set that receives every write
  */
-export async function applyPreactPrerender({ projectRoot, pkg, domain }) {
+export async function applyPreactPrerender({ projectRoot, pkg, domain, robots, changes }) {
+  // Rewrite src/main entry file for preact hydration and prerender export.
+  // It goes first: the user's own entry is replaced when the conflict
+  // policy and the backup allow it, a stamped one edited since the last run
+  // is a conflict, and without the new entry the rest of the wiring would
+  // break the app.
+  const srcDir = path.join(projectRoot, 'src');
+  let mainPath = path.join(srcDir, 'main.tsx');
+  let mainJsxPath = path.join(srcDir, 'main.jsx');
+  let targetPath = mainPath;
+  if (!(await changes.exists(mainPath)) && (await changes.exists(mainJsxPath))) {
+    targetPath = mainJsxPath;
+  }
+  const preactMain = `import { hydrate, prerender as ssr } from 'preact-iso';
+import App from './App';
+
+// Hydrate on the client if window is defined
+if (typeof window !== 'undefined') {
+  hydrate(<App />, document.getElementById('root'));
+}
+
+// Export prerender function for the prerender plugin
+export async function prerender(data) {
+  const { html, links } = await ssr(<App {...data} />);
+  return { html, links };
+}
+`;
+  const entryName = path.relative(projectRoot, targetPath).split(path.sep).join('/');
+  if (!(await changes.writeGenerated(targetPath, preactMain, { replaceUnstamped: true }))) {
+    changes.warn(`${entryName} was kept, so vite.config and index.html were not switched to preact; resolve the conflict and run again.`);
+    await ensureRobotsTxt({ projectRoot, domain, robots, changes });
+    await ensureDotFiles({ projectRoot, domain, changes });
+    return;
+  }
+  changes.log(`Wrote ${entryName} with preact hydration and prerender`);
+
   const pkgPath = path.join(projectRoot, 'package.json');
   pkg.dependencies = pkg.dependencies || {};
   pkg.devDependencies = pkg.devDependencies || {};
@@ -38,110 +78,57 @@ export async function applyPreactPrerender({ projectRoot, pkg, domain }) {
     }
   }
   if (updated) {
-    await fs.writeFile(pkgPath, JSON.stringify(pkg, null, 2), 'utf8');
-    console.log('· Added preact dependencies to package.json');
+    await changes.writeFile(pkgPath, JSON.stringify(pkg, null, 2));
+    changes.log('Added preact dependencies to package.json');
   }
 
   // Modify vite config to use the preact preset. We attempt to find
-  // vite.config.ts or js and replace the react plugin with preact.
+  // vite.config.ts or js and swap the react plugin for preact through
+  // the config's syntax tree, leaving every other setting untouched.
   const tsConfig = path.join(projectRoot, 'vite.config.ts');
   const jsConfig = path.join(projectRoot, 'vite.config.js');
-  let configPath;
-  try {
-    await fs.access(tsConfig);
-    configPath = tsConfig;
-  } catch {
-    configPath = jsConfig;
-  }
-  try {
-    let configContent = await fs.readFile(configPath, 'utf8');
-    // Ensure import of preact plugin
-    if (!configContent.includes("'@preact/preset-vite'")) {
-      configContent = configContent.replace(/import\s+react\s+from\s+['"]@vitejs\/plugin-react[^'"]*['"];?\n/, "import preact from '@preact/preset-vite';\n");
+  const configPath = (await changes.exists(tsConfig)) ? tsConfig : jsConfig;
+  if (await changes.exists(configPath)) {
+    const preactPlugin = 'preact({ prerender: { enabled: true } })';
+    try {
+      const { code } = editViteConfig(await changes.readFile(configPath), {
+        replacePlugins: [{ source: /^@vitejs\/plugin-react(-swc)?$/, code: preactPlugin }],
+        plugins: [{ source: '@preact/preset-vite', local: 'preact', code: preactPlugin }]
+      });
+      await changes.writeFile(configPath, code);
+      changes.log(`Updated ${path.basename(configPath)} to use preact with prerender`);
+    } catch (err) {
+      if (!(err instanceof UnsafeConfigError)) throw err;
+      const sideFile = path.join(projectRoot, path.basename(configPath).replace(/^vite\.config\./, 'vite.config.seo.'));
+      await changes.writeFile(sideFile, `import { defineConfig } from 'vite';
+import preact from '@preact/preset-vite';
+
+export default defineConfig({
+  plugins: [${preactPlugin}]
+});
+`);
+      changes.warn(
+        `could not safely edit ${path.basename(configPath)} (${err.message}). ` +
+        `Wrote ${path.basename(sideFile)} with the preact prerender plugin; merge it into your config manually.`
+      );
     }
-    // Replace the react() plugin call with preact({ prerender: { enabled: true }})
-    configContent = configContent.replace(/react\(([^)]*)\)/, "preact({ prerender: { enabled: true } })");
-    // If import line for react plugin still exists (e.g. SWC), remove it
-    configContent = configContent.replace(/import\s+react[^;]+;\n?/g, '');
-    await fs.writeFile(configPath, configContent, 'utf8');
-    console.log(`· Updated ${path.basename(configPath)} to use preact with prerender`);
-  } catch (err) {
-    console.log('· Skipped vite config update (file not found)');
+  } else {
+    changes.log('Skipped vite config update (file not found)');
   }
 
   // Adjust index.html to add prerender attribute on the entry script.
   const indexHtmlPath = path.join(projectRoot, 'index.html');
   try {
-    let html = await fs.readFile(indexHtmlPath, 'utf8');
-    html = html.replace(/<script([^>]*?)src="\/?src\/main[^"']*"/i, '<script prerender$1src="/src/main.tsx"');
-    await fs.writeFile(indexHtmlPath, html, 'utf8');
-    console.log('· Updated index.html to mark entry script as prerender');
+    let html = await changes.readFile(indexHtmlPath);
+    html = html.replace(/<script([^>]*?)src="\/?src\/main[^"']*"/i, `<script prerender$1src="/${entryName}"`);
+    await changes.writeFile(indexHtmlPath, html);
+    changes.log('Updated index.html to mark entry script as prerender');
   } catch {
-    console.log('· Skipped index.html modification (file not found)');
+    changes.log('Skipped index.html modification (file not found)');
   }
 
-  // Rewrite src/main entry file for preact hydration and prerender export.
-  const srcDir = path.join(projectRoot, 'src');
-  let mainPath = path.join(srcDir, 'main.tsx');
-  let mainJsxPath = path.join(srcDir, 'main.jsx');
-  let targetPath;
-  try {
-    await fs.access(mainPath);
-    targetPath = mainPath;
-  } catch {
-    try {
-      await fs.access(mainJsxPath);
-      targetPath = mainJsxPath;
-    } catch {
-      // Fallback to main.tsx
-      targetPath = mainPath;
-    }
-  }
-  const preactMain = `import { hydrate, prerender as ssr } from 'preact-iso';
-import App from './App';
-
-// Hydrate on the client if window is defined
-if (typeof window !== 'undefined') {
-  hydrate(<App />, document.getElementById('root'));
-}
-
-// Export prerender function for the prerender plugin
-export async function prerender(data) {
-  const { html, links } = await ssr(<App {...data} />);
-  return { html, links };
-}
-`;
-  await fs.mkdir(srcDir, { recursive: true });
-  await fs.writeFile(targetPath, preactMain, 'utf8');
-  console.log(`· Wrote ${path.relative(projectRoot, targetPath)} with preact hydration and prerender`);
+  await ensureRobotsTxt({ projectRoot, domain, robots, changes });
 
   // Write dotfiles (.env and .gitignore) if missing
-  await ensureDotFiles({ projectRoot, domain });
+  await ensureDotFiles({ projectRoot, domain, changes });
 }
-
-/**
- * Ensure .env and .gitignore files exist.  Shared with React generator.
- *
- * @param {Object} opts
- * @param {string} opts.projectRoot
- * @param {string} opts.domain
- */
-async function ensureDotFiles({ projectRoot, domain }) {
-  const envPath = path.join(projectRoot, '.env');
-  try {
-    await fs.access(envPath);
-  } catch {
-    const baseUrl = domain.replace(/\/$/, '');
-    const envContents = `# Base URL for your site\nVITE_BASE_URL=${baseUrl}`;
-    await fs.writeFile(envPath, envContents, 'utf8');
-    console.log('· Wrote .env with VITE_BASE_URL');
-  }
-  const gitignorePath = path.join(projectRoot, '.gitignore');
-  try {
-    await fs.access(gitignorePath);
-  } catch {
-    const gitignore = `# dependencies\nnode_modules\n\n# build output\ndist\n\n# environment files\n.env\n\n# system files\n.DS_Store\n`;
-    await fs.writeFile(gitignorePath, gitignore, 'utf8');
-    console.log('· Wrote .gitignore');
-  }
-}
\ No newline at end of file
@@ -4,8 +4,9 @@
 // scripts, creates a simple routes definition and entry for SSG, and
 // rewrites the index.html script tag to point to the new entry.
 
-import fs from 'fs/promises';
 import path from 'path';
+import { editViteConfig, UnsafeConfigError } from '../vite-config.mjs';
+import { I18N_MODULES } from '../locales.mjs';
 
 /**
  * Apply the React SSG wiring to an existing project. Must be run
@@ -16,8 +17,18 @@ import path from 'path';
  * @param {Object} opts
  * @param {string} opts.projectRoot Absolute path to the project root
  * @param {Object} opts.pkg The parsed package.json (mutated as needed)
+ * @param {string} [opts.seoMetaFile] The project's seo.config file, relative to the root
+ * @param {{ locales: string[], defaultLocale: string }|null} [opts.locales] Site languages
+ * @param {import('../changeset.mjs').ChangeSet} opts.changes Change set that receives every write
  */
-export async function applyReactSsgWiring({ projectRoot, pkg, routes: detectedRoutes = ['/'] }) {
+export async function applyReactSsgWiring({
+  projectRoot,
+  pkg,
+  routes: detectedRoutes = ['/'],
+  seoMetaFile = 'seo.config.json',
+  locales = null,
+  changes
+}) {
   const pkgPath = path.join(projectRoot, 'package.json');
   // Ensure dependencies objects exist
   pkg.dependencies = pkg.dependencies || {};
@@ -60,25 +71,71 @@ export async function applyReactSsgWiring({ projectRoot, pkg, routes: detectedRo
   }
 
   if (updatedPkg) {
-    await fs.writeFile(pkgPath, JSON.stringify(pkg, null, 2), 'utf8');
-    console.log('· Updated package.json with SSG dependencies, scripts, and type: module');
+    await changes.writeFile(pkgPath, JSON.stringify(pkg, null, 2));
+    changes.log('Updated package.json with SSG dependencies, scripts, and type: module');
   }
 
   // Create a simple routes definition file
   const srcDir = path.join(projectRoot, 'src');
-  await fs.mkdir(srcDir, { recursive: true });
   const routesFile = path.join(srcDir, 'routes.jsx');
 
   // Generate routes array for routes.jsx
   // We map all detected routes to <App /> because we assume App handles the routing internally
-  // or is the main entry point.
+  // or is the main entry point. Each route also renders its own <head>
+  // from seo.config through the SEO component.
   const routesArrayContent = detectedRoutes.map(r => `  {
     path: '${r}',
-    element: <App />,
+    element: page('${r}'),
   },`).join('\n');
 
+  // On multilingual sites with an i18next setup, every language version
+  // of a page is rendered with i18next switched to its language
+  let i18nModule;
+  if (locales) {
+    for (const candidate of I18N_MODULES) {
+      if (await changes.exists(path.join(projectRoot, candidate))) {
+        i18nModule = './' + path.posix.relative('src', candidate).replace(/(\/index)?\.(ts|js)$/, '');
+        break;
+      }
+    }
+    if (!i18nModule) {
+      changes.warn(
+        'no i18next setup found (src/i18n.ts or src/i18n/index.ts); the /<locale> pages get their own ' +
+        '<head> but render the app in its default language until it reads the language from the URL.'
+      );
+    }
+  }
+
+  const page = i18nModule
+    ? `// Each language version renders with i18next switched to its language
+const Localized = ({ lang, children }) => {
+  if (lang && i18n.language !== lang) i18n.changeLanguage(lang);
+  return children;
+};
+
+const page = (path) => {
+  const meta = metaFor(seoConfig, path);
+  return (
+    <Localized lang={meta.lang}>
+      <SEO {...meta} />
+      <App />
+    </Localized>
+  );
+};`
+    : `const page = (path) => (
+  <>
+    <SEO {...metaFor(seoConfig, path)} />
+    <App />
+  </>
+);`;
+
   const routesContent = `import React from 'react';
-import App from './App';
+${i18nModule ? `import i18n from 'i18next';\nimport '${i18nModule}';\n` : ''}import App from './App';
+import { SEO } from './components/SEO';
+import { metaFor } from './seo/meta';
+import seoConfig from '../${seoMetaFile}';
+
+${page}
 
 // Minimal route definition for vite-react-ssg.
 const routes = [
@@ -87,30 +144,31 @@ ${routesArrayContent}
 
 export default routes;
 `;
-  await fs.writeFile(routesFile, routesContent, 'utf8');
-  console.log('· Wrote src/routes.jsx');
+  if (await changes.writeGenerated(routesFile, routesContent)) {
+    changes.log('Wrote src/routes.jsx');
+  }
 
   // Detect root container ID from index.html
   const indexHtmlPath = path.join(projectRoot, 'index.html');
   let rootId = 'root'; // default
   try {
-    const indexHtml = await fs.readFile(indexHtmlPath, 'utf8');
+    const indexHtml = await changes.readFile(indexHtmlPath);
     // Simple regex to find the first div with an id that looks like a root container
     // We look for id="root", id="app", or id="main"
     const idMatch = indexHtml.match(/<div[^>]*id=["'](root|app|main)["'][^>]*>/i);
     if (idMatch && idMatch[1]) {
       rootId = idMatch[1];
-      console.log(`· Detected root container ID: "${rootId}"`);
+      changes.log(`Detected root container ID: "${rootId}"`);
     } else {
       // Fallback: try to find ANY div with an id if the standard ones aren't found
       const anyIdMatch = indexHtml.match(/<div[^>]*id=["']([^"']+)["'][^>]*>/i);
       if (anyIdMatch && anyIdMatch[1]) {
         rootId = anyIdMatch[1];
-        console.log(`· Detected root container ID: "${rootId}" (fallback)`);
+        changes.log(`Detected root container ID: "${rootId}" (fallback)`);
       }
     }
   } catch (err) {
-    console.log('· Could not read index.html to detect root ID, defaulting to "root"');
+    changes.log('Could not read index.html to detect root ID, defaulting to "root"');
   }
 
   // Create a new SSG entry file with window mock for SSR safety
@@ -169,69 +227,39 @@ export const createRoot = ViteReactSSG({
   rootContainer: document.getElementById('${rootId}') 
 });
 `;
-  await fs.writeFile(entryFile, entryContent, 'utf8');
-  console.log('· Wrote src/main.ssg.jsx');
+  if (await changes.writeGenerated(entryFile, entryContent)) {
+    changes.log('Wrote src/main.ssg.jsx');
+  }
 
   // Rewrite the script tag in index.html to point to main.ssg.jsx
   try {
-    let indexHtml = await fs.readFile(indexHtmlPath, 'utf8');
+    let indexHtml = await changes.readFile(indexHtmlPath);
     // Replace any script that loads main.tsx or main.jsx
     const scriptRegex = /<script\s+[^>]*src="\/?src\/(main[^"']*)"[^>]*><\/script>/;
     indexHtml = indexHtml.replace(scriptRegex, '<script type="module" src="/src/main.ssg.jsx"></script>');
-    await fs.writeFile(indexHtmlPath, indexHtml, 'utf8');
-    console.log('· Updated index.html to use main.ssg.jsx');
+    await changes.writeFile(indexHtmlPath, indexHtml);
+    changes.log('Updated index.html to use main.ssg.jsx');
   } catch (err) {
     // If index.html does not exist (e.g. in some frameworks) we ignore
-    console.log('· Skipped index.html update (file not found)');
+    changes.log('Skipped index.html update (file not found)');
   }
 
   // Remove viteSSG plugin from vite config to avoid conflicts with
   // vite-react-ssg. We leave other plugins like sitemap and HTML intact.
   const tsConfig = path.join(projectRoot, 'vite.config.ts');
   const jsConfig = path.join(projectRoot, 'vite.config.js');
-  let configPath;
-  try {
-    await fs.access(tsConfig);
-    configPath = tsConfig;
-  } catch {
-    configPath = jsConfig;
-  }
+  const configPath = (await changes.exists(tsConfig)) ? tsConfig : jsConfig;
+  if (!(await changes.exists(configPath))) return;
+  const config = await changes.readFile(configPath);
+  if (!/\bvite-ssg\b/.test(config)) return;
   try {
-    let config = await fs.readFile(configPath, 'utf8');
-    // Remove import line referencing viteSSG (e.g. "import { viteSSG } from 'vite-ssg/...'")
-    config = config.replace(/^import\s+\{[^}]*\bviteSSG\b[^}]*}\s+from[^\n]*\n?/gm, '');
-    // Remove the viteSSG plugin call including its parentheses and inner
-    // contents. We scan to find the matching parenthesis to handle nested
-    // parentheses in arrow functions.
-    const start = config.indexOf('viteSSG(');
-    if (start !== -1) {
-      let depth = 0;
-      let end = -1;
-      for (let i = start; i < config.length; i++) {
-        const ch = config[i];
-        if (ch === '(') {
-          depth++;
-        } else if (ch === ')') {
-          depth--;
-          if (depth === 0) {
-            end = i + 1;
-            break;
-          }
-        }
-      }
-      if (end !== -1) {
-        // Skip any trailing comma and whitespace/newlines after the call
-        while (end < config.length && /[\s,]/.test(config[end])) {
-          end++;
-        }
-        config = config.slice(0, start) + config.slice(end);
-      }
-    }
-    // Also remove any now-empty plugin array entries like trailing commas
-    config = config.replace(/,\s*]/g, ']');
-    await fs.writeFile(configPath, config, 'utf8');
-    console.log(`· Cleaned viteSSG from ${path.basename(configPath)}`);
+    // Drops the viteSSG(...) call and its `vite-ssg` import, keeping
+    // the rest of the file as it is.
+    const { code } = editViteConfig(config, { removePlugins: [/^vite-ssg(\/|$)/] });
+    await changes.writeFile(configPath, code);
+    changes.log(`Cleaned viteSSG from ${path.basename(configPath)}`);
   } catch (err) {
-    // do nothing if config not found
+    if (!(err instanceof UnsafeConfigError)) throw err;
+    changes.warn(`could not remove viteSSG from ${path.basename(configPath)} (${err.message}); remove it manually.`);
   }
 }
\ No newline at end of file
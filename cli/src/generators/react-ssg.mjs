@@ -4,8 +4,10 @@
 // modifications. Each helper is split out for clarity and easier
 // testing.
 
-import fs from 'fs/promises';
 import path from 'path';
+import { editViteConfig, UnsafeConfigError } from '../vite-config.mjs';
+import { siteDefaults } from '../seo-meta.mjs';
+import { ensureSitemapHelper, ensureMetaResolver, ensureSchemaBuilders, ensureRobotsTxt, ensureRobotsGuard, ensureDotFiles } from './common.mjs';
 
 // List of dependencies to add to the project's package.json. The
 // versions here are conservative placeholders. Users should run
@@ -15,7 +17,6 @@ import path from 'path';
 const SEO_DEPENDENCIES = {
   'react-helmet-async': '^2.0.0',
   'vite-plugin-html': '^3.2.1',
-  'vite-plugin-sitemap': '^0.7.1',
   // 'vite-ssg': '^0.24.0' // Eliminat: vite-ssg és per a Vue, no per a React.
 };
 // NOTE: vite-bundle-visualizer only publishes up to 1.2.x at the time
@@ -32,21 +33,28 @@ const SEO_DEV_DEPENDENCIES = {
  * Apply the React + vite-ssg bootstrap steps to the given project. This
  * function performs several modifications: it updates package.json,
  * writes a SEO component, creates sitemap helpers, writes a robots.txt,
- * rewrites the Vite configuration and adds a simple markdown guide.
+ * merges SEO settings into the Vite configuration and adds a simple markdown guide.
  *
  * @param {Object} opts
  * @param {string} opts.projectRoot Absolute path to the project root
  * @param {Object} opts.pkg Parsed package.json of the project
  * @param {string} opts.domain Base URL used in sitemap and canonical tags
+ * @param {Object} [opts.seoMeta] Contents of the project's seo.config file
+ * @param {Object} [opts.robots] The `robots` section of the project config
+ * @param {import('../changeset.mjs').ChangeSet} opts.changes Change set that receives every write
  */
-export async function applyReactSsgSeo({ projectRoot, pkg, domain, routes = ['/'] }) {
-  await updatePackageJson({ projectRoot, pkg });
-  await ensureSeoComponent({ projectRoot });
-  await ensureSitemapHelper({ projectRoot, domain, routes });
-  await ensureRobotsTxt({ projectRoot, domain });
-  await updateViteConfig({ projectRoot, domain, routes });
-  await writeSeoGuide({ projectRoot, domain, projectName: pkg.name || 'Your Vite App' });
-  await ensureDotFiles({ projectRoot, domain });
+export async function applyReactSsgSeo({ projectRoot, pkg, domain, seoMeta = {}, robots, changes }) {
+  const defaults = siteDefaults(seoMeta, pkg.name || 'Your Vite App');
+  await updatePackageJson({ projectRoot, pkg, changes });
+  await ensureSeoComponent({ projectRoot, changes });
+  await ensureSitemapHelper({ projectRoot, domain, changes });
+  await ensureMetaResolver({ projectRoot, changes });
+  await ensureSchemaBuilders({ projectRoot, changes });
+  await ensureRobotsTxt({ projectRoot, domain, robots, changes });
+  await ensureRobotsGuard({ projectRoot, changes });
+  await updateViteConfig({ projectRoot, defaults, changes });
+  await writeSeoGuide({ projectRoot, domain, projectName: pkg.name || 'Your Vite App', changes });
+  await ensureDotFiles({ projectRoot, domain, changes });
 }
 
 /**
@@ -55,7 +63,7 @@ export async function applyReactSsgSeo({ projectRoot, pkg, domain, routes = ['/'
  *
  * @param {Object} opts
  */
-async function updatePackageJson({ projectRoot, pkg }) {
+async function updatePackageJson({ projectRoot, pkg, changes }) {
   let updated = false;
   pkg.dependencies = pkg.dependencies || {};
   pkg.devDependencies = pkg.devDependencies || {};
@@ -81,22 +89,22 @@ async function updatePackageJson({ projectRoot, pkg }) {
   }
   if (updated) {
     const pkgPath = path.join(projectRoot, 'package.json');
-    await fs.writeFile(pkgPath, JSON.stringify(pkg, null, 2), 'utf8');
-    console.log('· Updated package.json with SEO dependencies and analyze script');
+    await changes.writeFile(pkgPath, JSON.stringify(pkg, null, 2));
+    changes.log('Updated package.json with SEO dependencies and analyze script');
   } else {
-    console.log('· package.json already contains required dependencies');
+    changes.log('package.json already contains required dependencies');
   }
 }
 
 /**
- * Ensure a SEO component exists in src/components/Seo.tsx. If the file
- * already exists, it will be overwritten with our recommended template.
+ * Ensure a SEO component exists in src/components/Seo.tsx. An existing
+ * file is only replaced when it is still the one generated by an earlier
+ * run; edited ones go through the conflict policy.
  *
  * @param {Object} opts
  */
-async function ensureSeoComponent({ projectRoot }) {
+async function ensureSeoComponent({ projectRoot, changes }) {
   const componentsDir = path.join(projectRoot, 'src', 'components');
-  await fs.mkdir(componentsDir, { recursive: true });
 
   // CAMBIO IMPORTANTE: Usamos SEO.tsx (mayúsculas) para coincidir con tu importación
   // A veces el sistema de archivos distingue mayúsculas, es mejor ser consistente.
@@ -105,28 +113,40 @@ async function ensureSeoComponent({ projectRoot }) {
   // CAMBIO IMPORTANTE: Exportamos como "export const SEO" (named export)
   // en lugar de "export default Seo", para que funcione "import { SEO } from ..."
   const contents = `import { Helmet } from 'react-helmet-async';
+import type { Thing } from '../seo/schema';
 
 export interface SeoProps {
   title: string;
   description: string;
   canonical: string;
   image?: string;
-  schemaMarkup?: Record<string, any>;
+  robots?: string;
+  // Build it with the helpers in src/seo/schema.ts
+  schemaMarkup?: Thing | Thing[];
+  lang?: string;
+  alternates?: { hreflang: string; href: string }[];
 }
 
 /**
  * Seo component sets up meta tags, social cards and structured data on a
  * per-page basis using react-helmet-async. Pass whatever props you
- * need to customise the metadata for each route.
+ * need to customise the metadata for each route. On multilingual sites
+ * it also sets <html lang> and links the page's other languages.
  */
-export const SEO = ({ title, description, canonical, image, schemaMarkup }: SeoProps) => (
-  <Helmet>
+export const SEO = ({ title, description, canonical, image, robots, schemaMarkup, lang, alternates }: SeoProps) => (
+  <Helmet htmlAttributes={lang ? { lang } : undefined}>
     <title>{title}</title>
     <meta name="description" content={description} />
+    {robots && <meta name="robots" content={robots} />}
     <link rel="canonical" href={canonical} />
+    {alternates?.map(({ hreflang, href }) => (
+      <link key={hreflang} rel="alternate" hrefLang={hreflang} href={href} />
+    ))}
     <meta property="og:title" content={title} />
     <meta property="og:description" content={description} />
+    <meta property="og:url" content={canonical} />
     {image && <meta property="og:image" content={image} />} 
+    <meta name="twitter:card" content={image ? 'summary_large_image' : 'summary'} />
     <meta name="twitter:title" content={title} />
     <meta name="twitter:description" content={description} />
     {image && <meta name="twitter:image" content={image} />} 
@@ -141,141 +161,113 @@ export const SEO = ({ title, description, canonical, image, schemaMarkup }: SeoP
 // Mantenemos también el default export por compatibilidad si algún otro archivo lo usa así.
 export default SEO;
 `;
-  await fs.writeFile(target, contents, 'utf8');
-  console.log('· Wrote src/components/SEO.tsx');
+  if (await changes.writeGenerated(target, contents)) {
+    changes.log('Wrote src/components/SEO.tsx');
+  }
 }
 
 /**
- * Create src/seo/sitemap.ts with helper functions used by vite-plugin-sitemap.
+ * Add the SEO plugins, aliases and SSR settings to the project's Vite
+ * configuration. An existing vite.config.ts/js is edited in place through
+ * its syntax tree, adding only what is missing and keeping the user's own
+ * settings. When the config is too dynamic to edit safely, the
+ * recommended config is written next to it as vite.config.seo.* instead
+ * and a warning is recorded. Projects without a config get the full
+ * template.
  *
  * @param {Object} opts
  */
-async function ensureSitemapHelper({ projectRoot, domain, routes }) {
-  const seoDir = path.join(projectRoot, 'src', 'seo');
-  await fs.mkdir(seoDir, { recursive: true });
-  const target = path.join(seoDir, 'sitemap.ts');
-
-  // Convert routes array to string representation for the file
-  const routesString = JSON.stringify(routes, null, 2);
-
-  const contents = `export const BASE_URL = '${domain}';
+async function updateViteConfig({ projectRoot, defaults, changes }) {
+  const tsConfig = path.join(projectRoot, 'vite.config.ts');
+  const jsConfig = path.join(projectRoot, 'vite.config.js');
+  const target = (await changes.exists(tsConfig)) ? tsConfig : jsConfig;
+  const relativeTarget = path.relative(projectRoot, target);
 
-/**
- * Optionally return a list of dynamic routes to include in your
- * sitemap. You might fetch data from an API or read local files here.
- */
-export async function dynamicRoutes(): Promise<string[]> {
-  // Auto-detected routes from analysis
-  return ${routesString};
-}
+  if (!(await changes.exists(target))) {
+    await changes.writeFile(target, viteConfigTemplate({ defaults }));
+    changes.log(`Wrote ${relativeTarget}`);
+    return;
+  }
 
-/**
- * Specify any routes you want to exclude from the sitemap (e.g. admin pages).
- */
-export const excludeRoutes: string[] = ['/admin', '/private'];
-`;
-  await fs.writeFile(target, contents, 'utf8');
-  console.log('· Wrote src/seo/sitemap.ts');
+  const source = await changes.readFile(target);
+  try {
+    const { code, added } = editViteConfig(source, {
+      // The sitemap is now written after the build by `vite-seo-bootstrap sitemap`
+      removePlugins: ['vite-plugin-sitemap'],
+      plugins: [
+        { source: 'vite-plugin-html', local: 'createHtmlPlugin', named: true, code: htmlPlugin(defaults) },
+        { source: './src/seo/robots', local: 'robotsGuard', named: true, code: 'robotsGuard()' }
+      ],
+      aliases: SEO_ALIASES,
+      noExternal: ['react-helmet-async']
+    });
+    await changes.writeFile(target, code);
+    changes.log(
+      added.length
+        ? `Updated ${relativeTarget} (added ${added.join(', ')})`
+        : `${relativeTarget} already contains the SEO settings`
+    );
+  } catch (err) {
+    if (!(err instanceof UnsafeConfigError)) throw err;
+    const sideFile = path.join(projectRoot, relativeTarget.replace(/^vite\.config\./, 'vite.config.seo.'));
+    await changes.writeFile(sideFile, viteConfigTemplate({ defaults }));
+    changes.warn(
+      `could not safely edit ${relativeTarget} (${err.message}). ` +
+      `Wrote ${path.relative(projectRoot, sideFile)} with the recommended settings; merge it into your config manually.`
+    );
+  }
 }
 
-/**
- * Create or update public/robots.txt. This file instructs crawlers which
- * routes to avoid and points them to the sitemap.xml generated by the
- * Vite plugin.
- *
- * @param {Object} opts
- */
-async function ensureRobotsTxt({ projectRoot, domain }) {
-  const publicDir = path.join(projectRoot, 'public');
-  await fs.mkdir(publicDir, { recursive: true });
-  const target = path.join(publicDir, 'robots.txt');
-  const canonicalDomain = domain.replace(/\/$/, '');
-  const contents = `User-agent: *
-Allow: /
-
-Sitemap: ${canonicalDomain}/sitemap.xml
+// CORRECCIÓN COMPLETA:
+// 1. Alias para limpiar versiones (sonner@x.x.x) y rutas de figma (figma:asset/...).
+// 2. ssr.noExternal para 'react-helmet-async' para evitar errores de exportación.
+// 3. Eliminado manualChunks para evitar conflictos con dependencias externas en SSR.
+const SEO_ALIASES = [
+  // 1. ARREGLO PARA IMPORTS CON VERSIÓN (ej: 'sonner@2.0.3' -> 'sonner')
+  { find: String.raw`/^([a-zA-Z0-9@\/\-_]+)@\d+\.\d+\.\d+$/`, replacement: `'$1'` },
+  // 2. ARREGLO PARA IMÁGENES DE FIGMA (ej: "figma:asset/abc.png" -> "/src/assets/abc.png")
+  { find: String.raw`/^figma:asset\/(.*)/`, replacement: `'/src/assets/$1'` },
+  // 3. Alias estándar
+  { find: `'@'`, replacement: `'/src'` }
+];
 
-User-agent: Googlebot
-Disallow: /private
-`;
-  await fs.writeFile(target, contents, 'utf8');
-  console.log('· Wrote public/robots.txt');
+// Site-wide fallbacks for index.html; each prerendered route then gets
+// its own head from seo.config through the SEO component.
+function htmlPlugin({ title, description }) {
+  const quote = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  return `createHtmlPlugin({
+  minify: true,
+  inject: {
+    data: {
+      title: ${quote(title)},
+      description: ${quote(description)}
+    }
+  }
+})`;
 }
 
 /**
- * Generate a recommended Vite configuration for React + vite-ssg. If a
- * vite.config.ts or vite.config.js exists, it will be overwritten.
- * Users may wish to merge this with their own configuration if needed.
- *
- * @param {Object} opts
+ * Full recommended Vite configuration, used for projects without a config
+ * and as the side file when an existing config can't be edited.
  */
-async function updateViteConfig({ projectRoot, domain, routes }) {
-  const tsConfig = path.join(projectRoot, 'vite.config.ts');
-  const jsConfig = path.join(projectRoot, 'vite.config.js');
-  let target;
-  try {
-    await fs.access(tsConfig);
-    target = tsConfig;
-  } catch {
-    target = jsConfig;
-  }
-  const baseUrl = domain.replace(/\/$/, '');
-
-  // CORRECCIÓN COMPLETA:
-  // 1. Alias para limpiar versiones (sonner@x.x.x) y rutas de figma (figma:asset/...).
-  // 2. ssr.noExternal para 'react-helmet-async' para evitar errores de exportación.
-  // 3. Eliminado manualChunks para evitar conflictos con dependencias externas en SSR.
-
-  // Generate routes array string for config
-  const routesConfig = routes.map(r => `{ path: '${r}', name: '${r === '/' ? 'Home' : r.slice(1)}' }`).join(',\n  ');
-
-  const contents = `import { defineConfig } from 'vite';
+function viteConfigTemplate({ defaults }) {
+  const indent = (text, prefix) => text.split('\n').join('\n' + prefix);
+  return `import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
-import Sitemap from 'vite-plugin-sitemap';
 import { createHtmlPlugin } from 'vite-plugin-html';
 import path from 'path';
-
-// Define your application routes here. This array is used by vite-ssg to
-// prerender each route. Add entries like { path: '/about', name: 'About' }.
-const routes = [
-  ${routesConfig}
-];
+import { robotsGuard } from './src/seo/robots';
 
 export default defineConfig({
   base: './', // Permet que els assets es carreguin correctament en local (file://)
   plugins: [
     react(),
-    Sitemap({
-      baseUrl: '${baseUrl}',
-      routes,
-      generateRobotsTxt: false // Desactivado porque ya lo generamos manualmente en public/
-    }),
-    createHtmlPlugin({
-      minify: true,
-      inject: {
-        data: {
-          title: 'Default Title',
-          description: 'Default Description'
-        }
-      }
-    })
+    ${indent(htmlPlugin(defaults), '    ')},
+    robotsGuard()
   ],
   resolve: {
     alias: [
-      // 1. ARREGLO PARA IMPORTS CON VERSIÓN (ej: 'sonner@2.0.3' -> 'sonner')
-      { 
-        find: /^([a-zA-Z0-9@\\/\\-_]+)@\\d+\\.\\d+\\.\\d+$/, 
-        replacement: '$1' 
-      },
-      
-      // 2. ARREGLO PARA IMÁGENES DE FIGMA (ej: "figma:asset/abc.png" -> "/src/assets/abc.png")
-      { 
-        find: /^figma:asset\\/(.*)/, 
-        replacement: '/src/assets/$1' 
-      },
-      
-      // 3. Alias estándar
-      { find: '@', replacement: '/src' }
+${SEO_ALIASES.map(a => `      { find: ${a.find}, replacement: ${a.replacement} }`).join(',\n')}
     ]
   },
   // Corrección para SSR: Evitar error "Named export not found" con librerías CJS
@@ -284,8 +276,6 @@ export default defineConfig({
   }
 });
 `;
-  await fs.writeFile(target, contents, 'utf8');
-  console.log(`· Wrote ${path.relative(projectRoot, target)}`);
 }
 
 /**
@@ -295,7 +285,7 @@ export default defineConfig({
  *
  * @param {Object} opts
  */
-async function writeSeoGuide({ projectRoot, domain, projectName }) {
+async function writeSeoGuide({ projectRoot, domain, projectName, changes }) {
   const target = path.join(projectRoot, 'SEO_GUIDE.md');
   const baseUrl = domain.replace(/\/$/, '');
   // Use indented code blocks rather than fenced code blocks to avoid
@@ -310,82 +300,83 @@ async function writeSeoGuide({ projectRoot, domain, projectName }) {
     '',
     '- **react-helmet-async** – enable dynamic meta tags per route.',
     '- **vite-ssg** – pre-render pages at build time for fast first paint.',
-    '- **vite-plugin-sitemap** – automatically generate sitemap.xml and robots.txt.',
+    '- **vite-seo-bootstrap sitemap** – write sitemap.xml into `dist` after the build,',
+    '  with lastmod dates, priorities and image entries.',
+    '- **vite-seo-bootstrap og-images** – render a 1200×630 social card into `dist/og`',
+    '  for every page without an Open Graph image (template: `og-template.svg`).',
     '- **vite-plugin-html** – inject default metadata into your HTML.',
+    '- **robotsGuard** (`src/seo/robots.ts`) – builds for anything but production',
+    '  (set `SEO_ENV=staging`, or Vercel/Netlify previews) get a robots.txt that',
+    '  disallows every path and a noindex robots meta on every page.',
     '- **vite-bundle-visualizer** – analyse your bundle sizes via `npm run analyze`.',
     '',
     '## Basic usage',
     '',
-    '1. Adjust your route definitions in `vite.config.js`/`vite.config.ts` and update',
-    '   `src/seo/sitemap.ts` if you have dynamic pages.',
-    '2. Use the exported **SEO** component in each page or layout to set',
-    '   up metadata:',
+    '1. List extra sitemap routes (or routes to leave out) in `src/seo/sitemap.ts`;',
+    '   every prerendered page is included automatically.',
+    '2. Fill in `seo.config.json`. It has one entry per route with its title,',
+    '   description, Open Graph image, robots directives and JSON-LD; every',
+    '   value still starting with "TODO" is ignored and the defaults are used.',
+    '   Each prerendered route gets its own `<head>` from this file. Its',
+    '   `schema` section holds the Organization and WebSite data added to the',
+    '   home page; every other page gets a BreadcrumbList from its route.',
+    '3. For metadata that depends on runtime data, use the exported **SEO**',
+    '   component directly in a page or layout, with the structured data',
+    '   builders in `src/seo/schema.ts` (article, product, faqPage,',
+    '   localBusiness...):',
     '',
     '       import { SEO } from "./components/SEO";',
+    '       import { article } from "./seo/schema";',
     '       ',
-    `       export default function HomePage() {`,
+    `       export default function HelloPost() {`,
     '         return (',
     '           <>',
     `             <SEO`,
-    `               title="Home – ${projectName}"`,
-    `               description="Welcome to ${projectName}, a React + Vite example."`,
-    `               canonical="${baseUrl}/"`,
-    '               schemaMarkup={{',
-    '                 "@context": "https://schema.org",',
-    '                 "@type": "WebSite",',
-    `                 name: "${projectName}",`,
-    `                 url: "${baseUrl}/"`,
-    '               }}',
+    `               title="Hello world – ${projectName}"`,
+    `               description="Our first post."`,
+    `               canonical="${baseUrl}/blog/hello-world"`,
+    '               schemaMarkup={article({',
+    '                 headline: "Hello world",',
+    `                 image: "${baseUrl}/og/hello-world.png",`,
+    '                 datePublished: "2024-01-01",',
+    '                 author: "Jane Doe"',
+    '               })}',
     '             />',
     '             <h1>Hello world!</h1>',
     '           </>',
     '         );',
     '       }',
     '',
-    '3. Run `npm run build` to generate static HTML for each route.',
-    '4. Run `npm run analyze` to view your bundle composition in a browser.',
+    '4. Run `npm run build` to generate static HTML for each route, then',
+    '   `npx vite-seo-bootstrap og-images dist` to render the social cards and',
+    '   `npx vite-seo-bootstrap sitemap dist` to write the sitemap.',
+    '5. Run `npm run analyze` to view your bundle composition in a browser.',
+    '6. Run `npx vite-seo-bootstrap audit dist` to check every generated page for',
+    '   missing titles, descriptions, canonicals, broken links, sitemap gaps and',
+    '   JSON-LD missing the properties Google requires or recommends.',
+    '',
+    '## Re-running',
+    '',
+    'Generated files start with a "Generated by vite-seo-bootstrap" header holding',
+    'a hash of their contents. When you edit one, later runs keep your version and',
+    'write the new one next to it as `<file>.new`; pass',
+    '`--on-conflict=skip|overwrite|fail` to change that.',
     '',
     '## Further improvements',
     '',
     '- Add lazy loading for images and modules to improve performance.',
     '- Optimise your images (e.g. WebP) and provide alt text.',
-    '- Implement breadcrumbs and structured data for better search results.',
+    '- Add Article, Product or FAQPage structured data to the pages that have it.',
+    '- Tune `public/robots.txt` through the `robots` section of',
+    '  vite-seo-bootstrap.config.json (per-crawler rules, crawl-delay, extra',
+    '  sitemaps, `blockAiCrawlers`); rules you add by hand are kept.',
     '- Monitor your site via Google Search Console.',
     '',
     '---',
     '',
     'Generated by **vite-seo-bootstrap**.'
   ].join('\n');
-  await fs.writeFile(target, guide, 'utf8');
-  console.log('· Wrote SEO_GUIDE.md');
-}
-
-/**
- * Write common dotfiles (.env and .gitignore) to the project root if they
- * do not already exist.  The .env file contains a placeholder for the base
- * URL; the .gitignore excludes node_modules, dist output and environment
- * files.  Users may modify these as needed.
- *
- * @param {Object} opts
- * @param {string} opts.projectRoot
- * @param {string} opts.domain
- */
-async function ensureDotFiles({ projectRoot, domain }) {
-  const envPath = path.join(projectRoot, '.env');
-  try {
-    await fs.access(envPath);
-  } catch {
-    const baseUrl = domain.replace(/\/$/, '');
-    const envContents = `# Base URL for your site\nVITE_BASE_URL=${baseUrl}`;
-    await fs.writeFile(envPath, envContents, 'utf8');
-    console.log('· Wrote .env with VITE_BASE_URL');
+  if (await changes.writeGenerated(target, guide)) {
+    changes.log('Wrote SEO_GUIDE.md');
   }
-  const gitignorePath = path.join(projectRoot, '.gitignore');
-  try {
-    await fs.access(gitignorePath);
-  } catch {
-    const gitignore = `# dependencies\nnode_modules\n\n# build output\ndist\n\n# environment files\n.env\n\n# system files\n.DS_Store\n`;
-    await fs.writeFile(gitignorePath, gitignore, 'utf8');
-    console.log('· Wrote .gitignore');
-  }
-}
\ No newline at end of file
+}
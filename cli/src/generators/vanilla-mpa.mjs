@@ -0,0 +1,275 @@
+// Multi-page output for framework-free Vite sites. Every page is a real
+// HTML entry point: the ones already in the project are kept, and routes
+// without a file (seo.config entries, pages expanded from dynamic routes)
+// get one generated from a template, index.html unless the project config
+// sets `pageTemplate`. All pages are listed in build.rollupOptions.input
+// and a small Vite plugin writes each page's head from seo.config at
+// build time, so the HTML sources stay as the authors wrote them.
+
+import path from 'path';
+import { editViteConfig, UnsafeConfigError } from '../vite-config.mjs';
+import { ensureSitemapHelper, ensureMetaResolver, ensureSchemaBuilders, ensureRobotsTxt, ensureRobotsGuard, ensureDotFiles } from './common.mjs';
+import { localizeRoutes } from '../locales.mjs';
+import { resolveProjectPath } from '../config.mjs';
+
+/**
+ * Apply the multi-page bootstrap to a framework-free Vite project.
+ *
+ * @param {Object} opts
+ * @param {string} opts.projectRoot Absolute path to the project root
+ * @param {string} opts.domain Base URL used in sitemap and canonical tags
+ * @param {string[]} [opts.routes] Concrete paths to build a page for
+ * @param {{ path: string, file: string }[]} [opts.pages] HTML pages found in the project
+ * @param {Object} [opts.seoMeta] Contents of the project's seo.config file
+ * @param {string} [opts.seoMetaFile] The project's seo.config file, relative to the root
+ * @param {string} [opts.template] HTML file new pages are copied from, inside the project
+ * @param {{ locales: string[], defaultLocale: string }|null} [opts.locales] Site languages; seo.config
+ *   routes then get a page per language
+ * @param {Object} [opts.robots] The `robots` section of the project config
+ * @param {import('../changeset.mjs').ChangeSet} opts.changes Change set that receives every write
+ * @throws {import('../config.mjs').ConfigPathError} When the template is outside the project
+ */
+export async function applyVanillaMpa({
+  projectRoot,
+  domain,
+  routes = ['/'],
+  pages = [],
+  seoMeta = {},
+  seoMetaFile = 'seo.config.json',
+  template = 'index.html',
+  locales = null,
+  robots,
+  changes
+}) {
+  // Static routes listed in seo.config get a page too, in every language
+  let configured = Object.keys(seoMeta.routes || {}).filter(route => !/[:*]/.test(route));
+  if (locales) configured = localizeRoutes(configured, locales);
+  const allRoutes = Array.from(new Set([...routes, ...configured])).sort();
+
+  await ensureSitemapHelper({ projectRoot, domain, changes });
+  await ensureMetaResolver({ projectRoot, changes });
+  await ensureSchemaBuilders({ projectRoot, changes });
+  await ensureHtmlMetaPlugin({ projectRoot, seoMetaFile, changes });
+  await ensureRobotsTxt({ projectRoot, domain, robots, changes });
+  await ensureRobotsGuard({ projectRoot, changes });
+  const entries = await ensurePages({ projectRoot, routes: allRoutes, pages, template, changes });
+  await updateViteConfig({ projectRoot, entries, changes });
+  await ensureDotFiles({ projectRoot, domain, changes });
+}
+
+/**
+ * Create src/seo/html-meta.ts, a Vite plugin that writes the canonical,
+ * robots, social, hreflang and JSON-LD tags and the <html lang> of every
+ * HTML page from seo.config, and its title and description when the
+ * route's entry sets them.
+ *
+ * @param {Object} opts
+ */
+async function ensureHtmlMetaPlugin({ projectRoot, seoMetaFile, changes }) {
+  const target = path.join(projectRoot, 'src', 'seo', 'html-meta.ts');
+  const contents = `import type { HtmlTagDescriptor, Plugin } from 'vite';
+import { metaFor, type SeoConfig } from './meta';
+import seoConfig from '../../${seoMetaFile}';
+
+// /about.html and /about/index.html are both served as /about
+function routeFor(htmlPath: string): string {
+  const route = htmlPath.replace(/(^|\\/)index\\.html$/, '$1').replace(/\\.html$/, '').replace(/\\/$/, '');
+  return route.startsWith('/') ? route || '/' : '/' + route;
+}
+
+const decode = (value: string) =>
+  value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+const escape = (value: string) =>
+  value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeRegExp = (value: string) => value.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&');
+
+/**
+ * Writes each page's head from seo.config at build (and dev) time. A
+ * page's own <title> and description are kept unless its seo.config
+ * entry sets them; the site defaults only fill in what the page lacks.
+ */
+export function seoMeta(config: SeoConfig = seoConfig as SeoConfig): Plugin {
+  return {
+    name: 'vite-seo-bootstrap:html-meta',
+    transformIndexHtml(html, ctx) {
+      const route = routeFor(ctx.path);
+      const resolved = metaFor(config, route);
+      const own = metaFor({ ...config, defaults: {} }, route);
+      const pageTitle = html.match(/<title>([\\s\\S]*?)<\\/title>/i)?.[1].trim();
+      const pageDescription = html.match(/<meta[^>]*name=["']description["'][^>]*content=["']([^"']*)["']/i)?.[1];
+      const title = own.title || (pageTitle && decode(pageTitle)) || resolved.title;
+      const description = own.description || (pageDescription && decode(pageDescription)) || resolved.description;
+      const { canonical, image, robots, schemaMarkup, lang, alternates } = resolved;
+
+      const meta: Record<string, string | undefined> = {
+        description,
+        robots,
+        'og:title': title,
+        'og:description': description,
+        'og:url': canonical,
+        'og:image': image,
+        'twitter:card': image ? 'summary_large_image' : 'summary',
+        'twitter:title': title,
+        'twitter:description': description,
+        'twitter:image': image
+      };
+      const tags: HtmlTagDescriptor[] = [];
+      for (const [name, content] of Object.entries(meta)) {
+        if (!content) continue;
+        const attr = name.startsWith('og:') ? 'property' : 'name';
+        html = html.replace(new RegExp(\`<meta[^>]*\${attr}=["']\${escapeRegExp(name)}["'][^>]*>\\\\s*\`, 'gi'), '');
+        tags.push({ tag: 'meta', attrs: { [attr]: name, content: escape(content) }, injectTo: 'head' });
+      }
+      html = html.replace(/<link[^>]*rel=["']canonical["'][^>]*>\\s*/gi, '');
+      tags.push({ tag: 'link', attrs: { rel: 'canonical', href: escape(canonical) }, injectTo: 'head' });
+      if (alternates) {
+        html = html.replace(/<link[^>]*hreflang=[^>]*>\\s*/gi, '');
+        for (const { hreflang, href } of alternates) {
+          tags.push({ tag: 'link', attrs: { rel: 'alternate', hreflang, href: escape(href) }, injectTo: 'head' });
+        }
+      }
+      if (lang) {
+        html = /<html\\b[^>]*\\slang=/i.test(html)
+          ? html.replace(/(<html\\b[^>]*\\slang=)(["'])[^"']*\\2/i, (whole, start, quote) => \`\${start}\${quote}\${lang}\${quote}\`)
+          : html.replace(/<html\\b/i, \`<html lang="\${lang}"\`);
+      }
+      if (schemaMarkup) {
+        tags.push({
+          tag: 'script',
+          attrs: { type: 'application/ld+json' },
+          children: JSON.stringify(schemaMarkup).replace(/</g, '\\\\u003c'),
+          injectTo: 'head'
+        });
+      }
+      if (title) {
+        const element = \`<title>\${escape(title)}</title>\`;
+        html = /<title>[\\s\\S]*?<\\/title>/i.test(html)
+          ? html.replace(/<title>[\\s\\S]*?<\\/title>/i, () => element)
+          : html.replace(/<\\/head>/i, () => \`  \${element}\\n  </head>\`);
+      }
+      return { html, tags };
+    }
+  };
+}
+`;
+  if (await changes.writeGenerated(target, contents)) {
+    changes.log('Wrote src/seo/html-meta.ts');
+  }
+}
+
+// The file a route's generated page is written to
+function pageFile(route) {
+  return route === '/' ? 'index.html' : `${route.replace(/^\//, '')}/index.html`;
+}
+
+// Rollup input name for a page file: about.html -> about, blog/index.html -> blog/index
+function entryName(file) {
+  return file.replace(/\.html$/, '');
+}
+
+/**
+ * Generate an HTML page from the template for every route without one.
+ * Relative asset and link URLs in the template are made root-relative
+ * so they keep working from nested folders.
+ *
+ * @param {Object} opts
+ * @returns {Promise<string[]>} Every page file, relative to the project root
+ */
+async function ensurePages({ projectRoot, routes, pages, template, changes }) {
+  const files = new Map(pages.map(page => [page.path, page.file]));
+  const missing = routes.filter(route => !files.has(route));
+  // Refused outside the project even when no new page is needed
+  const templatePath = resolveProjectPath(projectRoot, template, 'pageTemplate');
+  if (missing.length) {
+    if (!(await changes.exists(templatePath))) {
+      changes.warn(`page template ${template} not found; no pages generated for ${missing.join(', ')}.`);
+    } else {
+      const base = path.posix.dirname(template.split(path.sep).join('/'));
+      const html = (await changes.readFile(templatePath)).replace(
+        /\b(src|href)=(["'])(?!\/|[a-z][\w+.-]*:|#|\2)([^"']+)\2/gi,
+        (whole, attr, quote, url) => `${attr}=${quote}/${path.posix.normalize(path.posix.join(base, url))}${quote}`
+      );
+      for (const route of missing) {
+        const file = pageFile(route);
+        await changes.writeFile(path.join(projectRoot, file), html);
+        files.set(route, file);
+      }
+      changes.log(`Generated ${missing.length} page(s) from ${template}`);
+    }
+  }
+  return Array.from(new Set(files.values())).sort();
+}
+
+/**
+ * Add the page inputs and the head plugin to the Vite config, editing an existing config through its syntax tree and falling
+ * back to a vite.config.seo.* side file when it can't.
+ *
+ * @param {Object} opts
+ */
+async function updateViteConfig({ projectRoot, entries, changes }) {
+  const tsConfig = path.join(projectRoot, 'vite.config.ts');
+  const jsConfig = path.join(projectRoot, 'vite.config.js');
+  const target = (await changes.exists(tsConfig)) ? tsConfig : jsConfig;
+  const relativeTarget = path.relative(projectRoot, target);
+  const pagesObject = `{\n  ${entries.map(file => `'${entryName(file)}': '${file}'`).join(',\n  ')}\n}`;
+
+  if (!(await changes.exists(target))) {
+    await changes.writeFile(target, viteConfigTemplate({ pagesObject }));
+    changes.log(`Wrote ${relativeTarget}`);
+    return;
+  }
+
+  const source = await changes.readFile(target);
+  try {
+    const { code, added } = editViteConfig(source, {
+      // The sitemap is now written after the build by `vite-seo-bootstrap sitemap`
+      removePlugins: ['vite-plugin-sitemap'],
+      declarations: [{ name: 'pages', code: pagesObject }],
+      plugins: [
+        { source: './src/seo/html-meta', local: 'seoMeta', named: true, code: 'seoMeta()' },
+        { source: './src/seo/robots', local: 'robotsGuard', named: true, code: 'robotsGuard()' }
+      ],
+      properties: [{ key: 'build.rollupOptions.input', code: 'pages' }]
+    });
+    await changes.writeFile(target, code);
+    changes.log(
+      added.length
+        ? `Updated ${relativeTarget} (added ${added.join(', ')})`
+        : `${relativeTarget} already contains the SEO settings`
+    );
+    if (!/\binput:\s*pages\b/.test(code)) {
+      changes.warn(`${relativeTarget} already sets build.rollupOptions.input; add the entries from \`pages\` to it so every page is built.`);
+    }
+  } catch (err) {
+    if (!(err instanceof UnsafeConfigError)) throw err;
+    const sideFile = path.join(projectRoot, relativeTarget.replace(/^vite\.config\./, 'vite.config.seo.'));
+    await changes.writeFile(sideFile, viteConfigTemplate({ pagesObject }));
+    changes.warn(
+      `could not safely edit ${relativeTarget} (${err.message}). ` +
+      `Wrote ${path.relative(projectRoot, sideFile)} with the recommended settings; merge it into your config manually.`
+    );
+  }
+}
+
+/**
+ * Full recommended multi-page configuration, used for projects without a
+ * config and as the side file when an existing config can't be edited.
+ */
+function viteConfigTemplate({ pagesObject }) {
+  return `import { defineConfig } from 'vite';
+import { seoMeta } from './src/seo/html-meta';
+import { robotsGuard } from './src/seo/robots';
+
+// One HTML entry point per page (multi-page build)
+const pages = ${pagesObject};
+
+export default defineConfig({
+  plugins: [seoMeta(), robotsGuard()],
+  build: {
+    rollupOptions: {
+      input: pages
+    }
+  }
+});
+`;
+}
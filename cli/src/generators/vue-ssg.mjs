@@ -0,0 +1,615 @@
+// Static site generation for Vite + Vue projects using vite-ssg.
+// vite-ssg builds the app from the project's own vue-router routes and
+// renders each one to HTML; @unhead/vue manages the <head> of every page
+// from seo.config. The router module is edited in place (routes exported,
+// history made SSR-safe) and a new src/main.ssg entry replaces the
+// client-only createApp().mount() entry in index.html.
+
+import path from 'path';
+import { parse } from '@babel/parser';
+import { editViteConfig, UnsafeConfigError } from '../vite-config.mjs';
+import { ensureSitemapHelper, ensureMetaResolver, ensureSchemaBuilders, ensureRobotsTxt, ensureRobotsGuard, ensureDotFiles } from './common.mjs';
+
+// @unhead/vue follows the major version vite-ssg itself depends on, so
+// useHead() in components and the SSG renderer share one head instance.
+const VUE_SSG_DEPENDENCIES = {
+  'vue-router': '^4.4.0',
+  '@unhead/vue': '^2.1.2'
+};
+const VUE_SSG_DEV_DEPENDENCIES = {
+  'vite-ssg': '^28.3.0'
+};
+const ROUTER_CANDIDATES = [
+  'src/router/index.ts', 'src/router/index.js', 'src/router.ts', 'src/router.js',
+  'src/routes.ts', 'src/routes.js'
+];
+const WEB_HISTORIES = new Set(['createWebHistory', 'createWebHashHistory']);
+
+/**
+ * Apply the Vue + vite-ssg bootstrap to the given project: dependencies
+ * and build script, the shared sitemap/meta/robots/env steps, an
+ * unhead-based head helper, the SSG entry and the Vite config settings.
+ *
+ * @param {Object} opts
+ * @param {string} opts.projectRoot Absolute path to the project root
+ * @param {Object} opts.pkg Parsed package.json (mutated as needed)
+ * @param {string} opts.domain Base URL used in sitemap and canonical tags
+ * @param {string[]} [opts.routes] Concrete paths to prerender
+ * @param {string} [opts.seoMetaFile] The project's seo.config file, relative to the root
+ * @param {{ locales: string[], defaultLocale: string }|null} [opts.locales] Site languages; the
+ *   router's routes are repeated under each non-default /<locale> prefix
+ * @param {Object} [opts.robots] The `robots` section of the project config
+ * @param {import('../changeset.mjs').ChangeSet} opts.changes Change set that receives every write
+ */
+export async function applyVueSsg({
+  projectRoot,
+  pkg,
+  domain,
+  routes = ['/'],
+  seoMetaFile = 'seo.config.json',
+  locales = null,
+  robots,
+  changes
+}) {
+  await updatePackageJson({ projectRoot, pkg, changes });
+  await ensureSitemapHelper({ projectRoot, domain, changes });
+  await ensureMetaResolver({ projectRoot, changes });
+  await ensureSchemaBuilders({ projectRoot, changes });
+  await ensureHeadHelper({ projectRoot, changes });
+  await ensureRobotsTxt({ projectRoot, domain, robots, changes });
+  await ensureRobotsGuard({ projectRoot, changes });
+  const main = await readMainEntry({ projectRoot, changes });
+  const router = await exportRouterRoutes({ projectRoot, routes, changes });
+  await writeSsgEntry({ projectRoot, main, router, seoMetaFile, locales, changes });
+  await updateViteConfig({ projectRoot, routes, changes });
+  await ensureDotFiles({ projectRoot, domain, changes });
+}
+
+/**
+ * Add vite-ssg and @unhead/vue, and build through
+ * `vite-ssg build` instead of `vite build`.
+ *
+ * @param {Object} opts
+ */
+async function updatePackageJson({ projectRoot, pkg, changes }) {
+  let updated = false;
+  pkg.dependencies = pkg.dependencies || {};
+  pkg.devDependencies = pkg.devDependencies || {};
+  pkg.scripts = pkg.scripts || {};
+  for (const [dep, version] of Object.entries(VUE_SSG_DEPENDENCIES)) {
+    if (!pkg.dependencies[dep] && !pkg.devDependencies[dep]) {
+      pkg.dependencies[dep] = version;
+      updated = true;
+    }
+  }
+  for (const [dep, version] of Object.entries(VUE_SSG_DEV_DEPENDENCIES)) {
+    if (!pkg.devDependencies[dep] && !pkg.dependencies[dep]) {
+      pkg.devDependencies[dep] = version;
+      updated = true;
+    }
+  }
+  // `vue-tsc -b && vite build` keeps its type check
+  const buildScript = pkg.scripts.build;
+  if (!buildScript) {
+    pkg.scripts.build = 'vite-ssg build';
+    updated = true;
+  } else if (/\bvite build\b/.test(buildScript)) {
+    pkg.scripts.build = buildScript.replace(/\bvite build\b/, 'vite-ssg build');
+    updated = true;
+  }
+  if (updated) {
+    await changes.writeFile(path.join(projectRoot, 'package.json'), JSON.stringify(pkg, null, 2));
+    changes.log('Updated package.json with vite-ssg, @unhead/vue and the SSG build script');
+  } else {
+    changes.log('package.json already contains required dependencies');
+  }
+}
+
+/**
+ * Create src/seo/head.ts, which turns the metaFor() result for a path
+ * into @unhead/vue input.
+ *
+ * @param {Object} opts
+ */
+async function ensureHeadHelper({ projectRoot, changes }) {
+  const target = path.join(projectRoot, 'src', 'seo', 'head.ts');
+  const contents = `import { metaFor, type SeoConfig } from './meta';
+
+/**
+ * Head tags for the given path (title, description, canonical, social
+ * cards, JSON-LD and, on multilingual sites, <html lang> and hreflang
+ * links), in the shape accepted by useHead() and head.push().
+ */
+export function headFor(config: SeoConfig, path: string) {
+  const { title, description, canonical, image, robots, schemaMarkup, lang, alternates = [] } = metaFor(config, path);
+  const meta = [
+    { name: 'description', content: description },
+    { property: 'og:title', content: title },
+    { property: 'og:description', content: description },
+    { property: 'og:url', content: canonical },
+    { name: 'twitter:card', content: image ? 'summary_large_image' : 'summary' },
+    { name: 'twitter:title', content: title },
+    { name: 'twitter:description', content: description }
+  ];
+  if (robots) meta.push({ name: 'robots', content: robots });
+  if (image) {
+    meta.push({ property: 'og:image', content: image }, { name: 'twitter:image', content: image });
+  }
+  return {
+    title,
+    htmlAttrs: lang ? { lang } : {},
+    meta,
+    link: [
+      { rel: 'canonical', href: canonical },
+      ...alternates.map(({ hreflang, href }) => ({ rel: 'alternate', hreflang, href }))
+    ],
+    script: schemaMarkup
+      ? [{ type: 'application/ld+json', innerHTML: JSON.stringify(schemaMarkup) }]
+      : []
+  };
+}
+`;
+  if (await changes.writeGenerated(target, contents)) {
+    changes.log('Wrote src/seo/head.ts');
+  }
+}
+
+function parseModule(source) {
+  return parse(source, { sourceType: 'module', plugins: ['typescript', 'jsx', 'topLevelAwait'] });
+}
+
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc' || key.endsWith('Comments')) continue;
+    if (Array.isArray(value)) value.forEach(child => walk(child, visit));
+    else if (value && typeof value.type === 'string') walk(value, visit);
+  }
+}
+
+function calleeName(node) {
+  return node?.type === 'CallExpression' && node.callee.type === 'Identifier' ? node.callee.name : undefined;
+}
+
+function findProperty(object, name) {
+  return object.properties.find(prop =>
+    prop.type === 'ObjectProperty' && !prop.computed
+    && (prop.key.name === name || prop.key.value === name));
+}
+
+// Apply text edits from the end of the file so earlier offsets stay valid
+function applyEdits(source, edits) {
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((code, edit) => code.slice(0, edit.start) + edit.text + code.slice(edit.end), source);
+}
+
+// Names the SSG entry declares itself: a plugin import under one of
+// them would clash
+const SSG_ENTRY_NAMES = new Set([
+  'ViteSSG', 'RouterView', 'RouteRecordRaw', 'App', 'routes', 'headFor', 'seoConfig',
+  'prefixed', 'localizedRoutes', 'app', 'router', 'head', 'entry'
+]);
+
+// Identifiers an expression reads, leaving out property names
+function referencedNames(node) {
+  const names = new Set();
+  const keys = new Set();
+  walk(node, child => {
+    if ((child.type === 'MemberExpression' || child.type === 'OptionalMemberExpression') && !child.computed) {
+      keys.add(child.property);
+    } else if ((child.type === 'ObjectProperty' || child.type === 'ObjectMethod') && !child.computed) {
+      keys.add(child.key);
+    } else if (child.type === 'Identifier' && !keys.has(child)) {
+      names.add(child.name);
+    }
+  });
+  return names;
+}
+
+/**
+ * Read the current client entry (the module script in index.html) to
+ * carry its App import, global CSS imports, mount container and the
+ * plugins it installs with app.use() over to the SSG entry. A use() whose
+ * arguments only read imports (`createPinia()`, `i18n`...) is moved with
+ * those imports; one that reads code declared in the entry is left in
+ * `unmoved` to be reported.
+ *
+ * @param {Object} opts
+ */
+async function readMainEntry({ projectRoot, changes }) {
+  const main = { file: undefined, app: './App.vue', sideEffects: [], rootContainer: '#app', plugins: [], unmoved: [] };
+  try {
+    const html = await changes.readFile(path.join(projectRoot, 'index.html'));
+    const match = html.match(/<script[^>]*src=["']\/?(src\/[^"']+)["']/i);
+    if (match && !/main\.ssg\./.test(match[1])) main.file = path.join(projectRoot, match[1]);
+  } catch { }
+  for (const candidate of ['src/main.ts', 'src/main.js']) {
+    if (main.file) break;
+    const file = path.join(projectRoot, candidate);
+    if (await changes.exists(file)) main.file = file;
+  }
+  if (!main.file || !(await changes.exists(main.file))) return main;
+
+  let source;
+  let ast;
+  try {
+    source = await changes.readFile(main.file);
+    ast = parseModule(source);
+  } catch {
+    return main;
+  }
+  const relativeToSrc = specifier => specifier.startsWith('.')
+    ? './' + path.relative(path.join(projectRoot, 'src'), path.resolve(path.dirname(main.file), specifier)).split(path.sep).join('/')
+    : specifier;
+  // Imported bindings, and names the entry declares itself
+  const imported = new Map();
+  const declared = new Set();
+  for (const statement of ast.program.body) {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration?.type === 'VariableDeclaration') {
+      declaration.declarations.forEach(d => referencedNames(d.id).forEach(name => declared.add(name)));
+    } else if (declaration?.id && /^(Function|Class)Declaration$/.test(declaration.type)) {
+      declared.add(declaration.id.name);
+    }
+    if (statement.type !== 'ImportDeclaration') continue;
+    const specifier = statement.source.value;
+    if (!statement.specifiers.length) {
+      main.sideEffects.push(relativeToSrc(specifier));
+    } else if (/\/App\.vue$/.test(specifier) && statement.specifiers[0].type === 'ImportDefaultSpecifier') {
+      main.app = relativeToSrc(specifier);
+    }
+    if (statement.importKind === 'type') continue;
+    for (const spec of statement.specifiers) {
+      if (spec.importKind === 'type') continue;
+      imported.set(spec.local.name, {
+        source: relativeToSrc(specifier),
+        local: spec.local.name,
+        name: spec.type === 'ImportDefaultSpecifier' ? 'default'
+          : spec.type === 'ImportNamespaceSpecifier' ? '*'
+            : spec.imported.name ?? spec.imported.value
+      });
+    }
+  }
+  walk(ast.program, node => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+    const method = node.callee.property.name;
+    const arg = node.arguments[0];
+    if (method === 'mount' && arg?.type === 'StringLiteral') {
+      main.rootContainer = arg.value;
+    } else if (method === 'use' && arg && !(arg.type === 'Identifier' && /router/i.test(arg.name))) {
+      const code = source.slice(arg.start, node.arguments[node.arguments.length - 1].end);
+      const names = [...referencedNames({ type: 'Arguments', arguments: node.arguments })];
+      const movable = names.every(name => !declared.has(name) && !(imported.has(name) && SSG_ENTRY_NAMES.has(name)));
+      if (movable) {
+        main.plugins.push({ start: node.callee.property.start, code, imports: names.filter(name => imported.has(name)).map(name => imported.get(name)) });
+      } else {
+        main.unmoved.push({ start: node.callee.property.start, code });
+      }
+    }
+  });
+  // The walk reaches the last call of a chain first: keep the install order
+  main.plugins.sort((a, b) => a.start - b.start);
+  main.unmoved = main.unmoved.sort((a, b) => a.start - b.start).map(use => use.code);
+  return main;
+}
+
+/**
+ * Make the project's vue-router routes importable by the SSG entry: the
+ * routes passed to createRouter() are exported (inline arrays are hoisted
+ * into `export const routes`) and a browser-only history is swapped for
+ * createMemoryHistory() during SSR, since the router module still runs
+ * on the server when the entry imports it. Without a router we write
+ * src/routes.ssg.ts with the detected paths.
+ *
+ * @param {Object} opts
+ * @returns {Promise<{ file: string, name: string }>} Module and export holding the routes
+ */
+async function exportRouterRoutes({ projectRoot, routes, changes }) {
+  for (const candidate of ROUTER_CANDIDATES) {
+    const file = path.join(projectRoot, candidate);
+    if (!(await changes.exists(file))) continue;
+    const source = await changes.readFile(file);
+    if (!/\bcreateRouter\s*\(/.test(source)) continue;
+    const relative = path.relative(projectRoot, file);
+    let result;
+    try {
+      result = editRouterModule(source, { typescript: file.endsWith('.ts') });
+    } catch (err) {
+      changes.warn(`could not parse ${relative} (${err.message}); using generated routes instead.`);
+      break;
+    }
+    if (!result) {
+      changes.warn(`could not find the routes passed to createRouter() in ${relative}; using generated routes instead.`);
+      break;
+    }
+    if (result.code !== source) {
+      await changes.writeFile(file, result.code);
+      changes.log(`Updated ${relative} to export its routes for vite-ssg`);
+    }
+    return { file, name: result.name };
+  }
+
+  const file = path.join(projectRoot, 'src', 'routes.ssg.ts');
+  const entries = routes
+    .filter(route => !/[:*]/.test(route))
+    .map(route => `  { path: '${route}', component: Page }`);
+  await changes.writeGenerated(file, `import type { RouteRecordRaw } from 'vue-router';
+
+// Detected pages for vite-ssg. App renders every page itself, so the
+// routes only tell vite-ssg which paths to prerender; give each one its
+// page component when you add vue-router.
+const Page = { render: () => null };
+
+export const routes: RouteRecordRaw[] = [
+${entries.join(',\n')}
+];
+`);
+  changes.warn('no vue-router setup found; wrote src/routes.ssg.ts with placeholder routes for the detected pages.');
+  return { file, name: 'routes' };
+}
+
+/**
+ * Edit the module calling createRouter({ routes }). Returns the new code
+ * and the exported name of the routes, or undefined when the routes are
+ * not a literal array or a local binding.
+ *
+ * @param {string} source
+ * @returns {{ code: string, name: string } | undefined}
+ */
+function editRouterModule(source, { typescript = false } = {}) {
+  const ast = parseModule(source);
+  const program = ast.program;
+  let call;
+  walk(program, node => {
+    if (!call && calleeName(node) === 'createRouter' && node.arguments[0]?.type === 'ObjectExpression'
+      && findProperty(node.arguments[0], 'routes')) {
+      call = node;
+    }
+  });
+  if (!call) return undefined;
+
+  const edits = [];
+  // Named imports to add to the vue-router import
+  const imports = [];
+  const options = call.arguments[0];
+  const routesProp = findProperty(options, 'routes');
+  let name;
+  if (routesProp.value.type === 'Identifier') {
+    name = routesProp.value.name;
+    const exported = program.body.some(statement => statement.type === 'ExportNamedDeclaration' && (
+      statement.declaration?.declarations?.some(d => d.id.name === name)
+      || statement.specifiers.some(s => (s.exported.name ?? s.exported.value) === name)));
+    if (!exported) {
+      edits.push({ start: source.length, end: source.length, text: `${source.endsWith('\n') ? '' : '\n'}\nexport { ${name} };\n` });
+    }
+  } else if (routesProp.value.type === 'ArrayExpression') {
+    name = 'routes';
+    const statement = program.body.find(s => s.start <= call.start && s.end >= call.end);
+    // Re-indent the hoisted array from the property's depth to the top level
+    const propertyIndent = source.slice(source.lastIndexOf('\n', routesProp.start) + 1, routesProp.start);
+    const array = source
+      .slice(routesProp.value.start, routesProp.value.end)
+      .split('\n')
+      .map((line, i) => (i > 0 && line.startsWith(propertyIndent) ? line.slice(propertyIndent.length) : line))
+      .join('\n');
+    const type = typescript ? ': RouteRecordRaw[]' : '';
+    const semicolon = /;\s*$/.test(source.slice(statement.start, statement.end)) ? ';' : '';
+    edits.push({ start: statement.start, end: statement.start, text: `export const routes${type} = ${array}${semicolon}\n\n` });
+    edits.push({ start: routesProp.start, end: routesProp.end, text: 'routes' });
+    if (typescript) imports.push('type RouteRecordRaw');
+  } else {
+    return undefined;
+  }
+
+  // createWebHistory() needs window; vite-ssg renders with memory history
+  const history = findProperty(options, 'history')?.value;
+  if (WEB_HISTORIES.has(calleeName(history))) {
+    const args = history.arguments.map(arg => source.slice(arg.start, arg.end)).join(', ');
+    edits.push({
+      start: history.start,
+      end: history.end,
+      text: `import.meta.env.SSR ? createMemoryHistory(${args}) : ${source.slice(history.start, history.end)}`
+    });
+    imports.push('createMemoryHistory');
+  }
+
+  const vueRouter = program.body.find(s => s.type === 'ImportDeclaration' && s.source.value === 'vue-router');
+  const named = vueRouter?.specifiers.filter(s => s.type === 'ImportSpecifier') ?? [];
+  const missing = imports.filter(spec => !named.some(s => s.local.name === spec.replace(/^type /, '')));
+  if (missing.length) {
+    const last = named[named.length - 1];
+    edits.push(last
+      ? { start: last.end, end: last.end, text: `, ${missing.join(', ')}` }
+      : { start: vueRouter?.start ?? 0, end: vueRouter?.start ?? 0, text: `import { ${missing.join(', ')} } from 'vue-router';\n` });
+  }
+  return { code: applyEdits(source, edits), name };
+}
+
+/**
+ * Write src/main.ssg.(ts|js), the entry vite-ssg renders from, and point
+ * index.html at it. Plugins installed with app.use() in the old entry
+ * are installed in the setup function, with their imports; those that
+ * depend on code in the old entry are reported instead.
+ *
+ * @param {Object} opts
+ */
+async function writeSsgEntry({ projectRoot, main, router, seoMetaFile, locales, changes }) {
+  const srcDir = path.join(projectRoot, 'src');
+  const ext = main.file && main.file.endsWith('.js') ? 'js' : 'ts';
+  const entryFile = path.join(srcDir, `main.ssg.${ext}`);
+  let routerImport = './' + path.relative(srcDir, router.file).split(path.sep).join('/').replace(/\.(ts|js)$/, '');
+  routerImport = routerImport.replace(/\/index$/, '');
+  const routesImport = router.name === 'routes' ? 'routes' : `${router.name} as routes`;
+
+  // The router's routes again under every non-default language prefix
+  // (/ca, /en): names are dropped, as they must stay unique, and paths
+  // become relative to the prefix
+  const prefixes = locales ? locales.locales.filter(locale => locale !== locales.defaultLocale) : [];
+  const typed = ext === 'ts';
+  const localized = prefixes.length
+    ? `
+const prefixed = (records${typed ? ': RouteRecordRaw[]' : ''})${typed ? ': RouteRecordRaw[]' : ''} =>
+  records.map(({ name, children, ...record }) => ({
+    ...record,
+    path: record.path.replace(/^\\//, ''),
+    ...(children ? { children: prefixed(children) } : {})
+  })${typed ? ' as RouteRecordRaw' : ''});
+const localizedRoutes = [
+  ...routes,
+  ...[${prefixes.map(locale => `'${locale}'`).join(', ')}].map((locale) => ({ path: \`/\${locale}\`, component: RouterView, children: prefixed(routes) }))
+];
+`
+    : '';
+
+  // Imports of the moved plugins, one statement per module
+  const pluginImports = new Map();
+  for (const binding of main.plugins.flatMap(plugin => plugin.imports)) {
+    if (!pluginImports.has(binding.source)) pluginImports.set(binding.source, new Map());
+    pluginImports.get(binding.source).set(binding.local, binding);
+  }
+  const importLines = [...pluginImports].flatMap(([source, bindings]) => {
+    const all = [...bindings.values()];
+    const byDefault = all.find(b => b.name === 'default');
+    const named = all.filter(b => b.name !== 'default' && b.name !== '*')
+      .map(b => b.name === b.local ? b.local : `${b.name} as ${b.local}`);
+    const clause = [byDefault?.local, named.length ? `{ ${named.join(', ')} }` : undefined].filter(Boolean).join(', ');
+    return [
+      ...(clause ? [`import ${clause} from '${source}';`] : []),
+      ...all.filter(b => b.name === '*').map(b => `import * as ${b.local} from '${source}';`)
+    ];
+  });
+  const pluginSetup = main.plugins.length
+    ? `
+    // Plugins installed by the old entry
+${main.plugins.map(plugin => `    app.use(${plugin.code});`).join('\n')}`
+    : '';
+
+  const contents = `import { ViteSSG } from 'vite-ssg';
+${localized ? `import { RouterView${typed ? ', type RouteRecordRaw' : ''} } from 'vue-router';\n` : ''}import App from '${main.app}';
+import { ${routesImport} } from '${routerImport}';
+import { headFor } from './seo/head';
+import seoConfig from '../${seoMetaFile}';
+${importLines.map(line => `${line}\n`).join('')}${main.sideEffects.map(specifier => `import '${specifier}';\n`).join('')}${localized}
+// Entry for vite-ssg: every route is rendered to HTML at build time and
+// hydrated on the client. Install Vue plugins (pinia, i18n...) in the
+// setup function below.
+export const createApp = ViteSSG(
+  App,
+  { routes${localized ? ': localizedRoutes' : ''}, base: import.meta.env.BASE_URL },
+  ({ ${main.plugins.length ? 'app, ' : ''}router, head }) => {${pluginSetup}
+    // Per-route <head> from seo.config, kept in sync on client navigation
+    const entry = head?.push(headFor(seoConfig, router.currentRoute.value.path));
+    router.afterEach((to) => entry?.patch(headFor(seoConfig, to.path)));${localized ? `
+    // Pages under /ca, /en... render in that language: switch the i18n
+    // library from a router.beforeEach hook, e.g.
+    // i18n.global.locale.value = headFor(seoConfig, to.path).htmlAttrs.lang` : ''}
+  },
+  { rootContainer: '${main.rootContainer}' }
+);
+`;
+  if (await changes.writeGenerated(entryFile, contents)) {
+    changes.log(`Wrote src/main.ssg.${ext}`);
+  }
+  if (main.plugins.length) {
+    changes.log(`Moved ${main.plugins.length} app.use() call(s) from ${path.relative(projectRoot, main.file)} into src/main.ssg.${ext}`);
+  }
+  if (main.unmoved.length) {
+    changes.warn(
+      `${path.relative(projectRoot, main.file)} installs ${main.unmoved.join(', ')} with app.use(), using code declared in that file; ` +
+      `move ${main.unmoved.length > 1 ? 'them' : 'it'} into the setup function in src/main.ssg.${ext}.`
+    );
+  }
+
+  const indexHtmlPath = path.join(projectRoot, 'index.html');
+  try {
+    const html = await changes.readFile(indexHtmlPath);
+    const updated = html.replace(
+      /(<script\b[^>]*src=["'])\/?src\/main[^"']*(["'])/i,
+      `$1/src/main.ssg.${ext}$2`
+    );
+    await changes.writeFile(indexHtmlPath, updated);
+    changes.log(`Updated index.html to use main.ssg.${ext}`);
+  } catch {
+    changes.log('Skipped index.html update (file not found)');
+  }
+}
+
+// Prerender the router's static paths plus the concrete pages expanded
+// from dynamic routes, which vite-ssg can't enumerate on its own
+const SSG_OPTIONS = `{
+  includedRoutes: (paths) =>
+    Array.from(new Set([...paths, ...routes.map((route) => route.path)])).filter((path) => !/[:*]/.test(path))
+}`;
+
+/**
+ * Add the prerender route list and vite-ssg's options to the Vite config, editing an existing config through its syntax tree
+ * and falling back to a vite.config.seo.* side file when it can't.
+ *
+ * @param {Object} opts
+ */
+async function updateViteConfig({ projectRoot, routes, changes }) {
+  const tsConfig = path.join(projectRoot, 'vite.config.ts');
+  const jsConfig = path.join(projectRoot, 'vite.config.js');
+  const target = (await changes.exists(tsConfig)) ? tsConfig : jsConfig;
+  const relativeTarget = path.relative(projectRoot, target);
+  const routesArray = `[\n  ${routes.map(r => `{ path: '${r}', name: '${r === '/' ? 'Home' : r.slice(1)}' }`).join(',\n  ')}\n]`;
+
+  if (!(await changes.exists(target))) {
+    await changes.writeFile(target, viteConfigTemplate({ routesArray }));
+    changes.log(`Wrote ${relativeTarget}`);
+    return;
+  }
+
+  const source = await changes.readFile(target);
+  try {
+    let { code, added } = editViteConfig(source, {
+      // The sitemap is now written after the build by `vite-seo-bootstrap sitemap`
+      removePlugins: ['vite-plugin-sitemap'],
+      declarations: [{ name: 'routes', code: routesArray }],
+      plugins: [{ source: './src/seo/robots', local: 'robotsGuard', named: true, code: 'robotsGuard()' }],
+      properties: [{ key: 'ssgOptions', code: SSG_OPTIONS }]
+    });
+    // ssgOptions is declared on Vite's UserConfig by vite-ssg's types
+    if (target.endsWith('.ts') && !/\bvite-ssg\b/.test(code)) {
+      code = `/// <reference types="vite-ssg" />\n${code}`;
+    }
+    await changes.writeFile(target, code);
+    changes.log(
+      added.length
+        ? `Updated ${relativeTarget} (added ${added.join(', ')})`
+        : `${relativeTarget} already contains the SEO settings`
+    );
+  } catch (err) {
+    if (!(err instanceof UnsafeConfigError)) throw err;
+    const sideFile = path.join(projectRoot, relativeTarget.replace(/^vite\.config\./, 'vite.config.seo.'));
+    await changes.writeFile(sideFile, viteConfigTemplate({ routesArray }));
+    changes.warn(
+      `could not safely edit ${relativeTarget} (${err.message}). ` +
+      `Wrote ${path.relative(projectRoot, sideFile)} with the recommended settings; merge it into your config manually.`
+    );
+  }
+}
+
+/**
+ * Full recommended Vite configuration for Vue, used for projects without
+ * a config and as the side file when an existing config can't be edited.
+ */
+function viteConfigTemplate({ routesArray }) {
+  const indent = (text, prefix) => text.split('\n').join('\n' + prefix);
+  return `/// <reference types="vite-ssg" />
+import { defineConfig } from 'vite';
+import vue from '@vitejs/plugin-vue';
+import { robotsGuard } from './src/seo/robots';
+
+// Pages to prerender, including the concrete pages generated from
+// dynamic routes.
+const routes = ${routesArray};
+
+export default defineConfig({
+  plugins: [vue(), robotsGuard()],
+  ssgOptions: ${indent(SSG_OPTIONS, '  ')}
+});
+`;
+}
@@ -0,0 +1,177 @@
+// Projects read straight from a git repository instead of a ZIP: a URL,
+// a file:// URL or the path of a local (possibly bare) repository, at a
+// branch, tag or commit. Only that commit is fetched, without history,
+// tags or submodules, and symbolic links are checked out as plain files so
+// nothing in the working tree points outside it. After the setup the
+// changes can be handed back as one commit, in a patch for `git am` or in
+// a bundle to fetch from.
+
+import { execFile } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_CLONE_TIMEOUT = 5 * 60 * 1000;
+
+// What the `git` command can hand back
+export const OUTPUT_FORMATS = ['zip', 'patch', 'bundle'];
+
+// Transports git may use, for the repository and anything it redirects
+// to; ext:: and fd:: would run commands
+const ALLOWED_PROTOCOLS = 'file:git:http:https:ssh';
+
+// Author and committer of the commit handed back
+const COMMIT_IDENTITY = { name: 'vite-seo-bootstrap', email: 'vite-seo-bootstrap@localhost' };
+
+/**
+ * Why a repository could not be read. `code` is one of:
+ *
+ *   GIT_SOURCE_INVALID  not a URL or path of a repository we can read
+ *   GIT_REF_NOT_FOUND   the branch, tag or commit does not exist
+ *   GIT_CLONE_FAILED    the fetch failed (network, authentication...)
+ *   GIT_CLONE_TIMEOUT   the fetch took longer than the timeout
+ */
+export class GitSourceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'GitSourceError';
+    this.code = code;
+  }
+}
+
+function git(cwd, args, { timeout = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd,
+      timeout,
+      killSignal: 'SIGKILL',
+      maxBuffer: 64 * 1024 * 1024,
+      // No credential prompts: they would hang waiting for a terminal
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_ALLOW_PROTOCOL: ALLOWED_PROTOCOLS }
+    }, (err, stdout, stderr) => {
+      if (err) {
+        err.stderr = stderr;
+        reject(err);
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * A repository URL without the user name and password it may carry, for
+ * the output.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function redactUrl(url) {
+  return url.replace(/^([a-z][a-z0-9+.-]*:\/\/)[^/@]*@/i, '$1');
+}
+
+/**
+ * Check a repository source and turn it into the URL git fetches from.
+ *
+ * @param {string} source A URL (https, http, ssh, git, file), an scp-like
+ *   `user@host:path`, or the path of a local repository
+ * @param {string} [cwd] Folder relative paths are resolved against
+ * @returns {{ url: string, local: boolean, name: string }} `local` for paths and
+ *   file:// URLs; `name` is the repository's name, for output files
+ * @throws {GitSourceError} GIT_SOURCE_INVALID
+ */
+export function parseRepositorySource(source, cwd = process.cwd()) {
+  const trimmed = typeof source === 'string' ? source.trim() : '';
+  // A leading dash would be read as an option, and `<transport>::` runs a
+  // remote helper
+  if (!trimmed || trimmed.startsWith('-') || /^[a-z][a-z0-9+.-]*::/i.test(trimmed)) {
+    throw new GitSourceError('GIT_SOURCE_INVALID', `"${source}" is not a repository URL or path.`);
+  }
+  const name = path.basename(trimmed.replace(/[/\\]+$/, '').replace(/^.*:/, ''), '.git') || 'repository';
+  const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(trimmed);
+  if (scheme) {
+    const protocol = scheme[1].toLowerCase();
+    if (!ALLOWED_PROTOCOLS.split(':').includes(protocol)) {
+      throw new GitSourceError('GIT_SOURCE_INVALID', `Unsupported repository URL scheme "${protocol}".`);
+    }
+    return { url: trimmed, local: protocol === 'file', name };
+  }
+  // [user@]host:path, like git: a colon before any slash (but not a
+  // Windows drive letter)
+  const colon = trimmed.indexOf(':');
+  const slash = trimmed.search(/[/\\]/);
+  if (colon > 1 && (slash === -1 || colon < slash)) {
+    return { url: trimmed, local: false, name };
+  }
+  const dir = path.resolve(cwd, trimmed);
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new GitSourceError('GIT_SOURCE_INVALID', `${dir} does not exist or is not a directory.`);
+  }
+  return { url: dir, local: true, name: path.basename(dir, '.git') };
+}
+
+/**
+ * Fetch one commit of a repository into an empty folder and check it out.
+ *
+ * @param {string} url As returned by parseRepositorySource()
+ * @param {string} destDir Existing, empty folder
+ * @param {Object} [opts]
+ * @param {string} [opts.ref] Branch, tag or commit (default: the repository's HEAD)
+ * @param {number} [opts.timeout] Limit of the fetch, in milliseconds
+ * @param {import('./reporter.mjs').Reporter} [opts.reporter]
+ * @returns {Promise<{ ref: string, commit: string }>}
+ * @throws {GitSourceError}
+ */
+export async function cloneRepository(url, destDir, { ref, timeout = DEFAULT_CLONE_TIMEOUT, reporter } = {}) {
+  const wanted = ref || 'HEAD';
+  if (wanted.startsWith('-') || /\s/.test(wanted)) {
+    throw new GitSourceError('GIT_REF_NOT_FOUND', `"${ref}" is not a branch, tag or commit name.`);
+  }
+  await git(destDir, ['init', '--quiet']);
+  // Symbolic links as plain files; identity for the commit handed back
+  await git(destDir, ['config', 'core.symlinks', 'false']);
+  await git(destDir, ['config', 'user.name', COMMIT_IDENTITY.name]);
+  await git(destDir, ['config', 'user.email', COMMIT_IDENTITY.email]);
+
+  reporter?.log(`Fetching ${wanted} from ${redactUrl(url)}...`);
+  try {
+    await git(destDir, ['fetch', '--quiet', '--depth=1', '--no-tags', '--no-recurse-submodules', '--', url, wanted], { timeout });
+  } catch (err) {
+    if (err.killed) {
+      throw new GitSourceError('GIT_CLONE_TIMEOUT', `Fetching the repository took more than ${Math.round(timeout / 1000)} s.`);
+    }
+    const lines = (err.stderr || err.message).trim().split('\n');
+    const detail = lines.find(line => line.startsWith('fatal:')) || lines.pop();
+    if (/couldn't find remote ref|not our ref|no such ref|unadvertised object/i.test(err.stderr || '')) {
+      throw new GitSourceError('GIT_REF_NOT_FOUND', `${wanted} was not found in the repository (${detail}).`);
+    }
+    throw new GitSourceError('GIT_CLONE_FAILED', `Could not fetch the repository: ${detail}`);
+  }
+  await git(destDir, ['checkout', '--quiet', '--detach', 'FETCH_HEAD']);
+  const commit = (await git(destDir, ['rev-parse', 'HEAD'])).trim();
+  reporter?.log(`Checked out ${wanted} at ${commit.slice(0, 7)}`);
+  return { ref: wanted, commit };
+}
+
+/**
+ * Write the checked-out commit as a patch `git am` applies.
+ *
+ * @param {string} repoDir
+ * @param {string} outputPath
+ */
+export async function writePatch(repoDir, outputPath) {
+  fs.writeFileSync(outputPath, await git(repoDir, ['format-patch', '-1', '--stdout', 'HEAD']));
+}
+
+/**
+ * Write `branch` as a bundle that needs only `base` in the receiving
+ * repository: `git fetch <bundle> <branch>:<branch>`.
+ *
+ * @param {string} repoDir
+ * @param {string} outputPath
+ * @param {Object} opts
+ * @param {string} opts.branch
+ * @param {string} opts.base The commit that was fetched
+ */
+export async function writeBundle(repoDir, outputPath, { branch, base }) {
+  await git(repoDir, ['bundle', 'create', '--quiet', path.resolve(outputPath), branch, `^${base}`]);
+}
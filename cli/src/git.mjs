@@ -0,0 +1,195 @@
+// Git integration of `apply` for local projects. When the project is in a
+// git repository the run refuses uncommitted changes (they would mix with
+// ours), switches to a new seo-bootstrap/<date> branch, and commits the
+// files it wrote with a message describing them, or only stages them.
+// Files matched by .gitignore (the generated .env) are never staged. A
+// run that fails before its commit goes back to the previous branch.
+
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+import { BACKUP_DIR } from './backup.mjs';
+
+const execFileAsync = promisify(execFile);
+
+export const BRANCH_PREFIX = 'seo-bootstrap/';
+
+/**
+ * The project has uncommitted changes and --allow-dirty was not given.
+ * `code` is GIT_DIRTY; `changes` holds the `git status --short` lines.
+ */
+export class DirtyTreeError extends Error {
+  constructor(changes) {
+    super(
+      `The git working tree has uncommitted changes:\n${changes.map(line => `  ${line}`).join('\n')}\n` +
+      'Commit or stash them, or re-run with --allow-dirty.'
+    );
+    this.name = 'DirtyTreeError';
+    this.code = 'GIT_DIRTY';
+    this.changes = changes;
+  }
+}
+
+async function git(cwd, args) {
+  const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 16 * 1024 * 1024 });
+  return stdout;
+}
+
+/**
+ * The repository the project belongs to.
+ *
+ * @param {string} projectRoot
+ * @returns {Promise<string|null>} Its top-level folder, or null when the project is not
+ *   in a repository (or git is not installed)
+ */
+export async function findRepository(projectRoot) {
+  try {
+    return (await git(projectRoot, ['rev-parse', '--show-toplevel'])).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Uncommitted changes inside the project folder, ignoring the backups of
+ * earlier runs.
+ *
+ * @param {string} projectRoot
+ * @returns {Promise<string[]>} `git status --short` lines
+ */
+export async function uncommittedChanges(projectRoot) {
+  const status = await git(projectRoot, ['status', '--porcelain', '--untracked-files=all', '--', '.']);
+  const backups = `${BACKUP_DIR.split(path.sep)[0]}/`;
+  return status
+    .split('\n')
+    .filter(line => line.trim() && !`/${line.slice(3)}`.includes(`/${backups}`));
+}
+
+/**
+ * Create a branch named after today's date and switch to it, keeping the
+ * working tree. A number is added when the name is taken.
+ *
+ * @param {string} projectRoot
+ * @param {Date} [date]
+ * @returns {Promise<{ branch: string, previous: string|null }>} The new branch and the one
+ *   the project was on (null on a detached HEAD)
+ */
+export async function createRunBranch(projectRoot, date = new Date()) {
+  // symbolic-ref also works in a repository without commits yet
+  const previous = await git(projectRoot, ['symbolic-ref', '--short', '-q', 'HEAD']).then(out => out.trim(), () => null);
+  const existing = new Set(
+    (await git(projectRoot, ['branch', '--list', '--format=%(refname:short)', `${BRANCH_PREFIX}*`]))
+      .split('\n')
+      .map(name => name.trim())
+  );
+  const base = BRANCH_PREFIX + date.toISOString().slice(0, 10);
+  let branch = base;
+  for (let n = 2; existing.has(branch); n++) branch = `${base}-${n}`;
+  await git(projectRoot, ['checkout', '-b', branch]);
+  return { branch, previous };
+}
+
+/**
+ * Leave the branch of a run that failed before committing: switch back
+ * to the branch (or detached commit) the project was on and delete it.
+ * Nothing was committed on it, so the working tree and the index, with
+ * whatever the run wrote, are kept as they are.
+ *
+ * @param {string} projectRoot
+ * @param {{ branch: string, previous: string|null }} run Result of createRunBranch()
+ */
+export async function leaveRunBranch(projectRoot, { branch, previous }) {
+  // symbolic-ref leaves the working tree alone, and works without commits
+  if (previous) {
+    await git(projectRoot, ['symbolic-ref', 'HEAD', `refs/heads/${previous}`]);
+  } else {
+    await git(projectRoot, ['checkout', '--quiet', '--detach']);
+  }
+  // In a repository without commits the branch was never created
+  await git(projectRoot, ['branch', '-D', branch]).catch(() => { });
+}
+
+/**
+ * Which of the given files have changes not staged yet, and whether they
+ * are new (untracked) or modified.
+ *
+ * @param {string} projectRoot
+ * @param {string[]} files Paths relative to the project
+ * @returns {Promise<{ path: string, action: 'create'|'modify' }[]>}
+ */
+export async function changedFiles(projectRoot, files) {
+  if (!files.length) return [];
+  const listed = await git(projectRoot, ['ls-files', '-t', '--modified', '--others', '--exclude-standard', '--', ...files]);
+  const changed = new Map();
+  for (const line of listed.split('\n').filter(Boolean)) {
+    const file = line.slice(2);
+    if (!changed.has(file)) changed.set(file, { path: file, action: line[0] === '?' ? 'create' : 'modify' });
+  }
+  return [...changed.values()];
+}
+
+/**
+ * The commit message of a run: a summary line, then the strategy, the
+ * routes found, the dependencies added and the files written.
+ *
+ * @param {Object} opts
+ * @param {string} opts.strategy
+ * @param {string[]} opts.routes
+ * @param {{ dependencies: Object[], devDependencies: Object[] }} opts.dependencies Plan.dependencies
+ * @param {{ path: string, action: 'create'|'modify' }[]} opts.files
+ * @returns {string}
+ */
+export function formatCommitMessage({ strategy, routes, dependencies, files }) {
+  const list = items => items.map(item => `- ${item}`);
+  const lines = ['Set up SEO metadata and prerendering with vite-seo-bootstrap', '', `Strategy: ${strategy}`];
+  if (routes.length) lines.push('', `Routes (${routes.length}):`, ...list(routes));
+  const added = [...dependencies.dependencies, ...dependencies.devDependencies.map(dep => ({ ...dep, dev: true }))]
+    .filter(dep => dep.to !== null)
+    .map(({ name, from, to, dev }) => `${name}@${to}${dev ? ' (dev)' : ''}${from ? ` (was ${from})` : ''}`);
+  if (added.length) lines.push('', 'Dependencies:', ...list(added));
+  const created = files.filter(file => file.action === 'create').map(file => file.path);
+  const modified = files.filter(file => file.action === 'modify').map(file => file.path);
+  if (created.length) lines.push('', 'Created:', ...list(created));
+  if (modified.length) lines.push('', 'Rewritten:', ...list(modified));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * The files matched by .gitignore (e.g. .env), which a run must not stage.
+ *
+ * @param {string} projectRoot
+ * @param {string[]} files Paths relative to the project
+ * @returns {Promise<string[]>}
+ */
+export async function ignoredFiles(projectRoot, files) {
+  try {
+    return (await git(projectRoot, ['check-ignore', '--', ...files])).split('\n').filter(Boolean);
+  } catch {
+    // check-ignore exits with 1 when no file is ignored
+    return [];
+  }
+}
+
+/**
+ * Stage the files written by a run and, unless `commit` is false, commit
+ * them.
+ *
+ * @param {string} projectRoot
+ * @param {Object} opts
+ * @param {string[]} opts.files Paths relative to the project, none of them ignored
+ * @param {string} opts.message Commit message
+ * @param {boolean} [opts.commit=true]
+ * @returns {Promise<string|null>} The new commit's hash, or null when only staged
+ */
+export async function commitRun(projectRoot, { files, message, commit = true }) {
+  if (!files.length) return null;
+  await git(projectRoot, ['add', '--', ...files]);
+  if (!commit) return null;
+  try {
+    // Only these paths: changes the user had staged (--allow-dirty) stay out
+    await git(projectRoot, ['commit', '--quiet', '-m', message, '--', ...files]);
+  } catch (err) {
+    throw new Error(`git commit failed: ${err.stderr?.trim() || err.message}`);
+  }
+  return (await git(projectRoot, ['rev-parse', 'HEAD'])).trim();
+}
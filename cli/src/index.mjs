@@ -1,93 +1,318 @@
-// Main entry point for the vite-seo-bootstrap library.
-// Exports a single async function `run` that performs all
-// modifications to the target Vite project. The goal of this module
-// is to be self‑contained, avoid external dependencies and provide
-// clear logging for the user.
+// Main entry point for the vite-seo-bootstrap library. The optimizer runs
+// in five stages, each exported on its own so tools can call it from Node
+// and look at the results in between:
+//
+//   const analysis = await analyze({ projectRoot, strategy: 'react' });
+//   const planned = await plan(analysis, { domain: 'https://example.com' });
+//   const applied = await apply(planned);
+//   const built = await build({ projectRoot, domain, config: analysis.config, auditDir });
+//   const packaged = await packageProject({ projectRoot, outputPath, distOnly: true });
+//
+// Stages don't print. They report progress as events (see reporter.mjs)
+// to the `events` EventEmitter or `onEvent` callback in their options,
+// and only print to the terminal, the way the CLI does, when given
+// neither. Failures reject with an Error (ConflictError when edited
+// generated files stop the run). `run` chains analyze, plan and apply.
 
 import fs from 'fs/promises';
 import path from 'path';
-import { applyReactSsgSeo } from './generators/react-ssg.mjs';
-
-// Simple helpers to colourise terminal output without external deps.
-const colours = {
-  reset: '\x1b[0m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  cyan: '\x1b[36m',
-  red: '\x1b[31m'
-};
-
-function colourise(str, colour) {
-  return colours[colour] + str + colours.reset;
-}
+import { ChangeSet, ConflictError } from './changeset.mjs';
+import { createBackup } from './backup.mjs';
+import { htmlPageRoutes } from './routes.mjs';
+import { loadProjectConfig } from './config.mjs';
+import { expandDynamicRoutes } from './dynamic-routes.mjs';
+import { scaffoldSeoMeta } from './seo-meta.mjs';
+import { detectLocales, resolveLocales, localizeRoutes, splitLocale } from './locales.mjs';
+import { AUTO_STRATEGY, loadStrategies, scoreStrategies } from './strategies.mjs';
+import { reporterFor } from './reporter.mjs';
+
+export { ChangeSet, ConflictError, CONFLICT_POLICIES, formatChangeSet } from './changeset.mjs';
+export { Reporter } from './reporter.mjs';
+export { AUTO_STRATEGY, BUNDLED_STRATEGIES, describeStrategies, loadStrategies, scoreStrategies } from './strategies.mjs';
+export { build, packageProject, packageProject as package } from './build.mjs';
+export { detectPackageManager } from './package-manager.mjs';
 
 /**
- * The main entry point invoked by the CLI. It performs a series of
- * sanity checks on the target project (e.g. existence of package.json),
- * infers whether it's a React project, and applies the React + SSG
- * presets. Logging is kept simple so it still works in environments
- * without TTY capabilities.
+ * Options every stage accepts for its progress events.
  *
- * @param {Object} options
+ * @typedef {Object} StageHooks
+ * @property {import('events').EventEmitter} [events] Receives each event under its type
+ * @property {(event: import('./reporter.mjs').OptimizerEvent) => void} [onEvent] Receives every event
+ * @property {import('./reporter.mjs').Reporter} [reporter] Reporter shared by several stages,
+ *   used instead of `events` and `onEvent`
+ */
+
+/**
+ * @typedef {Object} Analysis
+ * @property {string} projectRoot
+ * @property {string} strategy Id of the strategy to apply (the detected one with `auto`)
+ * @property {{ id: string, score: number }[]} strategyScores How well each strategy fits, best first
+ * @property {Map<string, import('./strategies.mjs').Strategy>} registry The strategies loaded for the
+ *   project, reused by `plan` so strategy modules from the project config are imported once
+ * @property {boolean} allowProjectCode
+ * @property {Object} packageJson The project's package.json
+ * @property {Object} config The project config
+ * @property {string|null} configFile Where the config was read from
+ * @property {{ locales: string[], defaultLocale: string }|null} locales Site languages
+ * @property {string|null} localesDetectedFrom Where the languages were found, when they were detected
+ * @property {string[]} routes Every page to prerender, dynamic routes expanded and per language
+ * @property {string[]} staticRoutes Routes without parameters, in the default language
+ * @property {{ path: string, file: string, line: number, kind: string, dynamic: boolean }[]} routeDetails
+ *   Routes found in the router setup, page files or HTML entry points
+ * @property {string[]} dynamicPatterns Dynamic route patterns, e.g. /blog/:slug
+ * @property {string[]} dynamicPaths Pages generated from the dynamic routes
+ * @property {string[]} warnings
+ */
+
+/**
+ * The `analyze` stage: read the project without changing it. Checks it
+ * is a Vite project with a package.json, loads its config, picks the
+ * strategy, finds its languages and routes, and expands its dynamic
+ * routes.
+ *
+ * @param {Object & StageHooks} options
  * @param {string} options.projectRoot Absolute path to the project root
+ * @param {string} [options.strategy='react'] Id of the strategy to apply (see strategies.mjs),
+ *   or 'auto' for the one that fits the project best
+ * @param {number} [options.maxDynamicRoutes] Cap on paths generated from dynamic routes
+ * @param {boolean} [options.allowProjectCode=true] Allow running JS from the project (config
+ *   .mjs, dynamic route modules). Disable for untrusted uploads.
+ * @param {string[]} [options.locales] Site languages; detected from the i18n setup when omitted
+ * @param {string} [options.defaultLocale] Language served without a URL prefix
+ * @returns {Promise<Analysis>}
+ * @throws {Error} When the project has no readable package.json or the strategy is unknown
+ */
+export async function analyze({
+  projectRoot,
+  strategy = 'react',
+  maxDynamicRoutes,
+  allowProjectCode = true,
+  locales,
+  defaultLocale,
+  ...hooks
+}) {
+  const reporter = reporterFor(hooks);
+  const warningsBefore = reporter.warnings.length;
+  return reporter.stage('analyze', async () => {
+    // Ensure package.json exists in the target directory
+    const pkgPath = path.join(projectRoot, 'package.json');
+    let pkg;
+    try {
+      const raw = await fs.readFile(pkgPath, 'utf8');
+      pkg = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(
+        `Could not read package.json from ${projectRoot}. Ensure you are pointing to the root of a Vite project.`
+      );
+    }
+
+    const { config, file: configFile } = await loadProjectConfig(projectRoot, { allowCode: allowProjectCode });
+
+    // Score every strategy against the project's dependencies: `auto`
+    // takes the best fit, an explicit choice reports what doesn't fit
+    const registry = await loadStrategies({ projectRoot, config, allowCode: allowProjectCode, reporter });
+    const project = { projectRoot, pkg, dependencies: { ...pkg.dependencies, ...pkg.devDependencies } };
+    const strategyScores = await scoreStrategies(registry, project);
+    let strategyId = strategy;
+    if (strategy === AUTO_STRATEGY) {
+      const [best] = strategyScores;
+      strategyId = best.score > 0 ? best.id : 'react';
+      reporter.log(`Strategy: ${strategyId} (detected, score ${best.score.toFixed(2)})`);
+    } else if (!registry.has(strategy)) {
+      throw new Error(`Unknown strategy "${strategy}". Use ${[...registry.keys(), AUTO_STRATEGY].join(', ')}.`);
+    }
+    const selected = registry.get(strategyId);
+    for (const warning of selected.warnings?.(project) || []) {
+      reporter.warn(warning);
+    }
+
+    const detectedLocales = await detectLocales(projectRoot, pkg);
+    const i18n = resolveLocales({ locales, defaultLocale, config, detected: detectedLocales });
+
+    const analysis = {
+      projectRoot,
+      strategy: strategyId,
+      strategyScores,
+      registry,
+      allowProjectCode,
+      packageJson: pkg,
+      config,
+      configFile: configFile || null,
+      locales: i18n,
+      localesDetectedFrom: i18n && !locales?.length && !config.locales ? detectedLocales.source : null,
+      routes: [],
+      staticRoutes: [],
+      routeDetails: [],
+      dynamicPatterns: [],
+      dynamicPaths: [],
+      warnings: []
+    };
+
+    // Strategies like preact's find their pages themselves and need no
+    // route list
+    if (selected.routeSource !== 'none') {
+      // Detect routes: the HTML entry points of a multi-page site, the
+      // router setup of a framework app, or the strategy's own lookup
+      let staticRoutes, routeDetails;
+      if (typeof selected.routeSource === 'function') {
+        ({ routes: staticRoutes, routeDetails = [] } = await selected.routeSource(projectRoot, { reporter }));
+      } else if (selected.routeSource === 'html') {
+        routeDetails = await htmlPageRoutes(projectRoot);
+        staticRoutes = Array.from(new Set(['/', ...routeDetails.map(r => r.path)])).sort();
+        reporter.log(`Detected pages: ${staticRoutes.join(', ')}`);
+      } else {
+        const { analyzeProject } = await import('./analyzer.mjs');
+        ({ routes: staticRoutes, routeDetails } = await analyzeProject(projectRoot, { reporter }));
+      }
+
+      // Turn /blog/:slug style routes into concrete pages using the
+      // parameter sources declared in the project config
+      const dynamicPaths = await expandDynamicRoutes({
+        projectRoot,
+        patterns: routeDetails.filter(r => r.dynamic).map(r => r.path),
+        sources: config.dynamicRoutes,
+        maxRoutes: maxDynamicRoutes ?? config.maxDynamicRoutes,
+        allowCode: allowProjectCode,
+        reporter
+      });
+      // Sorted so re-runs, which find the expanded paths as static routes
+      // in the generated routes.jsx, produce the same output
+      let routes = Array.from(new Set([...staticRoutes, ...dynamicPaths])).sort();
+      // Every page in every language: /about, /ca/about, /en/about
+      if (i18n) {
+        routes = localizeRoutes(routes, i18n);
+      }
+
+      // One seo.config.json entry per pattern for dynamic routes, leaving
+      // out catch-all 404 routes
+      const dynamicPatterns = [
+        ...routeDetails.filter(r => r.dynamic).map(r => r.path),
+        ...Object.keys(config.dynamicRoutes || {})
+      ].filter(pattern => !/^\/?\*$/.test(pattern));
+
+      Object.assign(analysis, { routes, routeDetails, dynamicPatterns, dynamicPaths, staticRoutes });
+    }
+
+    analysis.warnings = reporter.warnings.slice(warningsBefore);
+    return analysis;
+  });
+}
+
+/**
+ * @typedef {Object} Plan
+ * @property {ChangeSet} changes Every planned write, not yet on disk
+ * @property {{ path: string, action: 'create'|'modify' }[]} files Files that would change
+ * @property {{ dependencies: Object[], devDependencies: Object[], scripts: Object[] }} dependencies
+ *   package.json entries added, changed or removed, as `{ name, from, to }`
+ * @property {{ path: string, resolution: string }[]} conflicts Generated files the user had edited
+ * @property {string[]} warnings Warnings from the analysis and the plan
+ */
+
+/**
+ * The `plan` stage: run the analysed project's strategy and collect its
+ * writes in a ChangeSet. Nothing is written to disk.
+ *
+ * @param {Analysis} analysis Result of `analyze`
+ * @param {Object & StageHooks} options
  * @param {string} options.domain Base URL used for the sitemap and canonical URLs
+ * @param {'skip'|'overwrite'|'side-by-side'|'fail'} [options.onConflict='side-by-side'] What to do
+ *   with generated files edited since the last run
+ * @param {boolean} [options.backup=true] Whether `apply` will back up the files it touches; without
+ *   a backup, files the user wrote are never replaced outside the conflict policy
+ * @param {boolean} [options.dryRun=false] The plan will not be applied; progress messages say
+ *   "Would write" instead of "Wrote"
+ * @returns {Promise<Plan>}
+ * @throws {ConflictError} With `onConflict: 'fail'`, when generated files were edited
  */
-export async function run({ projectRoot, domain, strategy = 'react' }) {
-  console.log(colourise('\n🔧 Vite SEO Bootstrap', 'cyan'));
-  console.log('  Project:', projectRoot);
-  console.log('  Domain: ', domain);
-
-  // Ensure package.json exists in the target directory
-  const pkgPath = path.join(projectRoot, 'package.json');
-  let pkg;
-  try {
-    const raw = await fs.readFile(pkgPath, 'utf8');
-    pkg = JSON.parse(raw);
-  } catch (err) {
-    throw new Error(
-      `Could not read package.json from ${projectRoot}. Ensure you are pointing to the root of a Vite project.`
-    );
-  }
+export async function plan(analysis, { domain, onConflict = 'side-by-side', backup = true, dryRun = false, ...hooks }) {
+  const reporter = reporterFor(hooks);
+  const { projectRoot, strategy, registry, packageJson: pkg, config, locales: i18n, routes, routeDetails, allowProjectCode } = analysis;
+  return reporter.stage('plan', async () => {
+    const changes = new ChangeSet({ projectRoot, onConflict, reporter, keepsOriginals: backup, dryRun });
+    // The analysis warnings belong in the plan's report too
+    changes.warnings.push(...analysis.warnings);
 
-  // Determine whether this is a React or Preact project by inspecting dependencies
-  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
-  const usesReact = Boolean(
-    deps.react || deps['@vitejs/plugin-react'] || deps['@vitejs/plugin-react-swc']
-  );
-  const usesPreact = Boolean(
-    deps.preact || deps['@preact/preset-vite']
-  );
-
-  if (!usesReact && !usesPreact) {
-    console.log(
-      colourise(
-        'Warning: no React or Preact dependency detected. Proceeding with the React preset. You can ignore this if you plan to add React later.',
-        'yellow'
-      )
-    );
-  }
+    const selected = registry.get(strategy);
+    if (i18n && !selected.locales) {
+      changes.warn(`the ${strategy} strategy does not handle locales; only the default-locale pages are prerendered.`);
+    }
 
-  // Branch based on the selected strategy. When strategy is 'preact',
-  // we attempt to apply preact-specific prerender wiring. Otherwise we
-  // default to the react strategy.
-  try {
-    if (strategy === 'preact') {
-      const { applyPreactPrerender } = await import('./generators/preact-prerender.mjs');
-      await applyPreactPrerender({ projectRoot, pkg, domain });
-    } else {
-      // Analyze project to detect routes
-      const { analyzeProject } = await import('./analyzer.mjs');
-      const { routes } = await analyzeProject(projectRoot);
-
-      // Default to React SSG. First apply generic SEO bootstrap, then
-      // wire up SSG via vite-react-ssg.
-      await applyReactSsgSeo({ projectRoot, pkg, domain, routes });
-      const { applyReactSsgWiring } = await import('./generators/react-ssg-wiring.mjs');
-      await applyReactSsgWiring({ projectRoot, pkg, domain, routes });
+    // Per-route titles, descriptions, OG images and JSON-LD live in
+    // seo.config.json; scaffold an entry for every route found. Entries
+    // are shared by a route's language versions, so they are keyed by
+    // the unprefixed path
+    let seoMeta = null;
+    let seoMetaFile = null;
+    if (selected.routeSource !== 'none') {
+      const unprefixed = route => (i18n ? splitLocale(route, i18n).path : route);
+      ({ meta: seoMeta, file: seoMetaFile } = await scaffoldSeoMeta({
+        projectRoot,
+        routes: Array.from(new Set([...analysis.staticRoutes, ...analysis.dynamicPatterns].map(unprefixed))),
+        domain,
+        locales: i18n,
+        projectName: pkg.name || 'Your Vite App',
+        allowCode: allowProjectCode,
+        changes
+      }));
     }
-  } catch (err) {
-    throw err;
-  }
 
-  console.log(colourise('\n✅ SEO/SSG bootstrap completed. Please review the changes.', 'green'));
-}
\ No newline at end of file
+    await selected.apply({ projectRoot, pkg, domain, routes, routeDetails, seoMeta, seoMetaFile, locales: i18n, config, changes });
+
+    if (changes.conflicts.length && onConflict === 'fail') {
+      throw new ConflictError(
+        'Generated files were edited since the last run; nothing was written. ' +
+        'Merge them by hand or re-run with --on-conflict=skip|overwrite|side-by-side.',
+        changes.conflicts
+      );
+    }
+
+    return {
+      changes,
+      files: changes.changes.map(({ path: file, action }) => ({ path: file, action })),
+      dependencies: changes.packageChanges(),
+      conflicts: changes.conflicts,
+      warnings: changes.warnings
+    };
+  });
+}
+
+/**
+ * The `apply` stage: write a plan to disk, after saving the files it
+ * touches so `undo` can revert them.
+ *
+ * @param {Plan} planned Result of `plan`
+ * @param {Object & StageHooks} [options]
+ * @param {boolean} [options.backup=true] Snapshot touched files so `undo` can revert the run
+ * @returns {Promise<{ files: { path: string, action: 'create'|'modify' }[], backup: string|null }>}
+ *   The files written and the id of their backup
+ */
+export async function apply(planned, { backup = true, ...hooks } = {}) {
+  const reporter = reporterFor(hooks);
+  const { changes } = planned;
+  return reporter.stage('apply', async () => {
+    const files = changes.changes.map(({ path: file, action }) => ({ path: file, action }));
+    let saved = null;
+    if (backup && files.length) {
+      saved = await createBackup({ projectRoot: changes.projectRoot, files: changes.changes, reporter });
+    }
+    await changes.commit();
+    return { files, backup: saved ? saved.id : null };
+  });
+}
+
+/**
+ * Analyse, plan and (unless `dryRun`) apply in one call.
+ *
+ * @param {Object & StageHooks} options Options of `analyze`, `plan` and `apply`
+ * @param {boolean} [options.dryRun=false] Plan the changes without writing them
+ * @returns {Promise<ChangeSet>} The planned (and, unless dry-run, applied) changes
+ */
+export async function run({ domain, dryRun = false, backup = true, onConflict, ...options }) {
+  const reporter = reporterFor(options);
+  const analysis = await analyze({ ...options, reporter });
+  const planned = await plan(analysis, { domain, onConflict, backup, dryRun, reporter });
+  if (!dryRun) {
+    await apply(planned, { backup, reporter });
+  }
+  return planned.changes;
+}
@@ -0,0 +1,164 @@
+// Locales of multilingual sites. They come from the --locales and
+// --default-locale options, the project config (`locales`,
+// `defaultLocale`) or, failing both, the project's i18n setup: i18next
+// (or vue-i18n) translation files named after each language under
+// src/locales, public/locales and similar folders, with the default taken
+// from the `fallbackLng` / `lng` of the i18n module.
+//
+// Routes are expanded so the default locale keeps the unprefixed paths
+// and every other locale gets a /<locale> prefix: /about, /ca/about,
+// /en/about. The generated src/seo/meta.ts follows the same scheme.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const LOCALE_DIRS = ['src/locales', 'src/i18n/locales', 'src/i18n', 'src/lang', 'public/locales', 'locales'];
+export const I18N_MODULES = [
+  'src/i18n.ts', 'src/i18n.js', 'src/i18n/index.ts', 'src/i18n/index.js',
+  'src/i18n/config.ts', 'src/i18n/config.js'
+];
+const I18N_PACKAGES = ['i18next', 'react-i18next', 'i18next-vue', 'vue-i18n'];
+
+// BCP 47 language tags as used in URLs: es, ca, en-gb, pt-BR
+const LOCALE_RE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+export function isLocale(code) {
+  return LOCALE_RE.test(code);
+}
+
+/**
+ * Languages with translation files in the project: `<code>.json` files
+ * or `<code>/` folders holding JSON namespaces (i18next-http-backend).
+ */
+async function translationLocales(projectRoot) {
+  for (const dir of LOCALE_DIRS) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(projectRoot, dir), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    const found = [];
+    for (const entry of entries) {
+      if (entry.isFile() && /\.json$/.test(entry.name)) {
+        const code = entry.name.slice(0, -'.json'.length);
+        if (isLocale(code)) found.push(code);
+      } else if (entry.isDirectory() && isLocale(entry.name)) {
+        const files = await fs.readdir(path.join(projectRoot, dir, entry.name)).catch(() => []);
+        if (files.some(name => name.endsWith('.json'))) found.push(entry.name);
+      }
+    }
+    if (found.length) return { locales: found.sort(), dir };
+  }
+  return { locales: [], dir: null };
+}
+
+async function configuredDefault(projectRoot) {
+  for (const file of I18N_MODULES) {
+    let source;
+    try {
+      source = await fs.readFile(path.join(projectRoot, file), 'utf8');
+    } catch {
+      continue;
+    }
+    const match =
+      source.match(/\bfallbackLng\s*:\s*['"]([\w-]+)['"]/) ||
+      source.match(/\b(?:lng|locale)\s*:\s*['"]([\w-]+)['"]/);
+    if (match) return match[1];
+  }
+  return undefined;
+}
+
+/**
+ * Find the locales of the project's i18n setup, if any.
+ *
+ * @param {string} projectRoot Absolute path to the project root
+ * @param {Object} pkg Parsed package.json
+ * @returns {Promise<{ locales: string[], defaultLocale?: string, source?: string }>}
+ */
+export async function detectLocales(projectRoot, pkg) {
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const library = I18N_PACKAGES.find(name => deps[name]);
+  const { locales, dir } = await translationLocales(projectRoot);
+  if (!locales.length) return { locales: [] };
+  const defaultLocale = await configuredDefault(projectRoot);
+  return {
+    locales,
+    defaultLocale: locales.includes(defaultLocale) ? defaultLocale : undefined,
+    source: library ? `${library}, ${dir}` : dir
+  };
+}
+
+/**
+ * Settle the site's locales: command-line options first, then the project
+ * config, then what was detected. Detection alone needs at least two
+ * languages to treat the site as multilingual.
+ *
+ * @param {Object} opts
+ * @param {string[]} [opts.locales] From --locales
+ * @param {string} [opts.defaultLocale] From --default-locale
+ * @param {Object} [opts.config] Project config
+ * @param {{ locales: string[], defaultLocale?: string }} [opts.detected] Result of detectLocales
+ * @returns {{ locales: string[], defaultLocale: string }|null} null for single-language sites
+ * @throws {Error} When a locale code is invalid or the default isn't one of the locales
+ */
+export function resolveLocales({ locales, defaultLocale, config = {}, detected = { locales: [] } }) {
+  let list = locales?.length ? locales : config.locales;
+  let fallback;
+  if (!list?.length) {
+    if (detected.locales.length < 2) {
+      if (defaultLocale) {
+        throw new Error('--default-locale needs --locales (or `locales` in the project config).');
+      }
+      return null;
+    }
+    list = detected.locales;
+    fallback = detected.defaultLocale;
+  }
+  list = Array.from(new Set(list.map(code => String(code).trim()).filter(Boolean)));
+  const invalid = list.filter(code => !isLocale(code));
+  if (invalid.length) {
+    throw new Error(`Invalid locale code(s): ${invalid.join(', ')}. Use language tags such as es, ca or en-gb.`);
+  }
+  const chosen = defaultLocale || config.defaultLocale || fallback || list[0];
+  if (!list.includes(chosen)) {
+    throw new Error(`The default locale "${chosen}" is not one of the locales (${list.join(', ')}).`);
+  }
+  return { locales: list, defaultLocale: chosen };
+}
+
+/**
+ * The locale of a path and the path without its locale prefix.
+ */
+export function splitLocale(route, { locales, defaultLocale }) {
+  const [first, ...rest] = route.split('/').filter(Boolean);
+  if (first && first !== defaultLocale && locales.includes(first)) {
+    return { locale: first, path: '/' + rest.join('/') };
+  }
+  return { locale: defaultLocale, path: route };
+}
+
+/**
+ * The path of a route in the given locale.
+ */
+export function localePath(route, locale, { defaultLocale }) {
+  if (locale === defaultLocale) return route;
+  return route === '/' ? `/${locale}` : `/${locale}${route}`;
+}
+
+/**
+ * Every route in every locale. Routes that already carry a locale prefix
+ * (e.g. HTML pages under ca/) count as their unprefixed route.
+ *
+ * @param {string[]} routes
+ * @param {{ locales: string[], defaultLocale: string }} settings
+ * @returns {string[]}
+ */
+export function localizeRoutes(routes, settings) {
+  const bases = new Set(routes.map(route => splitLocale(route, settings).path));
+  const localized = [];
+  for (const route of bases) {
+    for (const locale of settings.locales) localized.push(localePath(route, locale, settings));
+  }
+  return Array.from(new Set(localized)).sort();
+}
@@ -0,0 +1,318 @@
+// Open Graph social cards, rendered after the build. Every indexable page
+// in `dist` without an og:image of its own gets a 1200x630 PNG under
+// dist/og/ drawn from an SVG template filled with the page's title and
+// description, the site name, the brand colours and the logo, and its
+// <head> gets the og:image, twitter:image and summary_large_image tags.
+//
+// The `og` section of the project config customises the cards:
+//
+//   "og": {
+//     "template": "og-template.svg",      // SVG file in the project
+//     "siteName": "My Site",
+//     "logo": "public/logo.svg",          // or a /path in the build
+//     "background": "#0f172a", "color": "#f8fafc", "accent": "#38bdf8",
+//     "fonts": ["assets/Brand-Bold.ttf"],  // extra .ttf/.otf files
+//     "exclude": ["/admin"]
+//   }
+//
+// and "og": false turns the step off. A project can also override the
+// template by dropping an og-template.svg at its root or in src/seo.
+//
+// Templates use {{name}} placeholders (title, description, siteName, logo,
+// host, url, background, color, accent) and {{#name}}…{{/name}} /
+// {{^name}}…{{/name}} sections shown when a value is set or missing. SVG
+// has no line wrapping, so a <text> holding only a placeholder and a
+// data-wrap="<width>" attribute is broken into lines (data-max-lines,
+// data-line-height). Fonts come from assets/fonts, never from the system,
+// so the cards look the same on every machine.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Resvg } from '@resvg/resvg-js';
+import { listHtmlFiles, routeForFile, scanHtml, isErrorPage } from './audit.mjs';
+import { siteDefaults } from './seo-meta.mjs';
+import { ConfigPathError, resolveProjectPath } from './config.mjs';
+import { Reporter } from './reporter.mjs';
+
+export const OG_SIZE = { width: 1200, height: 630 };
+export const OG_DIR = 'og';
+
+const ASSETS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'assets');
+const DEFAULT_TEMPLATE = path.join(ASSETS_DIR, 'og-template.svg');
+const BUNDLED_FONTS = ['Inter-Regular.ttf', 'Inter-Bold.ttf'].map(name => path.join(ASSETS_DIR, 'fonts', name));
+const TEMPLATE_FILES = ['og-template.svg', path.join('src', 'seo', 'og-template.svg')];
+const DEFAULT_COLOURS = { background: '#0f172a', color: '#f8fafc', accent: '#38bdf8' };
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.svg': 'image/svg+xml', '.webp': 'image/webp' };
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
+
+// A file given in the config, which must stay inside `root` (the
+// project, or the build output for a /path)
+function projectFile(root, value, setting, { rooted = false } = {}) {
+  try {
+    return resolveProjectPath(root, rooted ? `.${value}` : value, setting);
+  } catch (err) {
+    if (err instanceof ConfigPathError) throw new ConfigPathError(setting, value);
+    throw err;
+  }
+}
+
+// Rough advance widths of Inter, in em, good enough to wrap titles
+function textWidth(text, fontSize, bold) {
+  let em = 0;
+  for (const ch of text) {
+    if (ch === ' ') em += 0.28;
+    else if (/[iljtf.,:;'!|()[\]]/.test(ch)) em += 0.32;
+    else if (/[mwMW@]/.test(ch)) em += 0.88;
+    else if (/[A-Z]/.test(ch)) em += 0.68;
+    else if (/[0-9]/.test(ch)) em += 0.6;
+    else em += 0.56;
+  }
+  return em * fontSize * (bold ? 1.05 : 1);
+}
+
+/**
+ * Break text into at most `maxLines` lines of `width` pixels, ending the
+ * last one with an ellipsis when the text doesn't fit.
+ */
+function wrapText(text, { width, fontSize, bold, maxLines }) {
+  const words = text.replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+  const lines = [];
+  let current = '';
+  for (const word of words) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (!current || textWidth(candidate, fontSize, bold) <= width) {
+      current = candidate;
+      continue;
+    }
+    lines.push(current);
+    current = word;
+  }
+  if (current) lines.push(current);
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last && textWidth(`${last}…`, fontSize, bold) > width) last = last.slice(0, -1);
+  kept[maxLines - 1] = `${last.replace(/[\s,.;:]+$/, '')}…`;
+  return kept;
+}
+
+const attribute = (attrs, name) => attrs.match(new RegExp(`\\s${name}=["']([^"']*)["']`))?.[1];
+
+/**
+ * Fill an SVG template with the given values. External references are
+ * dropped (only data: URIs and #fragments are kept) so a template can't
+ * pull files from the machine rendering it.
+ *
+ * @param {string} template SVG source
+ * @param {Object<string, string>} fields Placeholder values
+ * @returns {string}
+ */
+export function fillTemplate(template, fields) {
+  let svg = template.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (whole, kind, name, inner) =>
+    Boolean(fields[name]) === (kind === '#') ? inner : ''
+  );
+  svg = svg.replace(/<text\b([^>]*)>\s*\{\{(\w+)\}\}\s*<\/text>/g, (whole, attrs, name) => {
+    const width = Number(attribute(attrs, 'data-wrap'));
+    if (!width) return whole;
+    const fontSize = Number(attribute(attrs, 'font-size')) || 16;
+    const lines = wrapText(String(fields[name] ?? ''), {
+      width,
+      fontSize,
+      bold: /^(bold|[6-9]00)$/.test(attribute(attrs, 'font-weight') || ''),
+      maxLines: Number(attribute(attrs, 'data-max-lines')) || 1
+    });
+    const x = attribute(attrs, 'x') || '0';
+    const lineHeight = fontSize * (Number(attribute(attrs, 'data-line-height')) || 1.2);
+    const tspans = lines.map((line, i) => `<tspan x="${x}" dy="${i ? lineHeight : 0}">${escapeXml(line)}</tspan>`);
+    return `<text${attrs.replace(/\sdata-[\w-]+=["'][^"']*["']/g, '')}>${tspans.join('')}</text>`;
+  });
+  svg = svg.replace(/\{\{(\w+)\}\}/g, (whole, name) => escapeXml(fields[name] ?? ''));
+  return svg.replace(/\s(xlink:)?href=(["'])(?!data:|#)[^"']*\2/g, '');
+}
+
+/**
+ * Render a filled SVG to a PNG of the Open Graph size.
+ *
+ * @param {string} svg
+ * @param {string[]} [fonts] Extra font files
+ * @returns {Buffer}
+ */
+export function renderOgImage(svg, fonts = []) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'width', value: OG_SIZE.width },
+    font: { fontFiles: [...BUNDLED_FONTS, ...fonts], loadSystemFonts: false, defaultFontFamily: 'Inter' }
+  });
+  return resvg.render().asPng();
+}
+
+async function readTemplate(projectRoot, settings) {
+  const candidates = settings.template ? [settings.template] : TEMPLATE_FILES;
+  for (const candidate of candidates) {
+    try {
+      return { svg: await fs.readFile(projectFile(projectRoot, candidate, 'og.template'), 'utf8'), file: candidate };
+    } catch (err) {
+      if (settings.template) {
+        throw err instanceof ConfigPathError ? err : new Error(`Could not read the Open Graph template ${candidate}: ${err.message}`);
+      }
+    }
+  }
+  return { svg: await fs.readFile(DEFAULT_TEMPLATE, 'utf8'), file: null };
+}
+
+/**
+ * The logo as a data: URI: `og.logo` from the project config, else the
+ * Organization logo of seo.config when it is a local path.
+ */
+async function readLogo({ projectRoot, distDir, settings, seoMeta, reporter }) {
+  const configured = settings.logo || seoMeta.schema?.organization?.logo;
+  if (typeof configured !== 'string' || !configured || configured.startsWith('TODO') || /^[a-z]+:/i.test(configured)) {
+    return undefined;
+  }
+  const setting = settings.logo ? 'og.logo' : 'seo.config schema.organization.logo';
+  const candidates = configured.startsWith('/')
+    ? [distDir, path.join(projectRoot, 'public')].map(root => projectFile(root, configured, setting, { rooted: true }))
+    : [projectFile(projectRoot, configured, setting)];
+  const type = IMAGE_TYPES[path.extname(configured).toLowerCase()];
+  if (!type) {
+    reporter.warn(`the Open Graph logo ${configured} is not a PNG, JPEG, WebP or SVG file; cards are drawn without it.`);
+    return undefined;
+  }
+  for (const file of candidates) {
+    try {
+      return `data:${type};base64,${(await fs.readFile(file)).toString('base64')}`;
+    } catch {
+      // Try the next location
+    }
+  }
+  reporter.warn(`the Open Graph logo ${configured} was not found; cards are drawn without it.`);
+  return undefined;
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// "About | My Site" -> "About"
+function pageTitle(title, siteName) {
+  if (!title) return siteName;
+  const match = title.match(/^(.+?)\s+[|–—·-]\s+(.+)$/);
+  return match && match[2].trim() === siteName ? match[1].trim() : title;
+}
+
+// dist/og/<route>.png, with the home page as index.png
+const imageFile = route => path.posix.join(OG_DIR, `${route === '/' ? 'index' : route.replace(/^\//, '')}.png`);
+
+/**
+ * Replace the page's image and card tags with the generated image.
+ */
+function injectImageTags(html, imageUrl, alt) {
+  const tags = [
+    ['property', 'og:image', imageUrl],
+    ['property', 'og:image:width', String(OG_SIZE.width)],
+    ['property', 'og:image:height', String(OG_SIZE.height)],
+    ['property', 'og:image:alt', alt],
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:image', imageUrl]
+  ];
+  let updated = html.replace(/[ \t]*<meta[^>]*(property|name)=["'](og:image(:\w+)?|twitter:image|twitter:card)["'][^>]*>\s*/gi, '');
+  const markup = tags.map(([attr, key, content]) => `<meta ${attr}="${key}" content="${escapeXml(content)}">`).join('\n    ');
+  updated = updated.replace(/<\/head>/i, () => `    ${markup}\n  </head>`);
+  return updated;
+}
+
+/**
+ * Render a card for every page of a build output folder that has no
+ * og:image and point the page's social tags at it.
+ *
+ * @param {Object} opts
+ * @param {string} opts.distDir Absolute path to the build output
+ * @param {string} opts.projectRoot Absolute path to the project the build came from
+ * @param {string} [opts.domain] Site URL; defaults to each page's canonical origin
+ * @param {Object} [opts.config] Project config; see the `og` section above
+ * @param {Reporter} [opts.reporter] Receives progress and warnings
+ * @returns {Promise<{ images: { route: string, file: string, url: string }[], kept: string[], skipped: string[] }>}
+ */
+export async function writeOgImages({ distDir, projectRoot, domain, config = {}, reporter = new Reporter() }) {
+  const result = { images: [], kept: [], skipped: [] };
+  if (config.og === false) return result;
+  reporter.log('Rendering Open Graph images...');
+  const stats = await fs.stat(distDir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Build output not found at ${distDir}. Run the build first.`);
+  }
+
+  const settings = config.og || {};
+  const pkg = await readJson(path.join(projectRoot, 'package.json'));
+  const seoMeta = await readJson(path.join(projectRoot, 'seo.config.json'));
+  const siteName = settings.siteName || siteDefaults(seoMeta, pkg.name || path.basename(projectRoot)).title;
+  const { svg: template, file: templateFile } = await readTemplate(projectRoot, settings);
+  const fonts = (settings.fonts || []).map((font, i) => projectFile(projectRoot, font, `og.fonts[${i}]`));
+  const logo = await readLogo({ projectRoot, distDir, settings, seoMeta, reporter });
+  const colours = {
+    background: settings.background || DEFAULT_COLOURS.background,
+    color: settings.color || DEFAULT_COLOURS.color,
+    accent: settings.accent || DEFAULT_COLOURS.accent
+  };
+  const excluded = settings.exclude || [];
+  if (templateFile) reporter.log(`  using ${templateFile}`);
+
+  for (const file of await listHtmlFiles(distDir)) {
+    const route = routeForFile(file);
+    if (isErrorPage(file)) continue;
+    const htmlPath = path.join(distDir, file);
+    const html = await fs.readFile(htmlPath, 'utf8');
+    const page = scanHtml(html);
+    if ((page.robots || '').includes('noindex') || excluded.some(rule => route === rule || route.startsWith(`${rule.replace(/\/$/, '')}/`))) {
+      result.skipped.push(route);
+      continue;
+    }
+    if (page.ogImage) {
+      result.kept.push(route);
+      continue;
+    }
+
+    let base;
+    try {
+      base = new URL(domain || page.canonical).origin;
+    } catch {
+      base = undefined;
+    }
+    const relative = imageFile(route);
+    const url = base ? `${base}/${encodeURI(relative)}` : `/${encodeURI(relative)}`;
+    const title = pageTitle(page.title, siteName);
+    const svg = fillTemplate(template, {
+      ...colours,
+      title,
+      description: page.description || '',
+      siteName,
+      logo,
+      url: base ? `${base}${route}` : route,
+      host: base ? new URL(base).host : ''
+    });
+    try {
+      const png = renderOgImage(svg, fonts);
+      await fs.mkdir(path.dirname(path.join(distDir, relative)), { recursive: true });
+      await fs.writeFile(path.join(distDir, relative), png);
+    } catch (err) {
+      reporter.warn(`could not render the Open Graph image of ${route} (${err.message}).`);
+      continue;
+    }
+    await fs.writeFile(htmlPath, injectImageTags(html, url, title));
+    result.images.push({ route, file: relative, url });
+  }
+
+  if (result.images.some(image => image.url.startsWith('/'))) {
+    reporter.warn('no site URL for some pages (pass --domain); their og:image is a relative URL, which social networks ignore.');
+  }
+  const kept = result.kept.length ? `; ${result.kept.length} page(s) kept their own image` : '';
+  reporter.log(`Wrote ${result.images.length} Open Graph image(s) to ${path.basename(distDir)}/${OG_DIR}${kept}`);
+  return result;
+}
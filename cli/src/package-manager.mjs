@@ -0,0 +1,225 @@
+// Which package manager installs and builds a project. The `packageManager`
+// field of package.json (the one Corepack reads) wins; otherwise the
+// lockfile the project ships decides, and a project without either gets
+// npm. The install is frozen when a lockfile is present, so the build uses
+// exactly the dependency tree the project was tested with, unless the
+// setup changed package.json: then the same tool updates the lockfile
+// instead of failing on it.
+
+import fs from 'fs';
+import path from 'path';
+
+// Lockfiles in the order they are checked when a project has several
+const LOCKFILES = [
+  { file: 'pnpm-lock.yaml', name: 'pnpm' },
+  { file: 'yarn.lock', name: 'yarn' },
+  { file: 'bun.lock', name: 'bun' },
+  { file: 'bun.lockb', name: 'bun' },
+  { file: 'package-lock.json', name: 'npm' },
+  { file: 'npm-shrinkwrap.json', name: 'npm' }
+];
+
+export const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+/**
+ * @typedef {Object} PackageManager
+ * @property {'npm'|'pnpm'|'yarn'|'bun'} name
+ * @property {string|null} version Version pinned by `packageManager`, if any
+ * @property {boolean} berry Yarn 2 or later, whose flags differ from Yarn 1
+ * @property {string|null} lockfile The project's lockfile for this tool, relative to the project
+ * @property {string} reason Why this tool was picked, for the output
+ */
+
+/**
+ * Yarn 2+ writes a `__metadata` block in yarn.lock and is configured by
+ * .yarnrc.yml; Yarn 1 has neither.
+ */
+function isYarnBerry(projectRoot, version) {
+  if (version) return Number.parseInt(version, 10) >= 2;
+  if (fs.existsSync(path.join(projectRoot, '.yarnrc.yml'))) return true;
+  try {
+    return fs.readFileSync(path.join(projectRoot, 'yarn.lock'), 'utf8').includes('__metadata:');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the package manager of a project.
+ *
+ * @param {string} projectRoot
+ * @param {Object} [opts]
+ * @param {Object} [opts.pkg] The project's package.json (read from disk if omitted)
+ * @param {import('./reporter.mjs').Reporter} [opts.reporter] Receives a warning when
+ *   lockfiles of different tools are found
+ * @returns {PackageManager}
+ */
+export function detectPackageManager(projectRoot, { pkg, reporter } = {}) {
+  if (!pkg) {
+    try {
+      pkg = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'));
+    } catch {
+      pkg = {};
+    }
+  }
+  const found = LOCKFILES.filter(({ file }) => fs.existsSync(path.join(projectRoot, file)));
+  const lockfileOf = name => found.find(lockfile => lockfile.name === name)?.file ?? null;
+
+  let name;
+  let version = null;
+  let reason;
+  const declared = typeof pkg.packageManager === 'string' ? /^(npm|pnpm|yarn|bun)@(\d[^+\s]*)/.exec(pkg.packageManager) : null;
+  if (declared) {
+    [, name, version] = declared;
+    reason = `"packageManager": "${pkg.packageManager}" in package.json`;
+  } else if (found.length) {
+    ({ name } = found[0]);
+    reason = `${found[0].file} found`;
+  } else {
+    name = 'npm';
+    reason = 'no lockfile or "packageManager" field found';
+  }
+  if (pkg.packageManager && !declared) {
+    reporter?.warn(`ignoring the unknown "packageManager": "${pkg.packageManager}" in package.json.`);
+  }
+
+  const others = Array.from(new Set(found.filter(lockfile => lockfile.name !== name).map(lockfile => lockfile.file)));
+  if (others.length) {
+    reporter?.warn(`${others.join(', ')} ignored: the project uses ${name} (${reason}). Delete stale lockfiles so every tool installs the same tree.`);
+  }
+
+  return {
+    name,
+    version,
+    berry: name === 'yarn' && isYarnBerry(projectRoot, version),
+    lockfile: lockfileOf(name),
+    reason
+  };
+}
+
+// On Windows the Node-based tools are .cmd shims that spawn cannot run
+// without their extension
+function executable(name) {
+  return process.platform === 'win32' && name !== 'bun' ? `${name}.cmd` : name;
+}
+
+/**
+ * @typedef {Object} PackageCommand
+ * @property {string} command Executable to spawn
+ * @property {string[]} args
+ * @property {Object<string, string>} env Variables added to the environment
+ * @property {string} display The command as shown to the user
+ * @property {string} reason Why these flags, for the output
+ */
+
+/**
+ * The command installing the project's dependencies.
+ *
+ * @param {PackageManager} manager
+ * @param {Object} [opts]
+ * @param {boolean} [opts.dependenciesChanged=false] package.json dependencies were changed
+ *   after the lockfile was written, so it must be updated
+ * @param {boolean} [opts.offline=false] Use only the local package cache
+ * @param {boolean} [opts.ignoreScripts=false] Don't run the lifecycle scripts of the
+ *   project and its dependencies
+ * @returns {PackageCommand}
+ * @throws {Error} When `offline` is set for a tool without an offline mode
+ */
+export function installCommand(manager, { dependenciesChanged = false, offline = false, ignoreScripts = false } = {}) {
+  const { name, berry, lockfile } = manager;
+  const frozen = Boolean(lockfile) && !dependenciesChanged;
+  let args;
+  const env = {};
+
+  if (name === 'npm') {
+    args = frozen ? ['ci'] : ['install'];
+    if (offline) args.push('--offline');
+  } else if (name === 'pnpm') {
+    // pnpm freezes the lockfile by default on CI: say which one we want
+    args = ['install', frozen ? '--frozen-lockfile' : '--no-frozen-lockfile'];
+    if (offline) args.push('--offline');
+  } else if (name === 'yarn' && berry) {
+    args = ['install'];
+    if (frozen) args.push('--immutable');
+    else env.YARN_ENABLE_IMMUTABLE_INSTALLS = 'false';
+    if (offline) env.YARN_ENABLE_NETWORK = 'false';
+  } else if (name === 'yarn') {
+    args = ['install'];
+    if (frozen) args.push('--frozen-lockfile');
+    if (offline) args.push('--offline');
+  } else {
+    if (offline) {
+      throw new Error('bun has no offline install mode; run without --offline.');
+    }
+    args = ['install'];
+    if (frozen) args.push('--frozen-lockfile');
+  }
+  if (ignoreScripts) {
+    // Yarn 2+ calls it skipping the build step
+    args.push(name === 'yarn' && berry ? '--mode=skip-build' : '--ignore-scripts');
+  }
+
+  let reason;
+  if (frozen) {
+    reason = `installing exactly what ${lockfile} lists`;
+  } else if (lockfile) {
+    reason = `the setup changed the dependencies, so ${lockfile} is updated`;
+  } else {
+    reason = 'no lockfile yet, one is created';
+  }
+  if (offline) reason += '; offline, from the local cache only';
+  if (ignoreScripts) reason += '; install scripts off';
+
+  const envPrefix = Object.entries(env).map(([key, value]) => `${key}=${value} `).join('');
+  return { command: executable(name), args, env, display: `${envPrefix}${name} ${args.join(' ')}`, reason };
+}
+
+/**
+ * The command building the project. Strategies declare their build as an
+ * npm command; `npm run <script>` runs the script with the project's own
+ * tool, other commands are run as they are.
+ *
+ * @param {PackageManager} manager
+ * @param {string[]} buildCommand The strategy's build command
+ * @returns {PackageCommand}
+ */
+export function buildCommand(manager, buildCommand) {
+  const [command, ...args] = buildCommand;
+  if (command === 'npm' && args[0] === 'run') {
+    return {
+      command: executable(manager.name),
+      args,
+      env: {},
+      display: `${manager.name} ${args.join(' ')}`,
+      reason: `the ${args[1]} script, run with ${manager.name}`
+    };
+  }
+  return {
+    command: command === 'npm' ? executable('npm') : command,
+    args,
+    env: {},
+    display: buildCommand.join(' '),
+    reason: 'the strategy\'s build command'
+  };
+}
+
+/**
+ * The command running the install scripts of the given packages only,
+ * after an install with `ignoreScripts`. Yarn 1 and bun have no such
+ * command; npm rebuilds their node_modules just as well.
+ *
+ * @param {PackageManager} manager
+ * @param {string[]} packages
+ * @returns {PackageCommand}
+ */
+export function rebuildCommand(manager, packages) {
+  const name = manager.name === 'pnpm' || (manager.name === 'yarn' && manager.berry) ? manager.name : 'npm';
+  const args = ['rebuild', ...packages];
+  return {
+    command: executable(name),
+    args,
+    env: {},
+    display: `${name} ${args.join(' ')}`,
+    reason: 'install scripts allowed for these packages'
+  };
+}
@@ -0,0 +1,116 @@
+// Progress reporting shared by every stage of the optimizer. Modules never
+// print directly: they report through a Reporter, which turns each message
+// into an event for the caller (an EventEmitter, a callback, or both).
+// A Reporter created without either prints to the terminal the way the CLI
+// always has, so library code called on its own still shows its progress.
+
+/**
+ * @typedef {'analyze'|'plan'|'apply'|'build'|'package'} StageName
+ *
+ * @typedef {{ type: 'stage', stage: StageName, status: 'start'|'end' }} StageEvent
+ *   A stage started or finished
+ * @typedef {{ type: 'step', step: string }} StepEvent
+ *   A step inside a stage started: extract, clone, install, compile,
+ *   og-images, sitemap or audit
+ * @typedef {{ type: 'log', message: string }} LogEvent
+ *   A progress message
+ * @typedef {{ type: 'warning', message: string }} WarningEvent
+ *   Something the user should look at that doesn't stop the run
+ * @typedef {{ type: 'output', stream: 'stdout'|'stderr', line: string }} OutputEvent
+ *   A line written by `npm install` or the project's build
+ *
+ * @typedef {StageEvent|StepEvent|LogEvent|WarningEvent|OutputEvent} OptimizerEvent
+ */
+
+export class Reporter {
+  /**
+   * @param {Object} [opts]
+   * @param {import('events').EventEmitter} [opts.events] Receives each event
+   *   under its type ('stage', 'step', 'log', 'warning', 'output')
+   * @param {(event: OptimizerEvent) => void} [opts.onEvent] Receives every event
+   */
+  constructor({ events, onEvent } = {}) {
+    this.events = events;
+    this.onEvent = onEvent;
+    // Every warning reported, for the stage results
+    this.warnings = [];
+  }
+
+  /**
+   * @param {OptimizerEvent} event
+   */
+  emit(event) {
+    if (!this.events && !this.onEvent) {
+      printEvent(event);
+      return;
+    }
+    this.events?.emit(event.type, event);
+    this.onEvent?.(event);
+  }
+
+  log(message) {
+    this.emit({ type: 'log', message });
+  }
+
+  warn(message) {
+    this.warnings.push(message);
+    this.emit({ type: 'warning', message });
+  }
+
+  step(step) {
+    this.emit({ type: 'step', step });
+  }
+
+  output(stream, line) {
+    this.emit({ type: 'output', stream, line });
+  }
+
+  /**
+   * Run `fn` as the given stage, with start and end events around it. The
+   * end event is sent even when the stage fails.
+   *
+   * @template T
+   * @param {StageName} stage
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async stage(stage, fn) {
+    this.emit({ type: 'stage', stage, status: 'start' });
+    try {
+      return await fn();
+    } finally {
+      this.emit({ type: 'stage', stage, status: 'end' });
+    }
+  }
+}
+
+/**
+ * Print an event the way the CLI shows it. Stage and step events have no
+ * text of their own: the log line that follows says what is happening.
+ * Messages starting with a space are details of the line before them and
+ * are printed as they are.
+ *
+ * @param {OptimizerEvent} event
+ * @param {import('stream').Writable} [out=process.stdout] Where progress goes; warnings
+ *   and the stderr of commands always go to stderr
+ */
+export function printEvent(event, out = process.stdout) {
+  if (event.type === 'log') {
+    out.write(`${event.message.startsWith(' ') ? event.message : `· ${event.message}`}\n`);
+  } else if (event.type === 'warning') {
+    process.stderr.write(`· Warning: ${event.message}\n`);
+  } else if (event.type === 'output') {
+    (event.stream === 'stderr' ? process.stderr : out).write(event.line + '\n');
+  }
+}
+
+/**
+ * The reporter a stage reports through: the one passed in, else one for
+ * the given listeners.
+ *
+ * @param {{ reporter?: Reporter, events?: import('events').EventEmitter, onEvent?: Function }} [opts]
+ * @returns {Reporter}
+ */
+export function reporterFor({ reporter, events, onEvent } = {}) {
+  return reporter || new Reporter({ events, onEvent });
+}
@@ -0,0 +1,155 @@
+// robots.txt built from the `robots` section of the project config and
+// merged into the file the project already has:
+//
+//   "robots": {
+//     "rules": [
+//       { "userAgent": "*", "allow": ["/"], "disallow": ["/admin"] },
+//       { "userAgent": ["Bingbot", "Yandex"], "crawlDelay": 10 }
+//     ],
+//     "blockAiCrawlers": true,
+//     "sitemaps": ["/sitemap.xml", "https://cdn.example.com/news-sitemap.xml"]
+//   }
+//
+// Existing groups, comments and directives are kept. A configured group
+// for the same user agents as an existing one adds its rules to it (a
+// path configured as allowed replaces the same path disallowed, and vice
+// versa) and sets its crawl-delay; other groups are appended. Without
+// configured rules an existing file keeps its groups as they are; the
+// default `Allow: /` only goes into a new file. The Sitemap lines the tool
+// writes follow a marker comment and are replaced on every run, so a new
+// domain doesn't leave the old URLs behind; the user's own are kept.
+
+// Crawlers that collect training data for AI models, blocked with
+// `blockAiCrawlers`. Regular search crawlers are not affected.
+export const AI_CRAWLERS = [
+  'GPTBot', 'ChatGPT-User', 'OAI-SearchBot', 'CCBot', 'Google-Extended', 'Applebot-Extended',
+  'anthropic-ai', 'ClaudeBot', 'Claude-Web', 'PerplexityBot', 'Bytespider', 'Amazonbot',
+  'Meta-ExternalAgent', 'FacebookBot', 'cohere-ai', 'Diffbot', 'ImagesiftBot', 'Omgilibot'
+];
+
+const DEFAULT_RULES = [{ userAgent: '*', allow: ['/'] }];
+
+const SITEMAP_MARKER = '# Sitemaps added by vite-seo-bootstrap';
+
+// The fixed file earlier versions wrote; replaced rather than merged
+const LEGACY_ROBOTS = /^User-agent: \*\nAllow: \/\n\nSitemap: \S+\/sitemap\.xml\n\nUser-agent: Googlebot\nDisallow: \/private\n?$/;
+
+/**
+ * Parse robots.txt into its groups, the sitemap URLs and the lines that
+ * come before the first group. Sitemaps listed under the tool's marker
+ * comment go to `ownSitemaps`.
+ *
+ * @param {string} text
+ * @returns {{ preamble: string[], groups: { agents: string[], lines: { key: string, value: string, raw: string }[] }[], sitemaps: string[], ownSitemaps: string[] }}
+ */
+export function parseRobots(text) {
+  const robots = { preamble: [], groups: [], sitemaps: [], ownSitemaps: [] };
+  let group = null;
+  let own = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line === SITEMAP_MARKER) {
+      own = true;
+      continue;
+    }
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*?)\s*(#.*)?$/);
+    const key = match && !line.startsWith('#') ? match[1].toLowerCase() : null;
+    if (key !== 'sitemap') own = false;
+    if (key === 'sitemap') {
+      (own ? robots.ownSitemaps : robots.sitemaps).push(match[2]);
+    } else if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!group || group.lines.length) {
+        group = { agents: [], lines: [] };
+        robots.groups.push(group);
+      }
+      group.agents.push(match[2]);
+    } else if (group) {
+      group.lines.push({ key, value: match ? match[2] : '', raw: line });
+    } else {
+      robots.preamble.push(line);
+    }
+  }
+  return robots;
+}
+
+export function formatRobots({ preamble, groups, sitemaps, ownSitemaps = [] }) {
+  const blocks = [];
+  if (preamble.length) blocks.push(preamble.join('\n'));
+  for (const { agents, lines } of groups) {
+    blocks.push([...agents.map(agent => `User-agent: ${agent}`), ...lines.map(line => line.raw)].join('\n'));
+  }
+  if (sitemaps.length) blocks.push(sitemaps.map(url => `Sitemap: ${url}`).join('\n'));
+  if (ownSitemaps.length) blocks.push([SITEMAP_MARKER, ...ownSitemaps.map(url => `Sitemap: ${url}`)].join('\n'));
+  return blocks.join('\n\n') + '\n';
+}
+
+const sameAgents = (a, b) =>
+  a.length === b.length && a.map(x => x.toLowerCase()).sort().join('\n') === b.map(x => x.toLowerCase()).sort().join('\n');
+
+function directive(key, value) {
+  const name = { allow: 'Allow', disallow: 'Disallow', 'crawl-delay': 'Crawl-delay' }[key];
+  return { key, value: String(value), raw: `${name}: ${value}` };
+}
+
+function mergeGroup(groups, agents, { allow = [], disallow = [], crawlDelay }) {
+  let group = groups.find(candidate => sameAgents(candidate.agents, agents));
+  if (!group) {
+    group = { agents, lines: [] };
+    groups.push(group);
+  }
+  for (const [key, paths] of [['allow', allow], ['disallow', disallow]]) {
+    const opposite = key === 'allow' ? 'disallow' : 'allow';
+    for (const rulePath of [].concat(paths)) {
+      group.lines = group.lines.filter(line => !(line.key === opposite && line.value === rulePath));
+      if (!group.lines.some(line => line.key === key && line.value === rulePath)) {
+        group.lines.push(directive(key, rulePath));
+      }
+    }
+  }
+  if (crawlDelay !== undefined) {
+    group.lines = group.lines.filter(line => line.key !== 'crawl-delay');
+    group.lines.push(directive('crawl-delay', crawlDelay));
+  }
+}
+
+/**
+ * Build the robots.txt for a site, merged into the existing file.
+ *
+ * @param {Object} opts
+ * @param {string} [opts.existing] Current robots.txt, if any
+ * @param {Object} [opts.settings] The `robots` section of the project config
+ * @param {string} opts.domain Site URL, for relative sitemap paths
+ * @returns {{ text: string, merged: boolean }} `merged` when rules already in the file were kept
+ * @throws {Error} When a rule has no user agent
+ */
+export function buildRobots({ existing, settings = {}, domain }) {
+  const baseUrl = domain.replace(/\/$/, '');
+  const keep = existing && existing.trim() && !LEGACY_ROBOTS.test(existing.replace(/\r\n/g, '\n'));
+  const robots = keep ? parseRobots(existing) : { preamble: [], groups: [], sitemaps: [], ownSitemaps: [] };
+
+  for (const rule of settings.rules || (keep ? [] : DEFAULT_RULES)) {
+    const agents = [].concat(rule.userAgent || []).map(String).filter(Boolean);
+    if (!agents.length) throw new Error('Every robots rule in the project config needs a userAgent.');
+    mergeGroup(robots.groups, agents, rule);
+  }
+  // The AI crawler group written by a previous run is rebuilt, or dropped
+  // once the setting is turned off
+  const isBlockGroup = group =>
+    group.lines.length === 1 && group.lines[0].key === 'disallow' && group.lines[0].value === '/' &&
+    group.agents.every(agent => AI_CRAWLERS.some(crawler => sameAgents([crawler], [agent])));
+  if (settings.blockAiCrawlers !== undefined) robots.groups = robots.groups.filter(group => !isBlockGroup(group));
+  if (settings.blockAiCrawlers) {
+    // Crawlers the project has its own rules for keep those rules
+    const listed = new Set(robots.groups.flatMap(group => group.agents).map(agent => agent.toLowerCase()));
+    const agents = AI_CRAWLERS.filter(agent => !listed.has(agent.toLowerCase()));
+    if (agents.length) mergeGroup(robots.groups, agents, { disallow: ['/'] });
+  }
+  robots.ownSitemaps = [];
+  for (const sitemap of settings.sitemaps || ['/sitemap.xml']) {
+    const url = sitemap.startsWith('/') ? baseUrl + sitemap : sitemap;
+    if (!robots.sitemaps.includes(url) && !robots.ownSitemaps.includes(url)) robots.ownSitemaps.push(url);
+  }
+  return { text: formatRobots(robots), merged: Boolean(keep) };
+}
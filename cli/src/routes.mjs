@@ -0,0 +1,608 @@
+// Parser-based route discovery. Starting from the app's entry file we
+// follow static and dynamic imports through the project, parse every
+// module and collect route definitions from:
+//
+//   - JSX <Route> trees (react-router, wouter), including nested and
+//     `index` routes, anywhere in the import graph;
+//   - route objects passed to createBrowserRouter / createHashRouter /
+//     createMemoryRouter / useRoutes / ViteReactSSG({ routes }), with
+//     `children`, `index: true`, `lazy` and arrays spread in from other
+//     modules;
+//   - vue-router's createRouter({ routes }) and vite-ssg's
+//     ViteSSG(App, { routes }), with Vue param syntax (`:id(\d+)`,
+//     `:pathMatch(.*)*`) normalised to `:id` and `*`;
+//   - TanStack Router code routes (createRoute + getParentRoute) and
+//     file routes (createFileRoute('/path')).
+//
+// Relative paths are resolved against their parents so every route is
+// reported as a full URL, together with the file and line it came from.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parse } from '@babel/parser';
+
+const SOURCE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.mjs'];
+const ENTRY_CANDIDATES = ['src/main.tsx', 'src/main.jsx', 'src/main.ts', 'src/main.js', 'src/index.tsx', 'src/index.jsx'];
+const FALLBACK_FILES = ['src/App.tsx', 'src/App.jsx', 'src/routes.tsx', 'src/routes.jsx', 'src/router.tsx', 'src/router.jsx'];
+const ROUTER_FACTORIES = new Set(['createBrowserRouter', 'createHashRouter', 'createMemoryRouter', 'createStaticRouter', 'useRoutes']);
+// Safety net for very large projects: we only need the routing modules
+const MAX_MODULES = 500;
+
+const NON_CHILD_KEYS = new Set([
+  'type', 'start', 'end', 'loc', 'range', 'extra',
+  'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visit(node) === false) return;
+  for (const key of Object.keys(node)) {
+    if (NON_CHILD_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visit));
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visit);
+    }
+  }
+}
+
+function unwrap(node) {
+  while (node && ['TSAsExpression', 'TSSatisfiesExpression', 'ParenthesizedExpression', 'TSNonNullExpression'].includes(node.type)) {
+    node = node.expression;
+  }
+  return node;
+}
+
+function propertyKey(prop) {
+  if (prop.type !== 'ObjectProperty' || prop.computed) return undefined;
+  if (prop.key.type === 'Identifier') return prop.key.name;
+  if (prop.key.type === 'StringLiteral') return prop.key.value;
+  return undefined;
+}
+
+function findProperty(object, name) {
+  return object.properties.find(prop => propertyKey(prop) === name);
+}
+
+/**
+ * Join a child route path onto its parent the way react-router does:
+ * absolute children replace the parent, relative ones are appended.
+ */
+export function joinRoutePath(parent, child) {
+  if (child === undefined || child === null) return parent;
+  const joined = child.startsWith('/') ? child : `${parent.replace(/\/$/, '')}/${child}`;
+  const normalised = ('/' + joined).replace(/\/{2,}/g, '/');
+  return normalised.length > 1 ? normalised.replace(/\/$/, '') : normalised;
+}
+
+function isDynamic(routePath) {
+  return routePath.includes(':') || routePath.includes('*');
+}
+
+// vue-router allows a custom regexp and repeat modifiers on params;
+// repeatable params and catch-alls become splats
+function fromVueRouterPath(routePath) {
+  return routePath
+    .split('/')
+    .map(segment => {
+      const match = segment.match(/^:(\w+)(?:\((.*)\))?([?*+])?$/);
+      if (!match) return segment;
+      const [, name, regexp, modifier] = match;
+      if (modifier === '*' || modifier === '+' || regexp === '.*') return '*';
+      return `:${name}${modifier === '?' ? '?' : ''}`;
+    })
+    .join('/');
+}
+
+// TanStack Router uses $param and a bare $ for splats
+function fromTanStackPath(routePath) {
+  return routePath
+    .split('/')
+    .map(segment => (segment === '$' ? '*' : segment.startsWith('$') ? ':' + segment.slice(1) : segment))
+    .join('/');
+}
+
+async function isFile(file) {
+  try {
+    return (await fs.stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve an import specifier to a file inside the project. Relative
+ * imports and the common `@/` and `~/` aliases for src/ are supported;
+ * packages are ignored.
+ */
+async function resolveImport(projectRoot, fromFile, specifier) {
+  let base;
+  if (specifier.startsWith('.')) {
+    base = path.resolve(path.dirname(fromFile), specifier);
+  } else if (specifier.startsWith('@/') || specifier.startsWith('~/')) {
+    base = path.join(projectRoot, 'src', specifier.slice(2));
+  } else if (specifier.startsWith('/src/')) {
+    base = path.join(projectRoot, specifier);
+  } else {
+    return undefined;
+  }
+  const candidates = [
+    base,
+    ...SOURCE_EXTENSIONS.map(ext => base + ext),
+    ...SOURCE_EXTENSIONS.map(ext => path.join(base, 'index' + ext))
+  ];
+  // `./routes.js` may actually be `./routes.ts` in TypeScript projects
+  if (/\.jsx?$/.test(base)) {
+    candidates.push(base.replace(/\.js(x?)$/, '.ts$1'));
+  }
+  for (const candidate of candidates) {
+    if (SOURCE_EXTENSIONS.includes(path.extname(candidate)) && await isFile(candidate)) {
+      return candidate;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Find the app entry: the module script referenced from index.html, or
+ * the usual src/main.* / src/index.* names.
+ */
+async function findEntry(projectRoot) {
+  try {
+    const html = await fs.readFile(path.join(projectRoot, 'index.html'), 'utf8');
+    const match = html.match(/<script[^>]*type=["']module["'][^>]*src=["']([^"']+)["']/i)
+      || html.match(/<script[^>]*src=["']([^"']+)["'][^>]*type=["']module["']/i);
+    if (match && !/^https?:/.test(match[1])) {
+      const file = path.join(projectRoot, match[1].replace(/^\//, ''));
+      if (await isFile(file)) return file;
+    }
+  } catch { }
+  for (const candidate of ENTRY_CANDIDATES) {
+    const file = path.join(projectRoot, candidate);
+    if (await isFile(file)) return file;
+  }
+  return undefined;
+}
+
+/**
+ * Parse every module reachable from the given files. Returns a map of
+ * absolute file path -> { ast, imports: Map<local, { file, imported }>,
+ * reexports, routeComponents }.
+ */
+async function loadModules(projectRoot, startFiles) {
+  const modules = new Map();
+  const queue = [...startFiles];
+  while (queue.length && modules.size < MAX_MODULES) {
+    const file = queue.shift();
+    if (modules.has(file)) continue;
+    let ast;
+    try {
+      const code = await fs.readFile(file, 'utf8');
+      ast = parse(code, {
+        sourceType: 'module',
+        errorRecovery: true,
+        // Plain .ts files can't contain JSX but may use `<T>value` casts
+        plugins: file.endsWith('.ts') ? ['typescript', 'topLevelAwait'] : ['typescript', 'jsx', 'topLevelAwait']
+      });
+    } catch {
+      modules.set(file, null);
+      continue;
+    }
+    const imports = new Map();
+    const reexports = [];
+    const specifiers = [];
+    // Local names of route components, e.g. `import { Route as R } from 'wouter'`
+    const routeComponents = new Set(['Route']);
+    walk(ast.program, node => {
+      if (node.type === 'ImportDeclaration') {
+        specifiers.push({ source: node.source.value, node });
+        for (const spec of node.specifiers) {
+          if (spec.type === 'ImportSpecifier' && (spec.imported.name ?? spec.imported.value) === 'Route') {
+            routeComponents.add(spec.local.name);
+          }
+        }
+      } else if ((node.type === 'ExportNamedDeclaration' || node.type === 'ExportAllDeclaration') && node.source) {
+        specifiers.push({ source: node.source.value, node });
+      } else if (node.type === 'ImportExpression' || (node.type === 'CallExpression' && node.callee.type === 'Import')) {
+        const arg = node.source || node.arguments[0];
+        if (arg?.type === 'StringLiteral') specifiers.push({ source: arg.value, node: null });
+      }
+    });
+    for (const { source, node } of specifiers) {
+      const resolved = await resolveImport(projectRoot, file, source);
+      if (!resolved) continue;
+      queue.push(resolved);
+      if (node?.type === 'ImportDeclaration') {
+        for (const spec of node.specifiers) {
+          const imported = spec.type === 'ImportDefaultSpecifier'
+            ? 'default'
+            : spec.type === 'ImportNamespaceSpecifier' ? '*' : (spec.imported.name ?? spec.imported.value);
+          imports.set(spec.local.name, { file: resolved, imported });
+        }
+      } else if (node) {
+        reexports.push({ node, file: resolved });
+      }
+    }
+    modules.set(file, { ast, imports, reexports, routeComponents });
+  }
+  return modules;
+}
+
+/**
+ * Cross-module binding resolution: find the expression a name refers to,
+ * following imports and re-exports.
+ */
+class Bindings {
+  constructor(modules) {
+    this.modules = modules;
+  }
+
+  topLevel(file, name) {
+    const mod = this.modules.get(file);
+    if (!mod) return undefined;
+    for (const statement of mod.ast.program.body) {
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (declaration?.type === 'VariableDeclaration') {
+        const found = declaration.declarations.find(d => d.id.type === 'Identifier' && d.id.name === name);
+        if (found) return { node: found.init, file };
+      }
+    }
+    const imported = mod.imports.get(name);
+    if (imported && imported.imported !== '*') return this.exported(imported.file, imported.imported);
+    return undefined;
+  }
+
+  exported(file, name, seen = new Set()) {
+    const key = `${file}#${name}`;
+    if (seen.has(key)) return undefined;
+    seen.add(key);
+    const mod = this.modules.get(file);
+    if (!mod) return undefined;
+    for (const statement of mod.ast.program.body) {
+      if (name === 'default' && statement.type === 'ExportDefaultDeclaration') {
+        const decl = statement.declaration;
+        if (decl.type === 'Identifier') return this.topLevel(file, decl.name);
+        return { node: decl, file };
+      }
+      if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+        const declaration = statement.declaration;
+        if (declaration?.type === 'VariableDeclaration') {
+          const found = declaration.declarations.find(d => d.id.type === 'Identifier' && d.id.name === name);
+          if (found) return { node: found.init, file };
+        } else if (declaration?.id?.name === name) {
+          return { node: declaration, file };
+        }
+        for (const spec of statement.specifiers || []) {
+          const exportedName = spec.exported.name ?? spec.exported.value;
+          if (exportedName === name) return this.topLevel(file, spec.local.name);
+        }
+      }
+    }
+    for (const { node, file: target } of mod.reexports) {
+      if (node.type === 'ExportAllDeclaration') {
+        const found = this.exported(target, name, seen);
+        if (found) return found;
+      } else {
+        for (const spec of node.specifiers || []) {
+          const exportedName = spec.exported.name ?? spec.exported.value;
+          if (exportedName === name) return this.exported(target, spec.local?.name ?? 'default', seen);
+        }
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Resolve an expression to its value node, looking through identifiers.
+   */
+  value(node, file, depth = 0) {
+    node = unwrap(node);
+    if (node?.type === 'Identifier' && depth < 10) {
+      const found = this.topLevel(file, node.name);
+      return found ? this.value(found.node, found.file, depth + 1) : { node: undefined, file };
+    }
+    if (node?.type === 'MemberExpression' && !node.computed && depth < 10) {
+      // `import * as paths from './paths'` then `paths.ABOUT`
+      const namespace = node.object.type === 'Identifier' && this.modules.get(file)?.imports.get(node.object.name);
+      if (namespace && namespace.imported === '*') {
+        const found = this.exported(namespace.file, node.property.name);
+        return found ? this.value(found.node, found.file, depth + 1) : { node: undefined, file };
+      }
+      const object = this.value(node.object, file, depth + 1);
+      if (object.node?.type === 'ObjectExpression') {
+        const prop = findProperty(object.node, node.property.name);
+        if (prop) return this.value(prop.value, object.file, depth + 1);
+      }
+      return { node: undefined, file };
+    }
+    return { node, file };
+  }
+
+  string(node, file) {
+    const { node: value } = this.value(node, file);
+    if (value?.type === 'StringLiteral') return value.value;
+    if (value?.type === 'TemplateLiteral' && !value.expressions.length) return value.quasis[0].value.cooked;
+    return undefined;
+  }
+}
+
+function jsxName(node) {
+  const name = node.openingElement?.name;
+  if (!name) return undefined;
+  if (name.type === 'JSXIdentifier') return name.name;
+  if (name.type === 'JSXMemberExpression') return name.property.name;
+  return undefined;
+}
+
+function jsxAttribute(element, name) {
+  return element.openingElement.attributes.find(a => a.type === 'JSXAttribute' && a.name.name === name);
+}
+
+/**
+ * Extract every route reachable from the project's entry file.
+ *
+ * @param {string} projectRoot Absolute path to the project root
+ * @returns {Promise<{ path: string, file: string, line: number, kind: string, dynamic: boolean }[]>}
+ */
+export async function extractRoutes(projectRoot) {
+  const entry = await findEntry(projectRoot);
+  const start = entry ? [entry] : [];
+  for (const candidate of FALLBACK_FILES) {
+    const file = path.join(projectRoot, candidate);
+    if (await isFile(file)) start.push(file);
+  }
+  const modules = await loadModules(projectRoot, start);
+  const bindings = new Bindings(modules);
+  const found = [];
+  const seenObjects = new Set();
+
+  const record = (routePath, file, node, kind) => {
+    found.push({
+      path: routePath,
+      file: path.relative(projectRoot, file).split(path.sep).join('/'),
+      line: node.loc?.start.line ?? 1,
+      kind,
+      dynamic: isDynamic(routePath)
+    });
+  };
+
+  // --- Route objects (data routers, useRoutes, vite-react-ssg, vue-router) ---
+  const visitRouteArray = (arrayNode, file, parentPath, kind = 'object') => {
+    const { node: array, file: arrayFile } = bindings.value(arrayNode, file);
+    if (array?.type !== 'ArrayExpression') return;
+    for (const element of array.elements) {
+      if (!element) continue;
+      if (element.type === 'SpreadElement') {
+        visitRouteArray(element.argument, arrayFile, parentPath, kind);
+        continue;
+      }
+      const { node: route, file: routeFile } = bindings.value(element, arrayFile);
+      if (route?.type !== 'ObjectExpression' || seenObjects.has(route)) continue;
+      seenObjects.add(route);
+      const pathProp = findProperty(route, 'path');
+      const indexProp = findProperty(route, 'index');
+      let routePath = pathProp ? bindings.string(pathProp.value, routeFile) : undefined;
+      if (routePath !== undefined && kind === 'vue-router') routePath = fromVueRouterPath(routePath);
+      const isIndex = unwrap(indexProp?.value)?.type === 'BooleanLiteral' && unwrap(indexProp.value).value;
+      // A route that only redirects renders no page of its own
+      const redirectOnly = findProperty(route, 'redirect')
+        && !['component', 'components', 'element', 'Component', 'lazy'].some(key => findProperty(route, key));
+      let fullPath = parentPath;
+      if (routePath !== undefined) {
+        fullPath = joinRoutePath(parentPath, routePath);
+        if (!redirectOnly) record(fullPath, routeFile, pathProp, kind);
+      } else if (isIndex) {
+        record(parentPath, routeFile, indexProp, kind);
+      }
+      const children = findProperty(route, 'children');
+      if (children) visitRouteArray(children.value, routeFile, fullPath, kind);
+    }
+  };
+
+  // --- JSX <Route> trees ---
+  const handledJsx = new Set();
+  const isRouteElement = (node, file) =>
+    node.type === 'JSXElement' && modules.get(file).routeComponents.has(jsxName(node));
+
+  const visitJsx = (node, file, parentPath) => {
+    if (!node) return;
+    if (isRouteElement(node, file)) {
+      handledJsx.add(node);
+      const pathAttr = jsxAttribute(node, 'path');
+      const indexAttr = jsxAttribute(node, 'index');
+      let routePath;
+      if (pathAttr?.value?.type === 'StringLiteral') {
+        routePath = pathAttr.value.value;
+      } else if (pathAttr?.value?.type === 'JSXExpressionContainer') {
+        routePath = bindings.string(pathAttr.value.expression, file);
+      }
+      let fullPath = parentPath;
+      if (routePath !== undefined) {
+        fullPath = joinRoutePath(parentPath, routePath);
+        record(fullPath, file, pathAttr, 'jsx');
+      } else if (indexAttr && (!indexAttr.value || indexAttr.value.expression?.value !== false)) {
+        record(parentPath, file, indexAttr, 'jsx');
+      }
+      for (const child of node.children) visitJsx(child, file, fullPath);
+      return;
+    }
+    if (node.type === 'JSXElement' || node.type === 'JSXFragment') {
+      for (const child of node.children) visitJsx(child, file, parentPath);
+    } else if (node.type === 'JSXExpressionContainer') {
+      visitJsx(node.expression, file, parentPath);
+    }
+  };
+
+  // --- TanStack Router ---
+  const tanstackPath = (callNode, file, depth = 0) => {
+    if (depth > 20) return '/';
+    const call = unwrap(callNode);
+    if (call?.type !== 'CallExpression') return '/';
+    const callee = call.callee.type === 'CallExpression' ? call.callee.callee : call.callee;
+    const name = callee.type === 'Identifier' ? callee.name : undefined;
+    if (name === 'createRootRoute' || name === 'createRootRouteWithContext') return '/';
+    const options = unwrap(call.arguments[0]);
+    if (name !== 'createRoute' || options?.type !== 'ObjectExpression') return '/';
+    let parentPath = '/';
+    const getParent = findProperty(options, 'getParentRoute');
+    const parentFn = unwrap(getParent?.value);
+    if (parentFn?.type === 'ArrowFunctionExpression' && parentFn.body.type !== 'BlockStatement') {
+      const parent = bindings.value(parentFn.body, file);
+      if (parent.node) parentPath = tanstackPath(parent.node, parent.file, depth + 1);
+    }
+    const pathProp = findProperty(options, 'path');
+    const routePath = pathProp ? bindings.string(pathProp.value, file) : undefined;
+    return routePath === undefined ? parentPath : joinRoutePath(parentPath, fromTanStackPath(routePath));
+  };
+
+  for (const [file, mod] of modules) {
+    if (!mod) continue;
+    walk(mod.ast.program, node => {
+      if (isRouteElement(node, file) && !handledJsx.has(node)) {
+        visitJsx(node, file, '/');
+        return false;
+      }
+      if (node.type !== 'CallExpression') return;
+      const callee = node.callee.type === 'Identifier' ? node.callee.name : undefined;
+      if (ROUTER_FACTORIES.has(callee) && node.arguments[0]) {
+        visitRouteArray(node.arguments[0], file, '/');
+      } else if (callee === 'ViteReactSSG') {
+        const options = unwrap(node.arguments[0]);
+        const routes = options?.type === 'ObjectExpression' && findProperty(options, 'routes');
+        if (routes) visitRouteArray(routes.value, file, '/');
+      } else if (callee === 'createRouter' || callee === 'ViteSSG') {
+        // vue-router; TanStack's createRouter takes a routeTree instead
+        const options = unwrap(node.arguments[callee === 'ViteSSG' ? 1 : 0]);
+        const routes = options?.type === 'ObjectExpression' && findProperty(options, 'routes');
+        if (routes) visitRouteArray(routes.value, file, '/', 'vue-router');
+      } else if (callee === 'createRoute') {
+        const options = unwrap(node.arguments[0]);
+        if (options?.type === 'ObjectExpression' && findProperty(options, 'path')) {
+          record(tanstackPath(node, file), file, node, 'tanstack');
+        }
+      } else if (node.callee.type === 'CallExpression' && node.callee.callee.type === 'Identifier'
+        && node.callee.callee.name === 'createFileRoute') {
+        const routePath = bindings.string(node.callee.arguments[0], file);
+        if (routePath !== undefined && !routePath.split('/').some(s => s.startsWith('_'))) {
+          record(joinRoutePath('/', fromTanStackPath(routePath)), file, node, 'tanstack-file');
+        }
+      }
+    });
+  }
+
+  // Keep the first definition of each path
+  const unique = new Map();
+  for (const route of found) {
+    if (!unique.has(route.path)) unique.set(route.path, route);
+  }
+  return Array.from(unique.values());
+}
+
+/**
+ * File-based routes from src/pages or src/views (vite-plugin-pages style):
+ * index files map to their folder, [param] to :param, [...rest] to *, and
+ * PascalCase names to kebab-case URLs.
+ *
+ * @param {string} projectRoot
+ * @returns {Promise<{ path: string, file: string, line: number, kind: string, dynamic: boolean }[]>}
+ */
+export async function pageFileRoutes(projectRoot) {
+  const routes = [];
+  const visit = async (dir, prefix) => {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(projectRoot, dir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+      if (entry.isDirectory()) {
+        await visit(path.join(dir, entry.name), joinRoutePath(prefix, toSegment(entry.name)));
+        continue;
+      }
+      if (!/\.(jsx?|tsx?|vue)$/.test(entry.name)) continue;
+      const name = path.parse(entry.name).name;
+      const routePath = /^(index|home)$/i.test(name) ? prefix : joinRoutePath(prefix, toSegment(name));
+      routes.push({
+        path: routePath,
+        file: path.join(dir, entry.name).split(path.sep).join('/'),
+        line: 1,
+        kind: 'file',
+        dynamic: isDynamic(routePath)
+      });
+    }
+  };
+  for (const dir of ['src/pages', 'src/views']) {
+    await visit(dir, '/');
+  }
+  return routes;
+}
+
+// Folders that never hold pages of a multi-page Vite site
+const NON_PAGE_DIRS = new Set(['node_modules', 'dist', 'public', 'coverage']);
+
+/**
+ * HTML entry points of a multi-page (framework-free) Vite site, from the
+ * project root down: index.html files map to their folder and other
+ * files to their name without the extension, so /about.html and
+ * /about/index.html are both reported as /about.
+ *
+ * @param {string} projectRoot
+ * @returns {Promise<{ path: string, file: string, line: number, kind: string, dynamic: boolean }[]>}
+ */
+export async function htmlPageRoutes(projectRoot) {
+  const routes = [];
+  const visit = async (dir, prefix, depth) => {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(projectRoot, dir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name.startsWith('_')) continue;
+      if (entry.isDirectory()) {
+        if (depth < 6 && !NON_PAGE_DIRS.has(entry.name)) {
+          await visit(path.join(dir, entry.name), joinRoutePath(prefix, entry.name), depth + 1);
+        }
+        continue;
+      }
+      if (!entry.name.endsWith('.html')) continue;
+      const name = entry.name.slice(0, -'.html'.length);
+      routes.push({
+        path: name === 'index' ? prefix : joinRoutePath(prefix, name),
+        file: path.join(dir, entry.name).split(path.sep).join('/'),
+        line: 1,
+        kind: 'html',
+        dynamic: false
+      });
+    }
+  };
+  await visit('', '/', 0);
+  return routes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function toSegment(name) {
+  if (/^\[\.\.\..+\]$/.test(name)) return '*';
+  if (/^\[.+\]$/.test(name)) return ':' + name.slice(1, -1);
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+/**
+ * Render routes as an aligned text table for the terminal.
+ *
+ * @param {{ path: string, file: string, line: number, kind: string, dynamic: boolean }[]} routes
+ * @returns {string}
+ */
+export function formatRouteTable(routes) {
+  const rows = routes.map(r => [r.path, r.dynamic ? 'dynamic' : 'static', r.kind, `${r.file}:${r.line}`]);
+  const header = ['Route', 'Type', 'Found by', 'Source'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const line = cells => '  ' + cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(header), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
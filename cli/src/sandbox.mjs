@@ -0,0 +1,197 @@
+// Restricted child processes for installing and building a project we
+// don't trust (an uploaded ZIP). Commands run with a scrubbed environment
+// (no tokens or credentials of ours), a private HOME, temp folder and
+// package cache, a wall-clock limit and a cap on their output. Where the
+// platform has a tool for it (bubblewrap on Linux, sandbox-exec on macOS)
+// they also cannot write outside the project. Lifecycle scripts are turned
+// off by the caller, see installCommand() in package-manager.mjs.
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const DEFAULT_SANDBOX_LIMITS = {
+  // Wall-clock limit of each command, in milliseconds
+  timeout: 10 * 60 * 1000,
+  // stdout and stderr of each command together, in bytes
+  maxOutput: 20 * 1024 * 1024
+};
+
+// Variables passed through from our environment; everything else (tokens,
+// cloud credentials, npm auth, proxies with passwords...) is dropped
+const PASSED_VARIABLES = ['PATH', 'LANG', 'LC_ALL', 'TZ', 'SystemRoot', 'ComSpec', 'PATHEXT', 'WINDIR'];
+
+/**
+ * A command stopped by the sandbox. `code` is BUILD_TIMEOUT or
+ * BUILD_OUTPUT_LIMIT.
+ */
+export class SandboxLimitError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SandboxLimitError';
+    this.code = code;
+  }
+}
+
+function findExecutable(name) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    const candidate = path.join(dir, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch { }
+  }
+  return null;
+}
+
+/**
+ * How to keep writes inside the writable folders on this system: a
+ * function wrapping a command, or null when nothing is available (or the
+ * tool is installed but cannot run, e.g. without user namespaces).
+ */
+function fileSystemJail(writable) {
+  if (process.platform === 'linux') {
+    const bwrap = findExecutable('bwrap');
+    if (!bwrap) return null;
+    // Read-only root, a fresh /tmp, and only the writable folders bound
+    // back in read-write; --die-with-parent so a killed CLI leaves nothing
+    const prefix = [
+      '--ro-bind', '/', '/',
+      '--dev', '/dev',
+      '--proc', '/proc',
+      '--tmpfs', '/tmp',
+      ...writable.flatMap(dir => ['--bind', dir, dir]),
+      '--unshare-pid',
+      '--unshare-ipc',
+      '--die-with-parent',
+      '--new-session',
+      '--'
+    ];
+    if (spawnSync(bwrap, [...prefix, 'true'], { stdio: 'ignore' }).status !== 0) return null;
+    return { name: 'bubblewrap', wrap: (command, args) => [bwrap, [...prefix, command, ...args]] };
+  }
+  if (process.platform === 'darwin') {
+    const sandboxExec = findExecutable('sandbox-exec');
+    if (!sandboxExec) return null;
+    const quote = dir => JSON.stringify(fs.realpathSync(dir));
+    const profile = [
+      '(version 1)',
+      '(allow default)',
+      '(deny file-write*)',
+      `(allow file-write* ${writable.map(dir => `(subpath ${quote(dir)})`).join(' ')}`,
+      '  (literal "/dev/null") (literal "/dev/zero") (subpath "/dev/fd") (regex #"^/dev/tty"))'
+    ].join('\n');
+    return { name: 'sandbox-exec', wrap: (command, args) => [sandboxExec, ['-p', profile, command, ...args]] };
+  }
+  return null;
+}
+
+/**
+ * @typedef {Object} SandboxOptions
+ * @property {number} [timeout] Wall-clock limit of each command, in milliseconds
+ * @property {number} [maxOutput] Output limit of each command, in bytes
+ * @property {string[]} [allowScripts] Packages whose install scripts may run
+ * @property {string} [cacheDir] Package cache shared between runs (default: a fresh one)
+ */
+
+/**
+ * @typedef {Object} Sandbox
+ * @property {number} timeout
+ * @property {number} maxOutput
+ * @property {string[]} allowScripts
+ * @property {string|null} jail Tool keeping writes inside the project, if any
+ * @property {(extra?: Object<string, string>) => Object<string, string>} env
+ *   The scrubbed environment, plus the given variables
+ * @property {(command: string, args: string[]) => [string, string[]]} wrap
+ *   The command to spawn instead
+ * @property {() => void} cleanup Delete the private HOME, temp folder and cache
+ */
+
+/**
+ * Prepare a sandbox for commands run in `projectRoot`.
+ *
+ * @param {Object & SandboxOptions} opts
+ * @param {string} opts.projectRoot
+ * @param {import('./reporter.mjs').Reporter} [opts.reporter] Warned when writes
+ *   outside the project cannot be blocked
+ * @returns {Sandbox}
+ */
+export function createSandbox({ projectRoot, timeout, maxOutput, allowScripts = [], cacheDir, reporter }) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'vite-seo-bootstrap-sandbox-'));
+  const home = path.join(root, 'home');
+  const tmp = path.join(root, 'tmp');
+  const cache = cacheDir ? path.resolve(cacheDir) : path.join(root, 'cache');
+  for (const dir of [home, tmp, cache]) fs.mkdirSync(dir, { recursive: true });
+
+  const base = {};
+  for (const name of PASSED_VARIABLES) {
+    if (process.env[name] !== undefined) base[name] = process.env[name];
+  }
+  Object.assign(base, {
+    HOME: home,
+    USERPROFILE: home,
+    TMPDIR: tmp,
+    TMP: tmp,
+    TEMP: tmp,
+    XDG_CONFIG_HOME: path.join(home, '.config'),
+    XDG_CACHE_HOME: cache,
+    XDG_DATA_HOME: path.join(home, '.local', 'share'),
+    CI: 'true',
+    // No user or global config or cache outside the sandbox
+    npm_config_cache: path.join(cache, 'npm'),
+    npm_config_userconfig: path.join(home, '.npmrc'),
+    npm_config_globalconfig: path.join(home, '.npmrc-global'),
+    npm_config_update_notifier: 'false',
+    npm_config_fund: 'false',
+    npm_config_audit: 'false',
+    npm_config_store_dir: path.join(cache, 'pnpm-store'),
+    YARN_CACHE_FOLDER: path.join(cache, 'yarn'),
+    YARN_GLOBAL_FOLDER: path.join(cache, 'yarn-berry'),
+    BUN_INSTALL_CACHE_DIR: path.join(cache, 'bun'),
+    COREPACK_HOME: path.join(cache, 'corepack')
+  });
+
+  const jail = fileSystemJail([path.resolve(projectRoot), root, cache].filter((dir, i, all) => all.indexOf(dir) === i));
+  if (!jail) {
+    reporter?.warn(
+      `writes outside the project cannot be blocked on this system (${process.platform === 'linux' ? 'install bubblewrap' : 'no sandbox tool'}); ` +
+      'the install and build still run with a scrubbed environment, time and output limits, and no install scripts.'
+    );
+  }
+
+  return {
+    timeout: timeout ?? DEFAULT_SANDBOX_LIMITS.timeout,
+    maxOutput: maxOutput ?? DEFAULT_SANDBOX_LIMITS.maxOutput,
+    allowScripts,
+    jail: jail ? jail.name : null,
+    env: (extra = {}) => ({ ...base, ...extra }),
+    wrap: (command, args) => (jail ? jail.wrap(command, args) : [command, args]),
+    cleanup() {
+      try { fs.rmSync(root, { recursive: true, force: true }); } catch { }
+    }
+  };
+}
+
+/**
+ * Kill a child and everything it started. Children are spawned detached,
+ * so on POSIX they lead their own process group.
+ *
+ * @param {import('child_process').ChildProcess} child
+ */
+export function killProcessTree(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  if (process.platform === 'win32') {
+    spawnSync('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+    return;
+  }
+  try {
+    process.kill(-child.pid, 'SIGTERM');
+  } catch {
+    return;
+  }
+  // Those that ignore SIGTERM get SIGKILL shortly after
+  setTimeout(() => {
+    try { process.kill(-child.pid, 'SIGKILL'); } catch { }
+  }, 2000).unref();
+}
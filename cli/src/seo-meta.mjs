@@ -0,0 +1,229 @@
+// Per-route SEO metadata. Projects keep a seo.config.json (or .mjs, whose
+// default export is the same object) at their root:
+//
+//   {
+//     "titleTemplate": "%s | My Site",
+//     "defaults": { "title": "My Site", "description": "…", "image": "/og.png", "robots": "index, follow" },
+//     "routes": {
+//       "/":           { "title": "Home", "description": "…" },
+//       "/blog/:slug": { "title": "Post {slug}", "jsonLd": { "@type": "BlogPosting", … } }
+//     },
+//     "schema": {
+//       "organization": { "name": "My Site", "logo": "/logo.png", "sameAs": ["https://x.com/mysite"] },
+//       "website": { "name": "My Site", "searchUrl": "https://mysite.com/search?q={search_term_string}" }
+//     },
+//     "locales": ["es", "ca"], "defaultLocale": "es"
+//   }
+//
+// Entries are keyed by route; pattern keys apply to every path they match
+// and `{param}` in their strings is replaced by the matching segment. On
+// multilingual sites the entry of /about also covers /ca/about, and a
+// `locales` object in an entry (or in `defaults`) overrides its values per
+// language, e.g. "locales": { "ca": { "title": "Qui som" } }. The
+// generated src/seo/meta.ts resolves the entry for a path at render time,
+// adding the `schema` section's Organization and WebSite to the home page
+// and a BreadcrumbList derived from the route hierarchy to the others.
+// Any value still starting with "TODO" is ignored there, so an unfinished
+// scaffold falls back to the defaults instead of leaking placeholders.
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const SEO_META_FILES = ['seo.config.json', 'seo.config.mjs'];
+
+const TODO = 'TODO';
+
+function routeLabel(route) {
+  if (route === '/') return 'the home page';
+  return route;
+}
+
+/**
+ * Placeholder entry for one route. Only values that can't be inferred
+ * are marked TODO.
+ */
+function scaffoldEntry(route) {
+  return {
+    title: `${TODO}: title for ${routeLabel(route)}`,
+    description: `${TODO}: 150-160 character description of ${routeLabel(route)}`,
+    image: `${TODO}: 1200x630 Open Graph image URL`,
+    robots: 'index, follow'
+  };
+}
+
+// schema.org types set by hand in the entries' jsonLd
+function jsonLdTypes(meta) {
+  const types = new Set();
+  const visit = value => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== 'object') return;
+    [].concat(value['@type'] || []).forEach(type => types.add(type));
+    if (value['@graph']) visit(value['@graph']);
+  };
+  for (const entry of Object.values(meta.routes || {})) visit(entry?.jsonLd);
+  return types;
+}
+
+/**
+ * Site-wide Organization and WebSite data, leaving out whichever type the
+ * entries already describe by hand so the home page doesn't get it twice.
+ */
+function scaffoldSchema(meta, { projectName, baseUrl }) {
+  const types = jsonLdTypes(meta);
+  const schema = {};
+  if (!types.has('Organization')) {
+    schema.organization = { name: projectName, url: `${baseUrl}/`, logo: `${TODO}: logo URL (at least 112x112)`, sameAs: [] };
+  }
+  if (!types.has('WebSite')) {
+    schema.website = { name: projectName, url: `${baseUrl}/` };
+  }
+  return schema;
+}
+
+/**
+ * Whether a concrete path is covered by a route pattern such as
+ * /blog/:slug or /docs/*.
+ */
+export function matchesPattern(pattern, route) {
+  if (!/[:*]/.test(pattern)) return false;
+  const want = pattern.split('/').filter(Boolean);
+  const have = route.split('/').filter(Boolean);
+  for (let i = 0; i < want.length; i++) {
+    if (want[i] === '*') return true;
+    if (have[i] === undefined) return want[i].endsWith('?') && i === want.length - 1;
+    if (!want[i].startsWith(':') && want[i] !== have[i]) return false;
+  }
+  return want.length === have.length;
+}
+
+function countTodos(value) {
+  if (typeof value === 'string') return value.startsWith(TODO) ? 1 : 0;
+  if (value && typeof value === 'object') {
+    return Object.values(value).reduce((sum, v) => sum + countTodos(v), 0);
+  }
+  return 0;
+}
+
+/**
+ * Create seo.config.json with one entry per route, or add entries for
+ * routes missing from an existing JSON file (existing entries are never
+ * touched). A .mjs file is only read. Returns the resulting metadata and
+ * the file it lives in, relative to the project root.
+ *
+ * @param {Object} opts
+ * @param {string} opts.projectRoot Absolute path to the project root
+ * @param {string[]} opts.routes Route paths and dynamic patterns to cover
+ * @param {string} opts.domain Base URL of the site
+ * @param {string} opts.projectName Used for the default title
+ * @param {boolean} [opts.allowCode=true] Allow loading seo.config.mjs
+ * @param {{ locales: string[], defaultLocale: string }|null} [opts.locales] Site languages, recorded
+ *   in the file so the generated head code can build hreflang links
+ * @param {import('./changeset.mjs').ChangeSet} opts.changes Change set that receives every write
+ * @returns {Promise<{ meta: Object, file: string }>}
+ */
+export async function scaffoldSeoMeta({ projectRoot, routes, domain, projectName, allowCode = true, locales = null, changes }) {
+  const baseUrl = domain.replace(/\/$/, '');
+  const jsonFile = path.join(projectRoot, SEO_META_FILES[0]);
+  const mjsFile = path.join(projectRoot, SEO_META_FILES[1]);
+
+  if (!(await changes.exists(jsonFile)) && (await changes.exists(mjsFile))) {
+    if (!allowCode) {
+      changes.warn(`${SEO_META_FILES[1]} was not loaded because running project code is disabled.`);
+      return { meta: {}, file: SEO_META_FILES[1] };
+    }
+    let meta;
+    try {
+      const mod = await import(pathToFileURL(mjsFile).href);
+      meta = (await mod.default) || {};
+    } catch (err) {
+      throw new Error(`Could not load ${SEO_META_FILES[1]}: ${err.message}`);
+    }
+    const missing = routes.filter(route => !meta.routes?.[route]);
+    if (missing.length) {
+      changes.warn(`${SEO_META_FILES[1]} has no entry for ${missing.join(', ')}; those pages use the defaults.`);
+    }
+    if (locales && (String(meta.locales) !== String(locales.locales) || meta.defaultLocale !== locales.defaultLocale)) {
+      changes.warn(
+        `${SEO_META_FILES[1]} should export locales: ${JSON.stringify(locales.locales)} and ` +
+        `defaultLocale: '${locales.defaultLocale}' for the pages to get their lang and hreflang links.`
+      );
+    }
+    warnTodos(meta, SEO_META_FILES[1], changes);
+    return { meta, file: SEO_META_FILES[1] };
+  }
+
+  let meta;
+  let existed = false;
+  if (await changes.exists(jsonFile)) {
+    existed = true;
+    try {
+      meta = JSON.parse(await changes.readFile(jsonFile));
+    } catch (err) {
+      throw new Error(`Could not parse ${SEO_META_FILES[0]}: ${err.message}`);
+    }
+  } else {
+    meta = {
+      titleTemplate: `%s | ${projectName}`,
+      defaults: {
+        title: projectName,
+        description: `${TODO}: default description for ${projectName}`,
+        image: `${TODO}: default 1200x630 Open Graph image URL`,
+        robots: 'index, follow'
+      },
+      routes: {}
+    };
+  }
+
+  meta.routes = meta.routes || {};
+  const added = [];
+  for (const route of routes) {
+    if (meta.routes[route]) continue;
+    // Expanded dynamic paths share their pattern's entry
+    if (Object.keys(meta.routes).some(pattern => matchesPattern(pattern, route))) continue;
+    meta.routes[route] = scaffoldEntry(route);
+    added.push(route);
+  }
+
+  const addSchema = !meta.schema;
+  if (addSchema) meta.schema = scaffoldSchema(meta, { projectName, baseUrl });
+
+  let localesChanged = false;
+  if (locales && (String(meta.locales) !== String(locales.locales) || meta.defaultLocale !== locales.defaultLocale)) {
+    meta.locales = locales.locales;
+    meta.defaultLocale = locales.defaultLocale;
+    localesChanged = true;
+  }
+
+  if (added.length || addSchema || localesChanged) {
+    await changes.writeFile(jsonFile, JSON.stringify(meta, null, 2) + '\n');
+    changes.log(
+      !existed
+        ? `Wrote ${SEO_META_FILES[0]} with ${added.length} route(s)`
+        : added.length
+          ? `Added ${added.length} route(s) to ${SEO_META_FILES[0]}`
+          : addSchema
+            ? `Added site-wide structured data to ${SEO_META_FILES[0]}`
+            : `Updated the locales in ${SEO_META_FILES[0]}`
+    );
+  }
+  warnTodos(meta, SEO_META_FILES[0], changes);
+  return { meta, file: SEO_META_FILES[0] };
+}
+
+function warnTodos(meta, file, changes) {
+  const todos = countTodos(meta);
+  if (todos) {
+    changes.warn(`${file} has ${todos} TODO placeholder(s); pages use the defaults until they are filled in.`);
+  }
+}
+
+/**
+ * Default title and description for a site, skipping placeholders.
+ */
+export function siteDefaults(meta, projectName) {
+  const pick = value => (typeof value === 'string' && value && !value.startsWith(TODO) ? value : undefined);
+  return {
+    title: pick(meta.defaults?.title) || projectName,
+    description: pick(meta.defaults?.description) || ''
+  };
+}
@@ -0,0 +1,459 @@
+// Native sitemap writer, run on the build output after prerendering. Every
+// indexable HTML page in `dist` becomes a <url> entry with:
+//
+//   - lastmod from the git history of the file the route comes from (the
+//     router module, page component or HTML page), or its mtime outside git;
+//   - changefreq and priority from the `sitemap` section of the project
+//     config, or derived from the route depth;
+//   - <image:image> entries for the images on the page;
+//   - <xhtml:link> alternates for the page's hreflang links.
+//
+// src/seo/sitemap.ts still contributes extra routes (dynamicRoutes()) and
+// exclusions (excludeRoutes). Past 50,000 URLs or 50 MB the output is
+// split into sitemap-N.xml files listed by a sitemap.xml index. On
+// multilingual sites (pages with different <html lang>) every language
+// gets its own sitemap-<lang>.xml (or sitemap-<lang>-N.xml) in the index.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { parse } from '@babel/parser';
+import { listHtmlFiles, routeForFile, scanHtml, isErrorPage } from './audit.mjs';
+import { extractRoutes, pageFileRoutes, htmlPageRoutes } from './routes.mjs';
+import { matchesPattern } from './seo-meta.mjs';
+import { Reporter } from './reporter.mjs';
+
+// Limits of the sitemap protocol for a single file
+export const SITEMAP_LIMITS = { urls: 50000, bytes: 50 * 1024 * 1024 };
+
+// Google ignores images past the first 1,000 of a URL
+const MAX_IMAGES_PER_URL = 1000;
+const CHANGEFREQS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+const HELPER_FILE = path.join('src', 'seo', 'sitemap.ts');
+
+const URLSET_OPEN = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1" ' +
+  'xmlns:xhtml="http://www.w3.org/1999/xhtml">\n';
+const URLSET_CLOSE = '</urlset>\n';
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
+
+/**
+ * Read BASE_URL, excludeRoutes and the routes returned by dynamicRoutes()
+ * from src/seo/sitemap.ts. Literal values are read from the syntax tree;
+ * anything computed needs the module to run, which is only done when
+ * project code is allowed (transpiled with the project's own esbuild).
+ */
+async function readSitemapHelper(projectRoot, { allowCode, reporter }) {
+  const file = path.join(projectRoot, HELPER_FILE);
+  let source;
+  try {
+    source = await fs.readFile(file, 'utf8');
+  } catch {
+    return { baseUrl: undefined, extraRoutes: [], excludeRoutes: [] };
+  }
+
+  const helper = { baseUrl: undefined, extraRoutes: [], excludeRoutes: [] };
+  let computed = false;
+  const strings = node =>
+    node?.type === 'ArrayExpression' && node.elements.every(el => el?.type === 'StringLiteral')
+      ? node.elements.map(el => el.value)
+      : null;
+  try {
+    const ast = parse(source, { sourceType: 'module', plugins: ['typescript'] });
+    for (const statement of ast.program.body) {
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : null;
+      if (declaration?.type === 'VariableDeclaration') {
+        for (const { id, init } of declaration.declarations) {
+          const value = init?.type === 'TSAsExpression' ? init.expression : init;
+          if (id.name === 'BASE_URL') {
+            if (value?.type === 'StringLiteral') helper.baseUrl = value.value;
+            else computed = true;
+          } else if (id.name === 'excludeRoutes') {
+            const list = strings(value);
+            if (list) helper.excludeRoutes = list;
+            else computed = true;
+          }
+        }
+      } else if (declaration?.type === 'FunctionDeclaration' && declaration.id?.name === 'dynamicRoutes') {
+        const body = declaration.body.body;
+        const list = body.length === 1 && body[0].type === 'ReturnStatement' ? strings(body[0].argument) : null;
+        if (list) helper.extraRoutes = list;
+        else computed = true;
+      }
+    }
+  } catch (err) {
+    reporter.warn(`could not parse ${HELPER_FILE} (${err.message}); its routes are ignored.`);
+    return helper;
+  }
+  if (!computed) return helper;
+
+  if (!allowCode) {
+    reporter.warn(`${HELPER_FILE} computes its routes at runtime, which is disabled for this project; only literal values were used.`);
+    return helper;
+  }
+  try {
+    const loaded = await importHelper(projectRoot, file, source);
+    return {
+      baseUrl: typeof loaded.BASE_URL === 'string' ? loaded.BASE_URL : helper.baseUrl,
+      extraRoutes: typeof loaded.dynamicRoutes === 'function' ? await loaded.dynamicRoutes() : helper.extraRoutes,
+      excludeRoutes: Array.isArray(loaded.excludeRoutes) ? loaded.excludeRoutes : helper.excludeRoutes
+    };
+  } catch (err) {
+    reporter.warn(`could not run ${HELPER_FILE} (${err.message.split('\n')[0]}); only literal values were used.`);
+    return helper;
+  }
+}
+
+/**
+ * The domain an earlier run wrote into src/seo/sitemap.ts, when its
+ * BASE_URL is a plain string. No project code is run.
+ *
+ * @param {string} projectRoot
+ * @returns {Promise<string|undefined>}
+ */
+export async function previousDomain(projectRoot) {
+  const { baseUrl } = await readSitemapHelper(projectRoot, { allowCode: false, reporter: new Reporter({ onEvent() { } }) });
+  return baseUrl || undefined;
+}
+
+// The transpiled module is written next to the original so its relative
+// imports keep resolving, and removed right after loading.
+async function importHelper(projectRoot, file, source) {
+  const esbuild = createRequire(path.join(projectRoot, 'package.json'))('esbuild');
+  const { code } = await esbuild.transform(source, { loader: 'ts', format: 'esm' });
+  const temp = path.join(path.dirname(file), `.sitemap.${process.pid}.mjs`);
+  await fs.writeFile(temp, code);
+  try {
+    return await import(pathToFileURL(temp).href);
+  } finally {
+    await fs.rm(temp, { force: true });
+  }
+}
+
+/**
+ * Last commit date of every file under the project, from a single
+ * `git log` walk (newest first, so the first date seen for a file wins).
+ * Empty outside a git checkout.
+ */
+function gitLastModified(projectRoot) {
+  const dates = new Map();
+  const git = args => spawnSync('git', args, { cwd: projectRoot, encoding: 'utf8', maxBuffer: 256 * 1024 * 1024, timeout: 60000 });
+  const top = git(['rev-parse', '--show-toplevel']);
+  if (top.error || top.status !== 0) return dates;
+  const log = git(['log', '--format=%x00%cI', '--name-only', '--no-renames', '--', '.']);
+  if (log.error || log.status !== 0) return dates;
+  const repoRoot = top.stdout.trim();
+  let date;
+  for (const line of log.stdout.split('\n')) {
+    if (line.startsWith('\0')) {
+      date = line.slice(1);
+    } else if (line && date) {
+      const file = path.join(repoRoot, line);
+      if (!dates.has(file)) dates.set(file, date);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Where each route is defined: code routes (or file-based pages when
+ * there is no router) first, then the project's HTML pages.
+ */
+async function routeSources(projectRoot) {
+  const sources = [];
+  try {
+    let routes = await extractRoutes(projectRoot);
+    if (!routes.length) routes = await pageFileRoutes(projectRoot);
+    sources.push(...routes);
+  } catch {
+    // Unparseable sources just leave those routes without a lastmod
+  }
+  sources.push(...(await htmlPageRoutes(projectRoot)));
+  return sources.map(route => ({ ...route, file: path.join(projectRoot, route.file) }));
+}
+
+// Catch-all (404) routes match any path, so they say nothing about where
+// a page comes from
+function sourceFor(route, sources) {
+  return (
+    sources.find(source => !source.dynamic && source.path === route) ||
+    sources.find(source => source.dynamic && !/^\/?\*$/.test(source.path) && matchesPattern(source.path, route))
+  );
+}
+
+async function lastModified(file, gitDates) {
+  if (gitDates.has(file)) return gitDates.get(file);
+  try {
+    return (await fs.stat(file)).mtime.toISOString();
+  } catch {
+    return undefined;
+  }
+}
+
+// Exact route, route pattern (/blog/:slug, /docs/*) or path prefix
+function routeMatches(rule, route) {
+  if (rule === route || matchesPattern(rule, route)) return true;
+  const prefix = rule.replace(/\/$/, '');
+  return prefix !== '' && route.startsWith(prefix + '/');
+}
+
+/**
+ * changefreq and priority of a route: the first matching entry of
+ * `sitemap.routes` in the project config, then the config-wide values,
+ * then defaults that decrease with depth (/ is 1.0 and daily, top-level
+ * pages 0.8 and weekly, deeper pages lower and monthly).
+ */
+function frequencyFor(route, settings, reporter) {
+  const rules = settings.routes || {};
+  const rule = rules[route] || Object.entries(rules).find(([pattern]) => routeMatches(pattern, route))?.[1] || {};
+  const depth = route.split('/').filter(Boolean).length;
+  let changefreq = rule.changefreq ?? settings.changefreq ?? (depth === 0 ? 'daily' : depth === 1 ? 'weekly' : 'monthly');
+  let priority = Number(rule.priority ?? settings.priority ?? Math.max(0.1, 1 - depth * 0.2));
+  if (!CHANGEFREQS.includes(changefreq)) {
+    reporter.warn(`ignoring invalid changefreq "${changefreq}" for ${route}.`);
+    changefreq = undefined;
+  }
+  if (!(priority >= 0 && priority <= 1)) {
+    reporter.warn(`ignoring invalid priority "${priority}" for ${route}.`);
+    priority = undefined;
+  }
+  return { changefreq, priority };
+}
+
+function urlEntry({ loc, lastmod, changefreq, priority, alternates, images }) {
+  const lines = ['  <url>', `    <loc>${escapeXml(loc)}</loc>`];
+  if (lastmod) lines.push(`    <lastmod>${lastmod}</lastmod>`);
+  if (changefreq) lines.push(`    <changefreq>${changefreq}</changefreq>`);
+  if (priority !== undefined) lines.push(`    <priority>${priority.toFixed(1)}</priority>`);
+  for (const { hreflang, href } of alternates) {
+    lines.push(`    <xhtml:link rel="alternate" hreflang="${escapeXml(hreflang)}" href="${escapeXml(href)}"/>`);
+  }
+  for (const image of images) {
+    lines.push('    <image:image>', `      <image:loc>${escapeXml(image)}</image:loc>`, '    </image:image>');
+  }
+  lines.push('  </url>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Group entries into files that respect both the URL count and the byte
+ * size limits.
+ */
+function chunkEntries(entries, limits) {
+  const overhead = Buffer.byteLength(URLSET_OPEN + URLSET_CLOSE);
+  const chunks = [];
+  let current = [];
+  let size = overhead;
+  for (const entry of entries) {
+    const bytes = Buffer.byteLength(entry.xml);
+    if (current.length && (current.length >= limits.urls || size + bytes > limits.bytes)) {
+      chunks.push(current);
+      current = [];
+      size = overhead;
+    }
+    current.push(entry);
+    size += bytes;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+const newest = dates => dates.filter(Boolean).sort((a, b) => new Date(b) - new Date(a))[0];
+
+// Absolute http(s) URLs only; anything else is dropped
+function absoluteUrl(src, base) {
+  try {
+    const url = new URL(src, base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function sitemapIndex(files, origin) {
+  const index = files.map(({ name, lastmod }) => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(`${origin}/${name}`)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+    '  </sitemap>'
+  ].join('\n')).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${index}\n</sitemapindex>\n`;
+}
+
+/**
+ * Build the sitemap files for a build output folder without writing them.
+ *
+ * @param {Object} opts
+ * @param {string} opts.distDir Absolute path to the build output
+ * @param {string} opts.projectRoot Absolute path to the project the build came from
+ * @param {string} [opts.domain] Site URL; defaults to BASE_URL in src/seo/sitemap.ts
+ * @param {Object} [opts.config] Project config; its `sitemap` section sets
+ *   `changefreq`, `priority`, per-route `routes` overrides and `exclude` rules
+ * @param {boolean} [opts.allowCode=true] Allow running src/seo/sitemap.ts when its routes are computed
+ * @param {{ urls: number, bytes: number }} [opts.limits] Per-file limits
+ * @param {Reporter} [opts.reporter] Receives progress and warnings
+ * @returns {Promise<{ files: { name: string, xml: string }[], urls: Object[], skipped: { route: string, reason: string }[] }>}
+ */
+export async function buildSitemap({
+  distDir, projectRoot, domain, config = {}, allowCode = true, limits = SITEMAP_LIMITS, reporter = new Reporter()
+}) {
+  const stats = await fs.stat(distDir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Build output not found at ${distDir}. Run the build first.`);
+  }
+  const settings = config.sitemap || {};
+  const helper = await readSitemapHelper(projectRoot, { allowCode, reporter });
+  let origin;
+  try {
+    origin = new URL(domain || helper.baseUrl).origin;
+  } catch {
+    throw new Error(`No valid site URL: pass --domain or set BASE_URL in ${HELPER_FILE}.`);
+  }
+  const excluded = [...helper.excludeRoutes, ...(settings.exclude || [])];
+
+  const skipped = [];
+  const pages = new Map();
+  for (const file of await listHtmlFiles(distDir)) {
+    const route = routeForFile(file);
+    if (isErrorPage(file) || pages.has(route)) continue;
+    const page = scanHtml(await fs.readFile(path.join(distDir, file), 'utf8'));
+    if ((page.robots || '').includes('noindex')) {
+      skipped.push({ route, reason: 'noindex' });
+      continue;
+    }
+    if (page.canonical) {
+      let canonical;
+      try {
+        canonical = new URL(page.canonical, origin);
+      } catch {
+        canonical = undefined;
+      }
+      const canonicalRoute = canonical && routeForFile(decodeURI(canonical.pathname).replace(/^\//, ''));
+      if (canonical && (canonical.origin !== origin || canonicalRoute !== route)) {
+        skipped.push({ route, reason: `canonical is ${page.canonical}` });
+        continue;
+      }
+    }
+    pages.set(route, { file, images: page.images, lang: page.lang, alternates: page.alternates });
+  }
+  for (const route of helper.extraRoutes) {
+    if (typeof route !== 'string' || /[:*]/.test(route)) continue;
+    const normalised = routeForFile(route.replace(/^\//, ''));
+    if (!pages.has(normalised)) pages.set(normalised, { file: null, images: [], alternates: [] });
+  }
+
+  const sources = await routeSources(projectRoot);
+  const gitDates = gitLastModified(projectRoot);
+  const urls = [];
+  for (const [route, { file, images, lang, alternates }] of Array.from(pages).sort(([a], [b]) => a.localeCompare(b))) {
+    if (excluded.some(rule => routeMatches(rule, route))) {
+      skipped.push({ route, reason: 'excluded' });
+      continue;
+    }
+    const source = sourceFor(route, sources);
+    const lastmod = source ? await lastModified(source.file, gitDates) : undefined;
+    // Images resolve against the page's own file, like in a browser
+    const pageUrl = `${origin}/${file || route.replace(/^\//, '')}`;
+    const imageUrls = new Set();
+    for (const src of images) {
+      if (imageUrls.size >= MAX_IMAGES_PER_URL) break;
+      const url = absoluteUrl(src, pageUrl);
+      if (url) imageUrls.add(url);
+    }
+    const entry = {
+      route,
+      loc: new URL(route, origin).href,
+      lang,
+      lastmod,
+      ...frequencyFor(route, settings, reporter),
+      alternates: alternates
+        .map(({ hreflang, href }) => ({ hreflang, href: absoluteUrl(href, pageUrl) }))
+        .filter(alternate => alternate.href),
+      images: Array.from(imageUrls)
+    };
+    urls.push({ ...entry, xml: urlEntry(entry) });
+  }
+
+  // One group per language when the pages span several, else a single one
+  const langs = Array.from(new Set(urls.map(entry => entry.lang?.toLowerCase()).filter(Boolean))).sort();
+  const groups = langs.length > 1
+    ? [
+        ...langs.map(lang => ({ prefix: `sitemap-${lang}`, entries: urls.filter(entry => entry.lang?.toLowerCase() === lang) })),
+        { prefix: 'sitemap-other', entries: urls.filter(entry => !entry.lang) }
+      ].filter(group => group.entries.length)
+    : [{ prefix: 'sitemap', entries: urls }];
+  const urlset = chunk => URLSET_OPEN + chunk.map(entry => entry.xml).join('') + URLSET_CLOSE;
+  const children = groups.flatMap(({ prefix, entries }) => {
+    const chunks = chunkEntries(entries, limits);
+    return chunks.map((chunk, i) => ({
+      name: chunks.length > 1 ? `${prefix}-${i + 1}.xml` : `${prefix}.xml`,
+      xml: urlset(chunk),
+      lastmod: newest(chunk.map(e => e.lastmod))
+    }));
+  });
+  let files;
+  if (children.length <= 1) {
+    files = [{ name: 'sitemap.xml', xml: urlset(urls) }];
+  } else {
+    files = [...children, { name: 'sitemap.xml', xml: sitemapIndex(children, origin) }];
+  }
+  return {
+    files: files.map(({ name, xml }) => ({ name, xml })),
+    urls: urls.map(({ xml, ...entry }) => entry),
+    skipped
+  };
+}
+
+/**
+ * Files listed by the sitemap index of an earlier run, so they can be
+ * replaced even when the split changed (e.g. a language was dropped).
+ */
+async function previousChildren(distDir) {
+  let xml;
+  try {
+    xml = await fs.readFile(path.join(distDir, 'sitemap.xml'), 'utf8');
+  } catch {
+    return [];
+  }
+  if (!xml.includes('<sitemapindex')) return [];
+  const names = [];
+  for (const [, loc] of xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/g)) {
+    const name = path.posix.basename(loc);
+    if (/^sitemap-[\w-]+\.xml$/.test(name)) names.push(name);
+  }
+  return names;
+}
+
+/**
+ * Post-build step shared by the CLI entry points: build the sitemap and
+ * write it into the build output, replacing any sitemap files left there
+ * by an earlier run or a build plugin.
+ *
+ * @param {Object} opts Same options as `buildSitemap`
+ * @returns {Promise<Object>} The result of `buildSitemap`
+ */
+export async function writeSitemap({ reporter = new Reporter(), ...opts }) {
+  reporter.log('Writing sitemap...');
+  const result = await buildSitemap({ ...opts, reporter });
+  const stale = new Set(await previousChildren(opts.distDir));
+  for (const name of await fs.readdir(opts.distDir)) {
+    if (/^sitemap-\d+\.xml$/.test(name)) stale.add(name);
+  }
+  for (const name of stale) {
+    await fs.rm(path.join(opts.distDir, name), { force: true });
+  }
+  for (const { name, xml } of result.files) {
+    await fs.writeFile(path.join(opts.distDir, name), xml);
+  }
+  const split = result.files.length > 1 ? ` across ${result.files.length - 1} files` : '';
+  reporter.log(`Wrote sitemap.xml with ${result.urls.length} URL(s)${split}`);
+  for (const { route, reason } of result.skipped) {
+    reporter.log(`  skipped ${route} (${reason})`);
+  }
+  return result;
+}
@@ -0,0 +1,270 @@
+// Registry of prerender strategies. A strategy is a module describing one
+// way of setting up a project: how well it fits a project, where its
+// routes come from, the writes it plans and how the result is built. The
+// bundled ones (react, preact, vue, vanilla) are defined below; projects
+// can add their own from npm packages or local files listed in the config:
+//
+//   "strategies": ["vite-seo-strategy-astro", "./tools/seo-strategy.mjs"]
+//
+// Each module's default export is a strategy object or an array of them.
+// Loading them runs project code, so they are ignored for untrusted
+// projects. `--strategy=auto` picks the strategy whose `detect` scores
+// highest.
+
+import { createRequire } from 'module';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const AUTO_STRATEGY = 'auto';
+
+/**
+ * What `detect` and `warnings` know about the project.
+ *
+ * @typedef {Object} ProjectInfo
+ * @property {string} projectRoot
+ * @property {Object} pkg The project's package.json
+ * @property {Object<string, string>} dependencies dependencies and devDependencies together
+ */
+
+/**
+ * Everything `apply` needs to plan its writes.
+ *
+ * @typedef {Object} ApplyContext
+ * @property {string} projectRoot
+ * @property {Object} pkg The project's package.json
+ * @property {string} domain Site URL
+ * @property {string[]} routes Every page to prerender
+ * @property {Object[]} routeDetails Routes as found by the route source
+ * @property {Object|null} seoMeta Contents of seo.config.json (null with `routeSource: 'none'`)
+ * @property {string|null} seoMetaFile Its path relative to the project
+ * @property {{ locales: string[], defaultLocale: string }|null} locales
+ * @property {Object} config The project config
+ * @property {import('./changeset.mjs').ChangeSet} changes Receives every write
+ */
+
+/**
+ * @typedef {Object} Strategy
+ * @property {string} id Name given to --strategy (lowercase letters, digits and dashes)
+ * @property {string} label Name shown in the web UI
+ * @property {string} [description]
+ * @property {(project: ProjectInfo) => number|Promise<number>} detect How well the strategy
+ *   fits the project, from 0 (not at all) to 1
+ * @property {(project: ProjectInfo) => string[]} [warnings] Problems to report when the
+ *   strategy is chosen for this project
+ * @property {'router'|'html'|'none'|Function} [routeSource='router'] Where the routes come
+ *   from: the router setup or page files, the HTML entry points, nowhere (the strategy
+ *   finds its pages itself), or a function `(projectRoot, { reporter })` resolving to
+ *   `{ routes, routeDetails }`
+ * @property {boolean} [locales=true] Whether the strategy prerenders every language
+ * @property {(context: ApplyContext) => Promise<void>} apply Plan the strategy's writes
+ * @property {string[]} [buildCommand=['npm', 'run', 'build']] Command building the project
+ *   after `npm install`
+ * @property {string} [outDir='dist'] Build output folder, relative to the project
+ */
+
+const has = (project, ...names) => names.some(name => Boolean(project.dependencies[name]));
+const usesReact = project => has(project, 'react', '@vitejs/plugin-react', '@vitejs/plugin-react-swc');
+const usesPreact = project => has(project, 'preact', '@preact/preset-vite');
+const usesVue = project => has(project, 'vue', '@vitejs/plugin-vue');
+
+// Warnings shared by the React and Preact presets
+function reactFamilyWarnings(id) {
+  return project => {
+    if (usesVue(project) && !usesReact(project) && !usesPreact(project)) {
+      return [`this looks like a Vue project. Use --strategy=vue instead of --strategy=${id}.`];
+    }
+    if (!usesReact(project) && !usesPreact(project) && !usesVue(project)) {
+      return [
+        'no React, Preact or Vue dependency detected. Proceeding with the React preset. Use --strategy=vanilla for framework-free sites, or ignore this if you plan to add React later.'
+      ];
+    }
+    return [];
+  };
+}
+
+/** @type {Strategy[]} */
+export const BUNDLED_STRATEGIES = [
+  {
+    id: 'react',
+    label: 'React',
+    description: 'React app prerendered with vite-react-ssg',
+    detect: project => (usesReact(project) ? (usesPreact(project) ? 0.6 : 0.9) : 0.1),
+    warnings: reactFamilyWarnings('react'),
+    async apply({ projectRoot, pkg, domain, routes, seoMeta, seoMetaFile, locales, config, changes }) {
+      // First apply generic SEO bootstrap, then wire up SSG via vite-react-ssg.
+      const { applyReactSsgSeo } = await import('./generators/react-ssg.mjs');
+      await applyReactSsgSeo({ projectRoot, pkg, domain, seoMeta, robots: config.robots, changes });
+      const { applyReactSsgWiring } = await import('./generators/react-ssg-wiring.mjs');
+      await applyReactSsgWiring({ projectRoot, pkg, domain, routes, seoMetaFile, locales, changes });
+    }
+  },
+  {
+    id: 'preact',
+    label: 'Preact',
+    description: 'Preact app prerendered with @preact/preset-vite',
+    detect: project => (usesPreact(project) ? 0.95 : 0),
+    warnings: reactFamilyWarnings('preact'),
+    // The prerender plugin crawls the app from its entry point
+    routeSource: 'none',
+    locales: false,
+    async apply({ projectRoot, pkg, domain, config, changes }) {
+      const { applyPreactPrerender } = await import('./generators/preact-prerender.mjs');
+      await applyPreactPrerender({ projectRoot, pkg, domain, robots: config.robots, changes });
+    }
+  },
+  {
+    id: 'vue',
+    label: 'Vue',
+    description: 'Vue + vue-router app prerendered with vite-ssg',
+    detect: project => (usesVue(project) ? 0.9 : 0),
+    warnings: project =>
+      usesVue(project) ? [] : ['no Vue dependency detected. The vue strategy expects a Vue + vue-router project.'],
+    async apply({ projectRoot, pkg, domain, routes, seoMetaFile, locales, config, changes }) {
+      const { applyVueSsg } = await import('./generators/vue-ssg.mjs');
+      await applyVueSsg({ projectRoot, pkg, domain, routes, seoMetaFile, locales, robots: config.robots, changes });
+    }
+  },
+  {
+    id: 'vanilla',
+    label: 'Vanilla (multi-page)',
+    description: 'Framework-free site with one HTML entry point per page',
+    detect: project => (usesReact(project) || usesPreact(project) || usesVue(project) ? 0.05 : 0.5),
+    warnings: project =>
+      usesReact(project) || usesPreact(project) || usesVue(project)
+        ? ['a UI framework is installed; the vanilla strategy only wires up the HTML pages.']
+        : [],
+    routeSource: 'html',
+    async apply({ projectRoot, domain, routes, routeDetails, seoMeta, seoMetaFile, locales, config, changes }) {
+      const { applyVanillaMpa } = await import('./generators/vanilla-mpa.mjs');
+      await applyVanillaMpa({
+        projectRoot,
+        domain,
+        routes,
+        pages: routeDetails,
+        seoMeta,
+        seoMetaFile,
+        template: config.pageTemplate,
+        locales,
+        robots: config.robots,
+        changes
+      });
+    }
+  }
+];
+
+/**
+ * Check a strategy from a module and fill in its defaults.
+ *
+ * @throws {Error} When a required field is missing or has the wrong type
+ */
+function normalizeStrategy(strategy, source) {
+  const invalid = problem => new Error(`${source} does not export a valid strategy: ${problem}.`);
+  if (!strategy || typeof strategy !== 'object') throw invalid('it is not an object');
+  if (typeof strategy.id !== 'string' || !/^[a-z0-9-]+$/.test(strategy.id) || strategy.id === AUTO_STRATEGY) {
+    throw invalid('its id must be lowercase letters, digits and dashes (and not "auto")');
+  }
+  if (typeof strategy.detect !== 'function') throw invalid(`"${strategy.id}" has no detect() function`);
+  if (typeof strategy.apply !== 'function') throw invalid(`"${strategy.id}" has no apply() function`);
+  if (strategy.buildCommand !== undefined && (!Array.isArray(strategy.buildCommand) || !strategy.buildCommand.length)) {
+    throw invalid(`the buildCommand of "${strategy.id}" must be a non-empty array`);
+  }
+  return {
+    label: strategy.id,
+    routeSource: 'router',
+    locales: true,
+    buildCommand: ['npm', 'run', 'build'],
+    outDir: 'dist',
+    ...strategy,
+    source
+  };
+}
+
+/**
+ * Import a strategy module listed in the config: a path relative to the
+ * project, or a package installed in it.
+ */
+async function importStrategyModule(projectRoot, specifier) {
+  let resolved;
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    resolved = path.resolve(projectRoot, specifier);
+  } else {
+    try {
+      resolved = createRequire(path.join(projectRoot, 'package.json')).resolve(specifier);
+    } catch {
+      throw new Error(`strategy package ${specifier} is not installed in the project.`);
+    }
+  }
+  const mod = await import(pathToFileURL(resolved).href);
+  return [].concat((await mod.default) ?? []);
+}
+
+/**
+ * The strategies available for a project: the bundled ones followed by
+ * those listed under `strategies` in its config.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.projectRoot] Absolute path to the project root
+ * @param {Object} [opts.config] The project config
+ * @param {boolean} [opts.allowCode=true] Allow loading strategy modules from the project
+ * @param {import('./reporter.mjs').Reporter} [opts.reporter] Receives warnings
+ * @returns {Promise<Map<string, Strategy>>} Strategies by id
+ * @throws {Error} When a listed module cannot be loaded or two strategies share an id
+ */
+export async function loadStrategies({ projectRoot, config = {}, allowCode = true, reporter } = {}) {
+  const registry = new Map(BUNDLED_STRATEGIES.map(strategy => [strategy.id, normalizeStrategy(strategy, 'vite-seo-bootstrap')]));
+  const listed = config.strategies || [];
+  if (!Array.isArray(listed) || listed.some(item => typeof item !== 'string')) {
+    throw new Error('"strategies" in the project config must be a list of package names or paths.');
+  }
+  if (listed.length && !allowCode) {
+    reporter?.warn(`the strategies listed in the project config (${listed.join(', ')}) were not loaded because running project code is disabled.`);
+    return registry;
+  }
+  for (const specifier of listed) {
+    let exported;
+    try {
+      exported = await importStrategyModule(projectRoot, specifier);
+    } catch (err) {
+      throw new Error(`Could not load strategy ${specifier}: ${err.message}`);
+    }
+    for (const item of exported) {
+      const strategy = normalizeStrategy(item, specifier);
+      if (registry.has(strategy.id)) {
+        throw new Error(`Strategy "${strategy.id}" from ${specifier} clashes with the one from ${registry.get(strategy.id).source}.`);
+      }
+      registry.set(strategy.id, strategy);
+    }
+  }
+  return registry;
+}
+
+/**
+ * Score every strategy for the project, best fit first. A strategy whose
+ * detection throws scores 0.
+ *
+ * @param {Map<string, Strategy>} registry
+ * @param {ProjectInfo} project
+ * @returns {Promise<{ id: string, score: number }[]>}
+ */
+export async function scoreStrategies(registry, project) {
+  const scores = [];
+  for (const strategy of registry.values()) {
+    let score = 0;
+    try {
+      score = Number(await strategy.detect(project)) || 0;
+    } catch { }
+    scores.push({ id: strategy.id, score: Math.min(1, Math.max(0, score)) });
+  }
+  // Stable sort: on a tie the bundled (earlier) strategy wins
+  return scores.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * What the web UI and `strategies` command list for each strategy.
+ *
+ * @param {Map<string, Strategy>} registry
+ * @returns {{ id: string, label: string, description: string }[]}
+ */
+export function describeStrategies(registry) {
+  return Array.from(registry.values(), ({ id, label, description = '' }) => ({ id, label, description }));
+}
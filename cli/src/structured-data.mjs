@@ -0,0 +1,115 @@
+// Validation of the JSON-LD structured data in prerendered pages. Items of
+// the schema.org types with Google rich results are checked against the
+// properties Google requires (missing ones make the item ineligible) and
+// recommends (missing ones make the result poorer). Other types are only
+// checked for being well formed.
+
+// Required and recommended properties per type. `oneOf` lists properties
+// of which at least one is required; a recommended entry that is a list
+// is satisfied by any of its properties.
+const RULES = {
+  Organization: { required: ['name'], recommended: ['url', 'logo'] },
+  WebSite: { required: ['name', 'url'], recommended: ['potentialAction'] },
+  BreadcrumbList: { required: ['itemListElement'] },
+  ListItem: { required: ['position', 'name'], recommended: ['item'] },
+  Article: { required: ['headline'], recommended: ['image', 'datePublished', 'dateModified', 'author'] },
+  Product: { required: ['name'], oneOf: ['offers', 'review', 'aggregateRating'], recommended: ['image', 'description', 'sku', 'brand'] },
+  Offer: { required: ['price', 'priceCurrency'], recommended: ['availability'] },
+  AggregateRating: { required: ['ratingValue'], oneOf: ['reviewCount', 'ratingCount'] },
+  FAQPage: { required: ['mainEntity'] },
+  Question: { required: ['name', 'acceptedAnswer'] },
+  Answer: { required: ['text'] },
+  LocalBusiness: { required: ['name', 'address'], recommended: ['telephone', 'url', 'geo', ['openingHoursSpecification', 'openingHours'], 'priceRange', 'image'] },
+  PostalAddress: { recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'] }
+};
+
+// Subtypes checked like their parent type
+const ALIASES = {
+  BlogPosting: 'Article',
+  NewsArticle: 'Article',
+  Corporation: 'Organization',
+  NGO: 'Organization',
+  Restaurant: 'LocalBusiness',
+  Store: 'LocalBusiness',
+  Dentist: 'LocalBusiness',
+  MedicalClinic: 'LocalBusiness',
+  LegalService: 'LocalBusiness',
+  FinancialService: 'LocalBusiness',
+  HealthAndBeautyBusiness: 'LocalBusiness',
+  AutomotiveBusiness: 'LocalBusiness',
+  LodgingBusiness: 'LocalBusiness',
+  Hotel: 'LocalBusiness',
+  ProfessionalService: 'LocalBusiness'
+};
+
+const present = value =>
+  value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+function rulesFor(type) {
+  for (const name of [].concat(type || [])) {
+    const bare = String(name).replace(/^(https?:\/\/)?schema\.org\//, '');
+    const rules = RULES[ALIASES[bare] || bare];
+    if (rules) return { type: bare, rules };
+  }
+  return null;
+}
+
+/**
+ * Check one item and the items nested in its properties. `label` locates
+ * the item in messages, e.g. "Product > Offer".
+ */
+function checkItem(item, label, problems) {
+  const found = rulesFor(item['@type']);
+  const name = found ? (label ? `${label} > ${found.type}` : found.type) : label || String(item['@type'] || 'item');
+  if (found) {
+    const { required = [], recommended = [], oneOf } = found.rules;
+    for (const key of required) {
+      if (!present(item[key])) problems.push({ level: 'required', message: `${name} is missing "${key}".` });
+    }
+    if (oneOf && !oneOf.some(key => present(item[key]))) {
+      problems.push({ level: 'required', message: `${name} needs one of ${oneOf.map(key => `"${key}"`).join(', ')}.` });
+    }
+    for (const keys of recommended) {
+      const [key, ...alternatives] = [].concat(keys);
+      if (![key, ...alternatives].some(k => present(item[k]))) {
+        problems.push({ level: 'recommended', message: `${name} has no "${key}".` });
+      }
+    }
+  }
+  for (const [key, value] of Object.entries(item)) {
+    if (key.startsWith('@')) continue;
+    for (const child of [].concat(value)) {
+      if (child && typeof child === 'object' && child['@type']) checkItem(child, name, problems);
+    }
+  }
+}
+
+/**
+ * Validate one parsed JSON-LD document: a single item, an array of items
+ * or an @graph.
+ *
+ * @param {*} data Parsed contents of a <script type="application/ld+json">
+ * @returns {{ level: 'invalid'|'required'|'recommended', message: string }[]}
+ */
+export function validateJsonLd(data) {
+  const problems = [];
+  const documents = Array.isArray(data) ? data : [data];
+  for (const document of documents) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      problems.push({ level: 'invalid', message: 'JSON-LD must be an object or an array of objects.' });
+      continue;
+    }
+    if (!/^https?:\/\/schema\.org\/?$/.test(String(document['@context'] || ''))) {
+      problems.push({ level: 'invalid', message: `"@context" should be "https://schema.org", found ${JSON.stringify(document['@context'] ?? null)}.` });
+    }
+    const items = Array.isArray(document['@graph']) ? document['@graph'] : [document];
+    for (const item of items) {
+      if (!item || typeof item !== 'object' || !item['@type']) {
+        problems.push({ level: 'invalid', message: 'An item has no "@type".' });
+        continue;
+      }
+      checkItem(item, '', problems);
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,631 @@
+// Syntax-tree based editor for an existing vite.config.{ts,js,mjs}.
+// Instead of replacing the user's config with a template, we parse it,
+// locate the exported config object and splice in only what is missing
+// (plugins, aliases, ssr.noExternal entries, top-level constants and
+// config properties).
+// Every edit is a text insertion/removal at node offsets, so the rest of
+// the file keeps its exact formatting and comments. When the config is
+// too dynamic to edit with confidence we report why and let the caller
+// fall back to writing a side file.
+
+import { parse } from '@babel/parser';
+
+export class UnsafeConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeConfigError';
+  }
+}
+
+const NON_CHILD_KEYS = new Set([
+  'type', 'start', 'end', 'loc', 'range', 'extra',
+  'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+function parseConfig(source) {
+  try {
+    return parse(source, {
+      sourceType: 'module',
+      plugins: ['typescript', 'jsx', 'topLevelAwait']
+    });
+  } catch (err) {
+    throw new UnsafeConfigError(`could not parse config (${err.message})`);
+  }
+}
+
+/**
+ * Depth-first walk over every node in the tree.
+ */
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  for (const key of Object.keys(node)) {
+    if (NON_CHILD_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visit));
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visit);
+    }
+  }
+}
+
+// Strip wrappers that don't change the value: `{...} as UserConfig`,
+// `{...} satisfies UserConfig`, `({...})`.
+function unwrap(node) {
+  while (node && ['TSAsExpression', 'TSSatisfiesExpression', 'ParenthesizedExpression', 'TSNonNullExpression'].includes(node.type)) {
+    node = node.expression;
+  }
+  return node;
+}
+
+function propertyKey(prop) {
+  if (prop.type !== 'ObjectProperty' && prop.type !== 'ObjectMethod') return undefined;
+  if (prop.computed) return undefined;
+  if (prop.key.type === 'Identifier') return prop.key.name;
+  if (prop.key.type === 'StringLiteral') return prop.key.value;
+  return undefined;
+}
+
+function findProperty(object, name) {
+  return object.properties.find(prop => propertyKey(prop) === name);
+}
+
+function topLevelDeclarator(program, name) {
+  for (const statement of program.body) {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration?.type !== 'VariableDeclaration') continue;
+    const found = declaration.declarations.find(d => d.id.type === 'Identifier' && d.id.name === name);
+    if (found) return found;
+  }
+  return undefined;
+}
+
+/**
+ * Resolve the object literal holding the exported config. Supports
+ * `export default {...}`, `export default defineConfig({...})`,
+ * `defineConfig(() => ({...}))`, arrow/function bodies with a single
+ * object `return`, and `export default config` pointing to a top-level
+ * `const config = ...` of any of those shapes.
+ */
+function findConfigObject(program) {
+  const exportDefault = program.body.find(s => s.type === 'ExportDefaultDeclaration');
+  if (!exportDefault) {
+    throw new UnsafeConfigError('no `export default` found');
+  }
+
+  const resolve = (node, depth = 0) => {
+    node = unwrap(node);
+    if (!node || depth > 5) return undefined;
+    if (node.type === 'ObjectExpression') return node;
+    if (node.type === 'CallExpression' && node.arguments.length === 1) {
+      return resolve(node.arguments[0], depth + 1);
+    }
+    if (node.type === 'Identifier') {
+      const declarator = topLevelDeclarator(program, node.name);
+      return declarator ? resolve(declarator.init, depth + 1) : undefined;
+    }
+    if (['ArrowFunctionExpression', 'FunctionExpression', 'FunctionDeclaration'].includes(node.type)) {
+      if (node.body.type !== 'BlockStatement') return resolve(node.body, depth + 1);
+      const returns = node.body.body.filter(s => s.type === 'ReturnStatement');
+      return returns.length === 1 ? resolve(returns[0].argument, depth + 1) : undefined;
+    }
+    return undefined;
+  };
+
+  const object = resolve(exportDefault.declaration);
+  if (!object) {
+    throw new UnsafeConfigError('the exported config is not a plain object literal');
+  }
+  return { object, exportDefault };
+}
+
+function importedLocals(program, matches) {
+  const locals = [];
+  for (const statement of program.body) {
+    if (statement.type !== 'ImportDeclaration' || !matches(statement.source.value)) continue;
+    for (const specifier of statement.specifiers) locals.push(specifier.local.name);
+  }
+  return locals;
+}
+
+function sourceMatcher(source) {
+  return source instanceof RegExp ? value => source.test(value) : value => value === source;
+}
+
+function calleeName(node) {
+  node = unwrap(node);
+  if (node?.type !== 'CallExpression') return undefined;
+  return node.callee.type === 'Identifier' ? node.callee.name : undefined;
+}
+
+/**
+ * Collects text edits against the original source and applies them in
+ * one go. Edits at the same offset keep the order they were added in.
+ */
+class Editor {
+  constructor(source) {
+    this.source = source;
+    this.edits = [];
+    this.appends = new Map();
+    const indented = source.match(/^([ \t]+)\S/m);
+    this.unit = indented ? indented[1] : '  ';
+    this.semicolon = /;\s*$/m.test(source.split('\n').find(line => line.startsWith('import ')) || ';');
+    this.quote = /from\s+"/.test(source) && !/from\s+'/.test(source) ? '"' : "'";
+  }
+
+  insert(at, text) {
+    this.edits.push({ start: at, end: at, text });
+  }
+
+  replace(node, text) {
+    this.edits.push({ start: node.start, end: node.end, text });
+  }
+
+  remove(start, end) {
+    this.edits.push({ start, end, text: '' });
+  }
+
+  lineIndent(pos) {
+    const lineStart = this.source.lastIndexOf('\n', pos - 1) + 1;
+    return this.source.slice(lineStart).match(/^[ \t]*/)[0];
+  }
+
+  // Re-indent a (possibly multi-line) snippet written with two-space
+  // indentation so it sits at `indent` using the file's own indent unit.
+  reindent(text, indent) {
+    return text
+      .split('\n')
+      .map((line, i) => {
+        if (i === 0) return line;
+        const [, spaces, rest] = line.match(/^( *)(.*)$/);
+        if (!rest) return '';
+        return indent + this.unit.repeat(Math.floor(spaces.length / 2)) + rest;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Queue an entry to append to an array or object literal. Entries are
+   * laid out when the edits are applied, once everything added to the
+   * same literal is known.
+   */
+  append(container, text) {
+    if (!this.appends.has(container)) this.appends.set(container, []);
+    this.appends.get(container).push(text);
+  }
+
+  /**
+   * Turn the queued entries for one literal into edits, following its
+   * layout: one entry per line for multi-line literals, inline for short
+   * inline ones. An inline literal receiving a multi-line entry is
+   * re-flowed to one entry per line.
+   */
+  flushAppends(container, texts) {
+    const items = (container.elements || container.properties).filter(Boolean);
+    const open = this.source[container.start];
+    const spansLines = this.source.slice(container.start, container.end).includes('\n');
+    const needsLines = texts.some(text => text.includes('\n'));
+    if (!items.length || (!spansLines && needsLines)) {
+      const indent = this.lineIndent(container.start);
+      const inner = indent + this.unit;
+      const entries = [
+        ...items.map(item => this.take(item.start, item.end).split('\n').join(`\n${this.unit}`)),
+        ...texts.map(text => this.reindent(text, inner))
+      ];
+      const body = spansLines || needsLines
+        ? `\n${inner}${entries.join(`,\n${inner}`)}\n${indent}`
+        : open === '{' ? ` ${entries.join(', ')} ` : entries.join(', ');
+      this.edits.push({ start: container.start + 1, end: container.end - 1, text: body });
+      return;
+    }
+    const last = items[items.length - 1];
+    const after = this.source.slice(last.end, container.end - 1);
+    const trailingComma = /^\s*,/.test(after);
+    if (spansLines) {
+      const indent = this.lineIndent(last.start);
+      const entries = texts.map(text => `\n${indent}${this.reindent(text, indent)}`);
+      if (trailingComma) {
+        this.insert(last.end + after.indexOf(',') + 1, entries.join(',') + ',');
+      } else {
+        this.insert(last.end, ',' + entries.join(','));
+      }
+    } else {
+      this.insert(last.end, texts.map(text => `, ${text}`).join(''));
+    }
+  }
+
+  /**
+   * Source text of `start..end` with the edits queued inside that range
+   * applied. Those edits are taken out of the queue, since the caller
+   * replaces the whole range; one straddling the range is refused.
+   */
+  take(start, end) {
+    const inside = [];
+    this.edits = this.edits.filter((edit, index) => {
+      if (edit.start >= start && edit.end <= end) {
+        inside.push({ ...edit, index });
+        return false;
+      }
+      if (edit.start < end && edit.end > start) {
+        throw new UnsafeConfigError('overlapping edits to the config');
+      }
+      return true;
+    });
+    let code = this.source.slice(start, end);
+    for (const edit of inside.sort((a, b) => b.start - a.start || b.index - a.index)) {
+      code = code.slice(0, edit.start - start) + edit.text + code.slice(edit.end - start);
+    }
+    return code;
+  }
+
+  /**
+   * Remove one element from an array literal together with its separator.
+   */
+  removeElement(array, element) {
+    const items = array.elements.filter(Boolean);
+    const index = items.indexOf(element);
+    if (items.length === 1) {
+      this.remove(element.start, array.end - 1);
+    } else if (index < items.length - 1) {
+      this.remove(element.start, items[index + 1].start);
+    } else {
+      this.remove(items[index - 1].end, element.end);
+    }
+  }
+
+  removeStatement(node) {
+    let end = node.end;
+    while (this.source[end] === '\n' || this.source[end] === '\r') {
+      end++;
+      if (this.source[end - 1] === '\n') break;
+    }
+    this.remove(node.start, end);
+  }
+
+  apply() {
+    // Innermost literals first, so a literal that is re-flowed as a whole
+    // picks up the entries already laid out for the ones it contains
+    const pending = [...this.appends].sort(([a], [b]) => (a.end - a.start) - (b.end - b.start));
+    for (const [container, texts] of pending) this.flushAppends(container, texts);
+    this.appends.clear();
+    const ordered = this.edits
+      .map((edit, index) => ({ ...edit, index }))
+      .sort((a, b) => b.start - a.start || b.index - a.index);
+    let code = this.source;
+    let limit = Infinity;
+    for (const { start, end, text } of ordered) {
+      if (end > limit) throw new UnsafeConfigError('overlapping edits to the config');
+      code = code.slice(0, start) + text + code.slice(end);
+      limit = start;
+    }
+    return code;
+  }
+}
+
+/**
+ * Pass 1: drop or swap plugins, then prune imports left unused.
+ */
+function removeAndReplacePlugins(source, { removePlugins = [], replacePlugins = [] }) {
+  if (!removePlugins.length && !replacePlugins.length) return source;
+  const ast = parseConfig(source);
+  const program = ast.program;
+  const editor = new Editor(source);
+
+  const targets = [...removePlugins, ...replacePlugins.map(r => r.source)].map(sourceMatcher);
+  const touchedLocals = new Set();
+  const localsFor = matches => new Set(importedLocals(program, matches));
+
+  // Plugin calls can only be found if the config object is understood
+  let plugins;
+  try {
+    const { object } = findConfigObject(program);
+    const prop = findProperty(object, 'plugins');
+    plugins = prop && unwrap(prop.value);
+  } catch {
+    plugins = undefined;
+  }
+
+  const replaced = new Set();
+  if (plugins?.type === 'ArrayExpression') {
+    for (const element of plugins.elements.filter(Boolean)) {
+      const name = calleeName(element);
+      if (!name) continue;
+      const removal = removePlugins.find(src => localsFor(sourceMatcher(src)).has(name));
+      if (removal !== undefined) {
+        editor.removeElement(plugins, element);
+        touchedLocals.add(name);
+        continue;
+      }
+      const replacement = replacePlugins.find(r => localsFor(sourceMatcher(r.source)).has(name));
+      if (replacement && !replaced.has(replacement)) {
+        editor.replace(element, replacement.code);
+        touchedLocals.add(name);
+        replaced.add(replacement);
+      }
+    }
+  }
+
+  // Count remaining references to decide which imports became unused
+  const removedRanges = editor.edits.map(({ start, end }) => [start, end]);
+  const references = new Map();
+  for (const statement of program.body) {
+    if (statement.type === 'ImportDeclaration') continue;
+    walk(statement, node => {
+      if (node.type !== 'Identifier') return;
+      if (removedRanges.some(([start, end]) => node.start >= start && node.end <= end)) return;
+      references.set(node.name, (references.get(node.name) || 0) + 1);
+    });
+  }
+
+  for (const statement of program.body) {
+    if (statement.type !== 'ImportDeclaration') continue;
+    if (!targets.some(matches => matches(statement.source.value))) continue;
+    const stillUsed = statement.specifiers.some(s => references.has(s.local.name));
+    const touched = statement.specifiers.some(s => touchedLocals.has(s.local.name));
+    if (touched && !stillUsed) editor.removeStatement(statement);
+  }
+
+  return editor.apply();
+}
+
+/**
+ * Pass 2: add whatever is missing to the (re-parsed) config.
+ */
+function addMissing(source, { declarations = [], plugins = [], aliases = [], noExternal = [], properties = [] }) {
+  if (!declarations.length && !plugins.length && !aliases.length && !noExternal.length && !properties.length) {
+    return { code: source, added: [] };
+  }
+  const ast = parseConfig(source);
+  const program = ast.program;
+  const { object, exportDefault } = findConfigObject(program);
+  const editor = new Editor(source);
+  const added = [];
+
+  const importedSources = new Set(
+    program.body.filter(s => s.type === 'ImportDeclaration').map(s => s.source.value)
+  );
+  const pluginsProp = findProperty(object, 'plugins');
+  const pluginsArray = pluginsProp && unwrap(pluginsProp.value);
+  const calledPlugins = new Set(
+    pluginsArray?.type === 'ArrayExpression' ? pluginsArray.elements.map(calleeName).filter(Boolean) : []
+  );
+
+  // A plugin whose module is already imported is left to the user. One
+  // that is called but not imported (e.g. swapped in by pass 1) only
+  // needs its import.
+  const missingImports = plugins.filter(p => !importedSources.has(p.source));
+  const missingPlugins = missingImports.filter(p => !calledPlugins.has(p.local));
+
+  // Imports, placed after the last existing import
+  const lastImport = [...program.body].reverse().find(s => s.type === 'ImportDeclaration');
+  for (const spec of missingImports) {
+    const binding = spec.named ? `{ ${spec.local} }` : spec.local;
+    const line = `import ${binding} from ${editor.quote}${spec.source}${editor.quote}${editor.semicolon ? ';' : ''}`;
+    if (lastImport) {
+      editor.insert(lastImport.end, `\n${line}`);
+    } else {
+      editor.insert(0, `${line}\n`);
+    }
+    added.push(`import ${spec.source}`);
+  }
+
+  // Top-level constants we own (e.g. the routes list): refresh or insert
+  for (const { name, code } of declarations) {
+    const declarator = topLevelDeclarator(program, name);
+    if (declarator) {
+      if (declarator.init?.type !== 'ArrayExpression' && declarator.init?.type !== 'ObjectExpression') {
+        throw new UnsafeConfigError(`top-level \`${name}\` already exists and is not a literal`);
+      }
+      if (source.slice(declarator.init.start, declarator.init.end) !== code) {
+        editor.replace(declarator.init, code);
+        added.push(`const ${name}`);
+      }
+    } else {
+      const before = exportDefault.leadingComments?.[0]?.start ?? exportDefault.start;
+      editor.insert(before, `const ${name} = ${code}${editor.semicolon ? ';' : ''}\n\n`);
+      added.push(`const ${name}`);
+    }
+  }
+
+  if (missingPlugins.length) {
+    if (!pluginsProp) {
+      editor.append(object, `plugins: [\n${missingPlugins.map(p => '  ' + p.code.split('\n').join('\n  ')).join(',\n')}\n]`);
+    } else if (pluginsArray?.type === 'ArrayExpression') {
+      for (const plugin of missingPlugins) editor.append(pluginsArray, plugin.code);
+    } else {
+      throw new UnsafeConfigError('`plugins` is not an array literal');
+    }
+    added.push(...missingPlugins.map(p => `plugin ${p.source}`));
+  }
+
+  // resolve.alias entries, matched on their `find` value
+  if (aliases.length) {
+    addAliases(editor, object, aliases, added);
+  }
+
+  // ssr.noExternal entries
+  if (noExternal.length) {
+    addNoExternal(editor, object, noExternal, added);
+  }
+
+  // Config properties (e.g. ssgOptions, build.rollupOptions.input); an
+  // existing one is the user's
+  for (const { key, code } of properties) {
+    addProperty(editor, object, key, code, added);
+  }
+
+  return { code: editor.apply(), added };
+}
+
+function aliasKey(node) {
+  node = unwrap(node);
+  if (node?.type === 'StringLiteral') return `s:${node.value}`;
+  if (node?.type === 'RegExpLiteral') return `r:${node.pattern}`;
+  return undefined;
+}
+
+function addAliases(editor, object, aliases, added) {
+  const entryCode = a => `{ find: ${a.find}, replacement: ${a.replacement} }`;
+  const resolveProp = findProperty(object, 'resolve');
+  if (!resolveProp) {
+    editor.append(object, `resolve: {\n  alias: [\n${aliases.map(a => '    ' + entryCode(a)).join(',\n')}\n  ]\n}`);
+    added.push('resolve.alias');
+    return;
+  }
+  const resolveObject = unwrap(resolveProp.value);
+  if (resolveObject?.type !== 'ObjectExpression') {
+    throw new UnsafeConfigError('`resolve` is not an object literal');
+  }
+  const aliasProp = findProperty(resolveObject, 'alias');
+  if (!aliasProp) {
+    editor.append(resolveObject, `alias: [\n${aliases.map(a => '  ' + entryCode(a)).join(',\n')}\n]`);
+    added.push('resolve.alias');
+    return;
+  }
+  const alias = unwrap(aliasProp.value);
+  const keyOf = a => aliasKey(parseExpression(a.find));
+
+  if (alias?.type === 'ArrayExpression') {
+    const existing = new Set();
+    for (const element of alias.elements) {
+      const entry = unwrap(element);
+      if (entry?.type !== 'ObjectExpression') continue;
+      const find = findProperty(entry, 'find');
+      if (find) existing.add(aliasKey(find.value));
+    }
+    for (const a of aliases) {
+      if (existing.has(keyOf(a))) continue;
+      editor.append(alias, entryCode(a));
+      added.push(`alias ${a.find}`);
+    }
+    return;
+  }
+
+  if (alias?.type === 'ObjectExpression') {
+    // Object aliases can't hold regular expressions: convert to the array
+    // form, keeping every existing entry's source text.
+    const entries = [];
+    const existing = new Set();
+    for (const prop of alias.properties) {
+      if (prop.type !== 'ObjectProperty' || prop.computed) {
+        throw new UnsafeConfigError('`resolve.alias` contains spreads or computed keys');
+      }
+      const key = editor.source.slice(prop.key.start, prop.key.end);
+      const find = prop.key.type === 'Identifier' ? `${editor.quote}${prop.key.name}${editor.quote}` : key;
+      existing.add(aliasKey(parseExpression(find)));
+      entries.push(`{ find: ${find}, replacement: ${editor.source.slice(prop.value.start, prop.value.end)} }`);
+    }
+    const missing = aliases.filter(a => !existing.has(keyOf(a)));
+    if (!missing.length) return;
+    // New (more specific) patterns go first so they win over a bare '@'
+    const all = [...missing.map(entryCode), ...entries];
+    const indent = editor.lineIndent(aliasProp.start);
+    editor.replace(alias, editor.reindent(`[\n${all.map(e => '  ' + e).join(',\n')}\n]`, indent));
+    added.push(...missing.map(a => `alias ${a.find}`));
+    return;
+  }
+
+  throw new UnsafeConfigError('`resolve.alias` is not an array or object literal');
+}
+
+function addNoExternal(editor, object, packages, added) {
+  const list = items => `[${items.map(p => `${editor.quote}${p}${editor.quote}`).join(', ')}]`;
+  const ssrProp = findProperty(object, 'ssr');
+  if (!ssrProp) {
+    editor.append(object, `ssr: {\n  noExternal: ${list(packages)}\n}`);
+    added.push('ssr.noExternal');
+    return;
+  }
+  const ssr = unwrap(ssrProp.value);
+  if (ssr?.type !== 'ObjectExpression') {
+    throw new UnsafeConfigError('`ssr` is not an object literal');
+  }
+  const prop = findProperty(ssr, 'noExternal');
+  if (!prop) {
+    editor.append(ssr, `noExternal: ${list(packages)}`);
+    added.push('ssr.noExternal');
+    return;
+  }
+  const value = unwrap(prop.value);
+  // `noExternal: true` already bundles everything
+  if (value?.type === 'BooleanLiteral' && value.value) return;
+  if (value?.type === 'StringLiteral') {
+    const missing = packages.filter(p => p !== value.value);
+    if (missing.length) {
+      editor.replace(value, list([value.value, ...missing]));
+      added.push('ssr.noExternal');
+    }
+    return;
+  }
+  if (value?.type === 'ArrayExpression') {
+    const present = new Set(value.elements.map(e => unwrap(e)).filter(e => e?.type === 'StringLiteral').map(e => e.value));
+    for (const pkg of packages) {
+      if (present.has(pkg)) continue;
+      editor.append(value, `${editor.quote}${pkg}${editor.quote}`);
+      added.push(`ssr.noExternal ${pkg}`);
+    }
+    return;
+  }
+  throw new UnsafeConfigError('`ssr.noExternal` is not a literal');
+}
+
+function addProperty(editor, object, key, code, added) {
+  const segments = key.split('.');
+  let container = object;
+  for (let i = 0; i < segments.length; i++) {
+    const prop = findProperty(container, segments[i]);
+    if (!prop) {
+      // Build the missing objects from here down around the value
+      const rest = segments.slice(i);
+      let text = code;
+      for (let j = rest.length - 1; j > 0; j--) {
+        text = `${rest[j]}: ${text.split('\n').join('\n  ')}`;
+        text = `{\n  ${text}\n}`;
+      }
+      editor.append(container, `${rest[0]}: ${text}`);
+      added.push(key);
+      return;
+    }
+    if (i === segments.length - 1) return;
+    const value = unwrap(prop.value);
+    if (value?.type !== 'ObjectExpression') {
+      throw new UnsafeConfigError(`\`${segments.slice(0, i + 1).join('.')}\` is not an object literal`);
+    }
+    container = value;
+  }
+}
+
+function parseExpression(code) {
+  const ast = parse(`(${code})`, { sourceType: 'module' });
+  return ast.program.body[0].expression;
+}
+
+/**
+ * Edit a Vite config source, adding only what is missing.
+ *
+ * @param {string} source Current contents of the config file
+ * @param {Object} spec
+ * @param {{ name: string, code: string }[]} [spec.declarations] Top-level `const` literals to insert or refresh
+ * @param {{ source: string, local: string, named?: boolean, code: string }[]} [spec.plugins]
+ *   Plugins to add (call and import) when their module isn't imported yet
+ * @param {(string|RegExp)[]} [spec.removePlugins] Modules whose plugin calls (and imports) are removed
+ * @param {{ source: string|RegExp, code: string }[]} [spec.replacePlugins] Modules whose plugin call is swapped for `code`
+ * @param {{ find: string, replacement: string }[]} [spec.aliases] resolve.alias entries (as source code) to add
+ * @param {string[]} [spec.noExternal] Packages to add to ssr.noExternal
+ * @param {{ key: string, code: string }[]} [spec.properties] Config properties to add when absent;
+ *   dotted keys (`build.rollupOptions.input`) create the enclosing objects as needed
+ * @returns {{ code: string, added: string[] }}
+ * @throws {UnsafeConfigError} When the config is too dynamic to edit safely
+ */
+export function editViteConfig(source, spec) {
+  const intermediate = removeAndReplacePlugins(source, spec);
+  const result = addMissing(intermediate, spec);
+  // The edits are only text splices: make sure they left valid code
+  try {
+    parseConfig(result.code);
+  } catch (err) {
+    throw new UnsafeConfigError(`the edited config would not parse: ${err.message}`);
+  }
+  return result;
+}
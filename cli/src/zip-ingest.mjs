@@ -0,0 +1,228 @@
+// Safe extraction of an uploaded project ZIP. Every entry is checked
+// before anything is written: names that would land outside the target
+// folder, a name used by both a file and a folder, symlinks and device
+// files reject the whole archive, as do more
+// entries, more uncompressed bytes or a higher compression ratio than the
+// limits allow (a zip bomb). Folders that are never part of the source
+// (node_modules, .git, __MACOSX) are skipped. Each rejection carries a
+// code the web UI turns into a message for the user.
+
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+
+export const DEFAULT_ZIP_LIMITS = {
+  // Files and folders in the archive
+  maxEntries: 20000,
+  // Uncompressed size of every file together, in bytes
+  maxTotalSize: 500 * 1024 * 1024,
+  // Uncompressed / compressed size, for the archive and for each entry
+  maxRatio: 100
+};
+
+// Entries smaller than this are not held to maxRatio: short repetitive
+// files (lockfiles, SVGs) legitimately compress very well
+const RATIO_MIN_SIZE = 1024 * 1024;
+
+// Compressed bytes an empty file may take (an empty deflate stream is 2).
+// adm-zip stops inflating at the declared size, but has no limit for an
+// entry declaring 0 bytes, so one with more data than this is refused
+const EMPTY_ENTRY_MAX_COMPRESSED = 16;
+
+// Folders that are regenerated by the install or only add noise
+export const SKIPPED_FOLDERS = ['node_modules', '.git', '__MACOSX'];
+
+// Unix file types in the high 16 bits of an entry's external attributes
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+/**
+ * Why an archive was refused. `code` is one of:
+ *
+ *   ZIP_INVALID           not a readable ZIP archive
+ *   ZIP_EMPTY             no files left after skipping the ignored folders
+ *   ZIP_ABSOLUTE_PATH     an entry name is an absolute path
+ *   ZIP_PATH_TRAVERSAL    an entry name climbs out of the folder with ..
+ *   ZIP_SYMLINK           an entry is a symbolic link
+ *   ZIP_SPECIAL_FILE      an entry is a device, FIFO or socket
+ *   ZIP_ENCRYPTED         an entry is password protected
+ *   ZIP_TOO_MANY_ENTRIES  more entries than maxEntries
+ *   ZIP_TOO_LARGE         more uncompressed bytes than maxTotalSize
+ *   ZIP_RATIO             compressed more than maxRatio times (a zip bomb)
+ *   ZIP_SIZE_MISMATCH     an entry inflates to a size other than the one declared
+ *   ZIP_NAME_CLASH        a file has the name of a folder holding other entries
+ */
+export class ZipRejectedError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {string} [entry] Name of the offending entry
+   */
+  constructor(code, message, entry) {
+    super(message);
+    this.name = 'ZipRejectedError';
+    this.code = code;
+    this.entry = entry;
+  }
+}
+
+const megabytes = bytes => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+/**
+ * Where an entry would be written, or null for a skipped one.
+ *
+ * @throws {ZipRejectedError} When the name is absolute or escapes the folder
+ */
+function entryTarget(name, destDir) {
+  if (name.includes('\0')) {
+    throw new ZipRejectedError('ZIP_PATH_TRAVERSAL', `Entry "${name}" has a NUL byte in its name.`, name);
+  }
+  // Backslashes are separators in archives made on Windows
+  const normalised = name.replace(/\\/g, '/');
+  if (normalised.startsWith('/') || /^[a-zA-Z]:/.test(normalised)) {
+    throw new ZipRejectedError('ZIP_ABSOLUTE_PATH', `Entry "${name}" has an absolute path.`, name);
+  }
+  const segments = normalised.split('/').filter(segment => segment && segment !== '.');
+  if (segments.includes('..')) {
+    throw new ZipRejectedError('ZIP_PATH_TRAVERSAL', `Entry "${name}" points outside the project folder.`, name);
+  }
+  if (!segments.length || segments.some(segment => SKIPPED_FOLDERS.includes(segment))) {
+    return null;
+  }
+  const target = path.resolve(destDir, ...segments);
+  // Second line of defence, in case the normalisation let something through
+  if (!target.startsWith(path.resolve(destDir) + path.sep)) {
+    throw new ZipRejectedError('ZIP_PATH_TRAVERSAL', `Entry "${name}" points outside the project folder.`, name);
+  }
+  return target;
+}
+
+/**
+ * Check every entry of a ZIP and, only when all of them pass, extract the
+ * archive into `destDir`.
+ *
+ * @param {string} zipPath
+ * @param {string} destDir Existing, empty folder
+ * @param {Object} [opts]
+ * @param {Partial<typeof DEFAULT_ZIP_LIMITS>} [opts.limits]
+ * @param {import('./reporter.mjs').Reporter} [opts.reporter] Receives a summary of skipped entries
+ * @returns {{ files: number, skipped: number, totalSize: number }}
+ * @throws {ZipRejectedError}
+ */
+export function extractZip(zipPath, destDir, { limits = {}, reporter } = {}) {
+  const { maxEntries, maxTotalSize, maxRatio } = { ...DEFAULT_ZIP_LIMITS, ...limits };
+  let entries;
+  try {
+    entries = new AdmZip(zipPath).getEntries();
+  } catch (err) {
+    throw new ZipRejectedError('ZIP_INVALID', `Not a valid ZIP archive (${err.message}).`);
+  }
+  if (entries.length > maxEntries) {
+    throw new ZipRejectedError('ZIP_TOO_MANY_ENTRIES', `The archive has ${entries.length} entries; the limit is ${maxEntries}.`);
+  }
+
+  // 1. Check every entry before writing anything
+  const accepted = [];
+  // Paths taken by files, and by folders (listed or implied by an entry
+  // inside them): one path can't be both
+  const files = new Set();
+  const folders = new Set();
+  const claim = (name, target, isDirectory) => {
+    const clashes = isDirectory ? files.has(target) : folders.has(target);
+    const parents = [];
+    for (let dir = path.dirname(target); dir.startsWith(path.resolve(destDir) + path.sep); dir = path.dirname(dir)) {
+      parents.push(dir);
+    }
+    if (clashes || parents.some(dir => files.has(dir))) {
+      throw new ZipRejectedError('ZIP_NAME_CLASH', `Entry "${name}" uses the name of both a file and a folder.`, name);
+    }
+    (isDirectory ? folders : files).add(target);
+    for (const dir of parents) folders.add(dir);
+  };
+  let skipped = 0;
+  let totalSize = 0;
+  let totalCompressed = 0;
+  for (const entry of entries) {
+    const name = entry.entryName;
+    const target = entryTarget(name, destDir);
+    if (!target) {
+      skipped++;
+      continue;
+    }
+    const type = (entry.attr >>> 16) & S_IFMT;
+    if (type === S_IFLNK) {
+      throw new ZipRejectedError('ZIP_SYMLINK', `Entry "${name}" is a symbolic link.`, name);
+    }
+    if (type && type !== S_IFREG && type !== S_IFDIR) {
+      throw new ZipRejectedError('ZIP_SPECIAL_FILE', `Entry "${name}" is not a regular file or folder.`, name);
+    }
+    claim(name, target, entry.isDirectory);
+    if (entry.isDirectory) {
+      accepted.push({ entry, target });
+      continue;
+    }
+    if (entry.header.encrypted) {
+      throw new ZipRejectedError('ZIP_ENCRYPTED', `Entry "${name}" is password protected.`, name);
+    }
+    const { size, compressedSize } = entry.header;
+    if (size === 0 && compressedSize > EMPTY_ENTRY_MAX_COMPRESSED) {
+      throw new ZipRejectedError(
+        'ZIP_SIZE_MISMATCH',
+        `Entry "${name}" declares no content but holds ${compressedSize} compressed bytes.`,
+        name
+      );
+    }
+    if (size >= RATIO_MIN_SIZE && size > compressedSize * maxRatio) {
+      throw new ZipRejectedError(
+        'ZIP_RATIO',
+        `Entry "${name}" expands ${Math.round(size / Math.max(compressedSize, 1))} times; the limit is ${maxRatio}.`,
+        name
+      );
+    }
+    totalSize += size;
+    totalCompressed += compressedSize;
+    if (totalSize > maxTotalSize) {
+      throw new ZipRejectedError('ZIP_TOO_LARGE', `The archive expands to more than ${megabytes(maxTotalSize)}.`);
+    }
+    accepted.push({ entry, target });
+  }
+  if (totalSize >= RATIO_MIN_SIZE && totalSize > totalCompressed * maxRatio) {
+    throw new ZipRejectedError(
+      'ZIP_RATIO',
+      `The archive expands ${Math.round(totalSize / Math.max(totalCompressed, 1))} times; the limit is ${maxRatio}.`
+    );
+  }
+  if (!accepted.some(({ entry }) => !entry.isDirectory)) {
+    throw new ZipRejectedError('ZIP_EMPTY', 'The archive has no project files.');
+  }
+
+  // 2. Extract: files are written without the archive's permissions or links
+  for (const { entry, target } of accepted) {
+    if (entry.isDirectory) {
+      fs.mkdirSync(target, { recursive: true });
+      continue;
+    }
+    let data;
+    try {
+      data = entry.getData();
+    } catch (err) {
+      throw new ZipRejectedError('ZIP_INVALID', `Entry "${entry.entryName}" could not be read (${err.message}).`, entry.entryName);
+    }
+    if (data.length !== entry.header.size) {
+      throw new ZipRejectedError(
+        'ZIP_SIZE_MISMATCH',
+        `Entry "${entry.entryName}" does not match the size declared in the archive.`,
+        entry.entryName
+      );
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, data);
+  }
+
+  if (skipped) {
+    reporter?.log(`Skipped ${skipped} entr${skipped === 1 ? 'y' : 'ies'} in ${SKIPPED_FOLDERS.join(', ')}`);
+  }
+  return { files: accepted.filter(({ entry }) => !entry.isDirectory).length, skipped, totalSize };
+}
@@ -1,8 +1,17 @@
 import AdmZip from 'adm-zip';
-import { spawnSync } from 'child_process';
+import { spawn, spawnSync } from 'child_process';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { editViteConfig } from './src/vite-config.mjs';
+import { extractRoutes } from './src/routes.mjs';
+import { ChangeSet } from './src/changeset.mjs';
+import { Reporter } from './src/reporter.mjs';
+import { applyVueSsg } from './src/generators/vue-ssg.mjs';
+import { extractZip } from './src/zip-ingest.mjs';
+import { buildRobots } from './src/robots.mjs';
+import { build } from './src/build.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const testDir = path.join(__dirname, 'test-output');
@@ -67,3 +76,372 @@ if (fs.existsSync(outputZipPath)) {
     console.error('Verification failed: Output zip not found.');
     process.exit(1);
 }
+
+// Checks of the source rewrites, on small fixtures
+function check(name, ok, details) {
+    if (ok) {
+        console.log('Check passed:', name);
+    } else {
+        console.error('Check failed:', name);
+        if (details) console.error(details);
+        process.exit(1);
+    }
+}
+
+// A project with the given files in a temporary folder
+function writeFixture(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vite-seo-bootstrap-test-'));
+    for (const [file, contents] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), contents);
+    }
+    return dir;
+}
+
+// vite.config: an object resolve.alias becomes the array form, keeping
+// every entry's source, with the new alias first; a second run adds nothing
+const aliasConfig = `import { defineConfig } from 'vite';
+import path from 'path';
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@': path.resolve(__dirname, 'src'),
+      utils: '/src/utils'
+    }
+  }
+});
+`;
+const aliasSpec = { aliases: [{ find: '/^@seo\\//', replacement: "'/src/seo/'" }] };
+const aliased = editViteConfig(aliasConfig, aliasSpec);
+check('alias object converted to an array', aliased.code.includes(`    alias: [
+      { find: /^@seo\\//, replacement: '/src/seo/' },
+      { find: '@', replacement: path.resolve(__dirname, 'src') },
+      { find: 'utils', replacement: '/src/utils' }
+    ]`), aliased.code);
+check('alias edit is idempotent', editViteConfig(aliased.code, aliasSpec).code === aliased.code);
+
+// vite.config: a one-line config re-flowed for multi-line entries keeps the
+// plugins added to its inline array
+const inlineConfig = `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({ plugins: [react()] });
+`;
+const inlined = editViteConfig(inlineConfig, {
+    plugins: [
+        { source: 'vite-plugin-html', local: 'createHtmlPlugin', named: true, code: 'createHtmlPlugin({\n  minify: true\n})' },
+        { source: './src/seo/robots', local: 'robotsGuard', named: true, code: 'robotsGuard()' }
+    ],
+    aliases: aliasSpec.aliases,
+    noExternal: ['react-helmet-async']
+});
+check('one-line config re-flowed with its plugins', inlined.code.includes(`export default defineConfig({
+  plugins: [
+    react(),
+    createHtmlPlugin({
+      minify: true
+    }),
+    robotsGuard()
+  ],
+  resolve: {`) && inlined.code.endsWith(`  ssr: {
+    noExternal: ['react-helmet-async']
+  }
+});
+`), inlined.code);
+
+// robots.txt: without configured rules an existing file keeps its rules
+const blocked = buildRobots({ existing: 'User-agent: *\nDisallow: /\n', domain: 'https://example.com' });
+check('existing Disallow: / kept without configured rules', blocked.text.startsWith('User-agent: *\nDisallow: /\n\n') && !blocked.text.includes('Allow: /\n'), blocked.text);
+
+// robots.txt: a new domain replaces the Sitemap line written for the old
+// one; a sitemap added by hand stays
+const moved = buildRobots({
+    existing: buildRobots({ existing: 'User-agent: *\nDisallow: /admin\n\nSitemap: https://cdn.example.org/news.xml\n', domain: 'https://old.example.com' }).text,
+    domain: 'https://new.example.com'
+});
+check('generated Sitemap line replaced on a new domain', moved.text.includes('Sitemap: https://new.example.com/sitemap.xml') &&
+    !moved.text.includes('old.example.com') && moved.text.includes('Sitemap: https://cdn.example.org/news.xml'), moved.text);
+
+// Conflicts: a user-written entry the tool takes over is replaced only
+// under side-by-side with a backup, and listed in the conflicts
+const entryDir = writeFixture({ 'src/main.tsx': 'render(<App />);\n' });
+const takeOver = async options => {
+    const changes = new ChangeSet({ projectRoot: entryDir, reporter: new Reporter(), ...options });
+    const written = await changes.writeGenerated('src/main.tsx', 'hydrate(<App />);\n', { replaceUnstamped: true });
+    return { written, files: changes.changes.map(change => change.path), conflicts: changes.conflicts };
+};
+const replacedEntry = await takeOver({});
+const skippedEntry = await takeOver({ onConflict: 'skip' });
+const unsavedEntry = await takeOver({ keepsOriginals: false });
+fs.rmSync(entryDir, { recursive: true, force: true });
+check('unstamped entry replaced and reported', replacedEntry.written && replacedEntry.conflicts[0]?.resolution === 'replace', replacedEntry);
+check('unstamped entry kept with --on-conflict=skip', !skippedEntry.written && !skippedEntry.files.length, skippedEntry);
+check('unstamped entry kept without a backup', !unsavedEntry.written && unsavedEntry.files.join() === 'src/main.tsx.new', unsavedEntry);
+
+// Routes: nested route objects with `lazy`, children spread in from
+// another module, and <Route> trees in modules reached through lazy()
+const routesDir = writeFixture({
+    'src/main.tsx': `import { createBrowserRouter, RouterProvider } from 'react-router-dom';
+import { createRoot } from 'react-dom/client';
+import { adminRoutes } from './admin-routes';
+
+const router = createBrowserRouter([
+  {
+    path: '/',
+    lazy: () => import('./pages/Layout'),
+    children: [
+      { index: true, lazy: () => import('./pages/Home') },
+      { path: 'blog', children: [{ path: ':slug', lazy: () => import('./pages/Post') }] },
+      ...adminRoutes
+    ]
+  }
+]);
+createRoot(document.getElementById('root')!).render(<RouterProvider router={router} />);
+`,
+    'src/admin-routes.tsx': `export const adminRoutes = [{ path: 'admin', children: [{ path: 'users', lazy: () => import('./pages/Users') }] }];
+`,
+    'src/pages/Layout.tsx': `import { lazy } from 'react';
+import { Routes, Route } from 'react-router-dom';
+const Settings = lazy(() => import('./Settings'));
+export function Component() {
+  return (
+    <Routes>
+      <Route path="/docs">
+        <Route index />
+        <Route path="intro" />
+      </Route>
+      <Route path="/settings/*" element={<Settings />} />
+    </Routes>
+  );
+}
+`,
+    'src/pages/Settings.tsx': `import { Routes, Route } from 'react-router-dom';
+export default function Settings() {
+  return <Routes><Route path="/settings/profile" /></Routes>;
+}
+`
+});
+const extracted = (await extractRoutes(routesDir)).map(route => route.path).sort();
+fs.rmSync(routesDir, { recursive: true, force: true });
+const expectedRoutes = ['/', '/admin', '/admin/users', '/blog', '/blog/:slug', '/docs', '/docs/intro', '/settings/*', '/settings/profile'];
+check('nested and lazy routes extracted', JSON.stringify(extracted) === JSON.stringify(expectedRoutes), extracted);
+
+// Vue: app.use() calls of the old entry move into the vite-ssg setup
+// function with their imports; one using a binding of the entry is reported
+const vueDir = writeFixture({
+    'package.json': JSON.stringify({ name: 'vue-fixture', dependencies: { vue: '^3.4.0', pinia: '^2.1.0' } }),
+    'index.html': '<div id="app"></div><script type="module" src="/src/main.ts"></script>\n',
+    'src/main.ts': `import { createApp } from 'vue';
+import { createPinia } from 'pinia';
+import * as Sentry from '@sentry/vue';
+import i18n from './plugins/i18n';
+import App from './App.vue';
+import router from './router';
+import './style.css';
+
+const store = createPinia();
+createApp(App).use(createPinia()).use(i18n, { legacy: false }).use(router).use(Sentry.plugin).use(store).mount('#app');
+`,
+    'src/router.ts': `import { createRouter, createWebHistory } from 'vue-router';
+export default createRouter({ history: createWebHistory(), routes: [{ path: '/', component: () => import('./App.vue') }] });
+`
+});
+const vueChanges = new ChangeSet({ projectRoot: vueDir, reporter: new Reporter() });
+await applyVueSsg({
+    projectRoot: vueDir,
+    pkg: JSON.parse(fs.readFileSync(path.join(vueDir, 'package.json'), 'utf8')),
+    domain: 'https://example.com',
+    changes: vueChanges
+});
+const ssgEntry = await vueChanges.readFile('src/main.ssg.ts');
+fs.rmSync(vueDir, { recursive: true, force: true });
+check('app.use() calls moved into the setup function', [
+    "import { createPinia } from 'pinia';",
+    "import i18n from './plugins/i18n';",
+    "import * as Sentry from '@sentry/vue';",
+    '({ app, router, head }) => {',
+    `    app.use(createPinia());
+    app.use(i18n, { legacy: false });
+    app.use(Sentry.plugin);`
+].every(line => ssgEntry.includes(line)) && !ssgEntry.includes('app.use(router)') && !ssgEntry.includes('app.use(store)'), ssgEntry);
+check('app.use() of an entry binding reported', vueChanges.warnings.some(warning => warning.includes('installs store with app.use()')), vueChanges.warnings);
+
+// Zip bomb: an entry that declares 0 bytes but inflates to 20 MB must be
+// refused before it is inflated
+function declareEmpty(buffer, name) {
+    for (let i = 0; i + 46 <= buffer.length; i++) {
+        const signature = buffer.readUInt32LE(i);
+        if (signature === 0x04034b50 && buffer.toString('utf8', i + 30, i + 30 + buffer.readUInt16LE(i + 26)) === name) {
+            buffer.writeUInt32LE(0, i + 22);
+        } else if (signature === 0x02014b50 && buffer.toString('utf8', i + 46, i + 46 + buffer.readUInt16LE(i + 28)) === name) {
+            buffer.writeUInt32LE(0, i + 24);
+        }
+    }
+    return buffer;
+}
+const bomb = new AdmZip();
+bomb.addFile('package.json', Buffer.from('{"name":"bomb"}'));
+bomb.addFile('bomb.bin', Buffer.alloc(20 * 1024 * 1024));
+const bombDir = writeFixture({ 'bomb.zip': declareEmpty(bomb.toBuffer(), 'bomb.bin') });
+const bombOut = path.join(bombDir, 'out');
+fs.mkdirSync(bombOut);
+let bombError;
+try {
+    extractZip(path.join(bombDir, 'bomb.zip'), bombOut);
+} catch (err) {
+    bombError = err;
+}
+const bombExtracted = fs.readdirSync(bombOut);
+fs.rmSync(bombDir, { recursive: true, force: true });
+check('entry declaring 0 bytes with compressed data refused', bombError?.code === 'ZIP_SIZE_MISMATCH' && !bombExtracted.length, bombError);
+
+// A file and a folder with the same name are refused before extraction
+function zipRejection(build, limits) {
+    const archive = new AdmZip();
+    build(archive);
+    const dir = writeFixture({ 'upload.zip': archive.toBuffer() });
+    fs.mkdirSync(path.join(dir, 'out'));
+    let error;
+    try {
+        extractZip(path.join(dir, 'upload.zip'), path.join(dir, 'out'), { limits });
+    } catch (err) {
+        error = err;
+    }
+    const extracted = fs.readdirSync(path.join(dir, 'out'));
+    fs.rmSync(dir, { recursive: true, force: true });
+    return { code: error?.code, extracted };
+}
+const clash = zipRejection(archive => {
+    archive.addFile('package.json', Buffer.from('{}'));
+    archive.addFile('src', Buffer.from('file'));
+    archive.addFile('src/main.js', Buffer.from('folder'));
+});
+check('file and folder with the same name refused', clash.code === 'ZIP_NAME_CLASH' && !clash.extracted.length, clash);
+
+// Names out of the folder, links and archives past the limits are refused
+// before anything is written. adm-zip cleans names and file types when
+// adding, so they are set on the entry afterwards.
+const withPackage = archive => archive.addFile('package.json', Buffer.from('{}'));
+const traversal = zipRejection(archive => {
+    withPackage(archive);
+    archive.addFile('evil.txt', Buffer.from('x')).entryName = '../evil.txt';
+});
+check('entry climbing out with .. refused', traversal.code === 'ZIP_PATH_TRAVERSAL' && !traversal.extracted.length, traversal);
+const absolute = zipRejection(archive => {
+    withPackage(archive);
+    archive.addFile('evil.txt', Buffer.from('x')).entryName = '/tmp/evil.txt';
+});
+check('entry with an absolute path refused', absolute.code === 'ZIP_ABSOLUTE_PATH' && !absolute.extracted.length, absolute);
+const symlink = zipRejection(archive => {
+    withPackage(archive);
+    archive.addFile('passwd', Buffer.from('/etc/passwd')).attr = (0o120777 << 16) >>> 0;
+});
+check('symbolic link refused', symlink.code === 'ZIP_SYMLINK' && !symlink.extracted.length, symlink);
+const ratio = zipRejection(archive => {
+    withPackage(archive);
+    archive.addFile('zeros.bin', Buffer.alloc(2 * 1024 * 1024));
+});
+check('entry compressed past the ratio refused', ratio.code === 'ZIP_RATIO' && !ratio.extracted.length, ratio);
+const crowded = zipRejection(archive => {
+    withPackage(archive);
+    for (const name of ['a.js', 'b.js', 'c.js']) archive.addFile(name, Buffer.from(name));
+}, { maxEntries: 3 });
+check('archive with too many entries refused', crowded.code === 'ZIP_TOO_MANY_ENTRIES' && !crowded.extracted.length, crowded);
+
+// Sandbox: the build of an uploaded project sees none of our variables and
+// a private HOME, and is stopped past the time and output limits
+async function sandboxedBuild(script, sandbox) {
+    const dir = writeFixture({ 'package.json': JSON.stringify({ name: 'sandbox-fixture', scripts: { build: script } }) });
+    let error;
+    try {
+        await build({
+            projectRoot: dir,
+            domain: 'https://example.com',
+            auditDir: path.join(dir, 'audit'),
+            sandbox,
+            reporter: new Reporter({ onEvent() { } })
+        });
+    } catch (err) {
+        error = err;
+    }
+    const envFile = path.join(dir, 'env.json');
+    const env = fs.existsSync(envFile) ? JSON.parse(fs.readFileSync(envFile, 'utf8')) : null;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return { code: error?.code, message: error?.message, env };
+}
+process.env.VITE_SEO_BOOTSTRAP_TEST_SECRET = 'secret';
+const scrubbed = await sandboxedBuild(`node -e "require('fs').writeFileSync('env.json', JSON.stringify(process.env))"`, {});
+delete process.env.VITE_SEO_BOOTSTRAP_TEST_SECRET;
+check('sandboxed build runs without our environment', scrubbed.env && !('VITE_SEO_BOOTSTRAP_TEST_SECRET' in scrubbed.env) &&
+    scrubbed.env.HOME !== os.homedir() && scrubbed.env.HOME.includes('vite-seo-bootstrap-sandbox-'), scrubbed);
+const slow = await sandboxedBuild('node -e "setTimeout(() => {}, 60000)"', { timeout: 3000 });
+check('sandboxed build stopped at the time limit', slow.code === 'BUILD_TIMEOUT' && slow.message.includes('npm run build'), slow);
+const noisy = await sandboxedBuild(`node -e "process.stdout.write('x'.repeat(2 * 1024 * 1024))"`, { maxOutput: 1024 * 1024 });
+check('sandboxed build stopped at the output limit', noisy.code === 'BUILD_OUTPUT_LIMIT', noisy);
+
+// Web UI server, started on a free port with its own token and allowed
+// folders; stopped when the checks end, passed or not
+async function startUiServer(env) {
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, HOST: '127.0.0.1', PORT: String(30000 + Math.floor(Math.random() * 20000)), ...env },
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    process.on('exit', () => server.kill());
+    const base = await new Promise((resolve, reject) => {
+        let output = '';
+        server.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/running at (http:\/\/\S+)/);
+            if (match) resolve(match[1]);
+        });
+        server.on('exit', code => reject(new Error(`server.js exited with ${code}`)));
+    });
+    const post = async (route, body, token) => {
+        const response = await fetch(base + route, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, code: (await response.json()).code };
+    };
+    return { post, stop: () => server.kill() };
+}
+
+// Local projects: a token is required, and only folders inside LOCAL_ROOTS
+// are accepted
+const allowedRoot = writeFixture({ 'inside/package.json': '{}' });
+const outsideRoot = writeFixture({ 'package.json': '{}' });
+const ui = await startUiServer({
+    LOCAL_TOKEN: 'test-token',
+    LOCAL_ROOTS: allowedRoot,
+    LOCAL_AUDIT_LOG: path.join(allowedRoot, 'audit.log')
+});
+const anonymous = await ui.post('/optimize-local', { projectPath: path.join(allowedRoot, 'inside') });
+const outside = await ui.post('/optimize-local', { projectPath: outsideRoot }, 'test-token');
+const climbing = await ui.post('/optimize-local', { projectPath: path.join(allowedRoot, 'inside', '..', '..', path.basename(outsideRoot)) }, 'test-token');
+check('local project refused without the token', anonymous.status === 401 && anonymous.code === 'LOCAL_AUTH_REQUIRED', anonymous);
+check('local project outside LOCAL_ROOTS refused', outside.status === 403 && outside.code === 'LOCAL_PATH_NOT_ALLOWED', outside);
+check('local project reached with .. from LOCAL_ROOTS refused', climbing.status === 403 && climbing.code === 'LOCAL_PATH_NOT_ALLOWED', climbing);
+ui.stop();
+fs.rmSync(allowedRoot, { recursive: true, force: true });
+fs.rmSync(outsideRoot, { recursive: true, force: true });
+
+// Git sources: a repository on an internal host or a local path is only
+// cloned for a caller with the token, and a local one must be in LOCAL_ROOTS
+const gitRoot = writeFixture({ 'repo/package.json': '{}' });
+const gitUi = await startUiServer({
+    LOCAL_TOKEN: 'test-token',
+    LOCAL_ROOTS: path.join(gitRoot, 'allowed'),
+    LOCAL_AUDIT_LOG: path.join(gitRoot, 'audit.log')
+});
+const internalHost = await gitUi.post('/convert-git', { repository: 'https://127.0.0.1/repo.git' });
+const localPath = await gitUi.post('/convert-git', { repository: path.join(gitRoot, 'repo') });
+const fileUrl = await gitUi.post('/convert-git', { repository: `file://${path.join(gitRoot, 'repo')}` });
+const localOutside = await gitUi.post('/convert-git', { repository: path.join(gitRoot, 'repo') }, 'test-token');
+check('git source on an internal host refused without the token', internalHost.status === 401 && internalHost.code === 'LOCAL_AUTH_REQUIRED', internalHost);
+check('git source on a local path refused without the token', localPath.status === 401 && localPath.code === 'LOCAL_AUTH_REQUIRED', localPath);
+check('git source as a file:// URL refused without the token', fileUrl.status === 401 && fileUrl.code === 'LOCAL_AUTH_REQUIRED', fileUrl);
+check('git source on a local path outside LOCAL_ROOTS refused', localOutside.status === 403 && localOutside.code === 'LOCAL_PATH_NOT_ALLOWED', localOutside);
+gitUi.stop();
+fs.rmSync(gitRoot, { recursive: true, force: true });
@@ -19,6 +19,83 @@ document.addEventListener('DOMContentLoaded', () => {
   const statusEl = document.getElementById('status');
   const errorEl = document.getElementById('error');
   const suggestionsEl = document.getElementById('suggestions');
+  const auditEl = document.getElementById('auditSummary');
+  const progressEl = document.getElementById('progress');
+  const stageListEl = document.getElementById('stageList');
+  const jobLogEl = document.getElementById('jobLog');
+
+  // Clave de localStorage con el trabajo en curso, para retomarlo al recargar
+  const JOB_STORAGE_KEY = 'viteSeoBootstrapJob';
+  const STAGE_LABELS = {
+    extract: 'Extracción del ZIP',
+    clone: 'Clonado del repositorio',
+    optimize: 'Optimización SEO',
+    install: 'Instalación de dependencias',
+    build: 'Build',
+    og: 'Imágenes Open Graph',
+    sitemap: 'Sitemap',
+    audit: 'Auditoría SEO',
+    package: 'Empaquetado'
+  };
+  // Mensajes para los códigos de error del ZIP (cli/src/zip-ingest.mjs y server.js),
+  // de los límites del build (cli/src/sandbox.mjs), de los repositorios git
+  // (cli/src/git-source.mjs), de las rutas del config (cli/src/config.mjs) y del
+  // acceso a proyectos locales
+  const ERROR_MESSAGES = {
+    UPLOAD_TOO_LARGE: 'El ZIP supera el tamaño máximo permitido.',
+    UPLOAD_MISSING: 'No se ha recibido ningún archivo ZIP.',
+    UPLOAD_INVALID: 'La subida no es válida. Envía un único archivo ZIP.',
+    ZIP_INVALID: 'El archivo no es un ZIP válido o está dañado.',
+    ZIP_EMPTY: 'El ZIP no contiene archivos del proyecto.',
+    ZIP_ABSOLUTE_PATH: 'El ZIP contiene rutas absolutas y se ha rechazado.',
+    ZIP_PATH_TRAVERSAL: 'El ZIP contiene rutas que salen de la carpeta del proyecto (../) y se ha rechazado.',
+    ZIP_SYMLINK: 'El ZIP contiene enlaces simbólicos, que no se admiten.',
+    ZIP_SPECIAL_FILE: 'El ZIP contiene archivos especiales (dispositivos, FIFOs o sockets), que no se admiten.',
+    ZIP_ENCRYPTED: 'El ZIP contiene archivos protegidos con contraseña.',
+    ZIP_TOO_MANY_ENTRIES: 'El ZIP contiene demasiados archivos. Quita node_modules, dist y otros archivos generados.',
+    ZIP_TOO_LARGE: 'El contenido del ZIP ocupa demasiado una vez descomprimido.',
+    ZIP_RATIO: 'El ZIP tiene una tasa de compresión anómala (posible bomba ZIP) y se ha rechazado.',
+    ZIP_SIZE_MISMATCH: 'El ZIP está dañado: un archivo no tiene el tamaño declarado.',
+    ZIP_NAME_CLASH: 'El ZIP contiene un archivo y una carpeta con el mismo nombre y se ha rechazado.',
+    BUILD_TIMEOUT: 'La instalación o el build ha superado el tiempo máximo permitido y se ha detenido.',
+    BUILD_OUTPUT_LIMIT: 'La instalación o el build ha generado demasiada salida y se ha detenido.',
+    CONFIG_PATH_OUTSIDE_PROJECT: 'La configuración del proyecto apunta a archivos fuera del proyecto y se ha rechazado.',
+    INVALID_STRATEGY: 'La estrategia elegida no es válida.',
+    LOCAL_AUTH_REQUIRED: 'Para optimizar carpetas locales o repositorios de la red interna abre la interfaz con el enlace (con token) que muestra el servidor al arrancar.',
+    LOCAL_FORBIDDEN_ORIGIN: 'La petición viene de otra web y se ha bloqueado.',
+    LOCAL_PATH_REQUIRED: 'La ruta del proyecto es obligatoria.',
+    LOCAL_PATH_INVALID: 'La ruta no existe, no es una carpeta o no es absoluta.',
+    LOCAL_PATH_NOT_ALLOWED: 'La ruta está fuera de las carpetas permitidas en el servidor (LOCAL_ROOTS).',
+    INVALID_OUTPUT_FORMAT: 'El formato de resultado no es válido. Con build solo se puede devolver un ZIP.',
+    GIT_SOURCE_INVALID: 'El repositorio debe ser una URL https, o una ruta absoluta o file:// de este equipo.',
+    GIT_REF_INVALID: 'El nombre de rama, tag o commit no es válido.',
+    GIT_REF_NOT_FOUND: 'La rama, tag o commit no existe en el repositorio.',
+    GIT_CLONE_FAILED: 'No se pudo clonar el repositorio. Comprueba la URL y que sea accesible sin credenciales.',
+    GIT_CLONE_TIMEOUT: 'El clonado del repositorio ha superado el tiempo máximo permitido.',
+    GIT_DIRTY: 'El repositorio git tiene cambios sin confirmar. Haz commit o stash, o marca "Permitir cambios sin confirmar".'
+  };
+  const STAGE_ICONS = { pending: '○', running: '⏳', done: '✔', skipped: '–', failed: '✖' };
+  // Líneas de log visibles en el panel de progreso
+  const MAX_VISIBLE_LOG_LINES = 200;
+
+  // Rellena los desplegables de estrategia con el registro del servidor;
+  // si falla, queda la detección automática
+  fetch('/strategies')
+    .then((res) => (res.ok ? res.json() : Promise.reject(new Error(res.statusText))))
+    .then(({ strategies, default: defaultStrategy }) => {
+      for (const select of ['strategy', 'strategyLocal', 'strategyGit'].map((id) => document.getElementById(id))) {
+        if (!select) continue;
+        for (const { id, label, description } of strategies) {
+          const option = document.createElement('option');
+          option.value = id;
+          option.textContent = label;
+          if (description) option.title = description;
+          select.appendChild(option);
+        }
+        select.value = defaultStrategy;
+      }
+    })
+    .catch((err) => console.warn('No se pudieron cargar las estrategias:', err));
 
   // ZIP Form Handler
   const zipForm = document.getElementById('uploadForm');
@@ -49,24 +126,170 @@ document.addEventListener('DOMContentLoaded', () => {
         method: 'POST',
         body: formData,
       })
-        .then((response) => {
-          if (!response.ok) throw new Error('El servidor respondió con un error.');
-          return response.blob();
+        .then((response) => response.json().then((data) => {
+          if (!response.ok) throw new Error(errorMessage(data) || 'El servidor respondió con un error.');
+          return data;
+        }))
+        .then((data) => {
+          localStorage.setItem(JOB_STORAGE_KEY, data.jobId);
+          followJob(data.jobId, data.stages, { autoDownload: true });
         })
-        .then((blob) => {
-          const originalName = file.name.replace(/\.zip$/i, '');
-          const isBuilt = document.getElementById('build').checked;
-          const suffix = isBuilt ? '-dist.zip' : '-seo-ssg.zip';
-          const downloadName = `${originalName}${suffix}`;
-
-          downloadBlob(blob, downloadName);
-          showSuccess('¡Optimización completada! La descarga debería comenzar automáticamente.');
+        .catch((error) => {
+          showError(error.message);
+          zipSubmitBtn.disabled = false;
+        });
+    });
+  }
+
+  // Git Repository Form Handler
+  const gitForm = document.getElementById('gitForm');
+  const gitSubmitBtn = document.getElementById('submitGitBtn');
+
+  if (gitForm) {
+    gitForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      resetUI();
+      const payload = {
+        repository: document.getElementById('repository').value.trim(),
+        ref: document.getElementById('ref').value.trim(),
+        outputFormat: document.getElementById('outputFormat').value,
+        domain: document.getElementById('domainGit').value.trim(),
+        strategy: document.getElementById('strategyGit').value,
+        build: document.getElementById('buildGit').checked
+      };
+      if (!payload.repository) {
+        showError('La URL o ruta del repositorio es obligatoria.');
+        return;
+      }
+      if (payload.build && payload.outputFormat !== 'zip') {
+        showError(ERROR_MESSAGES.INVALID_OUTPUT_FORMAT);
+        return;
+      }
+      gitSubmitBtn.disabled = true;
+      statusEl.textContent = 'Clonando repositorio...';
+      statusEl.style.display = 'block';
+
+      fetch('/convert-git', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      })
+        .then((response) => response.json().then((data) => {
+          if (!response.ok) throw new Error(errorMessage(data) || 'El servidor respondió con un error.');
+          return data;
+        }))
+        .then((data) => {
+          localStorage.setItem(JOB_STORAGE_KEY, data.jobId);
+          followJob(data.jobId, data.stages, { autoDownload: true });
         })
-        .catch((error) => showError(error.message))
-        .finally(() => { zipSubmitBtn.disabled = false; });
+        .catch((error) => {
+          showError(error.message);
+          gitSubmitBtn.disabled = false;
+        });
     });
   }
 
+  // Un solo trabajo a la vez: ZIP o repositorio
+  function setJobButtonsDisabled(disabled) {
+    for (const button of [zipSubmitBtn, gitSubmitBtn]) {
+      if (button) button.disabled = disabled;
+    }
+  }
+
+  // Si al cargar la página había un trabajo en curso, lo retomamos
+  const pendingJobId = localStorage.getItem(JOB_STORAGE_KEY);
+  if (pendingJobId) {
+    fetch(`/jobs/${encodeURIComponent(pendingJobId)}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((job) => {
+        if (!job) {
+          localStorage.removeItem(JOB_STORAGE_KEY);
+          return;
+        }
+        setJobButtonsDisabled(job.status === 'running');
+        followJob(job.id, job.stages, { autoDownload: false });
+      })
+      .catch(() => localStorage.removeItem(JOB_STORAGE_KEY));
+  }
+
+  // Sigue un trabajo de conversión por Server-Sent Events. El servidor
+  // reenvía todo el historial al conectar, así que la vista se reconstruye
+  // igual tras una recarga.
+  function followJob(jobId, stages, { autoDownload }) {
+    renderStages(stages.map((stage) => ({ ...stage, status: 'pending' })));
+    jobLogEl.textContent = '';
+    progressEl.style.display = 'block';
+    statusEl.textContent = 'Procesando proyecto...';
+    statusEl.style.display = 'block';
+
+    const source = new EventSource(`/jobs/${encodeURIComponent(jobId)}/events`);
+    source.addEventListener('stage', (event) => {
+      const { stage, status } = JSON.parse(event.data);
+      updateStage(stage, status);
+      if (status === 'running') {
+        statusEl.textContent = `${STAGE_LABELS[stage] || stage}...`;
+      }
+    });
+    source.addEventListener('log', (event) => {
+      appendLog(JSON.parse(event.data).line);
+    });
+    source.addEventListener('done', (event) => {
+      const data = JSON.parse(event.data);
+      source.close();
+      localStorage.removeItem(JOB_STORAGE_KEY);
+      setJobButtonsDisabled(false);
+      if (autoDownload) {
+        downloadUrl(data.download, data.fileName);
+        showSuccess('¡Optimización completada! La descarga debería comenzar automáticamente.');
+      } else {
+        showSuccess('¡Optimización completada!');
+      }
+      showDownloadLink(data.download, data.fileName);
+      if (data.audit) {
+        showAuditSummary(data.audit);
+      }
+    });
+    source.addEventListener('failed', (event) => {
+      source.close();
+      localStorage.removeItem(JOB_STORAGE_KEY);
+      setJobButtonsDisabled(false);
+      showError(errorMessage(JSON.parse(event.data)));
+    });
+  }
+
+  function renderStages(stages) {
+    stageListEl.innerHTML = '';
+    for (const stage of stages) {
+      const item = document.createElement('li');
+      item.dataset.stage = stage.id;
+      stageListEl.appendChild(item);
+      updateStage(stage.id, stage.status);
+    }
+  }
+
+  function updateStage(stageId, status) {
+    const item = stageListEl.querySelector(`[data-stage="${stageId}"]`);
+    if (!item) return;
+    item.className = `stage-${status}`;
+    item.textContent = `${STAGE_ICONS[status] || ''} ${STAGE_LABELS[stageId] || stageId}`;
+  }
+
+  function appendLog(line) {
+    const lines = (jobLogEl.textContent ? jobLogEl.textContent.split('\n') : []).concat(line);
+    jobLogEl.textContent = lines.slice(-MAX_VISIBLE_LOG_LINES).join('\n');
+    jobLogEl.scrollTop = jobLogEl.scrollHeight;
+  }
+
+  function showDownloadLink(url, fileName) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.textContent = `Descargar ${fileName}`;
+    link.className = 'download-link';
+    statusEl.appendChild(document.createElement('br'));
+    statusEl.appendChild(link);
+  }
+
   // Local Folder Form Handler
   const localForm = document.getElementById('localForm');
   const localSubmitBtn = document.getElementById('submitLocalBtn');
@@ -83,7 +306,9 @@ document.addEventListener('DOMContentLoaded', () => {
         projectPath: document.getElementById('projectPath').value.trim(),
         domain: document.getElementById('domainLocal').value.trim(),
         strategy: document.getElementById('strategyLocal').value,
-        build: document.getElementById('buildLocal').checked
+        build: document.getElementById('buildLocal').checked,
+        allowDirty: document.getElementById('allowDirtyLocal').checked,
+        noCommit: document.getElementById('noCommitLocal').checked
       };
 
       if (!payload.projectPath) {
@@ -99,24 +324,114 @@ document.addEventListener('DOMContentLoaded', () => {
       })
         .then(res => res.json())
         .then(data => {
-          if (data.error) throw new Error(data.error);
+          if (data.code === 'GIT_DIRTY') throw new Error(`${ERROR_MESSAGES.GIT_DIRTY}\n${data.details}`);
+          if (data.error) throw new Error(data.details ? `${data.error}: ${data.details}` : errorMessage(data));
           showSuccess(data.message);
           if (data.built) {
             statusEl.textContent += ' (Build completado en /dist)';
           }
+          if (data.git) {
+            showGitResult(data.git);
+          }
+          if (data.audit) {
+            showAuditSummary(data.audit, data.auditReport);
+          }
         })
         .catch(err => showError(err.message))
         .finally(() => { localSubmitBtn.disabled = false; });
     });
   }
 
+  // Rama y commit creados en un proyecto con git
+  function showGitResult(git) {
+    const line = document.createElement('div');
+    line.className = 'git-result';
+    line.textContent = git.commit
+      ? `Rama: ${git.branch} · Commit: ${git.commit.slice(0, 7)}`
+      : `Rama: ${git.branch} · ${git.staged.length} archivo(s) preparados, sin commit`;
+    if (git.previous) line.textContent += ` (desde ${git.previous})`;
+    statusEl.appendChild(line);
+  }
+
+  // Revert Last Local Optimization Handler
+  const revertLocalBtn = document.getElementById('revertLocalBtn');
+
+  if (revertLocalBtn) {
+    revertLocalBtn.addEventListener('click', () => {
+      resetUI();
+      const projectPath = document.getElementById('projectPath').value.trim();
+      if (!projectPath) {
+        showError('La ruta del proyecto es obligatoria.');
+        return;
+      }
+      if (!window.confirm('¿Restaurar los archivos modificados por la última optimización?')) {
+        return;
+      }
+      revertLocalBtn.disabled = true;
+      statusEl.textContent = 'Revirtiendo la última optimización...';
+      statusEl.style.display = 'block';
+
+      fetch('/revert-local', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ projectPath })
+      })
+        .then(res => res.json())
+        .then(data => {
+          if (data.error) throw new Error(data.details || errorMessage(data));
+          statusEl.textContent = data.message;
+          statusEl.style.display = 'block';
+        })
+        .catch(err => showError(err.message))
+        .finally(() => { revertLocalBtn.disabled = false; });
+    });
+  }
+
+  // Resumen de la auditoría SEO posterior al build
+  function showAuditSummary(summary, reportPath) {
+    auditEl.innerHTML = '';
+    const title = document.createElement('h2');
+    title.textContent = 'Auditoría SEO';
+    auditEl.appendChild(title);
+
+    const totals = document.createElement('p');
+    totals.textContent = `${summary.pages} páginas · ${summary.errors} errores · ${summary.warnings} avisos`;
+    totals.className = summary.errors ? 'audit-bad' : 'audit-ok';
+    auditEl.appendChild(totals);
+
+    const codes = Object.entries(summary.byCode || {});
+    if (codes.length) {
+      const list = document.createElement('ul');
+      for (const [code, count] of codes) {
+        const item = document.createElement('li');
+        item.textContent = `${code}: ${count}`;
+        list.appendChild(item);
+      }
+      auditEl.appendChild(list);
+    }
+    if (reportPath) {
+      const report = document.createElement('p');
+      report.textContent = `Informe completo: ${reportPath}`;
+      auditEl.appendChild(report);
+    }
+    auditEl.style.display = 'block';
+  }
+
   function resetUI() {
+    auditEl.style.display = 'none';
+    progressEl.style.display = 'none';
     errorEl.style.display = 'none';
     suggestionsEl.style.display = 'none';
     statusEl.style.color = '#333';
     statusEl.style.display = 'none';
   }
 
+  // Texto de un error del servidor: el mensaje del código si lo conocemos
+  function errorMessage({ error, code }) {
+    if (!ERROR_MESSAGES[code]) return error;
+    return `${ERROR_MESSAGES[code]} (${code}${error ? `: ${error}` : ''})`;
+  }
+
   function showError(msg) {
     statusEl.style.display = 'none';
     errorEl.textContent = msg;
@@ -129,14 +444,12 @@ document.addEventListener('DOMContentLoaded', () => {
     suggestionsEl.style.display = 'block';
   }
 
-  function downloadBlob(blob, filename) {
-    const url = window.URL.createObjectURL(blob);
+  function downloadUrl(url, filename) {
     const a = document.createElement('a');
     a.href = url;
     a.download = filename;
     document.body.appendChild(a);
     a.click();
     a.remove();
-    window.URL.revokeObjectURL(url);
   }
 });
\ No newline at end of file
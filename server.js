@@ -1,38 +1,485 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const os = require('os');
 const fs = require('fs').promises; // Utilitzem la versió asíncrona
-const { execFile } = require('child_process');
+const crypto = require('crypto');
+const { execFile, spawn } = require('child_process');
+const dns = require('dns').promises;
+const net = require('net');
+const { fileURLToPath } = require('url');
 
 const app = express();
-const upload = multer({ dest: 'uploads/' });
+// Mida màxima del zip pujat (MB); el contingut es comprova en extreure'l
+// (vegeu cli/src/zip-ingest.mjs)
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 100;
+const upload = multer({
+    dest: 'uploads/',
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1, fields: 10 }
+});
+
+// Rep el zip i tradueix els errors de multer a un codi que la interfície
+// sap mostrar
+function receiveZip(req, res, next) {
+    upload.single('zipFile')(req, res, (err) => {
+        if (!err) return next();
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `The ZIP is larger than ${MAX_UPLOAD_MB} MB.`, code: 'UPLOAD_TOO_LARGE', limit: MAX_UPLOAD_MB });
+        }
+        res.status(400).json({ error: err.message, code: 'UPLOAD_INVALID' });
+    });
+}
 
 app.use(express.urlencoded({ extended: true }));
+
+// --- Accés als projectes locals ------------------------------------------
+// /optimize-local i /revert-local escriuen en carpetes d'aquesta màquina.
+// Només s'hi accedeix amb el token local, a la capçalera
+// `Authorization: Bearer <token>` o amb la sessió que obre l'enllaç
+// /?token=... que s'imprimeix en arrencar, i només dins de les carpetes de
+// LOCAL_ROOTS (separades per ':' o ';' a Windows; per defecte, la carpeta de
+// l'usuari). Cada canvi queda registrat al log d'auditoria.
+
+const LOCAL_TOKEN = process.env.LOCAL_TOKEN || crypto.randomBytes(24).toString('hex');
+const LOCAL_ROOTS = (process.env.LOCAL_ROOTS || os.homedir())
+    .split(path.delimiter)
+    .filter(Boolean)
+    .map(root => path.resolve(root));
+const LOCAL_AUDIT_LOG = process.env.LOCAL_AUDIT_LOG || path.join(os.homedir(), '.vite-seo-bootstrap', 'local-audit.log');
+const SESSION_COOKIE = 'vsb_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+// Sessions obertes amb el token: id -> moment de creació
+const sessions = new Map();
+
+// Comparació en temps constant (els resums tenen sempre la mateixa mida)
+function tokenMatches(candidate) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(candidate), digest(LOCAL_TOKEN));
+}
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) return decodeURIComponent(value.join('='));
+    }
+    return null;
+}
+
+// L'enllaç amb el token obre una sessió i torna a la pàgina sense el token a la URL
+app.get('/', (req, res, next) => {
+    if (typeof req.query.token !== 'string') return next();
+    if (!tokenMatches(req.query.token)) {
+        return res.status(401).send('Invalid access token.');
+    }
+    const id = crypto.randomBytes(24).toString('hex');
+    sessions.set(id, Date.now());
+    res.cookie(SESSION_COOKIE, id, { httpOnly: true, sameSite: 'strict', maxAge: SESSION_TTL_MS });
+    res.redirect('/');
+});
+
+function requireLocalAccess(req, res, next) {
+    // Una altra web no pot fer servir la sessió del navegador
+    const origin = req.get('origin');
+    if (origin && origin !== `${req.protocol}://${req.get('host')}`) {
+        return res.status(403).json({ error: 'Cross-origin requests are not allowed.', code: 'LOCAL_FORBIDDEN_ORIGIN' });
+    }
+    const auth = req.get('authorization') || '';
+    if (auth.startsWith('Bearer ') && tokenMatches(auth.slice('Bearer '.length))) {
+        req.localUser = 'token';
+        return next();
+    }
+    const id = readCookie(req, SESSION_COOKIE);
+    const createdAt = id ? sessions.get(id) : undefined;
+    if (createdAt && Date.now() - createdAt < SESSION_TTL_MS) {
+        // Al log hi va un resum de la sessió, mai l'id
+        req.localUser = `session:${crypto.createHash('sha256').update(id).digest('hex').slice(0, 12)}`;
+        return next();
+    }
+    if (createdAt) sessions.delete(id);
+    res.status(401).json({
+        error: 'Local projects need the access link or token printed by the server at startup.',
+        code: 'LOCAL_AUTH_REQUIRED'
+    });
+}
+
+class LocalPathError extends Error {
+    constructor(status, message, code) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Camí real del projecte (sense '..' ni enllaços simbòlics), dins d'alguna
+// de les carpetes permeses
+async function resolveLocalProject(projectPath) {
+    if (typeof projectPath !== 'string' || !projectPath.trim()) {
+        throw new LocalPathError(400, 'Project path is required', 'LOCAL_PATH_REQUIRED');
+    }
+    if (!path.isAbsolute(projectPath)) {
+        throw new LocalPathError(400, 'Project path must be absolute', 'LOCAL_PATH_INVALID');
+    }
+    let realPath;
+    try {
+        realPath = await fs.realpath(projectPath);
+        if (!(await fs.stat(realPath)).isDirectory()) {
+            throw new LocalPathError(400, 'Path is not a directory', 'LOCAL_PATH_INVALID');
+        }
+    } catch (err) {
+        if (err instanceof LocalPathError) throw err;
+        throw new LocalPathError(400, 'Path does not exist', 'LOCAL_PATH_INVALID');
+    }
+    for (const root of LOCAL_ROOTS) {
+        const realRoot = await fs.realpath(root).catch(() => null);
+        if (!realRoot) continue;
+        const prefix = realRoot.endsWith(path.sep) ? realRoot : realRoot + path.sep;
+        if (realPath === realRoot || realPath.startsWith(prefix)) return realPath;
+    }
+    throw new LocalPathError(403, 'Path is outside the folders allowed for local projects (LOCAL_ROOTS)', 'LOCAL_PATH_NOT_ALLOWED');
+}
+
+// Registre d'auditoria: una línia JSON per canvi (qui, quan, on i què)
+async function writeLocalAudit(req, entry) {
+    const record = {
+        time: new Date().toISOString(),
+        user: req.localUser,
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null,
+        ...entry
+    };
+    try {
+        await fs.mkdir(path.dirname(LOCAL_AUDIT_LOG), { recursive: true });
+        await fs.appendFile(LOCAL_AUDIT_LOG, JSON.stringify(record) + '\n');
+    } catch (err) {
+        console.error('Could not write the local audit log:', err.message);
+    }
+}
+
 app.use(express.static('public'));
 
-// Llista blanca per validar l'estratègia
-const ALLOWED_STRATEGIES = ['react', 'preact'];
+// Registre d'estratègies del CLI (mòdul ESM): omple els desplegables de la
+// interfície i fa de llista blanca per als ZIP pujats, que només poden fer
+// servir les estratègies incloses perquè no executem codi del projecte
+const strategyRegistry = import('./cli/src/strategies.mjs');
 
-app.post('/convert', upload.single('zipFile'), async (req, res) => {
-    // 1. Validació d'entrada
-    let domain = req.body.domain || 'https://example.com';
-    let strategy = req.body.strategy || 'react';
-    let doBuild = req.body.build === 'on'; // Checkbox value
+async function bundledStrategies() {
+    const { loadStrategies, describeStrategies } = await strategyRegistry;
+    return describeStrategies(await loadStrategies());
+}
+
+// --- Treballs de conversió asíncrons ---------------------------------------
+// POST /convert crea un treball i respon de seguida amb el seu id. El CLI
+// s'executa en segon pla amb --json; cada línia de log i cada canvi d'etapa es
+// guarda com a esdeveniment numerat perquè GET /jobs/:id/events els pugui
+// reenviar (Server-Sent Events) també a un client que es reconnecta o que
+// ha recarregat la pàgina. El resultat es descarrega amb /jobs/:id/download.
+
+const jobs = new Map();
+// Temps que es conserva un treball acabat (i el seu zip) abans d'esborrar-lo
+const JOB_TTL_MS = 60 * 60 * 1000;
+// Màxim de línies de log guardades per treball (npm install en pot fer moltes)
+const MAX_JOB_LOG_LINES = 2000;
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Etapes del treball i l'esdeveniment del CLI (--json) que marca l'inici
+// de cadascuna: l'inici d'una etapa de l'optimitzador o un pas dins seu
+const JOB_STAGES = [
+    { id: 'extract', step: 'extract', input: 'zip' },
+    { id: 'clone', step: 'clone', input: 'git' },
+    { id: 'optimize', stage: 'analyze' },
+    { id: 'install', step: 'install', buildOnly: true },
+    { id: 'build', step: 'compile', buildOnly: true },
+    { id: 'og', step: 'og-images', buildOnly: true },
+    { id: 'sitemap', step: 'sitemap', buildOnly: true },
+    { id: 'audit', step: 'audit', buildOnly: true },
+    { id: 'package', stage: 'package' }
+];
+
+function jobStageFor(event) {
+    return JOB_STAGES.find(s =>
+        (event.type === 'step' && s.step === event.step) ||
+        (event.type === 'stage' && event.status === 'start' && s.stage === event.stage));
+}
+
+// Executa el CLI amb --json i passa cada esdeveniment a `onEvent`. Les
+// línies que no són JSON (p. ex. un error de node) es passen com a
+// esdeveniments `output`. Resol amb l'esdeveniment `result` i rebutja amb
+// el missatge de l'esdeveniment `error`.
+function runCliJson(args, onEvent = () => { }, env = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('node', [...args, '--json'], { stdio: ['ignore', 'pipe', 'pipe'], env: { ...process.env, ...env } });
+        let result = null;
+        let failure = null;
+        const stderrTail = [];
+        const onLines = (stream) => {
+            let buffered = '';
+            return (chunk) => {
+                buffered += chunk.toString();
+                const lines = buffered.split(/\r?\n/);
+                buffered = lines.pop();
+                for (const line of lines) {
+                    if (!line.trim()) continue;
+                    let event = null;
+                    if (stream === 'stdout') {
+                        try {
+                            event = JSON.parse(line);
+                        } catch (e) { }
+                    }
+                    if (!event) {
+                        event = { type: 'output', stream, line };
+                        if (stream === 'stderr') {
+                            stderrTail.push(line);
+                            if (stderrTail.length > 20) stderrTail.shift();
+                        }
+                    }
+                    if (event.type === 'result') result = event;
+                    else if (event.type === 'error') failure = event;
+                    else onEvent(event);
+                }
+            };
+        };
+        child.stdout.on('data', onLines('stdout'));
+        child.stderr.on('data', onLines('stderr'));
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code === 0 && result) {
+                resolve(result);
+            } else {
+                console.error('CLI Error:', failure ? failure.message : stderrTail.join('\n'));
+                const err = new Error(failure ? failure.message : stderrTail.filter(l => /error/i.test(l)).pop() || `El CLI ha acabat amb el codi ${code}`);
+                // Codi de l'error (p. ex. ZIP_SYMLINK) perquè la interfície el pugui explicar
+                if (failure && failure.code) err.code = failure.code;
+                reject(err);
+            }
+        });
+    });
+}
+
+// Text d'un esdeveniment per al log del treball, com el mostra el CLI
+function eventLine(event) {
+    if (event.type === 'log') return { stream: 'stdout', line: event.message.startsWith(' ') ? event.message : `· ${event.message}` };
+    if (event.type === 'warning') return { stream: 'stderr', line: `· Warning: ${event.message}` };
+    if (event.type === 'output') return { stream: event.stream, line: event.line };
+    return null;
+}
+
+function createJob({ outName, doBuild, input = 'zip' }) {
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'running',
+        stages: JOB_STAGES
+            .filter(stage => (doBuild || !stage.buildOnly) && (!stage.input || stage.input === input))
+            .map(stage => ({ id: stage.id, status: 'pending' })),
+        events: [],
+        nextEventId: 1,
+        logLines: 0,
+        listeners: new Set(),
+        outName,
+        outputPath: null,
+        audit: null,
+        error: null,
+        errorCode: null,
+        createdAt: new Date().toISOString()
+    };
+    jobs.set(job.id, job);
+    return job;
+}
+
+// Guarda un esdeveniment i l'envia als clients connectats
+function emitJobEvent(job, type, data) {
+    const event = { id: job.nextEventId++, type, data };
+    if (type !== 'log' || job.logLines++ < MAX_JOB_LOG_LINES) {
+        job.events.push(event);
+    }
+    for (const res of job.listeners) {
+        writeSseEvent(res, event);
+    }
+}
+
+function writeSseEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Marca com a acabada l'etapa en curs i comença la indicada
+function startJobStage(job, stageId) {
+    for (const stage of job.stages) {
+        if (stage.status === 'running') {
+            stage.status = 'done';
+            emitJobEvent(job, 'stage', { stage: stage.id, status: 'done' });
+        }
+        if (stage.id === stageId) break;
+        // Etapes que el CLI s'ha saltat
+        if (stage.status === 'pending') {
+            stage.status = 'skipped';
+            emitJobEvent(job, 'stage', { stage: stage.id, status: 'skipped' });
+        }
+    }
+    const next = job.stages.find(stage => stage.id === stageId);
+    if (next) {
+        next.status = 'running';
+        emitJobEvent(job, 'stage', { stage: stageId, status: 'running' });
+    }
+}
+
+function finishJob(job, { error, code } = {}) {
+    for (const stage of job.stages) {
+        const status = stage.status === 'running' ? (error ? 'failed' : 'done') : stage.status === 'pending' ? 'skipped' : null;
+        if (status) {
+            stage.status = status;
+            emitJobEvent(job, 'stage', { stage: stage.id, status });
+        }
+    }
+    if (error) {
+        job.status = 'failed';
+        job.error = error;
+        job.errorCode = code || null;
+        emitJobEvent(job, 'failed', { error, code: job.errorCode });
+    } else {
+        job.status = 'done';
+        emitJobEvent(job, 'done', { download: `/jobs/${job.id}/download`, fileName: job.outName, audit: job.audit });
+    }
+    for (const res of job.listeners) {
+        res.end();
+    }
+    job.listeners.clear();
+
+    // Neteja diferida: el resultat es pot tornar a descarregar fins que caduca
+    setTimeout(async () => {
+        jobs.delete(job.id);
+        if (job.outputPath) await fs.unlink(job.outputPath).catch(() => { });
+    }, JOB_TTL_MS).unref();
+}
+
+// Executa el CLI d'un treball i tradueix la seva sortida en esdeveniments.
+// Amb --build el CLI instal·la i construeix el projecte dins d'un sandbox; els
+// seus límits es configuren per a cada desplegament amb les variables
+// VITE_SEO_BOOTSTRAP_BUILD_TIMEOUT, _MAX_BUILD_OUTPUT, _ALLOW_SCRIPTS,
+// _SANDBOX_CACHE i _CLONE_TIMEOUT de l'entorn del servidor, que el CLI hereta
+async function runJob(job, args, { outputPath, filesToClean, env }) {
+    try {
+        const result = await runCliJson(args, (event) => {
+            const stage = jobStageFor(event);
+            if (stage) startJobStage(job, stage.id);
+            const line = eventLine(event);
+            if (line) emitJobEvent(job, 'log', line);
+        }, env);
+
+        // Comprovar el resultat
+        try {
+            await fs.access(outputPath);
+        } catch (e) {
+            throw new Error('El fitxer de sortida no s\'ha generat correctament.');
+        }
+        job.outputPath = outputPath;
+        if (result.build && result.build.audit) {
+            job.audit = result.build.audit.report.summary;
+        }
+        finishJob(job);
+    } catch (err) {
+        console.error('Server processing error:', err);
+        await fs.unlink(outputPath).catch(() => { });
+        finishJob(job, { error: err.message, code: err.code });
+    } finally {
+        for (const f of filesToClean) {
+            await fs.unlink(f).catch(() => { }); // Ignorem errors si el fitxer ja no hi és
+        }
+    }
+}
+
+// `vite-seo-bootstrap zip`: el resultat queda al costat del zip pujat
+function runConvertJob(job, { inputPath, domain, strategy, doBuild }) {
+    const cliPath = path.join(__dirname, 'cli', 'bin', 'cli.mjs');
+    const dir = path.dirname(inputPath);
+
+    // El script CLI genera un fitxer basat en el nom d'entrada hash
+    const hashedBaseName = path.parse(inputPath).name;
+    const cliOutName = doBuild ? `${hashedBaseName}-dist.zip` : `${hashedBaseName}-seo-ssg.zip`;
+    // Informes de l'auditoria SEO post-build (només amb --build)
+    const auditJsonPath = path.join(dir, `${hashedBaseName}-audit.json`);
+    const auditHtmlPath = path.join(dir, `${hashedBaseName}-audit.html`);
+
+    // Execució segura amb spawn (sense shell)
+    const args = [
+        cliPath,
+        'zip',
+        inputPath,
+        `--domain=${domain}`,
+        `--strategy=${strategy}`
+    ];
+
+    if (doBuild) {
+        args.push('--build');
+    }
+
+    return runJob(job, args, {
+        outputPath: path.join(dir, cliOutName),
+        filesToClean: [inputPath, auditJsonPath, auditHtmlPath]
+    });
+}
+
+// `vite-seo-bootstrap git`: el resultat s'escriu a uploads/ amb el nom del treball
+function runGitJob(job, { repository, ref, outputFormat, domain, strategy, doBuild, env }) {
+    const cliPath = path.join(__dirname, 'cli', 'bin', 'cli.mjs');
+    const outputPath = path.join(__dirname, 'uploads', `${job.id}.${outputFormat}`);
+    const args = [
+        cliPath,
+        'git',
+        repository,
+        `--output-format=${outputFormat}`,
+        `--output=${outputPath}`,
+        `--domain=${domain}`,
+        `--strategy=${strategy}`
+    ];
+    if (ref) {
+        args.push(`--ref=${ref}`);
+    }
+    if (doBuild) {
+        args.push('--build');
+    }
+
+    return runJob(job, args, {
+        outputPath,
+        filesToClean: [path.join(__dirname, 'uploads', `${job.id}-audit.json`), path.join(__dirname, 'uploads', `${job.id}-audit.html`)],
+        env
+    });
+}
+
+// Validació comuna de les opcions de /convert i /optimize-local
+async function readJobOptions(body) {
+    let domain = body.domain || 'https://example.com';
+    const strategy = body.strategy || 'react';
+    const doBuild = body.build === true || body.build === 'on'; // Checkbox value
 
     // Neteja bàsica del domini (evitar caràcters estranys)
-    if (!/^https?:\/\/[a-zA-Z0-9.-]+(?::\d+)?$/.test(domain)) {
-        // Si el format no és vàlid, tornem al default o donem error
+    if (typeof domain !== 'string' || !/^https?:\/\/[a-zA-Z0-9.-]+(?::\d+)?$/.test(domain)) {
+        // Si el format no és vàlid, tornem al default
         console.warn('Domini invàlid, usant default');
         domain = 'https://example.com';
     }
 
-    if (!ALLOWED_STRATEGIES.includes(strategy)) {
+    const { AUTO_STRATEGY } = await strategyRegistry;
+    const allowedStrategies = (await bundledStrategies()).map(({ id }) => id).concat(AUTO_STRATEGY);
+    if (!allowedStrategies.includes(strategy)) {
+        return { error: 'Invalid strategy provided.', code: 'INVALID_STRATEGY' };
+    }
+    return { domain, strategy, doBuild };
+}
+
+app.get('/strategies', async (req, res) => {
+    res.json({ strategies: await bundledStrategies(), default: 'react' });
+});
+
+app.post('/convert', receiveZip, async (req, res) => {
+    // 1. Validació d'entrada
+    const options = await readJobOptions(req.body);
+    if (options.error) {
         if (req.file) await fs.unlink(req.file.path).catch(() => { });
-        return res.status(400).send('Invalid strategy provided.');
+        return res.status(400).json({ error: options.error, code: options.code });
     }
+    const { domain, strategy, doBuild } = options;
 
     if (!req.file) {
-        return res.status(400).send('No zip file uploaded');
+        return res.status(400).json({ error: 'No zip file uploaded', code: 'UPLOAD_MISSING' });
     }
 
     const origName = path.parse(req.file.originalname).name;
@@ -45,102 +492,209 @@ app.post('/convert', upload.single('zipFile'), async (req, res) => {
     const originalExt = path.extname(req.file.originalname) || '.zip';
     const renamedInputPath = uploadedTempPath + originalExt;
 
-    // Rutes per neteja final
-    const filesToClean = [uploadedTempPath, renamedInputPath];
-
     try {
         // 2. Renombrar fitxer (Asíncron)
         await fs.rename(uploadedTempPath, renamedInputPath);
+    } catch (err) {
+        console.error('Server processing error:', err);
+        await fs.unlink(uploadedTempPath).catch(() => { });
+        return res.status(500).json({ error: 'Server error processing upload' });
+    }
+
+    // 3. Crear el treball i respondre sense esperar el CLI
+    const job = createJob({ outName, doBuild });
+    res.status(202).json({ jobId: job.id, stages: job.stages });
+    runConvertJob(job, { inputPath: renamedInputPath, domain, strategy, doBuild });
+});
 
-        const cliPath = path.join(__dirname, 'cli', 'bin', 'apply-zip.mjs');
-        const dir = path.dirname(renamedInputPath);
+// Repositoris git: una URL https d'un servidor públic, o amb el mateix
+// accés que les carpetes locals un repositori d'aquesta màquina (camí
+// absolut o file://) o d'un servidor intern
+const GIT_OUTPUT_FORMATS = ['zip', 'patch', 'bundle'];
+const GIT_REF_PATTERN = /^(?!-)[A-Za-z0-9._/-]{1,200}$/;
 
-        // El script CLI genera un fitxer basat en el nom d'entrada hash
-        const hashedBaseName = path.parse(renamedInputPath).name;
-        // Adjust CLI output name expectation
-        const cliOutName = doBuild ? `${hashedBaseName}-dist.zip` : `${hashedBaseName}-seo-ssg.zip`;
-        const cliOutPath = path.join(dir, cliOutName);
-        const outputFullPath = path.join(dir, outName);
+// Adreces que no són d'internet: loopback, xarxes privades, link-local,
+// CGNAT, multicast i reservades
+const INTERNAL_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
 
-        filesToClean.push(outputFullPath, cliOutPath);
+function isInternalAddress(address) {
+    // Adreces IPv4 dins d'IPv6 (::ffff:127.0.0.1)
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return INTERNAL_ADDRESSES.check(mapped[1], 'ipv4');
+    return INTERNAL_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
 
-        // 3. Execució segura amb execFile (sense shell)
-        const args = [
-            cliPath,
-            renamedInputPath,
-            `--domain=${domain}`,
-            `--strategy=${strategy}`
-        ];
+// Entorn de git per clonar d'un servidor públic: sense redireccions i amb
+// l'adreça comprovada fixada, perquè un DNS que canviï de resposta entre la
+// comprovació i el clon no el pugui portar a una adreça interna. Null quan
+// el servidor és (o resol a) una adreça interna.
+async function publicGitEnv(repository) {
+    const url = new URL(repository);
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const env = { GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: 'http.followRedirects', GIT_CONFIG_VALUE_0: 'false' };
+    if (net.isIP(host)) {
+        return isInternalAddress(host) ? null : env;
+    }
+    const addresses = await dns.lookup(host, { all: true });
+    if (!addresses.length || addresses.some(({ address }) => isInternalAddress(address))) {
+        return null;
+    }
+    const { address, family } = addresses[0];
+    return {
+        ...env,
+        GIT_CONFIG_COUNT: '2',
+        GIT_CONFIG_KEY_1: 'http.curloptResolve',
+        GIT_CONFIG_VALUE_1: `${url.hostname}:${url.port || 443}:${family === 6 ? `[${address}]` : address}`
+    };
+}
 
-        if (doBuild) {
-            args.push('--build');
-        }
+app.post('/convert-git', express.json(), async (req, res) => {
+    const options = await readJobOptions(req.body);
+    if (options.error) {
+        return res.status(400).json({ error: options.error, code: options.code });
+    }
+    const { domain, strategy, doBuild } = options;
+    const outputFormat = req.body.outputFormat || 'zip';
+    if (!GIT_OUTPUT_FORMATS.includes(outputFormat)) {
+        return res.status(400).json({ error: 'Invalid output format', code: 'INVALID_OUTPUT_FORMAT' });
+    }
+    if (doBuild && outputFormat !== 'zip') {
+        return res.status(400).json({ error: 'A build can only be returned as a ZIP', code: 'INVALID_OUTPUT_FORMAT' });
+    }
+    const ref = typeof req.body.ref === 'string' ? req.body.ref.trim() : '';
+    if (ref && !GIT_REF_PATTERN.test(ref)) {
+        return res.status(400).json({ error: 'Invalid branch, tag or commit', code: 'GIT_REF_INVALID' });
+    }
+    const repository = typeof req.body.repository === 'string' ? req.body.repository.trim() : '';
 
-        // Prometifiquem execFile per usar await
-        await new Promise((resolve, reject) => {
-            execFile('node', args, (error, stdout, stderr) => {
-                if (error) {
-                    console.error('CLI Error:', stderr);
-                    reject(error);
-                } else {
-                    resolve(stdout);
-                }
-            });
-        });
+    const start = (source, env) => {
+        // Nom del fitxer descarregat, a partir del nom del repositori
+        const repoName = path.basename(source.replace(/[/\\]+$/, ''), '.git').replace(/[^a-zA-Z0-9_-]/g, '_') || 'repository';
+        const outName = `${repoName}-${doBuild ? 'dist' : 'seo-ssg'}.${outputFormat}`;
+        const job = createJob({ outName, doBuild, input: 'git' });
+        res.status(202).json({ jobId: job.id, stages: job.stages });
+        runGitJob(job, { repository: source, ref, outputFormat, domain, strategy, doBuild, env });
+    };
 
-        // 4. Comprovar i moure el resultat (Asíncron)
+    if (/^https:\/\/[^\s]+$/i.test(repository)) {
+        let env;
         try {
-            await fs.access(cliOutPath); // Comprova si existeix
-            await fs.rename(cliOutPath, outputFullPath);
-        } catch (e) {
-            throw new Error('El fitxer de sortida no s\'ha generat correctament.');
+            env = await publicGitEnv(repository);
+        } catch (err) {
+            return res.status(400).json({ error: `Could not resolve the repository host (${err.code || err.message})`, code: 'GIT_CLONE_FAILED' });
         }
-
-        // 5. Enviar fitxer
-        res.download(outputFullPath, outName, async (downloadErr) => {
-            if (downloadErr) {
-                console.error('Error sending file:', downloadErr);
-            }
-            // Neteja de fitxers (Asíncrona i sense bloquejar)
-            for (const f of filesToClean) {
-                await fs.unlink(f).catch(() => { }); // Ignorem errors si el fitxer ja no hi és
+        if (env) return start(repository, env);
+        return requireLocalAccess(req, res, () => start(repository));
+    }
+    if (/^file:\/\//i.test(repository) || path.isAbsolute(repository)) {
+        return requireLocalAccess(req, res, async () => {
+            let repoPath;
+            try {
+                repoPath = await resolveLocalProject(/^file:/i.test(repository) ? fileURLToPath(repository) : repository);
+            } catch (err) {
+                return res.status(err.status || 400).json({ error: err.message, code: err.code || 'LOCAL_PATH_INVALID' });
             }
+            start(repoPath);
         });
+    }
+    res.status(400).json({
+        error: 'Use an https:// URL, or the absolute path or file:// URL of a repository on this machine',
+        code: 'GIT_SOURCE_INVALID'
+    });
+});
 
-    } catch (err) {
-        console.error('Server processing error:', err);
-        // Intentar netejar en cas d'error
-        for (const f of filesToClean) {
-            await fs.unlink(f).catch(() => { });
-        }
+function findJob(req, res) {
+    const job = JOB_ID_PATTERN.test(req.params.id) ? jobs.get(req.params.id) : undefined;
+    if (!job) {
+        res.status(404).json({ error: 'Job not found' });
+    }
+    return job;
+}
 
-        if (!res.headersSent) {
-            res.status(500).send('Server error processing upload');
-        }
+// Estat actual d'un treball (per reprendre'l després de recarregar)
+app.get('/jobs/:id', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    res.json({
+        id: job.id,
+        status: job.status,
+        stages: job.stages,
+        fileName: job.outName,
+        audit: job.audit,
+        error: job.error,
+        errorCode: job.errorCode,
+        createdAt: job.createdAt
+    });
+});
+
+// Flux d'esdeveniments (SSE). Reenvia primer els que el client no té,
+// segons la capçalera Last-Event-ID que l'EventSource envia en reconnectar.
+app.get('/jobs/:id/events', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const lastId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+    for (const event of job.events) {
+        if (event.id > lastId) writeSseEvent(res, event);
+    }
+    if (job.status !== 'running') {
+        return res.end();
     }
+
+    job.listeners.add(res);
+    // Comentari periòdic perquè els proxies no tallin la connexió
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        job.listeners.delete(res);
+    });
 });
 
-app.post('/optimize-local', express.json(), async (req, res) => {
-    const { projectPath, domain = 'https://example.com', strategy = 'react', build } = req.body;
-    const doBuild = build === true || build === 'on';
+app.get('/jobs/:id/download', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    if (job.status !== 'done' || !job.outputPath) {
+        return res.status(409).json({ error: 'Job has not finished successfully' });
+    }
+    res.download(job.outputPath, job.outName, (downloadErr) => {
+        if (downloadErr) {
+            console.error('Error sending file:', downloadErr);
+        }
+    });
+});
 
-    if (!projectPath) {
-        return res.status(400).json({ error: 'Project path is required' });
+app.post('/optimize-local', requireLocalAccess, express.json(), async (req, res) => {
+    const options = await readJobOptions(req.body);
+    if (options.error) {
+        return res.status(400).json({ error: options.error, code: options.code });
     }
+    const { domain, strategy, doBuild } = options;
 
+    let projectPath;
     try {
-        // Verify path exists and is directory
-        const stats = await fs.stat(projectPath);
-        if (!stats.isDirectory()) {
-            return res.status(400).json({ error: 'Path is not a directory' });
-        }
-    } catch (e) {
-        return res.status(400).json({ error: 'Path does not exist' });
+        projectPath = await resolveLocalProject(req.body.projectPath);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message, code: err.code });
     }
 
-    const cliPath = path.join(__dirname, 'cli', 'bin', 'optimize.mjs');
+    const cliPath = path.join(__dirname, 'cli', 'bin', 'cli.mjs');
     const args = [
         cliPath,
+        'apply',
         projectPath,
         `--domain=${domain}`,
         `--strategy=${strategy}`
@@ -149,28 +703,98 @@ app.post('/optimize-local', express.json(), async (req, res) => {
     if (doBuild) {
         args.push('--build');
     }
+    // Si és un repositori git, el CLI crea una branca i hi fa commit
+    const allowDirty = req.body.allowDirty === true || req.body.allowDirty === 'on';
+    const noCommit = req.body.noCommit === true || req.body.noCommit === 'on';
+    if (allowDirty) {
+        args.push('--allow-dirty');
+    }
+    if (noCommit) {
+        args.push('--no-commit');
+    }
 
     console.log(`Running local optimization on: ${projectPath}`);
 
-    execFile('node', args, (error, stdout, stderr) => {
+    const output = [];
+    const audited = {
+        action: 'optimize', requestedPath: req.body.projectPath, projectPath, domain, strategy, build: doBuild, allowDirty, commit: !noCommit
+    };
+    let result;
+    try {
+        result = await runCliJson(args, (event) => {
+            const line = eventLine(event);
+            if (line) output.push(line.line);
+        });
+    } catch (err) {
+        await writeLocalAudit(req, { ...audited, status: 'failed', error: err.message });
+        return res.status(500).json({ error: 'Optimization failed', details: err.message, code: err.code });
+    }
+    await writeLocalAudit(req, { ...audited, status: 'done', files: result.files, backup: result.backup, git: result.git });
+
+    const auditReport = path.join(projectPath, '.vite-seo-bootstrap', 'audit', 'seo-audit.html');
+    const audit = result.build && result.build.audit ? result.build.audit.report.summary : null;
+
+    res.json({
+        success: true,
+        message: 'Optimization completed successfully!',
+        output: output.join('\n'),
+        built: doBuild,
+        routes: result.routes,
+        files: result.files,
+        warnings: result.warnings,
+        git: result.git,
+        audit,
+        auditReport: audit ? auditReport : undefined
+    });
+});
+
+// Reverteix l'última optimització local restaurant el backup creat pel CLI
+app.post('/revert-local', requireLocalAccess, express.json(), async (req, res) => {
+    const { id } = req.body;
+
+    if (id !== undefined && !/^[0-9TZ-]+$/.test(id)) {
+        return res.status(400).json({ error: 'Invalid backup id' });
+    }
+    let projectPath;
+    try {
+        projectPath = await resolveLocalProject(req.body.projectPath);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message, code: err.code });
+    }
+
+    const cliPath = path.join(__dirname, 'cli', 'bin', 'cli.mjs');
+    const args = [cliPath, 'undo', projectPath];
+    if (id) {
+        args.push(`--id=${id}`);
+    }
+
+    console.log(`Reverting last optimization on: ${projectPath}`);
+
+    const audited = { action: 'revert', requestedPath: req.body.projectPath, projectPath, backup: id || 'latest' };
+    execFile('node', args, async (error, stdout, stderr) => {
         if (error) {
             console.error('CLI Error:', stderr);
-            return res.status(500).json({ error: 'Optimization failed', details: stderr });
+            await writeLocalAudit(req, { ...audited, status: 'failed', error: stderr.trim() });
+            return res.status(500).json({ error: 'Revert failed', details: stderr });
         }
+        await writeLocalAudit(req, { ...audited, status: 'done', output: stdout.trim() });
 
         res.json({
             success: true,
-            message: 'Optimization completed successfully!',
-            output: stdout,
-            built: doBuild
+            message: 'Last optimization reverted.',
+            output: stdout
         });
     });
 });
 
 const requestedPort = parseInt(process.env.PORT, 10) || 3000;
+// Per defecte només s'escolta en local; HOST=0.0.0.0 l'obre a la xarxa
+const HOST = process.env.HOST || '127.0.0.1';
 function startServer(port) {
-    const server = app.listen(port, () => {
-        console.log(`Vite SEO Bootstrap UI running at http://localhost:${port}`);
+    const server = app.listen(port, HOST, () => {
+        const base = `http://${HOST === '127.0.0.1' ? 'localhost' : HOST}:${port}`;
+        console.log(`Vite SEO Bootstrap UI running at ${base}`);
+        console.log(`Local projects (${LOCAL_ROOTS.join(', ')}): open ${base}/?token=${process.env.LOCAL_TOKEN ? '<LOCAL_TOKEN>' : LOCAL_TOKEN}`);
     });
     server.on('error', (err) => {
         if (err.code === 'EADDRINUSE') {